@@ -0,0 +1,380 @@
+/**
+ * cmi5 Conformance Checker
+ * NovaPay Platform Launch Training
+ *
+ * Checks a stream of statements against the cmi5 rules for what an AU
+ * may send, and in what order. Takes Cmi5.getStatementLog(), an LRS
+ * export ({ statements: [...] }) or the mock LMS's /lms/api/data, and
+ * reports each rule as passed or failed with the statements that broke it.
+ *
+ * Used by the in-course debug view and tools/check-cmi5-conformance.js,
+ * so it must run without a DOM.
+ */
+
+const Cmi5Conformance = (function() {
+  'use strict';
+
+  const VERBS = {
+    initialized: 'http://adlnet.gov/expapi/verbs/initialized',
+    completed: 'http://adlnet.gov/expapi/verbs/completed',
+    passed: 'http://adlnet.gov/expapi/verbs/passed',
+    failed: 'http://adlnet.gov/expapi/verbs/failed',
+    terminated: 'http://adlnet.gov/expapi/verbs/terminated'
+  };
+
+  // Sent by the LMS, not the AU - used only for the session's launch mode
+  const LMS_VERBS = [
+    'http://adlnet.gov/expapi/verbs/launched',
+    'http://adlnet.gov/expapi/verbs/satisfied',
+    'https://w3id.org/xapi/adl/verbs/abandoned',
+    'https://w3id.org/xapi/adl/verbs/waived'
+  ];
+
+  const DEFINED_VERBS = Object.values(VERBS);
+  const GRADED_VERBS = [VERBS.completed, VERBS.passed, VERBS.failed];
+  const DURATION_VERBS = [VERBS.completed, VERBS.passed, VERBS.failed, VERBS.terminated];
+
+  const CMI5_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+  const MOVEON_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/moveon';
+  const SESSION_EXTENSION = 'https://w3id.org/xapi/cmi5/context/extensions/sessionid';
+  const MASTERY_EXTENSION = 'https://w3id.org/xapi/cmi5/context/extensions/masteryscore';
+  const LAUNCH_MODE_EXTENSION = 'https://w3id.org/xapi/cmi5/context/extensions/launchmode';
+
+  const DURATION_PATTERN = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+
+  // ==================== STATEMENT HELPERS ====================
+
+  function verbName(statement) {
+    return statement.verb?.display?.['en-US'] || String(statement.verb?.id || '?').split('/').pop();
+  }
+
+  function categoryIds(statement) {
+    return (statement.context?.contextActivities?.category || []).map(category => category.id);
+  }
+
+  function sessionIdOf(statement) {
+    return statement.context?.extensions?.[SESSION_EXTENSION] || null;
+  }
+
+  function isDefined(statement) {
+    return DEFINED_VERBS.includes(statement.verb?.id);
+  }
+
+  function isLmsStatement(statement) {
+    return LMS_VERBS.includes(statement.verb?.id);
+  }
+
+  function violation(statement, message) {
+    return {
+      statementId: statement.id || null,
+      verb: verbName(statement),
+      timestamp: statement.timestamp || null,
+      message
+    };
+  }
+
+  /**
+   * The statements in any of the supported inputs. Statement log entries
+   * carry theirs in `statement`; entries without one are skipped, as are
+   * quarantined and failed sends (a failed send is logged again on retry).
+   */
+  function statementsFrom(input) {
+    if (Array.isArray(input)) {
+      return input
+        .filter(item => !item || !(item.quarantined || (item.error && !item.success)))
+        .map(item => (item && item.verb && item.actor) ? item : item?.statement)
+        .filter(statement => statement && statement.verb);
+    }
+    if (input && Array.isArray(input.statements)) {
+      return statementsFrom(input.statements);
+    }
+    return [];
+  }
+
+  /**
+   * In the order the LRS received them when it says (exports are usually
+   * newest first), otherwise as given - the statement log is in send order.
+   * Timestamps aren't used: tracker statements are stamped when captured,
+   * which can be before an earlier statement is sent.
+   */
+  function inReceivedOrder(statements) {
+    if (statements.length && statements.every(statement => statement.stored)) {
+      return [...statements].sort((a, b) => Date.parse(a.stored) - Date.parse(b.stored));
+    }
+    return statements;
+  }
+
+  /**
+   * AU statements grouped by session, each with its launch mode from the
+   * LMS's launched statement (or options.launchMode)
+   */
+  function groupSessions(statements, options) {
+    const sessions = new Map();
+    statements.forEach(statement => {
+      const key = sessionIdOf(statement) || `registration:${statement.context?.registration || 'none'}`;
+      if (!sessions.has(key)) {
+        sessions.set(key, { id: key, launchMode: options.launchMode || null, lms: [], statements: [] });
+      }
+      sessions.get(key)[isLmsStatement(statement) ? 'lms' : 'statements'].push(statement);
+    });
+
+    sessions.forEach(session => {
+      const launched = session.lms.find(statement => statement.verb.id === LMS_VERBS[0]);
+      const mode = launched?.context?.extensions?.[LAUNCH_MODE_EXTENSION];
+      if (mode) session.launchMode = mode;
+    });
+
+    return [...sessions.values()].filter(session => session.statements.length);
+  }
+
+  /**
+   * Position of a session's first statement with this verb, or -1
+   */
+  function indexOfVerb(statements, verbId) {
+    return statements.findIndex(statement => statement.verb.id === verbId);
+  }
+
+  // ==================== RULES ====================
+  // Each rule returns its violations; no violations means it passed.
+
+  const RULES = [
+    {
+      id: 'initialized-first',
+      title: 'Nothing is sent before initialized',
+      check({ sessions, options }) {
+        return sessions.flatMap(session => {
+          const first = indexOfVerb(session.statements, VERBS.initialized);
+          if (first === -1) {
+            // A statement log from a reloaded page starts mid-session
+            if (options.initializedEarlier) return [];
+            return [violation(session.statements[0], 'Session has no initialized statement')];
+          }
+          return session.statements.slice(0, first)
+            .map(statement => violation(statement, 'Sent before initialized'));
+        });
+      }
+    },
+    {
+      id: 'terminated-last',
+      title: 'Nothing is sent after terminated',
+      check({ sessions }) {
+        return sessions.flatMap(session => {
+          const last = indexOfVerb(session.statements, VERBS.terminated);
+          if (last === -1) return [];
+          return session.statements.slice(last + 1)
+            .map(statement => violation(statement, 'Sent after terminated'));
+        });
+      }
+    },
+    {
+      id: 'session-once',
+      title: 'One initialized and one terminated per session',
+      check({ sessions }) {
+        return sessions.flatMap(session => [VERBS.initialized, VERBS.terminated].flatMap(verbId =>
+          session.statements.filter(statement => statement.verb.id === verbId).slice(1)
+            .map(statement => violation(statement, `Second ${verbName(statement)} in the session`))
+        ));
+      }
+    },
+    {
+      id: 'one-judgment',
+      // cmi5 allows at most one judgment (passed or failed) per session.
+      // Passed is final: it's sent once per registration and nothing -
+      // neither passed nor failed - may follow it in a later session
+      title: 'One passed or failed per session; passed once per registration and final',
+      check({ sessions }) {
+        const passedRegistrations = new Set();
+        return sessions.flatMap(session => {
+          const found = [];
+          let judgment = null;
+          session.statements.forEach(statement => {
+            const verbId = statement.verb.id;
+            if (verbId !== VERBS.passed && verbId !== VERBS.failed) return;
+
+            const registration = statement.context?.registration;
+            if (passedRegistrations.has(registration)) {
+              found.push(violation(statement, verbId === VERBS.passed
+                ? 'Registration was already passed'
+                : 'failed after the registration was passed'));
+            } else if (judgment) {
+              found.push(violation(statement, judgment === verbId
+                ? `Second ${verbName(statement)} in the session`
+                : `${verbName(statement)} after ${judgment === VERBS.passed ? 'passed' : 'failed'} in the same session`));
+            }
+            judgment = judgment || verbId;
+            if (verbId === VERBS.passed) passedRegistrations.add(registration);
+          });
+          return found;
+        });
+      }
+    },
+    {
+      id: 'completed-once',
+      title: 'completed once per registration',
+      check({ statements }) {
+        const seen = new Set();
+        return statements.filter(statement => statement.verb.id === VERBS.completed).flatMap(statement => {
+          const registration = statement.context?.registration;
+          if (seen.has(registration)) return [violation(statement, 'Registration was already completed')];
+          seen.add(registration);
+          return [];
+        });
+      }
+    },
+    {
+      id: 'mastery-score',
+      title: 'passed and failed respect masteryScore',
+      check({ statements, options }) {
+        return statements.filter(statement => statement.verb.id === VERBS.passed || statement.verb.id === VERBS.failed)
+          .flatMap(statement => {
+            const found = [];
+            const extension = statement.context?.extensions?.[MASTERY_EXTENSION];
+            const masteryScore = options.masteryScore ?? extension ?? null;
+            const scaled = statement.result?.score?.scaled;
+            const passed = statement.verb.id === VERBS.passed;
+
+            if (statement.result?.success !== passed) {
+              found.push(violation(statement, `result.success must be ${passed}`));
+            }
+            if (masteryScore === null) return found;
+
+            if (extension === undefined) {
+              found.push(violation(statement, `No masteryscore extension (LMS masteryScore is ${masteryScore})`));
+            } else if (extension !== masteryScore) {
+              found.push(violation(statement, `masteryscore extension is ${extension}, LMS masteryScore is ${masteryScore}`));
+            }
+            if (typeof scaled === 'number' && (scaled >= masteryScore) !== passed) {
+              found.push(violation(statement, `Scaled score ${scaled} is ${passed ? 'below' : 'at or above'} masteryScore ${masteryScore}`));
+            }
+            return found;
+          });
+      }
+    },
+    {
+      id: 'duration',
+      title: 'completed, passed, failed and terminated carry a duration',
+      check({ statements }) {
+        return statements.filter(statement => DURATION_VERBS.includes(statement.verb.id)).flatMap(statement => {
+          const duration = statement.result?.duration;
+          if (duration === undefined) return [violation(statement, 'No result.duration')];
+          if (!DURATION_PATTERN.test(duration)) return [violation(statement, `result.duration "${duration}" is not an ISO 8601 duration`)];
+          return [];
+        });
+      }
+    },
+    {
+      id: 'completed-result',
+      title: 'completed has result.completion true',
+      check({ statements }) {
+        return statements.filter(statement => statement.verb.id === VERBS.completed && statement.result?.completion !== true)
+          .map(statement => violation(statement, 'result.completion must be true'));
+      }
+    },
+    {
+      id: 'defined-context',
+      title: 'cmi5 defined statements carry the cmi5 context',
+      check({ statements, options }) {
+        return statements.filter(isDefined).flatMap(statement => {
+          const found = [];
+          const categories = categoryIds(statement);
+          if (!statement.context?.registration) found.push(violation(statement, 'No context.registration'));
+          if (!sessionIdOf(statement)) found.push(violation(statement, 'No sessionid extension'));
+          if (!categories.includes(CMI5_CATEGORY)) found.push(violation(statement, 'No cmi5 category'));
+          if (GRADED_VERBS.includes(statement.verb.id) && !categories.includes(MOVEON_CATEGORY)) {
+            found.push(violation(statement, 'No moveOn category'));
+          }
+          if (!GRADED_VERBS.includes(statement.verb.id) && categories.includes(MOVEON_CATEGORY)) {
+            found.push(violation(statement, 'moveOn category on a statement that isn\'t completed, passed or failed'));
+          }
+          if (options.activityId && statement.object?.id !== options.activityId) {
+            found.push(violation(statement, `Object is ${statement.object?.id}, not the AU ${options.activityId}`));
+          }
+          return found;
+        });
+      }
+    },
+    {
+      id: 'allowed-context',
+      title: 'Allowed statements have no cmi5 category but keep the session context',
+      check({ statements }) {
+        return statements.filter(statement => !isDefined(statement)).flatMap(statement => {
+          const found = [];
+          const categories = categoryIds(statement);
+          if (categories.includes(CMI5_CATEGORY)) found.push(violation(statement, 'cmi5 category on an allowed statement'));
+          if (categories.includes(MOVEON_CATEGORY)) found.push(violation(statement, 'moveOn category on an allowed statement'));
+          if (!statement.context?.registration) found.push(violation(statement, 'No context.registration'));
+          if (!sessionIdOf(statement)) found.push(violation(statement, 'No sessionid extension'));
+          return found;
+        });
+      }
+    },
+    {
+      id: 'launch-mode',
+      title: 'No completed, passed or failed outside Normal launch mode',
+      check({ sessions }) {
+        return sessions.filter(session => session.launchMode && session.launchMode !== 'Normal').flatMap(session =>
+          session.statements.filter(statement => GRADED_VERBS.includes(statement.verb.id))
+            .map(statement => violation(statement, `Sent in ${session.launchMode} mode`))
+        );
+      }
+    }
+  ];
+
+  // ==================== REPORT ====================
+
+  /**
+   * Check a statement stream. options (all optional): masteryScore,
+   * launchMode and activityId as in LMS.LaunchData, and initializedEarlier
+   * when the stream joins a session that was initialized before it.
+   */
+  function check(input, options = {}) {
+    const all = inReceivedOrder(statementsFrom(input));
+    const statements = all.filter(statement => !isLmsStatement(statement));
+    const sessions = groupSessions(all, options);
+    const context = { statements, sessions, options };
+
+    const rules = RULES.map(rule => {
+      const violations = statements.length ? rule.check(context) : [];
+      return { id: rule.id, title: rule.title, passed: violations.length === 0, violations };
+    });
+
+    return {
+      passed: rules.every(rule => rule.passed),
+      statementCount: statements.length,
+      sessionCount: sessions.length,
+      rules
+    };
+  }
+
+  /**
+   * Plain-text report, one line per rule and one per violation
+   */
+  function formatReport(report) {
+    const lines = [`${report.statementCount} statement(s) in ${report.sessionCount} session(s)`];
+    if (!report.statementCount) {
+      lines.push('No AU statements to check');
+      return lines.join('\n');
+    }
+    report.rules.forEach(rule => {
+      lines.push(`${rule.passed ? 'PASS' : 'FAIL'}  ${rule.id} - ${rule.title}`);
+      rule.violations.forEach(v => {
+        lines.push(`        ${v.verb} ${v.statementId || '(no id)'}${v.timestamp ? ` at ${v.timestamp}` : ''}: ${v.message}`);
+      });
+    });
+    const failed = report.rules.filter(rule => !rule.passed).length;
+    lines.push(failed ? `${failed} of ${report.rules.length} rules failed` : `All ${report.rules.length} rules passed`);
+    return lines.join('\n');
+  }
+
+  return {
+    RULES: RULES.map(rule => ({ id: rule.id, title: rule.title })),
+    statementsFrom,
+    check,
+    formatReport
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Cmi5Conformance;
+}
@@ -0,0 +1,178 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Cmi5Conformance = require('./cmi5-conformance');
+
+const AU = 'https://novapay.dev/training/platform-launch';
+const REGISTRATION = '8c1b2d3e-0f4a-4b5c-9d6e-7f8091a2b3c4';
+const CMI5_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+const MOVEON_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/moveon';
+const EXTENSIONS = 'https://w3id.org/xapi/cmi5/context/extensions/';
+
+let nextId = 1;
+
+/**
+ * A statement as the course sends it. Defined verbs get the cmi5 context,
+ * anything else is an allowed statement.
+ */
+function statement(verb, { session = 'session-1', result, mastery, launchMode } = {}) {
+  const defined = ['initialized', 'completed', 'passed', 'failed', 'terminated'].includes(verb);
+  const graded = ['completed', 'passed', 'failed'].includes(verb);
+  const category = [];
+  if (defined) category.push({ id: CMI5_CATEGORY });
+  if (graded) category.push({ id: MOVEON_CATEGORY });
+
+  const extensions = { [`${EXTENSIONS}sessionid`]: session };
+  if (mastery !== undefined) extensions[`${EXTENSIONS}masteryscore`] = mastery;
+  if (launchMode) extensions[`${EXTENSIONS}launchmode`] = launchMode;
+
+  const built = {
+    id: `00000000-0000-4000-8000-${String(nextId++).padStart(12, '0')}`,
+    actor: { mbox: 'mailto:learner@example.com' },
+    verb: { id: `http://adlnet.gov/expapi/verbs/${verb}`, display: { 'en-US': verb } },
+    object: { id: defined ? AU : `${AU}/section/1-1`, objectType: 'Activity' },
+    context: { registration: REGISTRATION, contextActivities: { category }, extensions },
+    timestamp: new Date().toISOString()
+  };
+  if (result) built.result = result;
+  return built;
+}
+
+const judged = (verb, scaled, extra = {}) => statement(verb, {
+  result: { success: verb === 'passed', score: { scaled }, duration: 'PT10M' },
+  mastery: 0.8,
+  ...extra
+});
+
+function failedRules(statements, options) {
+  const report = Cmi5Conformance.check(statements, options);
+  return Object.fromEntries(report.rules.filter(rule => !rule.passed)
+    .map(rule => [rule.id, rule.violations.map(v => v.message)]));
+}
+
+function session(...middle) {
+  return [
+    statement('initialized'),
+    ...middle,
+    statement('terminated', { result: { duration: 'PT20M' } })
+  ];
+}
+
+test('a well-behaved session passes every rule', () => {
+  const statements = session(
+    statement('experienced'),
+    judged('passed', 0.9),
+    statement('completed', { result: { completion: true, duration: 'PT15M' } })
+  );
+  const report = Cmi5Conformance.check(statements, { masteryScore: 0.8, activityId: AU });
+  assert.deepEqual(failedRules(statements, { masteryScore: 0.8, activityId: AU }), {});
+  assert.equal(report.passed, true);
+  assert.equal(report.statementCount, 5);
+  assert.equal(report.sessionCount, 1);
+});
+
+test('statements around initialized and terminated are ordered', () => {
+  const statements = [
+    statement('experienced'),
+    ...session(),
+    statement('experienced')
+  ];
+  assert.deepEqual(failedRules(statements), {
+    'initialized-first': ['Sent before initialized'],
+    'terminated-last': ['Sent after terminated']
+  });
+  assert.deepEqual(failedRules([statement('experienced')], { initializedEarlier: true }), {});
+});
+
+test('initialized and terminated are sent once per session', () => {
+  const statements = [statement('initialized'), ...session()];
+  assert.deepEqual(failedRules(statements), { 'session-once': ['Second initialized in the session'] });
+});
+
+test('a session has one judgment, passed or failed', () => {
+  const twice = session(judged('failed', 0.5), judged('failed', 0.6));
+  assert.deepEqual(failedRules(twice)['one-judgment'], ['Second failed in the session']);
+
+  const both = session(judged('failed', 0.5), judged('passed', 0.9));
+  assert.deepEqual(failedRules(both)['one-judgment'], ['passed after failed in the same session']);
+
+  const failedThenPassedLater = [
+    ...session(judged('failed', 0.5)),
+    statement('initialized', { session: 'session-2' }),
+    judged('passed', 0.9, { session: 'session-2' })
+  ];
+  assert.equal(failedRules(failedThenPassedLater)['one-judgment'], undefined);
+});
+
+test('a pass is final for the registration', () => {
+  const passedAgain = [
+    ...session(judged('passed', 0.9)),
+    statement('initialized', { session: 'session-2' }),
+    judged('passed', 0.95, { session: 'session-2' })
+  ];
+  assert.deepEqual(failedRules(passedAgain)['one-judgment'], ['Registration was already passed']);
+
+  const failedAfter = [
+    ...session(judged('passed', 0.9)),
+    statement('initialized', { session: 'session-2' }),
+    judged('failed', 0.5, { session: 'session-2' })
+  ];
+  assert.deepEqual(failedRules(failedAfter)['one-judgment'], ['failed after the registration was passed']);
+
+  const sameSession = session(judged('passed', 0.9), judged('failed', 0.5));
+  assert.deepEqual(failedRules(sameSession)['one-judgment'], ['failed after the registration was passed']);
+});
+
+test('passed and failed must agree with masteryScore', () => {
+  const statements = session(judged('passed', 0.7), judged('failed', 0.9, { mastery: 0.5 }));
+  assert.deepEqual(failedRules(statements, { masteryScore: 0.8 })['mastery-score'], [
+    'Scaled score 0.7 is below masteryScore 0.8',
+    'masteryscore extension is 0.5, LMS masteryScore is 0.8',
+    'Scaled score 0.9 is at or above masteryScore 0.8'
+  ]);
+});
+
+test('duration and completion results are required', () => {
+  const statements = session(statement('completed', { result: { completion: false, duration: '10 minutes' } }));
+  const failed = failedRules(statements);
+  assert.deepEqual(failed.duration, ['result.duration "10 minutes" is not an ISO 8601 duration']);
+  assert.deepEqual(failed['completed-result'], ['result.completion must be true']);
+});
+
+test('defined and allowed statements carry the right context', () => {
+  const allowed = statement('experienced');
+  allowed.context.contextActivities.category.push({ id: CMI5_CATEGORY });
+  const defined = statement('completed', { result: { completion: true, duration: 'PT1M' } });
+  defined.context.contextActivities.category = [{ id: CMI5_CATEGORY }];
+
+  const failed = failedRules(session(allowed, defined), { activityId: AU });
+  assert.deepEqual(failed['allowed-context'], ['cmi5 category on an allowed statement']);
+  assert.deepEqual(failed['defined-context'], ['No moveOn category']);
+});
+
+test('no judgment is sent in Browse or Review mode', () => {
+  const launched = statement('launched', { launchMode: 'Browse' });
+  const statements = [launched, ...session(statement('completed', { result: { completion: true, duration: 'PT1M' } }))];
+  assert.deepEqual(failedRules(statements)['launch-mode'], ['Sent in Browse mode']);
+});
+
+test('statementsFrom() reads the statement log, LRS exports and the mock LMS data', () => {
+  const sent = statement('initialized');
+  const quarantined = statement('experienced');
+  const log = [
+    { verb: 'initialized', success: true, statement: sent },
+    { verb: 'experienced', quarantined: true, statement: quarantined },
+    { verb: 'experienced', success: false, error: '503' }
+  ];
+  assert.deepEqual(Cmi5Conformance.statementsFrom(log), [sent]);
+  assert.deepEqual(Cmi5Conformance.statementsFrom({ statements: [sent] }), [sent]);
+  assert.deepEqual(Cmi5Conformance.statementsFrom('nonsense'), []);
+});
+
+test('an LRS export is checked in stored order', () => {
+  const [initialized, terminated] = session();
+  initialized.stored = '2026-01-01T10:00:00Z';
+  terminated.stored = '2026-01-01T10:30:00Z';
+  assert.equal(Cmi5Conformance.check({ statements: [terminated, initialized] }).passed, true);
+});
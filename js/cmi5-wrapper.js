@@ -63,17 +63,19 @@ const Cmi5 = (function() {
   let launchData = null;    // Full LMS.LaunchData document
   let contextTemplate = null; // Context template for statements
   let launchMode = 'Normal'; // Normal, Browse, or Review
-  let masteryScore = 0.75;  // Default mastery score
+  let masteryScore = null;  // Set by the LMS; null = use course.json's pass threshold
   let moveOn = 'CompletedOrPassed'; // Completion criteria
   let returnURL = null;     // URL to return to after completion
 
   // Tracking
-  let completionSent = false;
-  let successSent = false;
+  let completionSent = false;  // Once per registration
+  let passedSent = false;      // Once per registration
+  let failedSent = false;      // Once per session
   let startTime = null;
 
-  // Statement log for debugging
+  // Statement log for debugging - each entry keeps the statement it sent
   let statementLog = [];
+  let sessionRestored = false;  // Session began on an earlier page load
 
   // ==================== SESSION STORAGE ====================
 
@@ -96,10 +98,12 @@ const Cmi5 = (function() {
         masteryScore,
         moveOn,
         returnURL,
+        learnerPreferences,
         startTime,
         initialized,
         completionSent,
-        successSent
+        passedSent,
+        failedSent
       };
       sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(data));
       log('Session data saved to sessionStorage');
@@ -152,13 +156,15 @@ const Cmi5 = (function() {
         launchData = data.launchData;
         contextTemplate = data.contextTemplate;
         launchMode = data.launchMode || 'Normal';
-        masteryScore = data.masteryScore ?? 0.75;
+        masteryScore = data.masteryScore ?? null;
         moveOn = data.moveOn || 'CompletedOrPassed';
         returnURL = data.returnURL;
+        learnerPreferences = data.learnerPreferences || {};
         startTime = data.startTime;
         initialized = data.initialized;
         completionSent = data.completionSent || false;
-        successSent = data.successSent || false;
+        passedSent = data.passedSent || false;
+        failedSent = data.failedSent || false;
 
         logSuccess('Session data restored from sessionStorage');
         log('Restored session:', {
@@ -316,8 +322,45 @@ const Cmi5 = (function() {
     }
   }
 
+  // ==================== CLOCK ====================
+  // Timed exams are anchored to a saved start time, so the clock must not
+  // be something the learner can wind back. Within a page, time runs off
+  // performance.now(), which ignores changes to the computer's clock.
+  // Across pages, the LRS's Date header (when the LRS exposes it to CORS)
+  // corrects for a local clock that is wrong.
+
+  const pageStartWallClock = Date.now();
+  const pageStartMonotonic = performance.now();
+  let serverClockOffsetMs = 0;  // LRS time minus local time
+  let clockSource = 'local';
+
+  function localNow() {
+    return pageStartWallClock + (performance.now() - pageStartMonotonic);
+  }
+
+  function noteServerTime(response) {
+    const serverTime = Date.parse(response.headers.get('Date') || '');
+    if (Number.isNaN(serverTime)) return;
+
+    // The header has one-second resolution - close enough for a countdown
+    serverClockOffsetMs = serverTime - localNow();
+    if (clockSource !== 'lrs') {
+      clockSource = 'lrs';
+      log(`Clock synced to LRS (local clock is ${Math.round(-serverClockOffsetMs / 1000)}s off)`);
+    }
+  }
+
   // ==================== LRS COMMUNICATION ====================
 
+  /**
+   * Whether an LRS status means the statements are stored. Statement IDs
+   * are set when a statement is captured, so a 409 on a retry means the
+   * LRS already has that ID - the earlier attempt got through.
+   */
+  function isDelivered(status) {
+    return (status >= 200 && status < 300) || status === 409;
+  }
+
   /**
    * Sleep helper for retry delays
    */
@@ -363,6 +406,7 @@ const Cmi5 = (function() {
       const response = await fetch(url, options);
 
       log(`LRS response: ${response.status} ${response.statusText}`);
+      noteServerTime(response);
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -374,7 +418,9 @@ const Cmi5 = (function() {
           return null;
         }
 
-        logError(`LRS request failed:`, {
+        // A 409 on a statement write is an ID the LRS already has - callers decide
+        const report = response.status === 409 ? log : logError;
+        report(`LRS request failed:`, {
           url,
           status: response.status,
           statusText: response.statusText,
@@ -389,7 +435,9 @@ const Cmi5 = (function() {
         }
 
         // Don't retry on 4xx errors (client errors like bad request, unauthorized)
-        throw new Error(`LRS request failed: ${response.status} ${response.statusText} - ${errorText}`);
+        const requestError = new Error(`LRS request failed: ${response.status} ${response.statusText} - ${errorText}`);
+        requestError.status = response.status;
+        throw requestError;
       }
 
       // Some responses may be empty
@@ -410,64 +458,206 @@ const Cmi5 = (function() {
         return lrsRequest(path, method, body, retryCount + 1);
       }
 
-      logError('LRS request error:', error);
+      if (error.status !== 409) {
+        logError('LRS request error:', error);
+      }
       throw error;
     }
   }
 
+  // ==================== UNLOAD DELIVERY ====================
+  // Browsers block synchronous XHR during pagehide/beforeunload, and
+  // sendBeacon can't carry the Authorization header. fetch() with
+  // keepalive can do both, but all in-flight keepalive bodies on a page
+  // share a 64KB budget.
+
+  const KEEPALIVE_BUDGET_BYTES = 64 * 1024;
+  const KEEPALIVE_RESERVE_BYTES = 8 * 1024;  // Kept free for terminated + progress state
+  const UNLOAD_OUTBOX_KEY = 'novapay-platform-launch-unload-outbox';
+  const UNLOAD_OUTBOX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+  let keepaliveBytesUsed = 0;
+
+  function payloadBytes(body) {
+    return new Blob([JSON.stringify(body)]).size;
+  }
+
+  function keepaliveBytesLeft(reserveBytes = 0) {
+    return KEEPALIVE_BUDGET_BYTES - keepaliveBytesUsed - reserveBytes;
+  }
+
   /**
-   * Send request synchronously (for beforeunload)
-   * Uses navigator.sendBeacon (preferred) with XMLHttpRequest sync as fallback
-   *
-   * Note: sendBeacon is more reliable on page unload but only supports POST.
-   * For xAPI statements, we need PUT, so we try sendBeacon first (some LRS accept POST)
-   * and fall back to sync XHR.
+   * Fire a keepalive request that outlives the page.
+   * Returns a promise of whether the LRS accepted it, or null when the
+   * request didn't fit in the keepalive budget and wasn't sent.
    */
-  function lrsRequestSync(path, method, body) {
+  function lrsRequestKeepalive(path, method, body, reserveBytes = 0) {
     if (!endpoint || !authToken) {
-      logError('Cannot send sync request - not configured');
-      return false;
+      logError('Cannot send keepalive request - not configured');
+      return null;
     }
 
     const baseUrl = endpoint.endsWith('/') ? endpoint : endpoint + '/';
-    const url = baseUrl + path;
+    const payload = JSON.stringify(body);
+    const size = new Blob([payload]).size;
 
-    // Try sendBeacon first (most reliable for page unload)
-    // Note: sendBeacon only supports POST, but some LRS accept it for statements
-    if (navigator.sendBeacon && body) {
-      try {
-        // Create a Blob with the proper content type
-        const blob = new Blob([JSON.stringify(body)], {
-          type: 'application/json'
-        });
+    if (size > keepaliveBytesLeft(reserveBytes)) {
+      log(`Keepalive budget exhausted (${keepaliveBytesUsed} bytes used, ${size} needed)`);
+      return null;
+    }
+    keepaliveBytesUsed += size;
 
-        // Note: sendBeacon doesn't support custom headers like Authorization
-        // So we need to use the sync XHR approach for authenticated requests
-        log('sendBeacon not suitable for authenticated requests, using sync XHR');
-      } catch (e) {
-        log('sendBeacon failed:', e);
-      }
+    return fetch(baseUrl + path, {
+      method,
+      headers: {
+        'Authorization': authToken,
+        'X-Experience-API-Version': '1.0.3',
+        'Content-Type': 'application/json'
+      },
+      body: payload,
+      mode: 'cors',
+      keepalive: true
+    }).then(response => {
+      log(`Keepalive LRS response: ${response.status}`);
+      return isDelivered(response.status);
+    }).catch(error => {
+      logError('Keepalive LRS request failed:', error);
+      return false;
+    }).finally(() => {
+      keepaliveBytesUsed -= size;
+    });
+  }
+
+  function readUnloadOutbox() {
+    try {
+      return JSON.parse(localStorage.getItem(UNLOAD_OUTBOX_KEY) || '[]');
+    } catch (e) {
+      return [];
     }
+  }
 
-    // Fall back to synchronous XMLHttpRequest
+  function writeUnloadOutbox(entries) {
     try {
-      const xhr = new XMLHttpRequest();
-      xhr.open(method, url, false);  // false = synchronous
-      xhr.setRequestHeader('Authorization', authToken);
-      xhr.setRequestHeader('X-Experience-API-Version', '1.0.3');
-
-      if (body) {
-        xhr.setRequestHeader('Content-Type', 'application/json');
-        xhr.send(JSON.stringify(body));
+      if (entries.length === 0) {
+        localStorage.removeItem(UNLOAD_OUTBOX_KEY);
       } else {
-        xhr.send();
+        localStorage.setItem(UNLOAD_OUTBOX_KEY, JSON.stringify(entries));
       }
+    } catch (e) {
+      logError('Could not write unload outbox:', e);
+    }
+  }
 
-      log(`Sync LRS response: ${xhr.status}`);
-      return xhr.status >= 200 && xhr.status < 300;
-    } catch (error) {
-      logError('Sync LRS request failed:', error);
-      return false;
+  /**
+   * Remember statements whose delivery can't be confirmed before the page dies.
+   * localStorage is used because it writes synchronously during unload.
+   */
+  function addToUnloadOutbox(statements) {
+    const entries = readUnloadOutbox();
+    statements.forEach(statement => {
+      entries.push({ registration, savedAt: Date.now(), statement });
+    });
+    writeUnloadOutbox(entries);
+  }
+
+  function removeFromUnloadOutbox(statements) {
+    const ids = new Set(statements.map(statement => statement.id));
+    writeUnloadOutbox(readUnloadOutbox().filter(entry => !ids.has(entry.statement.id)));
+  }
+
+  /**
+   * Send statements during page unload.
+   * Everything is written to the unload outbox first and removed once the
+   * LRS confirms it, so anything that didn't make it is resent next launch.
+   * Invalid statements are quarantined instead. Groups are cut to fit what
+   * is left of the keepalive budget after reserveBytes.
+   */
+  function sendStatementsOnUnload(statements, reserveBytes = 0) {
+    statements = statements.filter(passesValidation);
+    if (statements.length === 0) {
+      return 0;
+    }
+
+    addToUnloadOutbox(statements);
+
+    let dispatched = 0;
+    let group = [];
+    let groupBytes = 2;  // The array's brackets
+
+    const dispatch = () => {
+      const sent = group;
+      const request = lrsRequestKeepalive('statements', 'POST', sent, reserveBytes);
+      if (!request) {
+        return false;
+      }
+      request.then(ok => {
+        if (ok) removeFromUnloadOutbox(sent);
+      });
+      dispatched += sent.length;
+      group = [];
+      groupBytes = 2;
+      return true;
+    };
+
+    let budgetLeft = true;
+    for (const statement of statements) {
+      const size = payloadBytes(statement);
+      // Send what's grouped so far when this one would take it over the budget
+      const full = group.length >= MAX_BATCH_SIZE || groupBytes + 1 + size > keepaliveBytesLeft(reserveBytes);
+      if (group.length > 0 && full && !dispatch()) {
+        budgetLeft = false;
+        break;
+      }
+      if (2 + size > keepaliveBytesLeft(reserveBytes)) {
+        budgetLeft = false;
+        break;
+      }
+      groupBytes += (group.length > 0 ? 1 : 0) + size;
+      group.push(statement);
+    }
+    if (budgetLeft && group.length > 0) {
+      dispatch();
+    }
+
+    statements.forEach(statement => {
+      const verbName = statement.verb.display?.['en-US'] || statement.verb.id.split('/').pop();
+      logStatement(verbName + ' (unload)', statement);
+    });
+    log(`Unload: ${dispatched}/${statements.length} statement(s) dispatched, rest kept for next launch`);
+
+    return dispatched;
+  }
+
+  /**
+   * Resend statements left over from an earlier unload (same registration).
+   * Statement IDs are unchanged, so anything the LRS already stored is a no-op.
+   */
+  async function resendUnloadOutbox() {
+    const cutoff = Date.now() - UNLOAD_OUTBOX_MAX_AGE_MS;
+    const entries = readUnloadOutbox().filter(entry => entry.savedAt >= cutoff);
+    writeUnloadOutbox(entries);
+
+    for (const entry of entries) {
+      if (entry.registration !== registration) {
+        continue;
+      }
+
+      try {
+        await lrsRequest(`statements?statementId=${entry.statement.id}`, 'PUT', entry.statement);
+        removeFromUnloadOutbox([entry.statement]);
+        logSuccess('Resent statement from previous unload:', entry.statement.id);
+      } catch (error) {
+        // 409 means the LRS already has this ID - nothing left to deliver
+        if (isDelivered(error.status)) {
+          removeFromUnloadOutbox([entry.statement]);
+        } else if (error.status === 400) {
+          removeFromUnloadOutbox([entry.statement]);
+          quarantineStatement(entry.statement, [`LRS rejected it: ${error.message}`]);
+        } else {
+          logError('Could not resend statement from previous unload:', error);
+          break;
+        }
+      }
     }
   }
 
@@ -476,6 +666,14 @@ const Cmi5 = (function() {
   // Learner preferences (from Agent Profile)
   let learnerPreferences = null;
 
+  function learnerPreferencesPath() {
+    const params = new URLSearchParams({
+      profileId: 'cmi5LearnerPreferences',
+      agent: JSON.stringify(actor)
+    });
+    return `agents/profile?${params.toString()}`;
+  }
+
   /**
    * Fetch Learner Preferences from Agent Profile
    * Per cmi5 spec, this MUST be retrieved before sending statements
@@ -483,13 +681,8 @@ const Cmi5 = (function() {
   async function fetchLearnerPreferences() {
     log('Fetching Learner Preferences from Agent Profile...');
 
-    const params = new URLSearchParams({
-      profileId: 'cmi5LearnerPreferences',
-      agent: JSON.stringify(actor)
-    });
-
     try {
-      learnerPreferences = await lrsRequest(`agents/profile?${params.toString()}`);
+      learnerPreferences = await lrsRequest(learnerPreferencesPath());
 
       if (learnerPreferences) {
         logSuccess('Learner Preferences retrieved:', learnerPreferences);
@@ -514,6 +707,21 @@ const Cmi5 = (function() {
     }
   }
 
+  /**
+   * Merge changed preferences into the agent profile.
+   * POST merges JSON documents, so no ETag round trip is needed.
+   */
+  async function saveLearnerPreferences(changes) {
+    try {
+      await lrsRequest(learnerPreferencesPath(), 'POST', changes);
+      logSuccess('Learner Preferences saved:', changes);
+      return true;
+    } catch (error) {
+      logError('Failed to save Learner Preferences:', error);
+      return false;
+    }
+  }
+
   // ==================== STATE DOCUMENT ====================
 
   async function fetchLaunchData() {
@@ -533,7 +741,7 @@ const Cmi5 = (function() {
         // Extract important fields
         contextTemplate = launchData.contextTemplate;
         launchMode = launchData.launchMode || 'Normal';
-        masteryScore = launchData.masteryScore ?? 0.75;
+        masteryScore = launchData.masteryScore ?? null;
         moveOn = launchData.moveOn || 'CompletedOrPassed';
         returnURL = launchData.returnURL;
 
@@ -541,6 +749,7 @@ const Cmi5 = (function() {
           launchMode,
           masteryScore,
           moveOn,
+          launchParameters: launchData.launchParameters || '(none)',
           hasContextTemplate: !!contextTemplate,
           returnURL: returnURL || '(none)'
         });
@@ -553,12 +762,147 @@ const Cmi5 = (function() {
       // LMS.LaunchData is OPTIONAL in cmi5 - many LMS don't provide it
       // A 404 or 500 error here is NOT fatal - just use defaults
       log('LaunchData not available (this is often normal):', error.message);
-      log('Using default values: masteryScore=0.75, launchMode=Normal');
+      log('Using default values: no masteryScore, launchMode=Normal');
       // Return TRUE - this is not a fatal error
       return true;
     }
   }
 
+  // ==================== PROGRESS STATE ====================
+  // Course progress lives in a per-registration Activity State document so the
+  // learner can resume on any device. Each module (course, exam) owns one
+  // top-level key and writes it with POST, which the LRS merges into the
+  // existing document. localStorage is only used in standalone mode.
+
+  const PROGRESS_STATE_ID = 'https://novapay.dev/xapi/state/progress';
+  const LOCAL_STATE_PREFIX = 'novapay-platform-launch-';
+  const STATE_SAVE_DELAY_MS = 1000;
+
+  let progressState = null;      // Cached state document (null until fetched)
+  let pendingStateChanges = {};  // Keys waiting to be merged into the LRS document
+  let stateSaveTimer = null;
+
+  function progressStatePath() {
+    const params = new URLSearchParams({
+      stateId: PROGRESS_STATE_ID,
+      activityId: activityId,
+      agent: JSON.stringify(actor),
+      registration: registration
+    });
+    return `activities/state?${params.toString()}`;
+  }
+
+  /**
+   * Fetch the progress state document once per page load
+   */
+  async function fetchProgressState() {
+    if (progressState) {
+      return progressState;
+    }
+
+    try {
+      const doc = await lrsRequest(progressStatePath());
+      progressState = (doc && typeof doc === 'object') ? doc : {};
+      logSuccess('Progress state retrieved:', Object.keys(progressState));
+    } catch (error) {
+      log('Could not fetch progress state:', error.message);
+      progressState = {};
+    }
+
+    return progressState;
+  }
+
+  /**
+   * Merge pending changes into the LRS state document
+   */
+  async function flushStateSave() {
+    clearTimeout(stateSaveTimer);
+    stateSaveTimer = null;
+
+    const changes = pendingStateChanges;
+    if (Object.keys(changes).length === 0) {
+      return true;
+    }
+    pendingStateChanges = {};
+
+    try {
+      await lrsRequest(progressStatePath(), 'POST', changes);
+      log('Progress state saved:', Object.keys(changes));
+      return true;
+    } catch (error) {
+      logError('Failed to save progress state:', error);
+      // Keep the unsaved keys unless something newer was queued meanwhile
+      pendingStateChanges = { ...changes, ...pendingStateChanges };
+      return false;
+    }
+  }
+
+  /**
+   * Flush pending state with a keepalive request (for page unload),
+   * leaving reserveBytes of the budget free
+   */
+  function flushStateSaveOnUnload(reserveBytes = 0) {
+    clearTimeout(stateSaveTimer);
+    stateSaveTimer = null;
+
+    if (Object.keys(pendingStateChanges).length === 0) {
+      return true;
+    }
+
+    const request = lrsRequestKeepalive(progressStatePath(), 'POST', pendingStateChanges, reserveBytes);
+    if (request) {
+      pendingStateChanges = {};
+    }
+    return !!request;
+  }
+
+  function queueStateSave(key, value) {
+    pendingStateChanges[key] = value;
+    if (progressState) {
+      progressState[key] = value;
+    }
+
+    clearTimeout(stateSaveTimer);
+    stateSaveTimer = setTimeout(flushStateSave, STATE_SAVE_DELAY_MS);
+  }
+
+  // completed/passed may only be sent once per registration, but
+  // sessionStorage only covers this session. The progress document keeps
+  // a record of what earlier sessions already sent.
+  const REPORTED_STATE_KEY = 'reported';
+
+  async function loadReportedStatus() {
+    const reported = (await fetchProgressState())[REPORTED_STATE_KEY] || {};
+    completionSent = completionSent || !!reported.completed;
+    passedSent = passedSent || !!reported.passed;
+  }
+
+  function saveReportedStatus() {
+    queueStateSave(REPORTED_STATE_KEY, { completed: completionSent, passed: passedSent });
+  }
+
+  function readLocalState(key) {
+    try {
+      const saved = localStorage.getItem(`${LOCAL_STATE_PREFIX}${key}-state`);
+      return saved ? JSON.parse(saved) : null;
+    } catch (e) {
+      console.warn(`Could not load ${key} state:`, e);
+      return null;
+    }
+  }
+
+  function writeLocalState(key, value) {
+    try {
+      if (value === null) {
+        localStorage.removeItem(`${LOCAL_STATE_PREFIX}${key}-state`);
+      } else {
+        localStorage.setItem(`${LOCAL_STATE_PREFIX}${key}-state`, JSON.stringify(value));
+      }
+    } catch (e) {
+      console.warn(`Could not save ${key} state:`, e);
+    }
+  }
+
   // ==================== STATEMENT BUILDING ====================
 
   function generateUUID() {
@@ -624,10 +968,11 @@ const Cmi5 = (function() {
       });
     }
 
-    // Add moveon category for passed/failed statements (required by cmi5 spec)
+    // Add moveon category for completed/passed/failed statements (required by cmi5 spec)
     const verbId = verb.id;
-    if (verbId === 'http://adlnet.gov/expapi/verbs/passed' ||
-        verbId === 'http://adlnet.gov/expapi/verbs/failed') {
+    const isJudgment = verbId === 'http://adlnet.gov/expapi/verbs/passed' ||
+      verbId === 'http://adlnet.gov/expapi/verbs/failed';
+    if (isJudgment || verbId === 'http://adlnet.gov/expapi/verbs/completed') {
       const hasMoveOnCategory = context.contextActivities.category.some(
         cat => cat.id === 'https://w3id.org/xapi/cmi5/context/categories/moveon'
       );
@@ -639,6 +984,11 @@ const Cmi5 = (function() {
       }
     }
 
+    // The LMS's masteryScore goes with the judgment it was used for
+    if (isJudgment && masteryScore !== null) {
+      context.extensions['https://w3id.org/xapi/cmi5/context/extensions/masteryscore'] = masteryScore;
+    }
+
     statement.context = context;
 
     // Add result if provided
@@ -649,6 +999,367 @@ const Cmi5 = (function() {
     return statement;
   }
 
+  // ==================== STATEMENT VALIDATION ====================
+  // Strict LRSs answer a whole request with 400 for one bad statement, and
+  // a statement that is retried until it goes through holds up everything
+  // queued behind it. Statements are checked against xAPI 1.0.3 before
+  // they're sent. One that fails - or that the LRS rejects with a 400
+  // anyway - is moved to a quarantine in localStorage, where the debug
+  // view (?debug) lists it with the reasons, and delivery carries on.
+
+  const QUARANTINE_KEY = 'novapay-platform-launch-quarantine';
+  const MAX_QUARANTINE_ENTRIES = 100;
+  const MAX_IRI_LENGTH = 2048;  // Common LRS column limit for activity and extension IRIs
+
+  const STATEMENT_PROPERTIES = ['id', 'actor', 'verb', 'object', 'result', 'context', 'timestamp', 'stored', 'authority', 'version', 'attachments'];
+  const INTERACTION_TYPES = ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other'];
+  const INTERACTION_COMPONENTS = ['choices', 'scale', 'source', 'target', 'steps'];
+  const CONTEXT_ACTIVITY_KEYS = ['parent', 'grouping', 'category', 'other'];
+  const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:[^\s]+$/i;
+  const DURATION_PATTERN = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+  const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+  const LANGUAGE_TAG_PATTERN = /^[a-z]{2,8}(-[a-z0-9]{1,8})*$/i;
+  // Any version - registrations come from the LMS
+  const UUID_SHAPE_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  let quarantinedThisPage = 0;
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function checkIri(errors, path, value) {
+    if (typeof value !== 'string' || !IRI_PATTERN.test(value)) {
+      errors.push(`${path} must be an IRI`);
+    } else if (value.length > MAX_IRI_LENGTH) {
+      errors.push(`${path} is ${value.length} characters (limit ${MAX_IRI_LENGTH})`);
+    }
+  }
+
+  function checkLanguageMap(errors, path, value) {
+    if (!isPlainObject(value)) {
+      errors.push(`${path} must be a language map`);
+      return;
+    }
+    Object.entries(value).forEach(([tag, text]) => {
+      if (!LANGUAGE_TAG_PATTERN.test(tag)) errors.push(`${path} has an invalid language tag "${tag}"`);
+      if (typeof text !== 'string') errors.push(`${path}.${tag} must be a string`);
+    });
+  }
+
+  /**
+   * Anything JSON.stringify would silently drop or turn into null
+   */
+  function checkJsonValue(errors, path, value) {
+    if (value === undefined || typeof value === 'function') {
+      errors.push(`${path} has no JSON value`);
+    } else if (typeof value === 'number' && !Number.isFinite(value)) {
+      errors.push(`${path} is ${value}, which JSON can't carry`);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, i) => checkJsonValue(errors, `${path}[${i}]`, item));
+    } else if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, item]) => checkJsonValue(errors, `${path}.${key}`, item));
+    }
+  }
+
+  function checkExtensions(errors, path, extensions) {
+    if (!isPlainObject(extensions)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    Object.entries(extensions).forEach(([key, value]) => {
+      checkIri(errors, `${path} key "${key}"`, key);
+      checkJsonValue(errors, `${path}["${key}"]`, value);
+    });
+  }
+
+  function checkAgent(errors, path, agent, { group = true } = {}) {
+    if (!isPlainObject(agent)) {
+      errors.push(`${path} must be an Agent or Group`);
+      return;
+    }
+    const isGroup = agent.objectType === 'Group';
+    if (agent.objectType !== undefined && agent.objectType !== 'Agent' && !(group && isGroup)) {
+      errors.push(`${path}.objectType "${agent.objectType}" is not allowed here`);
+    }
+    if (agent.name !== undefined && typeof agent.name !== 'string') {
+      errors.push(`${path}.name must be a string`);
+    }
+
+    const identifiers = ['mbox', 'mbox_sha1sum', 'openid', 'account'].filter(key => agent[key] !== undefined);
+    if (agent.mbox !== undefined && !/^mailto:[^@\s]+@[^@\s]+$/.test(agent.mbox)) {
+      errors.push(`${path}.mbox must be a mailto: IRI`);
+    }
+    if (agent.mbox_sha1sum !== undefined && !/^[0-9a-f]{40}$/i.test(agent.mbox_sha1sum)) {
+      errors.push(`${path}.mbox_sha1sum must be a SHA-1 hex digest`);
+    }
+    if (agent.openid !== undefined) checkIri(errors, `${path}.openid`, agent.openid);
+    if (agent.account !== undefined) {
+      if (!isPlainObject(agent.account) || typeof agent.account.name !== 'string') {
+        errors.push(`${path}.account needs a homePage and a name`);
+      } else {
+        checkIri(errors, `${path}.account.homePage`, agent.account.homePage);
+      }
+    }
+
+    if (identifiers.length > 1) {
+      errors.push(`${path} has more than one identifier (${identifiers.join(', ')})`);
+    } else if (identifiers.length === 0 && !(isGroup && Array.isArray(agent.member))) {
+      errors.push(`${path} needs an identifier (mbox, mbox_sha1sum, openid or account)`);
+    }
+    if (isGroup && agent.member !== undefined) {
+      if (!Array.isArray(agent.member)) {
+        errors.push(`${path}.member must be an array`);
+      } else {
+        agent.member.forEach((member, i) => checkAgent(errors, `${path}.member[${i}]`, member, { group: false }));
+      }
+    }
+  }
+
+  function checkActivity(errors, path, activity) {
+    checkIri(errors, `${path}.id`, activity.id);
+    const definition = activity.definition;
+    if (definition === undefined) return;
+    if (!isPlainObject(definition)) {
+      errors.push(`${path}.definition must be an object`);
+      return;
+    }
+
+    if (definition.name !== undefined) checkLanguageMap(errors, `${path}.definition.name`, definition.name);
+    if (definition.description !== undefined) checkLanguageMap(errors, `${path}.definition.description`, definition.description);
+    if (definition.type !== undefined) checkIri(errors, `${path}.definition.type`, definition.type);
+    if (definition.moreInfo !== undefined) checkIri(errors, `${path}.definition.moreInfo`, definition.moreInfo);
+    if (definition.extensions !== undefined) checkExtensions(errors, `${path}.definition.extensions`, definition.extensions);
+
+    if (definition.interactionType !== undefined && !INTERACTION_TYPES.includes(definition.interactionType)) {
+      errors.push(`${path}.definition.interactionType "${definition.interactionType}" is not an xAPI interaction type`);
+    }
+    if (definition.correctResponsesPattern !== undefined &&
+        (!Array.isArray(definition.correctResponsesPattern) || !definition.correctResponsesPattern.every(p => typeof p === 'string'))) {
+      errors.push(`${path}.definition.correctResponsesPattern must be an array of strings`);
+    }
+    INTERACTION_COMPONENTS.forEach(key => {
+      if (definition[key] === undefined) return;
+      if (!Array.isArray(definition[key])) {
+        errors.push(`${path}.definition.${key} must be an array`);
+        return;
+      }
+      definition[key].forEach((component, i) => {
+        if (!isPlainObject(component) || typeof component.id !== 'string' || !component.id) {
+          errors.push(`${path}.definition.${key}[${i}] needs a string id`);
+        } else if (component.description !== undefined) {
+          checkLanguageMap(errors, `${path}.definition.${key}[${i}].description`, component.description);
+        }
+      });
+    });
+  }
+
+  function checkVerb(errors, path, verb) {
+    if (!isPlainObject(verb)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    checkIri(errors, `${path}.id`, verb.id);
+    if (verb.display !== undefined) checkLanguageMap(errors, `${path}.display`, verb.display);
+  }
+
+  function checkObject(errors, path, object, inSubStatement = false) {
+    if (!isPlainObject(object)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    switch (object.objectType || 'Activity') {
+      case 'Activity':
+        checkActivity(errors, path, object);
+        break;
+      case 'Agent':
+      case 'Group':
+        checkAgent(errors, path, object);
+        break;
+      case 'StatementRef':
+        if (!UUID_SHAPE_PATTERN.test(object.id || '')) errors.push(`${path}.id must be a UUID`);
+        break;
+      case 'SubStatement':
+        if (inSubStatement) {
+          errors.push(`${path} can't be a SubStatement inside a SubStatement`);
+          break;
+        }
+        checkAgent(errors, `${path}.actor`, object.actor);
+        checkVerb(errors, `${path}.verb`, object.verb);
+        checkObject(errors, `${path}.object`, object.object, true);
+        break;
+      default:
+        errors.push(`${path}.objectType "${object.objectType}" is not an xAPI object type`);
+    }
+  }
+
+  function checkResult(errors, result) {
+    if (!isPlainObject(result)) {
+      errors.push('result must be an object');
+      return;
+    }
+    const score = result.score;
+    if (score !== undefined) {
+      if (!isPlainObject(score)) {
+        errors.push('result.score must be an object');
+      } else {
+        ['scaled', 'raw', 'min', 'max'].forEach(key => {
+          if (score[key] !== undefined && !Number.isFinite(score[key])) errors.push(`result.score.${key} must be a number`);
+        });
+        if (Number.isFinite(score.scaled) && (score.scaled < -1 || score.scaled > 1)) {
+          errors.push(`result.score.scaled ${score.scaled} is outside -1 to 1`);
+        }
+        if (Number.isFinite(score.min) && Number.isFinite(score.max) && score.min > score.max) {
+          errors.push('result.score.min is above result.score.max');
+        }
+        if (Number.isFinite(score.raw) && ((Number.isFinite(score.min) && score.raw < score.min) ||
+            (Number.isFinite(score.max) && score.raw > score.max))) {
+          errors.push(`result.score.raw ${score.raw} is outside min to max`);
+        }
+      }
+    }
+    ['success', 'completion'].forEach(key => {
+      if (result[key] !== undefined && typeof result[key] !== 'boolean') errors.push(`result.${key} must be true or false`);
+    });
+    if (result.response !== undefined && typeof result.response !== 'string') {
+      errors.push(`result.response must be a string, not ${Array.isArray(result.response) ? 'an array' : typeof result.response}`);
+    }
+    if (result.duration !== undefined && !DURATION_PATTERN.test(result.duration)) {
+      errors.push(`result.duration "${result.duration}" is not an ISO 8601 duration`);
+    }
+    if (result.extensions !== undefined) checkExtensions(errors, 'result.extensions', result.extensions);
+  }
+
+  function checkContext(errors, context, object) {
+    if (!isPlainObject(context)) {
+      errors.push('context must be an object');
+      return;
+    }
+    if (context.registration !== undefined && !UUID_SHAPE_PATTERN.test(context.registration || '')) {
+      errors.push('context.registration must be a UUID');
+    }
+    if (context.instructor !== undefined) checkAgent(errors, 'context.instructor', context.instructor);
+    if (context.team !== undefined) {
+      if (context.team?.objectType !== 'Group') errors.push('context.team must be a Group');
+      checkAgent(errors, 'context.team', context.team);
+    }
+    if (context.contextActivities !== undefined) {
+      if (!isPlainObject(context.contextActivities)) {
+        errors.push('context.contextActivities must be an object');
+      } else {
+        Object.entries(context.contextActivities).forEach(([key, activities]) => {
+          if (!CONTEXT_ACTIVITY_KEYS.includes(key)) {
+            errors.push(`context.contextActivities.${key} is not parent, grouping, category or other`);
+            return;
+          }
+          (Array.isArray(activities) ? activities : [activities]).forEach((activity, i) => {
+            if (!isPlainObject(activity) || (activity.objectType !== undefined && activity.objectType !== 'Activity')) {
+              errors.push(`context.contextActivities.${key}[${i}] must be an Activity`);
+            } else {
+              checkActivity(errors, `context.contextActivities.${key}[${i}]`, activity);
+            }
+          });
+        });
+      }
+    }
+    const aboutActivity = !object || (object.objectType || 'Activity') === 'Activity';
+    ['revision', 'platform'].forEach(key => {
+      if (context[key] === undefined) return;
+      if (typeof context[key] !== 'string') errors.push(`context.${key} must be a string`);
+      if (!aboutActivity) errors.push(`context.${key} is only allowed when the object is an Activity`);
+    });
+    if (context.language !== undefined && !LANGUAGE_TAG_PATTERN.test(context.language)) {
+      errors.push(`context.language "${context.language}" is not a language tag`);
+    }
+    if (context.statement !== undefined &&
+        (context.statement?.objectType !== 'StatementRef' || !UUID_SHAPE_PATTERN.test(context.statement.id || ''))) {
+      errors.push('context.statement must be a StatementRef');
+    }
+    if (context.extensions !== undefined) checkExtensions(errors, 'context.extensions', context.extensions);
+  }
+
+  /**
+   * What's wrong with a statement by xAPI 1.0.3 - an empty array when
+   * nothing is
+   */
+  function validateStatement(statement) {
+    const errors = [];
+    if (!isPlainObject(statement)) {
+      return ['Statement must be an object'];
+    }
+
+    Object.keys(statement).forEach(key => {
+      if (!STATEMENT_PROPERTIES.includes(key)) errors.push(`"${key}" is not a statement property`);
+    });
+    if (statement.id !== undefined && !UUID_SHAPE_PATTERN.test(statement.id || '')) {
+      errors.push('id must be a UUID');
+    }
+    checkAgent(errors, 'actor', statement.actor);
+    checkVerb(errors, 'verb', statement.verb);
+    checkObject(errors, 'object', statement.object);
+    if (statement.result !== undefined) checkResult(errors, statement.result);
+    if (statement.context !== undefined) checkContext(errors, statement.context, statement.object);
+    if (statement.timestamp !== undefined && !TIMESTAMP_PATTERN.test(statement.timestamp)) {
+      errors.push(`timestamp "${statement.timestamp}" is not an ISO 8601 date and time with a time zone`);
+    }
+    return errors;
+  }
+
+  function readQuarantine() {
+    try {
+      return JSON.parse(localStorage.getItem(QUARANTINE_KEY) || '[]');
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // DEBUG, or the course opened with ?debug (js/debug-view.js)
+  function isDebugging() {
+    return DEBUG || new URLSearchParams(window.location.search).has('debug');
+  }
+
+  /**
+   * Set a statement aside instead of sending it. Logged as a warning when
+   * debugging; the debug view shows the quarantine either way.
+   */
+  function quarantineStatement(statement, reasons) {
+    const verbName = statement.verb?.display?.['en-US'] || String(statement.verb?.id || '?').split('/').pop();
+    const entries = readQuarantine().filter(entry => !statement.id || entry.statement.id !== statement.id);
+    entries.push({ quarantinedAt: new Date().toISOString(), registration, reasons, statement });
+    try {
+      localStorage.setItem(QUARANTINE_KEY, JSON.stringify(entries.slice(-MAX_QUARANTINE_ENTRIES)));
+    } catch (e) {
+      logError('Could not write statement quarantine:', e);
+    }
+    quarantinedThisPage++;
+
+    statementLog.push({
+      id: statement.id,
+      timestamp: statement.timestamp,
+      verb: verbName,
+      success: false,
+      error: reasons.join('; '),
+      quarantined: true,
+      statement
+    });
+
+    if (isDebugging()) {
+      console.warn('%c[cmi5] Statement quarantined:', 'color: #d97706; font-weight: bold;', verbName, reasons, statement);
+    }
+  }
+
+  /**
+   * Whether a statement can be sent; quarantines it if not
+   */
+  function passesValidation(statement) {
+    const errors = validateStatement(statement);
+    if (errors.length) {
+      quarantineStatement(statement, errors);
+      return false;
+    }
+    return true;
+  }
+
   // ==================== SEND STATEMENT ====================
 
   async function sendStatement(statement) {
@@ -657,16 +1368,23 @@ const Cmi5 = (function() {
       return null;
     }
 
+    if (!passesValidation(statement)) {
+      return null;
+    }
+
     const verbName = statement.verb.display?.['en-US'] || statement.verb.id.split('/').pop();
     logStatement(verbName, statement);
 
     // Log to our internal array for debugging
-    statementLog.push({
+    const entry = {
+      id: statement.id,
       timestamp: statement.timestamp,
       verb: verbName,
       success: null,
-      error: null
-    });
+      error: null,
+      statement
+    };
+    statementLog.push(entry);
 
     try {
       await lrsRequest(
@@ -675,43 +1393,215 @@ const Cmi5 = (function() {
         statement
       );
 
-      statementLog[statementLog.length - 1].success = true;
+      entry.success = true;
       logSuccess(`Statement sent: ${verbName}`);
       return statement.id;
     } catch (error) {
-      statementLog[statementLog.length - 1].error = error.message;
+      if (isDelivered(error.status)) {
+        entry.success = true;
+        log(`Statement ${statement.id} already stored (${error.status}) - not sent again`);
+        return statement.id;
+      }
+      // The LRS found something the validator didn't - resending won't help
+      if (error.status === 400) {
+        statementLog.splice(statementLog.indexOf(entry), 1);
+        quarantineStatement(statement, [`LRS rejected it: ${error.message}`]);
+        return null;
+      }
+      entry.error = error.message;
       logError(`Failed to send statement: ${verbName}`, error);
       throw error;
     }
   }
 
+  // ==================== ALLOWED STATEMENTS ====================
+
+  const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  function capturedId(id) {
+    if (id === undefined) return generateUUID();
+    if (typeof id === 'string' && UUID_PATTERN.test(id)) return id.toLowerCase();
+    logError('Statement id is not a UUID - assigning a new one:', id);
+    return generateUUID();
+  }
+
+  function capturedTimestamp(timestamp) {
+    if (timestamp === undefined) return new Date().toISOString();
+    if (typeof timestamp === 'string' && !Number.isNaN(Date.parse(timestamp))) return timestamp;
+    logError('Statement timestamp is not a date - using the send time:', timestamp);
+    return new Date().toISOString();
+  }
+
   /**
-   * Send statement synchronously (for page unload)
+   * Build an allowed statement from a { id, timestamp, verb, result,
+   * object, contextActivities } item
    */
-  function sendStatementSync(statement) {
-    const verbName = statement.verb.display?.['en-US'] || statement.verb.id.split('/').pop();
-    logStatement(verbName + ' (sync)', statement);
+  function buildAllowedItem(item) {
+    return buildAllowedStatement(item.verb, item.result, item.object, item.contextActivities, item);
+  }
 
-    const success = lrsRequestSync(
-      `statements?statementId=${statement.id}`,
-      'PUT',
-      statement
-    );
+  /**
+   * Build an "allowed" statement (xapi-tracker and other extensions)
+   *
+   * IMPORTANT: Per cmi5 spec section 9.6.2.2, "allowed" statements:
+   * - MUST include registration in context
+   * - MUST NOT include cmi5 category (that marks it as a "defined" statement)
+   * - SHOULD include session ID extension
+   * - MAY include parent/grouping from contextTemplate
+   *
+   * `captured` carries the id and timestamp the caller gave the statement
+   * when it happened. They're kept as they are, so a statement sent late
+   * (batched, queued offline, resent after a reload) still says when it
+   * happened, and resending it can't store it twice.
+   */
+  function buildAllowedStatement(verb, result = null, object = null, contextActivities = null, captured = {}) {
+    const statement = {
+      id: capturedId(captured.id),
+      actor: actor,
+      verb: verb,
+      object: object || {
+        id: activityId,
+        objectType: 'Activity'
+      },
+      timestamp: capturedTimestamp(captured.timestamp),
+      context: {
+        registration: registration,
+        extensions: {
+          'https://w3id.org/xapi/cmi5/context/extensions/sessionid': sessionId
+        }
+        // NOTE: Do NOT include cmi5 category for "allowed" statements
+        // Including it would mark this as a "defined" statement and trigger validation
+      }
+    };
 
-    statementLog.push({
-      timestamp: statement.timestamp,
-      verb: verbName,
-      success: success,
-      sync: true
+    if (result) {
+      statement.result = result;
+    }
+
+    // Merge contextTemplate if available (parent, grouping) - these ARE allowed
+    if (contextTemplate) {
+      statement.context.contextActivities = statement.context.contextActivities || {};
+      if (contextTemplate.contextActivities?.parent) {
+        statement.context.contextActivities.parent = contextTemplate.contextActivities.parent;
+      }
+      if (contextTemplate.contextActivities?.grouping) {
+        statement.context.contextActivities.grouping = contextTemplate.contextActivities.grouping;
+      }
+    }
+
+    // Activities the caller links the statement to (e.g. the exam attempt an
+    // answer belongs to) go alongside the template's, never instead of them
+    if (contextActivities) {
+      statement.context.contextActivities = statement.context.contextActivities || {};
+      ['parent', 'grouping', 'other'].forEach(key => {
+        if (!contextActivities[key]?.length) return;
+        const existing = statement.context.contextActivities[key] || [];
+        const added = contextActivities[key].filter(activity => !existing.some(a => a.id === activity.id));
+        statement.context.contextActivities[key] = [...existing, ...added];
+      });
+    }
+
+    return statement;
+  }
+
+  // ==================== BATCH DELIVERY ====================
+  // xAPI allows POSTing an array of statements with client-assigned IDs.
+  // The LRS stores the whole array or none of it, so a rejected batch is
+  // retried one statement at a time to find out which one was the problem.
+
+  const MAX_BATCH_SIZE = 50;        // Statements per POST
+  // 409: an ID in the batch is already stored, which rejects the whole
+  // array - sent one by one, each stored statement comes back delivered
+  const BATCH_REJECTED_STATUSES = [400, 405, 409, 413, 415, 501];
+  let batchPostSupported = true;    // Flipped off if the LRS rejects statement arrays
+
+  async function postStatements(statements) {
+    const entries = statements.map(statement => {
+      const entry = {
+        id: statement.id,
+        timestamp: statement.timestamp,
+        verb: statement.verb.display?.['en-US'] || statement.verb.id.split('/').pop(),
+        success: null,
+        error: null,
+        batch: true,
+        statement
+      };
+      statementLog.push(entry);
+      return entry;
     });
 
-    if (success) {
-      logSuccess(`Statement sent (sync): ${verbName}`);
-    } else {
-      logError(`Failed to send statement (sync): ${verbName}`);
+    log(`POST ${statements.length} statement(s)`);
+
+    try {
+      await lrsRequest('statements', 'POST', statements);
+      entries.forEach(entry => { entry.success = true; });
+      logSuccess(`Batch sent: ${statements.length} statement(s)`);
+    } catch (error) {
+      entries.forEach(entry => { entry.error = error.message; });
+      throw error;
     }
+  }
+
+  /**
+   * Deliver statements in order, batching where the LRS allows it
+   */
+  async function deliverStatements(statements) {
+    const quarantinedBefore = quarantinedThisPage;
+    let sentCount = 0;
+
+    while (sentCount < statements.length) {
+      if (terminated) {
+        return { sentCount, error: new Error('Session terminated'), quarantined: quarantinedThisPage - quarantinedBefore };
+      }
 
-    return success ? statement.id : null;
+      if (!batchPostSupported) {
+        try {
+          await sendStatement(statements[sentCount]);
+          sentCount++;
+          continue;
+        } catch (error) {
+          return { sentCount, error, quarantined: quarantinedThisPage - quarantinedBefore };
+        }
+      }
+
+      const group = statements.slice(sentCount, sentCount + MAX_BATCH_SIZE);
+      const sendable = group.filter(passesValidation);
+      const quarantinedBeforeGroup = quarantinedThisPage;
+
+      try {
+        if (sendable.length) {
+          await postStatements(sendable);
+        }
+        sentCount += group.length;
+      } catch (error) {
+        if (!BATCH_REJECTED_STATUSES.includes(error.status)) {
+          return { sentCount, error, quarantined: quarantinedThisPage - quarantinedBefore };
+        }
+
+        log(`Batch rejected (${error.status}), retrying one statement at a time`);
+        for (const statement of group) {
+          if (!sendable.includes(statement)) {
+            sentCount++;
+            continue;
+          }
+          try {
+            await sendStatement(statement);
+            sentCount++;
+          } catch (singleError) {
+            return { sentCount, error: singleError, quarantined: quarantinedThisPage - quarantinedBefore };
+          }
+        }
+
+        // Every statement was fine on its own, so the array itself was the
+        // problem - unless the LRS just rejected one of them
+        if (error.status !== 413 && error.status !== 409 && quarantinedThisPage === quarantinedBeforeGroup) {
+          batchPostSupported = false;
+          log('LRS does not accept statement arrays - using per-statement PUT');
+        }
+      }
+    }
+
+    return { sentCount, error: null, quarantined: quarantinedThisPage - quarantinedBefore };
   }
 
   // ==================== CMI5 DEFINED STATEMENTS ====================
@@ -749,6 +1639,7 @@ const Cmi5 = (function() {
   }
 
   async function sendCompleted() {
+    await loadReportedStatus();
     if (completionSent) {
       log('Completion already sent');
       return null;
@@ -770,14 +1661,16 @@ const Cmi5 = (function() {
     if (id) {
       completionSent = true;
       saveSessionData();  // Persist state
+      saveReportedStatus();
     }
 
     return id;
   }
 
   async function sendPassed(score = null) {
-    if (successSent) {
-      log('Success status already sent');
+    await loadReportedStatus();
+    if (passedSent) {
+      log('Passed already sent');
       return null;
     }
 
@@ -806,16 +1699,19 @@ const Cmi5 = (function() {
     const id = await sendStatement(statement);
 
     if (id) {
-      successSent = true;
+      passedSent = true;
       saveSessionData();  // Persist state
+      saveReportedStatus();
     }
 
     return id;
   }
 
   async function sendFailed(score = null) {
-    if (successSent) {
-      log('Success status already sent');
+    // A later retake may still pass, but once passed the result is final
+    await loadReportedStatus();
+    if (passedSent || failedSent) {
+      log(passedSent ? 'Passed already sent' : 'Failed already sent this session');
       return null;
     }
 
@@ -844,7 +1740,7 @@ const Cmi5 = (function() {
     const id = await sendStatement(statement);
 
     if (id) {
-      successSent = true;
+      failedSent = true;
       saveSessionData();  // Persist state
     }
 
@@ -866,6 +1762,9 @@ const Cmi5 = (function() {
       duration: calculateDuration()
     };
 
+    // Progress must reach the LRS while the session is still valid
+    await flushStateSave();
+
     const statement = buildStatement(verb, result);
 
     try {
@@ -880,9 +1779,9 @@ const Cmi5 = (function() {
   }
 
   /**
-   * Send terminated statement synchronously (for beforeunload)
+   * Send terminated statement during page unload (keepalive)
    */
-  function sendTerminatedSync() {
+  function sendTerminatedOnUnload() {
     if (terminated) {
       return null;
     }
@@ -897,26 +1796,57 @@ const Cmi5 = (function() {
     };
 
     const statement = buildStatement(verb, result);
-    const id = sendStatementSync(statement);
 
-    if (id) {
-      terminated = true;
-      clearSessionData();  // Clean up session storage on terminate
-    }
+    // Terminated goes last, but its room in the budget is kept before the state flush
+    flushStateSaveOnUnload(payloadBytes([statement]));
 
-    return id;
+    statementLog.push({
+      id: statement.id,
+      timestamp: statement.timestamp,
+      verb: 'terminated',
+      success: null,
+      unload: true,
+      statement
+    });
+
+    // Even if it doesn't fit, the unload outbox resends it on the next launch
+    sendStatementsOnUnload([statement]);
+    terminated = true;
+    clearSessionData();
+
+    return statement.id;
   }
 
   // ==================== PUBLIC API ====================
 
+  // Shared promise so callers can wait for initialization to settle
+  let initPromise = null;
+
   return {
     /**
-     * Initialize the cmi5 session
+     * Initialize the cmi5 session (safe to call more than once)
+     */
+    initialize() {
+      if (!initPromise) {
+        initPromise = this.initializeSession();
+      }
+      return initPromise;
+    },
+
+    /**
+     * Resolves once initialization has finished (connected or standalone)
+     */
+    ready() {
+      return this.initialize();
+    },
+
+    /**
+     * Run the cmi5 launch sequence
      *
      * IMPORTANT: Per cmi5 spec, the fetch URL can only be used ONCE.
      * On page refresh, we MUST restore the session from sessionStorage.
      */
-    async initialize() {
+    async initializeSession() {
       if (initialized) {
         log('Already initialized');
         return true;
@@ -932,6 +1862,7 @@ const Cmi5 = (function() {
 
       if (hasExistingSession && authToken && endpoint) {
         log('RESTORED existing session from sessionStorage');
+        sessionRestored = true;
         log('Session was already initialized - continuing with cached token');
 
         // Session is already initialized - no need to validate
@@ -940,6 +1871,8 @@ const Cmi5 = (function() {
         logSuccess('='.repeat(50));
         logSuccess('cmi5 session RESTORED from cache');
         logSuccess('='.repeat(50));
+
+        resendUnloadOutbox();
         return true;
       }
 
@@ -975,6 +1908,7 @@ const Cmi5 = (function() {
 
       if (!hasParams) {
         log('Running in STANDALONE mode (no LMS connection)');
+        learnerPreferences = readLocalState('preferences') || {};
         initialized = true;
         return true;
       }
@@ -1004,6 +1938,9 @@ const Cmi5 = (function() {
         logSuccess('='.repeat(50));
         logSuccess('cmi5 initialization COMPLETE');
         logSuccess('='.repeat(50));
+
+        // Deliver anything a previous page unload couldn't confirm
+        resendUnloadOutbox();
         return true;
 
       } catch (error) {
@@ -1032,10 +1969,30 @@ const Cmi5 = (function() {
       return launchMode;
     },
 
+    /**
+     * Browse and Review launches must not record completion or success
+     * (cmi5 section 10.2.2) - only Normal launches are graded.
+     */
+    isGradedLaunch() {
+      return launchMode === 'Normal';
+    },
+
     getMasteryScore() {
       return masteryScore;
     },
 
+    /**
+     * Current time in ms, safe against the learner changing their clock
+     * mid-session and synced to the LRS when its Date header is readable
+     */
+    now() {
+      return localNow() + serverClockOffsetMs;
+    },
+
+    getClockSource() {
+      return clockSource;
+    },
+
     getMoveOn() {
       return moveOn;
     },
@@ -1044,11 +2001,125 @@ const Cmi5 = (function() {
       return returnURL;
     },
 
+    /**
+     * The AU's launchParameters from cmi5.xml (passed through LMS.LaunchData),
+     * parsed as JSON. Per-module AUs carry {"module": "<id>"}; the combined
+     * AU has none, so this is {}.
+     */
+    getLaunchParameters() {
+      const raw = launchData?.launchParameters;
+      if (!raw) return {};
+
+      try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+      } catch (e) {
+        logError('launchParameters are not JSON - ignoring:', raw);
+        return {};
+      }
+    },
+
+    /**
+     * Learner's language and audio choices (cmi5LearnerPreferences).
+     * languagePreference is a comma-separated list of RFC 5646 tags in
+     * order of preference; audioPreference is "on" or "off". Either may
+     * be null when the learner hasn't set it.
+     */
+    getLearnerPreferences() {
+      return {
+        languagePreference: learnerPreferences?.languagePreference || null,
+        audioPreference: learnerPreferences?.audioPreference || null
+      };
+    },
+
+    /**
+     * Update the learner's preferences - written back to the agent
+     * profile when connected, localStorage in standalone
+     */
+    async setLearnerPreferences(changes) {
+      await this.ready();
+
+      learnerPreferences = { ...learnerPreferences, ...changes };
+
+      if (!this.isConnected()) {
+        writeLocalState('preferences', learnerPreferences);
+        return true;
+      }
+
+      saveSessionData();
+      return saveLearnerPreferences(changes);
+    },
+
+    /**
+     * Which cmi5 defined statements have been sent for this registration
+     * (failed only covers the current session)
+     */
+    getReportedStatus() {
+      return { completed: completionSent, passed: passedSent, failed: failedSent };
+    },
+
+    // ==================== PROGRESS STATE API ====================
+
+    /**
+     * Load a saved progress entry (e.g. 'course', 'exam')
+     * Reads the LRS state document when connected, localStorage otherwise.
+     */
+    async loadState(key) {
+      await this.ready();
+
+      if (!this.isConnected()) {
+        return readLocalState(key);
+      }
+
+      const doc = await fetchProgressState();
+      return doc[key] ?? null;
+    },
+
+    /**
+     * Save a progress entry. LRS writes are debounced and merged.
+     */
+    saveState(key, value) {
+      if (!this.isGradedLaunch()) {
+        log(`${launchMode} launch - progress state is read-only`);
+        return;
+      }
+      if (!this.isConnected()) {
+        writeLocalState(key, value);
+        return;
+      }
+      if (terminated) {
+        log('Cannot save state after termination');
+        return;
+      }
+      queueStateSave(key, value);
+    },
+
+    /**
+     * Remove a progress entry
+     */
+    clearState(key) {
+      this.saveState(key, null);
+    },
+
+    /**
+     * Write any debounced state changes to the LRS now
+     */
+    async flushState() {
+      if (!this.isConnected() || terminated) {
+        return true;
+      }
+      return flushStateSave();
+    },
+
     async complete() {
       if (!initialized) {
         log('Not initialized');
         return null;
       }
+      if (!this.isGradedLaunch()) {
+        log(`${launchMode} launch - not sending completed`);
+        return null;
+      }
       return sendCompleted();
     },
 
@@ -1057,6 +2128,10 @@ const Cmi5 = (function() {
         log('Not initialized');
         return null;
       }
+      if (!this.isGradedLaunch()) {
+        log(`${launchMode} launch - not sending passed`);
+        return null;
+      }
       return sendPassed(score);
     },
 
@@ -1065,6 +2140,10 @@ const Cmi5 = (function() {
         log('Not initialized');
         return null;
       }
+      if (!this.isGradedLaunch()) {
+        log(`${launchMode} launch - not sending failed`);
+        return null;
+      }
       return sendFailed(score);
     },
 
@@ -1077,26 +2156,23 @@ const Cmi5 = (function() {
     },
 
     /**
-     * Synchronous terminate for beforeunload
+     * Terminate during page unload (keepalive fetch, can't be awaited)
      */
     terminateSync() {
       if (!initialized || !this.isConnected()) {
         return null;
       }
-      return sendTerminatedSync();
+      return sendTerminatedOnUnload();
     },
 
     /**
      * Send a custom statement (for xapi-tracker and other extensions)
-     * These are "allowed" statements per cmi5 spec (not the defined verbs)
-     *
-     * IMPORTANT: Per cmi5 spec section 9.6.2.2, "allowed" statements:
-     * - MUST include registration in context
-     * - MUST NOT include cmi5 category (that marks it as a "defined" statement)
-     * - SHOULD include session ID extension
-     * - MAY include parent/grouping from contextTemplate
+     * These are "allowed" statements per cmi5 spec (not the defined verbs) -
+     * see buildAllowedStatement for the context rules they follow.
+     * `captured` is { id, timestamp } from when it happened; both are
+     * generated now if left out.
      */
-    async sendStatement(verb, result = null, object = null) {
+    async sendStatement(verb, result = null, object = null, captured = {}) {
       if (!initialized || !this.isConnected()) {
         log('Cannot send statement (not connected)');
         return null;
@@ -1107,88 +2183,85 @@ const Cmi5 = (function() {
         return null;
       }
 
-      const statement = {
-        id: generateUUID(),
-        actor: actor,
-        verb: verb,
-        object: object || {
-          id: activityId,
-          objectType: 'Activity'
-        },
-        timestamp: new Date().toISOString(),
-        context: {
-          registration: registration,
-          extensions: {
-            'https://w3id.org/xapi/cmi5/context/extensions/sessionid': sessionId
-          }
-          // NOTE: Do NOT include cmi5 category for "allowed" statements
-          // Including it would mark this as a "defined" statement and trigger validation
-        }
-      };
+      return sendStatement(buildAllowedStatement(verb, result, object, null, captured));
+    },
 
-      if (result) {
-        statement.result = result;
+    /**
+     * Send several "allowed" statements in order using multi-statement POST.
+     * Each item is { id, timestamp, verb, result, object, contextActivities };
+     * id and timestamp are kept as given (see buildAllowedStatement).
+     *
+     * Resolves to { sentCount, error, quarantined }: the first `sentCount` items
+     * were handled, and `error` (if set) is why the next one wasn't. Nothing
+     * after a failure is attempted, so callers can re-queue the remainder
+     * without reordering. Invalid statements (see validateStatement) and ones
+     * the LRS rejects with a 400 count as handled: they're quarantined rather
+     * than retried, and `quarantined` says how many.
+     */
+    async sendStatements(items) {
+      if (!initialized || !this.isConnected()) {
+        log('Cannot send statements (not connected)');
+        return { sentCount: 0, error: new Error('LRS not connected') };
       }
 
-      // Merge contextTemplate if available (parent, grouping) - these ARE allowed
-      if (contextTemplate) {
-        statement.context.contextActivities = statement.context.contextActivities || {};
-        if (contextTemplate.contextActivities?.parent) {
-          statement.context.contextActivities.parent = contextTemplate.contextActivities.parent;
-        }
-        if (contextTemplate.contextActivities?.grouping) {
-          statement.context.contextActivities.grouping = contextTemplate.contextActivities.grouping;
-        }
+      if (terminated) {
+        log('Cannot send statements after termination');
+        return { sentCount: 0, error: new Error('Session terminated') };
       }
 
-      return sendStatement(statement);
+      return deliverStatements(items.map(buildAllowedItem));
     },
 
     /**
-     * Send an "allowed" statement synchronously (for beforeunload).
-     * Same as sendStatement but uses sync XHR so it completes before page teardown.
+     * Send "allowed" statements during page unload.
+     * Uses keepalive fetch within the 64KB budget (leaving room for terminated);
+     * whatever doesn't fit is kept in localStorage and resent on the next launch.
+     * Returns how many statements were dispatched.
      */
-    sendStatementSync(verb, result = null, object = null) {
-      if (!initialized || !this.isConnected() || terminated) return null;
-
-      const statement = {
-        id: generateUUID(),
-        actor: actor,
-        verb: verb,
-        object: object || { id: activityId, objectType: 'Activity' },
-        timestamp: new Date().toISOString(),
-        context: {
-          registration: registration,
-          extensions: {
-            'https://w3id.org/xapi/cmi5/context/extensions/sessionid': sessionId
-          }
-        }
-      };
+    sendStatementsSync(items) {
+      if (!initialized || !this.isConnected() || terminated) return 0;
 
-      if (result) statement.result = result;
-
-      if (contextTemplate) {
-        statement.context.contextActivities = statement.context.contextActivities || {};
-        if (contextTemplate.contextActivities?.parent) {
-          statement.context.contextActivities.parent = contextTemplate.contextActivities.parent;
-        }
-        if (contextTemplate.contextActivities?.grouping) {
-          statement.context.contextActivities.grouping = contextTemplate.contextActivities.grouping;
-        }
-      }
+      return sendStatementsOnUnload(items.map(buildAllowedItem), KEEPALIVE_RESERVE_BYTES);
+    },
 
-      return sendStatementSync(statement);
+    /**
+     * Send a single "allowed" statement during page unload
+     */
+    sendStatementSync(verb, result = null, object = null, captured = {}) {
+      return this.sendStatementsSync([{ ...captured, verb, result, object }]) > 0;
     },
 
     // ==================== DEBUG API ====================
 
     /**
-     * Get all statements sent this session
+     * Get all statements sent from this page: { id, timestamp, verb,
+     * success, error, statement } - see Cmi5Conformance.check()
      */
     getStatementLog() {
       return [...statementLog];
     },
 
+    /**
+     * Check a statement against xAPI 1.0.3; returns a list of problems
+     */
+    validateStatement(statement) {
+      return validateStatement(statement);
+    },
+
+    /**
+     * Get quarantined statements: { quarantinedAt, registration, reasons, statement }
+     */
+    getQuarantine() {
+      return readQuarantine();
+    },
+
+    /**
+     * Forget quarantined statements
+     */
+    clearQuarantine() {
+      localStorage.removeItem(QUARANTINE_KEY);
+    },
+
     /**
      * Get current configuration (for debugging)
      */
@@ -1205,6 +2278,8 @@ const Cmi5 = (function() {
         masteryScore,
         moveOn,
         hasContextTemplate: !!contextTemplate,
+        sessionRestored,
+        batchPostSupported,
         statementCount: statementLog.length,
         startTime: startTime ? new Date(startTime).toISOString() : null,
         duration: calculateDuration()
@@ -1221,6 +2296,7 @@ const Cmi5 = (function() {
       console.log('Actor:', actor);
       console.log('LaunchData:', launchData);
       console.log('ContextTemplate:', contextTemplate);
+      console.log('Progress State:', progressState);
     }
   };
 })();
@@ -1264,19 +2340,21 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 });
 
-// Handle page unload - send terminated statement SYNCHRONOUSLY
-window.addEventListener('beforeunload', () => {
+// Handle page unload - hand over tracker statements, then send terminated.
+// Both go out as keepalive fetches, which survive page teardown.
+function handlePageExit() {
   if (Cmi5.isInitialized() && !Cmi5.isTerminated() && Cmi5.isConnected()) {
+    if (typeof XAPITracker !== 'undefined' && XAPITracker.handleUnload) {
+      XAPITracker.handleUnload();
+    }
     Cmi5.terminateSync();
   }
-});
+}
+
+window.addEventListener('beforeunload', handlePageExit);
 
 // Also try on pagehide (more reliable on mobile)
-window.addEventListener('pagehide', () => {
-  if (Cmi5.isInitialized() && !Cmi5.isTerminated() && Cmi5.isConnected()) {
-    Cmi5.terminateSync();
-  }
-});
+window.addEventListener('pagehide', handlePageExit);
 
 // Export for module use
 if (typeof module !== 'undefined' && module.exports) {
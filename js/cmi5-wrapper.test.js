@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../tools/mock-lms');
+const { createBrowser, fetchFromRepo, settle } = require('../tools/fake-browser');
+
+const KEEPALIVE_BUDGET_BYTES = 64 * 1024;
+
+let server;
+let base;
+
+test.before(async () => {
+  server = createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function api(route, body) {
+  const response = await fetch(`${base}/lms/api/${route}`, { method: body ? 'POST' : 'GET', body: body && JSON.stringify(body) });
+  return response.status === 204 ? null : response.json();
+}
+
+async function lrsStatements() {
+  return (await api('data')).statements.map(entry => entry.statement);
+}
+
+/**
+ * A course page launched by the mock LMS, with its LRS requests recorded
+ */
+async function launchedPage() {
+  const launch = await api('launch', { launchMode: 'Normal' });
+  const requests = [];
+  const browser = createBrowser({
+    url: launch.url,
+    fetch: (url, init = {}) => {
+      requests.push({ url: String(url), method: init.method || 'GET', keepalive: !!init.keepalive, body: init.body || '' });
+      return fetchFromRepo(url, init);
+    }
+  });
+  browser.load('cmi5-wrapper');
+  assert.equal(await browser.run('Cmi5.initialize()'), true);
+  return { browser, requests, launch };
+}
+
+function trackerItem(browser, extra = {}) {
+  return {
+    id: browser.run('crypto.randomUUID()'),
+    timestamp: new Date().toISOString(),
+    verb: { id: 'http://adlnet.gov/expapi/verbs/experienced', display: { 'en-US': 'experienced' } },
+    object: { id: 'https://novapay.dev/training/platform-launch/section/1-1', objectType: 'Activity' },
+    ...extra
+  };
+}
+
+const validStatement = () => ({
+  id: '8c1b2d3e-0f4a-4b5c-9d6e-7f8091a2b3c4',
+  actor: { objectType: 'Agent', mbox: 'mailto:learner@example.com' },
+  verb: { id: 'http://adlnet.gov/expapi/verbs/experienced', display: { 'en-US': 'experienced' } },
+  object: { id: 'https://novapay.dev/training/platform-launch', objectType: 'Activity' },
+  result: { score: { scaled: 0.5, raw: 5, min: 0, max: 10 }, duration: 'PT1M30S' },
+  timestamp: '2026-01-01T10:00:00.000Z'
+});
+
+test('validateStatement() accepts a valid statement and explains what is wrong with others', async () => {
+  const { browser } = await launchedPage();
+  const validate = statement => Array.from(browser.run(`Cmi5.validateStatement(${JSON.stringify(statement)})`));
+
+  assert.deepEqual(validate(validStatement()), []);
+
+  const broken = validStatement();
+  broken.id = 'not-a-uuid';
+  broken.timestamp = '2026-01-01 10:00';
+  broken.extra = true;
+  broken.result.score.scaled = 1.5;
+  delete broken.actor;
+  const errors = validate(broken);
+  assert.ok(errors.includes('"extra" is not a statement property'));
+  assert.ok(errors.includes('id must be a UUID'));
+  assert.ok(errors.some(error => /timestamp "2026-01-01 10:00"/.test(error)));
+  assert.ok(errors.some(error => /scaled/.test(error)));
+  assert.ok(errors.some(error => /actor/.test(error)));
+  assert.deepEqual(validate('statement'), ['Statement must be an object']);
+});
+
+test('invalid statements are quarantined and never reach the LRS; the rest are delivered', async () => {
+  const { browser } = await launchedPage();
+  const good = trackerItem(browser);
+  const bad = trackerItem(browser, { result: { score: { scaled: 2 } } });
+  browser.window.items = [good, bad];
+
+  const outcome = await browser.run('Cmi5.sendStatements(items)');
+  assert.equal(outcome.quarantined, 1);
+  assert.equal(outcome.error, null);
+
+  const ids = (await lrsStatements()).map(statement => statement.id);
+  assert.ok(ids.includes(good.id));
+  assert.ok(!ids.includes(bad.id));
+
+  const quarantine = browser.run('Cmi5.getQuarantine()');
+  assert.equal(quarantine.length, 1);
+  assert.equal(quarantine[0].statement.id, bad.id);
+  assert.match(quarantine[0].reasons.join(), /scaled/);
+});
+
+test('unload sends fit the keepalive budget and leave room for terminated', async () => {
+  const { browser, requests } = await launchedPage();
+  const padding = 'x'.repeat(1500);
+  browser.window.items = Array.from({ length: 60 }, (_, i) => trackerItem(browser, {
+    object: { id: `https://novapay.dev/training/platform-launch/item/${i}`, definition: { name: { 'en-US': padding } } }
+  }));
+  browser.run(`Cmi5.saveState('course', { notes: '${'y'.repeat(2000)}' })`);  // Not saved yet
+  requests.length = 0;
+
+  const dispatched = browser.run('Cmi5.sendStatementsSync(items)');
+  assert.ok(dispatched > 0 && dispatched < 60, `some but not all of 60 large statements fit (${dispatched})`);
+  browser.run('Cmi5.terminateSync()');
+
+  const keepalive = requests.filter(request => request.keepalive);
+  const totalBytes = keepalive.reduce((sum, request) => sum + Buffer.byteLength(request.body), 0);
+  assert.ok(totalBytes <= KEEPALIVE_BUDGET_BYTES, `${totalBytes} bytes in flight`);
+  assert.ok(keepalive.every(request => Buffer.byteLength(request.body) > 2), 'no empty batches');
+  assert.ok(keepalive.some(request => request.url.includes('activities/state')), 'the progress state was flushed');
+  const last = JSON.parse(keepalive[keepalive.length - 1].body);
+  assert.equal(last[0].verb.id, 'http://adlnet.gov/expapi/verbs/terminated');
+
+  await settle(200);
+  const verbs = (await lrsStatements()).map(statement => statement.verb.id);
+  assert.ok(verbs.includes('http://adlnet.gov/expapi/verbs/terminated'));
+
+  // What didn't fit waits in the unload outbox for the next launch
+  const outbox = JSON.parse(browser.window.localStorage.getItem('novapay-platform-launch-unload-outbox'));
+  assert.equal(outbox.length, 60 - dispatched);
+});
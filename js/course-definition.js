@@ -0,0 +1,114 @@
+/**
+ * Course Definition Loader
+ * NovaPay Platform Launch Training
+ *
+ * course.json is the single source for the course structure: modules,
+ * sections (id, title, type) and exam rules. Navigation, the sidebar,
+ * the tracker's breadcrumbs and the exam all read it through here.
+ */
+
+const CourseDefinition = (function() {
+  'use strict';
+
+  const DEFINITION_URL = 'course.json';
+
+  let definition = null;
+  let loadPromise = null;
+
+  // Lookup tables built once the definition arrives
+  let modulesById = {};
+  let sectionsById = {};
+  let sectionList = [];
+  let poolsByItem = {};
+
+  function index(data) {
+    modulesById = {};
+    sectionsById = {};
+    sectionList = [];
+    poolsByItem = {};
+
+    (data.exam?.pools || []).forEach(pool => {
+      pool.items.forEach(itemId => { poolsByItem[itemId] = pool; });
+    });
+
+    data.modules.forEach((module, moduleIndex) => {
+      modulesById[module.id] = { ...module, number: moduleIndex + 1 };
+      module.sections.forEach(section => {
+        const entry = { ...section, module: module.id };
+        sectionsById[section.id] = entry;
+        sectionList.push(entry);
+      });
+    });
+  }
+
+  /**
+   * Fetch course.json (once). Resolves with the definition.
+   */
+  function load() {
+    if (!loadPromise) {
+      loadPromise = fetch(DEFINITION_URL)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Could not load ${DEFINITION_URL}: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => {
+          definition = data;
+          index(data);
+          return data;
+        })
+        .catch(error => {
+          console.error('[CourseDefinition]', error);
+          throw error;
+        });
+    }
+    return loadPromise;
+  }
+
+  return {
+    load,
+    isLoaded: () => definition !== null,
+    getTitle: () => definition?.title || '',
+
+    /**
+     * Modules in course order, each with a 1-based `number`
+     */
+    getModules: () => definition ? definition.modules.map(module => modulesById[module.id]) : [],
+    getModule: (moduleId) => modulesById[moduleId] || null,
+
+    /**
+     * All sections in course order, each with its `module` id
+     */
+    getSections: () => [...sectionList],
+    getSection: (sectionId) => sectionsById[sectionId] || null,
+
+    /**
+     * { passThreshold, maxAttempts, cooldownMinutes, timeLimitMinutes, reviewVisibility, shuffleOptions, pools } for the final exam
+     */
+    getExamRules: () => ({ ...definition?.exam }),
+
+    /**
+     * Question pools: { id, objective, draw, items } - each attempt draws
+     * `draw` items from every pool
+     */
+    getExamPools: () => [...(definition?.exam?.pools || [])],
+    getExamPool: (itemId) => poolsByItem[itemId] || null,
+
+    /**
+     * Questions per exam attempt
+     */
+    getExamLength: () => (definition?.exam?.pools || [])
+      .reduce((total, pool) => total + Math.min(pool.draw, pool.items.length), 0),
+
+    /**
+     * { mode: 'hashed' | 'endpoint', endpoint, reviewEndpoint } - see scoring.js
+     */
+    getScoring: () => ({ mode: 'hashed', ...definition?.scoring })
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CourseDefinition;
+}
@@ -6,31 +6,14 @@
 const Course = (function() {
   'use strict';
 
-  // Course structure
-  const sections = [
-    { id: '1-1', module: 1, title: 'Platform Overview' },
-    { id: '1-2', module: 1, title: "What's New At-a-Glance" },
-    { id: '2-1', module: 2, title: 'Introduction to Instant Payouts' },
-    { id: '2-2', module: 2, title: 'Building Your First Payout Flow' },
-    { id: '2-3', module: 2, title: 'Interactive Demo' },
-    { id: '2-4', module: 2, title: 'Knowledge Check' },
-    { id: '3-1', module: 3, title: 'Connect API Overview' },
-    { id: '3-2', module: 3, title: 'Drop-in UI Components' },
-    { id: '3-3', module: 3, title: 'Webhooks Pro Configuration' },
-    { id: '3-4', module: 3, title: 'Knowledge Check' },
-    { id: '4-1', module: 4, title: 'Fraud Shield Overview' },
-    { id: '4-2', module: 4, title: 'Vault & Tokenization Setup' },
-    { id: '4-3', module: 4, title: 'Compliance Hub Rules' },
-    { id: '4-4', module: 4, title: 'Knowledge Check' },
-    { id: '5-1', module: 5, title: 'Embedded Accounts' },
-    { id: '5-2', module: 5, title: 'Global Rails & Multi-Currency' },
-    { id: '5-3', module: 5, title: 'Revenue Analytics' },
-    { id: '6-1', module: 6, title: 'Live Ledger' },
-    { id: '6-2', module: 6, title: 'Smart Routing' },
-    { id: '6-3', module: 6, title: 'API Permissions & Scopes' },
-    { id: 'exam', module: 'exam', title: 'Final Exam' },
-    { id: 'completion', module: 'completion', title: 'Summary & Certificate' }
-  ];
+  // Course structure (from course.json - see course-definition.js).
+  // A single-module AU only gets that module's sections.
+  let sections = [];
+  let moduleScope = null;  // Module id when launched as a per-module AU
+
+  // Sidebar module icons
+  const MODULE_ICON_PATH = 'M4 6l4 4 4-4';
+  const COMPLETION_ICON_PATH = 'M8 0a8 8 0 100 16A8 8 0 008 0zm3.5 6.5l-4 4a.5.5 0 01-.7 0l-2-2a.5.5 0 11.7-.7L7 9.3l3.6-3.6a.5.5 0 11.7.7z';
 
   // State
   let currentSectionId = '1-1';
@@ -39,34 +22,177 @@ const Course = (function() {
   let quizScores = {};
   let startTime = Date.now();
   let finalExamScore = null; // The score that gets reported to LMS
+  let examLockedOut = false; // Every exam attempt used without passing - failed can be sent
+  let stateLoaded = false;   // Don't overwrite saved progress before it's been read
+  let knowledgeResponses = {};  // Last knowledge check response by question id, shown in Review
+  let resolveStateRead;
+  const stateRead = new Promise(resolve => { resolveStateRead = resolve; });
 
   // DOM elements
   let progressFill, progressPercent, mobileProgress;
 
+  // Used when neither the launch parameters nor course.json set a valid value
+  const DEFAULT_ATTEMPT_POLICY = { maxAttempts: 3, cooldownMinutes: 0, timeLimitMinutes: 0 };
+
+  // Which cmi5 defined statements each moveOn criterion needs from us.
+  // Completed = every section before the certificate has been visited;
+  // passed/failed = final exam best score against the LMS masteryScore.
+  const MOVE_ON_RULES = {
+    Completed:          { completed: true,  passed: false },
+    Passed:             { completed: false, passed: true },
+    CompletedAndPassed: { completed: true,  passed: true },
+    CompletedOrPassed:  { completed: true,  passed: true },
+    NotApplicable:      { completed: false, passed: false }
+  };
+
+  let moveOnQueue = Promise.resolve();  // Serializes defined statement sends
+  let exiting = false;
+
   /**
    * Initialize the course
    */
-  function init() {
+  async function init() {
     // Cache DOM elements
     progressFill = document.getElementById('progressFill');
     progressPercent = document.getElementById('progressPercent');
     mobileProgress = document.getElementById('mobileProgress');
 
+    // tools/a11y-check.js opens ?a11yAudit - show every section so axe checks them all
+    if (new URLSearchParams(window.location.search).has('a11yAudit')) {
+      document.body.classList.add('a11y-audit');
+    }
+
     // Set up event listeners
-    setupNavigation();
     setupMobileMenu();
     setupNavigationButtons();
+    setupExitButtons();
 
-    // Load saved state
-    loadState();
+    try {
+      await CourseDefinition.load();
+    } catch (error) {
+      return; // Logged by CourseDefinition - nothing to navigate without it
+    }
+    // The AU's launch parameters decide which modules this launch covers
+    if (typeof Cmi5 !== 'undefined') {
+      await Cmi5.ready();
+    }
+    moduleScope = getModuleScope();
+    sections = CourseDefinition.getSections()
+      .filter(section => !moduleScope || section.module === moduleScope);
+    currentSectionId = sections[0].id;
+    visitedSections = new Set([currentSectionId]);
 
-    // Navigate to current section
-    navigateToSection(currentSectionId, false);
+    buildSidebar();
+    setupNavigation();
 
-    // Update progress
+    // Show the first section right away, then resume once saved state arrives
+    navigateToSection(currentSectionId, false);
     updateProgress();
 
-    console.log('Course initialized');
+    loadState().then(restored => {
+      resolveStateRead();
+      if (restored) {
+        navigateToSection(currentSectionId, false);
+        updateProgress();
+      }
+      showLaunchModeBanner();
+      console.log('Course initialized');
+
+      // Catch up on anything a previous session earned but didn't report
+      evaluateMoveOn();
+    });
+  }
+
+  /**
+   * Module this launch is limited to: the AU's launch parameters
+   * ({"module": "4"}), or ?module=4 when previewing standalone.
+   * null means the whole course (the single combined AU).
+   */
+  function getModuleScope() {
+    const moduleId = typeof Cmi5 !== 'undefined' && Cmi5.isConnected()
+      ? Cmi5.getLaunchParameters().module
+      : new URLSearchParams(window.location.search).get('module');
+
+    if (moduleId === undefined || moduleId === null) return null;
+    if (!CourseDefinition.getModule(String(moduleId))) {
+      console.warn(`Unknown module in launch parameters: ${moduleId} - showing the whole course`);
+      return null;
+    }
+    return String(moduleId);
+  }
+
+  /**
+   * Show which launch mode the LMS opened us in (Browse/Review only)
+   */
+  function showLaunchModeBanner() {
+    if (typeof Cmi5 === 'undefined') return;
+
+    const mode = Cmi5.getLaunchMode();
+    document.body.dataset.launchMode = mode;
+
+    const banner = document.getElementById('launchModeBanner');
+    if (!banner || Cmi5.isGradedLaunch()) return;
+
+    // Tagged so the banner follows language changes
+    const label = banner.querySelector('.launch-mode-label');
+    const text = banner.querySelector('.launch-mode-text');
+    label.dataset.i18n = `launchMode.${mode}`;
+    text.dataset.i18n = `launchMode.${mode}.note`;
+    label.textContent = I18n.t(label.dataset.i18n);
+    text.textContent = I18n.t(text.dataset.i18n);
+    banner.classList.remove('hidden');
+  }
+
+  /**
+   * Build the sidebar modules and section links from the course definition
+   */
+  function buildSidebar() {
+    const nav = document.querySelector('.nav-content');
+    if (!nav) return;
+
+    nav.innerHTML = '';
+    CourseDefinition.getModules()
+      .filter(module => !moduleScope || module.id === moduleScope)
+      .forEach((module, index) => {
+        const expanded = index === 0;
+        const isCompletion = module.sections.some(section => section.type === 'completion');
+
+        const navModule = document.createElement('div');
+        navModule.className = 'nav-module';
+        navModule.dataset.module = module.id;
+        navModule.innerHTML = `
+          <button class="module-header" aria-expanded="${expanded}">
+            <span class="module-icon">
+              <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                <path d="${isCompletion ? COMPLETION_ICON_PATH : MODULE_ICON_PATH}"/>
+              </svg>
+            </span>
+            <span class="module-title" data-i18n="module.${module.id}"></span>
+            <span class="module-status" data-status="incomplete"></span>
+          </button>
+          <ul class="section-list${expanded ? '' : ' collapsed'}"></ul>`;
+        navModule.querySelector('.module-title').textContent = module.title;
+
+        const sectionList = navModule.querySelector('.section-list');
+        module.sections.forEach(section => {
+          const link = document.createElement('a');
+          link.href = `#section-${section.id}`;
+          link.className = 'section-link';
+          link.dataset.section = section.id;
+          link.dataset.i18n = `section.${section.id}`;
+          link.textContent = section.title;
+
+          const item = document.createElement('li');
+          item.appendChild(link);
+          sectionList.appendChild(item);
+        });
+
+        nav.appendChild(navModule);
+      });
+
+    if (typeof I18n !== 'undefined') {
+      I18n.apply(nav);
+    }
   }
 
   /**
@@ -104,8 +230,13 @@ const Course = (function() {
     const sidebar = document.getElementById('sidebar');
 
     if (menuToggle && sidebar) {
+      const setOpen = open => {
+        sidebar.classList.toggle('open', open);
+        menuToggle.setAttribute('aria-expanded', open);
+      };
+
       menuToggle.addEventListener('click', () => {
-        sidebar.classList.toggle('open');
+        setOpen(!sidebar.classList.contains('open'));
       });
 
       // Close sidebar when clicking outside
@@ -113,7 +244,15 @@ const Course = (function() {
         if (sidebar.classList.contains('open') &&
             !sidebar.contains(e.target) &&
             !menuToggle.contains(e.target)) {
-          sidebar.classList.remove('open');
+          setOpen(false);
+        }
+      });
+
+      // Escape closes it and hands focus back to the toggle
+      sidebar.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && sidebar.classList.contains('open')) {
+          setOpen(false);
+          menuToggle.focus();
         }
       });
     }
@@ -154,6 +293,15 @@ const Course = (function() {
     });
   }
 
+  /**
+   * Exit buttons (header and completion screen)
+   */
+  function setupExitButtons() {
+    document.querySelectorAll('[data-exit-course]').forEach(btn => {
+      btn.addEventListener('click', () => exitCourse());
+    });
+  }
+
   /**
    * Navigate to a specific section
    */
@@ -164,6 +312,16 @@ const Course = (function() {
       return;
     }
 
+    // Per-module AU: moving on from its last section finishes the AU
+    if (!sections.some(section => section.id === sectionId)) {
+      if (moduleScope && currentSectionId === sections[sections.length - 1].id) {
+        finishModule();
+      } else {
+        console.warn(`Section not in this AU: ${sectionId}`);
+      }
+      return;
+    }
+
     // Stop game music if navigating away from the game section
     if (currentSectionId === '1-2' && sectionId !== '1-2') {
       if (typeof window._stopGameMusic === 'function') {
@@ -203,7 +361,13 @@ const Course = (function() {
     updateMobileNav();
 
     // Scroll to top
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    window.scrollTo({ top: 0, behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+
+    // Take keyboard and screen reader users to the new content - not on
+    // the initial load or resume, where focus belongs at the top of the page
+    if (trackView) {
+      focusSection(targetSection);
+    }
 
     // Note: cmi5 only tracks initialized, completed, passed/failed, terminated
     // Section tracking would require additional xAPI statements which are optional
@@ -214,6 +378,43 @@ const Course = (function() {
 
     // Save state
     saveState();
+
+    if (trackView) {
+      evaluateMoveOn();
+    }
+  }
+
+  function prefersReducedMotion() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches || false;
+  }
+
+  /**
+   * Move focus to a section's heading and announce where it sits in the
+   * course. The heading itself is read out when it takes focus.
+   */
+  function focusSection(section) {
+    const heading = section.querySelector('h1');
+    if (heading) {
+      heading.setAttribute('tabindex', '-1');
+      heading.focus({ preventScroll: true });
+    }
+
+    const index = sections.findIndex(s => s.id === section.dataset.section);
+    announce(I18n.t('a11y.sectionPosition', { n: index + 1, total: sections.length }));
+  }
+
+  /**
+   * Read a message out through the page's polite live region
+   */
+  function announce(message) {
+    const region = document.getElementById('courseAnnouncer');
+    if (!region) return;
+
+    // Clear first so the same message twice is still announced
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 100);
   }
 
   /**
@@ -313,9 +514,9 @@ const Course = (function() {
    * Update progress bar
    */
   function updateProgress() {
-    const totalSections = sections.length - 1; // Exclude completion section
-    const completed = completedSections.size;
-    const percent = Math.round((completed / totalSections) * 100);
+    const totalSections = getProgressSections().length;
+    const completed = getProgressSections().filter(section => completedSections.has(section.id)).length;
+    const percent = totalSections ? Math.round((completed / totalSections) * 100) : 100;
 
     if (progressFill) {
       progressFill.style.width = `${percent}%`;
@@ -356,6 +557,24 @@ const Course = (function() {
     saveState();
   }
 
+  /**
+   * Keep a knowledge check response so a Review launch can show it
+   * (called from Interactions.js)
+   */
+  function recordKnowledgeResponse(questionId, response) {
+    knowledgeResponses[questionId] = response;
+    saveState();
+  }
+
+  /**
+   * Saved knowledge check responses by question id, once the saved state
+   * has been read
+   */
+  async function getKnowledgeResponses() {
+    await stateRead;
+    return knowledgeResponses;
+  }
+
   /**
    * Get overall quiz score
    * Now uses ONLY the final exam score for LMS reporting
@@ -384,6 +603,143 @@ const Course = (function() {
   function setFinalExamScore(score) {
     finalExamScore = score;
     saveState();
+    evaluateMoveOn();
+  }
+
+  /**
+   * The learner has used their last exam attempt without passing
+   * (called from Interactions.js) - failed goes out now
+   */
+  function lockOutExam() {
+    if (examLockedOut) return;
+    examLockedOut = true;
+    saveState();
+    evaluateMoveOn();
+  }
+
+  // ==================== MOVE ON ====================
+
+  /**
+   * Sections that count towards progress and completion - everything
+   * in this AU except the completion screen
+   */
+  function getProgressSections() {
+    return sections.filter(section => section.type !== 'completion');
+  }
+
+  /**
+   * Every section in this AU except the completion screen has been visited
+   */
+  function isCompletionMet() {
+    return getProgressSections().every(section => visitedSections.has(section.id));
+  }
+
+  function getMoveOnRules() {
+    const criterion = typeof Cmi5 !== 'undefined' ? Cmi5.getMoveOn() : 'CompletedOrPassed';
+    return MOVE_ON_RULES[criterion] || MOVE_ON_RULES.CompletedOrPassed;
+  }
+
+  /**
+   * Whether the learner has met the LMS's moveOn criterion
+   */
+  function isMoveOnSatisfied() {
+    const passed = finalExamScore !== null && finalExamScore >= getPassThreshold();
+
+    switch (typeof Cmi5 !== 'undefined' ? Cmi5.getMoveOn() : 'CompletedOrPassed') {
+      case 'Completed': return isCompletionMet();
+      case 'Passed': return passed;
+      case 'CompletedAndPassed': return isCompletionMet() && passed;
+      case 'NotApplicable': return true;
+      default: return isCompletionMet() || passed;
+    }
+  }
+
+  /**
+   * Exam score needed to pass: the LMS masteryScore when it sets one
+   * (cmi5 requires the AU to use it), else the course definition's
+   */
+  function getPassThreshold() {
+    const masteryScore = typeof Cmi5 !== 'undefined' ? Cmi5.getMasteryScore() : null;
+    return masteryScore ?? CourseDefinition.getExamRules().passThreshold;
+  }
+
+  /**
+   * Exam attempt limit, wait between attempts and time limit (0 = none).
+   * The AU's launch parameters ({"maxAttempts": 2, "cooldownMinutes": 60})
+   * override course.json, so one package can be deployed with different rules.
+   */
+  function getAttemptPolicy() {
+    const launchParameters = typeof Cmi5 !== 'undefined' && Cmi5.isConnected()
+      ? Cmi5.getLaunchParameters()
+      : {};
+    const sources = [launchParameters, CourseDefinition.getExamRules(), DEFAULT_ATTEMPT_POLICY];
+
+    return {
+      maxAttempts: readPolicyValue(sources, 'maxAttempts', value => Number.isInteger(value) && value >= 1),
+      cooldownMinutes: readPolicyValue(sources, 'cooldownMinutes', value => Number.isFinite(value) && value >= 0),
+      timeLimitMinutes: readPolicyValue(sources, 'timeLimitMinutes', value => Number.isFinite(value) && value >= 0)
+    };
+  }
+
+  /**
+   * First valid value for a policy field, in source order
+   */
+  function readPolicyValue(sources, name, isValid) {
+    for (const source of sources) {
+      const value = source[name];
+      if (value === undefined || value === null) continue;
+      if (isValid(value)) return value;
+      console.warn(`Ignoring invalid exam ${name}: ${JSON.stringify(value)}`);
+    }
+    return undefined;
+  }
+
+  /**
+   * Send whichever cmi5 defined statements the learner has just earned.
+   * Safe to call often - the wrapper never sends one twice.
+   */
+  function evaluateMoveOn() {
+    moveOnQueue = moveOnQueue.then(sendEarnedStatements).catch(error => {
+      console.error('cmi5: Error sending moveOn statements:', error);
+    });
+    return moveOnQueue;
+  }
+
+  async function sendEarnedStatements() {
+    if (!stateLoaded || typeof Cmi5 === 'undefined') return;
+
+    await Cmi5.ready();
+    if (!Cmi5.isConnected() || !Cmi5.isGradedLaunch() || Cmi5.isTerminated()) return;
+
+    const rules = getMoveOnRules();
+    const reported = Cmi5.getReportedStatus();
+    const sendCompleted = rules.completed && !reported.completed && isCompletionMet();
+    const passed = finalExamScore !== null && finalExamScore >= getPassThreshold();
+    // Failed is final - it only goes out once the last attempt is used
+    const sendSuccess = rules.passed && !reported.passed && finalExamScore !== null &&
+      (passed || (examLockedOut && !reported.failed));
+
+    if (!sendCompleted && !sendSuccess) return;
+
+    // Answers and section statements should reach the LRS before the verdict
+    if (typeof XAPITracker !== 'undefined' && XAPITracker.flush) {
+      await XAPITracker.flush();
+    }
+
+    if (sendCompleted) {
+      await Cmi5.complete();
+      console.log('cmi5: Completed statement sent');
+    }
+
+    if (sendSuccess) {
+      if (passed) {
+        await Cmi5.pass(finalExamScore);
+        console.log('cmi5: Passed statement sent (score:', Math.round(finalExamScore * 100) + '%)');
+      } else {
+        await Cmi5.fail(finalExamScore);
+        console.log('cmi5: Failed statement sent (score:', Math.round(finalExamScore * 100) + '%)');
+      }
+    }
   }
 
   /**
@@ -403,7 +759,9 @@ const Course = (function() {
       completionTime.textContent = timeSpent;
     }
     if (sectionsCompletedEl) {
-      sectionsCompletedEl.textContent = `${completedSections.size}/${sections.length - 1}`;
+      const progressSections = getProgressSections();
+      const completedCount = progressSections.filter(section => completedSections.has(section.id)).length;
+      sectionsCompletedEl.textContent = `${completedCount}/${progressSections.length}`;
     }
     if (quizScoreEl) {
       quizScoreEl.textContent = `${Math.round(score * 100)}%`;
@@ -419,43 +777,108 @@ const Course = (function() {
           console.log('cmi5: Flushed pending xAPI tracker statements');
         }
 
-        // Step 1: Send completed statement (required for moveOn=CompletedOrPassed)
-        await Cmi5.complete();
-        console.log('cmi5: Completed statement sent');
-
-        // Step 2: Determine pass/fail based on mastery score
-        const masteryScore = Cmi5.getMasteryScore();
+        if (Cmi5.isGradedLaunch()) {
+          // Steps 1-2: completed / passed / failed normally went out as they
+          // were earned - this only catches anything still pending
+          await evaluateMoveOn();
 
-        if (score >= masteryScore) {
-          await Cmi5.pass(score);
-          console.log('cmi5: Passed statement sent (score:', Math.round(score * 100) + '%)');
+          // Clear saved progress while the session can still write state,
+          // unless the learner still has something left to earn
+          if (isMoveOnSatisfied()) {
+            clearState();
+          }
         } else {
-          await Cmi5.fail(score);
-          console.log('cmi5: Failed statement sent (score:', Math.round(score * 100) + '%)');
+          // Browse/Review: end the session without touching the learner's record
+          console.log(`cmi5: ${Cmi5.getLaunchMode()} launch - skipping completed/passed/failed`);
         }
 
         // Step 3: Send terminated
-        await Cmi5.terminate();
-        console.log('cmi5: Terminated statement sent');
-
-        // Stop the xAPI tracker to prevent further statement sends
-        if (typeof XAPITracker !== 'undefined' && XAPITracker.stop) {
-          XAPITracker.stop();
-          console.log('XAPITracker stopped');
-        }
+        await endSession();
       } catch (error) {
         console.error('cmi5: Error sending completion statements:', error);
       }
     } else {
       console.log('Course completed (standalone mode - no cmi5 connection)');
+      clearState();
     }
 
-    // Clear saved state
-    clearState();
-
     console.log('Course completed', { score, timeSpent, sectionsCompleted: completedSections.size });
   }
 
+  /**
+   * Flush the tracker, send terminated and stop tracking
+   */
+  async function endSession() {
+    if (typeof Cmi5 === 'undefined' || !Cmi5.isConnected() || Cmi5.isTerminated()) {
+      return;
+    }
+
+    if (typeof XAPITracker !== 'undefined' && XAPITracker.flush) {
+      await XAPITracker.flush();
+    }
+
+    // Flushes pending progress state first
+    await Cmi5.terminate();
+    console.log('cmi5: Terminated statement sent');
+
+    // Stop the xAPI tracker to prevent further statement sends
+    if (typeof XAPITracker !== 'undefined' && XAPITracker.stop) {
+      XAPITracker.stop();
+      console.log('XAPITracker stopped');
+    }
+  }
+
+  /**
+   * Leave the course: end the cmi5 session and go back to the LMS.
+   * Without a returnURL (e.g. standalone) there's nowhere to go, so say so.
+   */
+  async function exitCourse() {
+    if (exiting) return;
+    exiting = true;
+
+    document.querySelectorAll('[data-exit-course]').forEach(btn => {
+      btn.disabled = true;
+    });
+
+    if (typeof window._stopGameMusic === 'function') {
+      window._stopGameMusic();
+    }
+
+    try {
+      // Report anything earned since the last check before the session closes
+      await evaluateMoveOn();
+      await endSession();
+    } catch (error) {
+      console.error('cmi5: Error ending session on exit:', error);
+    }
+
+    const returnURL = typeof Cmi5 !== 'undefined' ? Cmi5.getReturnURL() : null;
+    if (returnURL) {
+      console.log('Returning to LMS:', returnURL);
+      window.location.assign(returnURL);
+      return;
+    }
+
+    showExitMessage();
+  }
+
+  /**
+   * The learner has finished a per-module AU - end it so the LMS can
+   * move them on to the next one
+   */
+  function finishModule() {
+    markSectionComplete(currentSectionId);
+    exitCourse();
+  }
+
+  function showExitMessage() {
+    const overlay = document.getElementById('exitOverlay');
+    if (!overlay) return;
+
+    overlay.classList.remove('hidden');
+    document.getElementById('exitOverlayTitle')?.focus();
+  }
+
   /**
    * Format milliseconds to readable time
    */
@@ -474,54 +897,70 @@ const Course = (function() {
   }
 
   /**
-   * Save state to localStorage
+   * Save state (LRS state document when connected, localStorage in standalone)
    */
   function saveState() {
+    if (!stateLoaded) {
+      return;
+    }
+
     const state = {
       currentSectionId,
       visitedSections: Array.from(visitedSections),
       completedSections: Array.from(completedSections),
       quizScores,
+      knowledgeResponses,
       finalExamScore,
+      examLockedOut,
       startTime
     };
 
-    try {
-      localStorage.setItem('novapay-platform-launch-course-state', JSON.stringify(state));
-    } catch (e) {
-      console.warn('Could not save course state:', e);
+    if (typeof Cmi5 !== 'undefined') {
+      Cmi5.saveState('course', state);
     }
   }
 
   /**
-   * Load state from localStorage
+   * Load saved state
+   * Resolves true if a saved state was applied
    */
-  function loadState() {
+  async function loadState() {
+    if (typeof Cmi5 === 'undefined') {
+      stateLoaded = true;
+      return false;
+    }
+
     try {
-      const saved = localStorage.getItem('novapay-platform-launch-course-state');
-      if (saved) {
-        const state = JSON.parse(saved);
-        currentSectionId = state.currentSectionId || '1-1';
-        visitedSections = new Set(state.visitedSections || ['1-1']);
+      const state = await Cmi5.loadState('course');
+      stateLoaded = true;
+      if (state) {
+        const firstSectionId = sections[0].id;
+        const inScope = sections.some(section => section.id === state.currentSectionId);
+        currentSectionId = inScope ? state.currentSectionId : firstSectionId;
+        visitedSections = new Set(state.visitedSections || [firstSectionId]);
         completedSections = new Set(state.completedSections || []);
         quizScores = state.quizScores || {};
-        finalExamScore = state.finalExamScore || null;
+        knowledgeResponses = state.knowledgeResponses || {};
+        finalExamScore = state.finalExamScore ?? null;
+        // Interactions may already have locked the exam out this session
+        examLockedOut = examLockedOut || !!state.examLockedOut;
         startTime = state.startTime || Date.now();
         console.log('Course state loaded');
+        return true;
       }
     } catch (e) {
       console.warn('Could not load course state:', e);
+      stateLoaded = true;
     }
+    return false;
   }
 
   /**
    * Clear saved state
    */
   function clearState() {
-    try {
-      localStorage.removeItem('novapay-platform-launch-course-state');
-    } catch (e) {
-      console.warn('Could not clear course state:', e);
+    if (typeof Cmi5 !== 'undefined') {
+      Cmi5.clearState('course');
     }
   }
 
@@ -533,10 +972,18 @@ const Course = (function() {
     navigateNext,
     markSectionComplete,
     recordQuizScore,
+    recordKnowledgeResponse,
+    getKnowledgeResponses,
     getOverallScore,
     completeCourse,
+    exitCourse,
     setFinalExamScore,
+    lockOutExam,
+    getPassThreshold,
+    getAttemptPolicy,
+    announce,
     getCurrentSection: () => currentSectionId,
+    getModuleScope: () => moduleScope,
     getSections: () => sections,
     getVisitedSections: () => visitedSections,
     getCompletedSections: () => completedSections,
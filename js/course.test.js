@@ -0,0 +1,154 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createBrowser, fetchFromRepo, settle } = require('../tools/fake-browser');
+
+const definition = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'course.json'), 'utf8'));
+
+/**
+ * Course with course.json's exam rules replaced by `examRules` and the
+ * LMS giving `launchParameters` (undefined: standalone)
+ */
+async function courseWith({ examRules = {}, launchParameters, masteryScore = null } = {}) {
+  const courseJson = JSON.stringify({ ...definition, exam: { ...definition.exam, ...examRules } });
+  const warnings = [];
+  const browser = createBrowser({
+    fetch: (url, init) => (String(url) === 'course.json' ? Promise.resolve(new Response(courseJson)) : fetchFromRepo(url, init)),
+    console: { log() {}, error() {}, warn: message => warnings.push(message) }
+  });
+  browser.load('course-definition', 'course');
+  await browser.run('CourseDefinition.load()');
+
+  if (launchParameters !== undefined) {
+    browser.window.Cmi5 = {
+      isConnected: () => true,
+      getLaunchParameters: () => launchParameters,
+      getMasteryScore: () => masteryScore
+    };
+  }
+  return {
+    policy: () => ({ ...browser.run('Course.getAttemptPolicy()') }),
+    passThreshold: () => browser.run('Course.getPassThreshold()'),
+    warnings
+  };
+}
+
+test('course.json sets the attempt policy in standalone mode', async () => {
+  const course = await courseWith({ examRules: { maxAttempts: 5, cooldownMinutes: 30, timeLimitMinutes: 45 } });
+  assert.deepEqual(course.policy(), { maxAttempts: 5, cooldownMinutes: 30, timeLimitMinutes: 45 });
+});
+
+test('launch parameters override course.json field by field', async () => {
+  const course = await courseWith({
+    examRules: { maxAttempts: 5, cooldownMinutes: 30, timeLimitMinutes: 45 },
+    launchParameters: { maxAttempts: 2, timeLimitMinutes: 0 }
+  });
+  assert.deepEqual(course.policy(), { maxAttempts: 2, cooldownMinutes: 30, timeLimitMinutes: 0 });
+});
+
+test('invalid values are ignored with a warning and the next source is used', async () => {
+  const course = await courseWith({
+    examRules: { maxAttempts: 0, cooldownMinutes: -5, timeLimitMinutes: 20 },
+    launchParameters: { maxAttempts: 1.5, cooldownMinutes: '10', timeLimitMinutes: null }
+  });
+  assert.deepEqual(course.policy(), { maxAttempts: 3, cooldownMinutes: 0, timeLimitMinutes: 20 });
+  assert.deepEqual(course.warnings, [
+    'Ignoring invalid exam maxAttempts: 1.5',
+    'Ignoring invalid exam maxAttempts: 0',
+    'Ignoring invalid exam cooldownMinutes: "10"',
+    'Ignoring invalid exam cooldownMinutes: -5'
+  ]);
+});
+
+test('the LMS masteryScore replaces the course pass threshold', async () => {
+  assert.equal((await courseWith({ examRules: { passThreshold: 0.75 } })).passThreshold(), 0.75);
+  assert.equal((await courseWith({ examRules: { passThreshold: 0.75 }, launchParameters: {}, masteryScore: 0.9 })).passThreshold(), 0.9);
+  assert.equal((await courseWith({ examRules: { passThreshold: 0.75 }, launchParameters: {}, masteryScore: 0 })).passThreshold(), 0);
+});
+
+const allSections = definition.modules.flatMap(module => module.sections)
+  .filter(section => section.type !== 'completion')
+  .map(section => section.id);
+
+/**
+ * Course.init() against a Cmi5 stand-in whose saved course state is `saved`.
+ * `saves` collects what the course writes back; `sent` the defined
+ * statements it asks for.
+ */
+async function startCourse({ saved = null, moveOn = 'CompletedOrPassed', masteryScore = null } = {}) {
+  const saves = [];
+  const sent = [];
+  const reported = { completed: false, passed: false, failed: false };
+  const browser = createBrowser({ console: { log() {}, error() {}, warn() {} } });
+  browser.load('course-definition', 'course');
+  browser.window.Cmi5 = {
+    ready: async () => {},
+    isConnected: () => true,
+    getLaunchParameters: () => ({}),
+    getLaunchMode: () => 'Normal',
+    getMasteryScore: () => masteryScore,
+    getMoveOn: () => moveOn,
+    isGradedLaunch: () => true,
+    isTerminated: () => false,
+    getReportedStatus: () => ({ ...reported }),
+    complete: async () => { sent.push('completed'); reported.completed = true; },
+    pass: async score => { sent.push(`passed ${score}`); reported.passed = true; },
+    fail: async score => { sent.push(`failed ${score}`); reported.failed = true; },
+    loadState: async () => saved,
+    saveState: (key, state) => saves.push({ key, state: JSON.parse(JSON.stringify(state)) })
+  };
+  await browser.run('Course.init()');
+  await settle();  // Saved state restored and moveOn evaluated
+  return { browser, saves, sent };
+}
+
+test('each moveOn criterion gets only the statements it needs', async () => {
+  const visitedAll = { visitedSections: allSections };
+  const passedExam = { visitedSections: ['1-1'], finalExamScore: 0.8 };
+
+  assert.deepEqual((await startCourse({ moveOn: 'Completed', saved: visitedAll })).sent, ['completed']);
+  assert.deepEqual((await startCourse({ moveOn: 'Completed', saved: passedExam })).sent, []);
+  assert.deepEqual((await startCourse({ moveOn: 'Passed', saved: { ...visitedAll, finalExamScore: 0.8 } })).sent, ['passed 0.8']);
+  assert.deepEqual((await startCourse({ moveOn: 'CompletedOrPassed', saved: passedExam })).sent, ['passed 0.8']);
+  assert.deepEqual((await startCourse({ moveOn: 'CompletedAndPassed', saved: { ...visitedAll, finalExamScore: 0.8 } })).sent,
+    ['completed', 'passed 0.8']);
+  assert.deepEqual((await startCourse({ moveOn: 'NotApplicable', saved: { ...visitedAll, finalExamScore: 0.8 } })).sent, []);
+});
+
+test('one unvisited section holds back completed', async () => {
+  const saved = { visitedSections: allSections.slice(0, -1) };
+  assert.deepEqual((await startCourse({ moveOn: 'Completed', saved })).sent, []);
+});
+
+test('failed waits until the exam is locked out, and the LMS masteryScore decides pass or fail', async () => {
+  const course = await startCourse({ moveOn: 'Passed', saved: { visitedSections: ['1-1'], finalExamScore: 0.5 } });
+  assert.deepEqual(course.sent, []);
+  course.browser.run('Course.lockOutExam()');
+  await settle();
+  assert.deepEqual(course.sent, ['failed 0.5']);
+
+  const strict = await startCourse({ moveOn: 'Passed', masteryScore: 0.9, saved: { visitedSections: ['1-1'], finalExamScore: 0.8, examLockedOut: true } });
+  assert.deepEqual(strict.sent, ['failed 0.8']);
+});
+
+test('a passing exam score sends passed as soon as it is set', async () => {
+  const course = await startCourse({ moveOn: 'Passed', saved: { visitedSections: ['1-1'] } });
+  course.browser.run('Course.setFinalExamScore(0.75)');
+  await settle();
+  assert.deepEqual(course.sent, ['passed 0.75']);
+});
+
+test('knowledge check responses are saved with the course state and restored', async () => {
+  const first = await startCourse();
+  first.browser.run('Course.recordKnowledgeResponse("2-1", ["b"])');
+  const { key, state } = first.saves.at(-1);
+  assert.equal(key, 'course');
+  assert.deepEqual(state.knowledgeResponses, { '2-1': ['b'] });
+
+  const second = await startCourse({ saved: state });
+  const responses = await second.browser.run('Course.getKnowledgeResponses()');
+  assert.deepEqual(JSON.parse(JSON.stringify(responses)), { '2-1': ['b'] });
+});
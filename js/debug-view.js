@@ -0,0 +1,241 @@
+/**
+ * Debug View
+ * NovaPay Platform Launch Training
+ *
+ * A developer panel for checking what the course sends. Open the course
+ * with ?debug for a Debug button in the header, or call DebugView.open()
+ * in the console. It runs the cmi5 conformance rules (js/cmi5-conformance.js)
+ * over Cmi5.getStatementLog() - the statements sent from this page - and
+ * lists the statements that weren't sent: the ones the tracker dropped for
+ * not matching the xAPI profile (xapi-profile.jsonld) and the ones the
+ * wrapper quarantined.
+ *
+ * Not translated: it's for developers, not learners.
+ */
+
+const DebugView = (function() {
+  'use strict';
+
+  const DEBUG_PARAM = 'debug';
+
+  let panel = null;
+  let toggleBtn = null;
+  let body = null;
+
+  function isDebugMode() {
+    return new URLSearchParams(window.location.search).has(DEBUG_PARAM);
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  // ==================== CONFORMANCE ====================
+
+  /**
+   * The conformance report for this page's statements, with the launch
+   * settings the LMS gave the wrapper
+   */
+  function conformanceReport() {
+    const config = Cmi5.getConfig();
+    return Cmi5Conformance.check(Cmi5.getStatementLog(), {
+      masteryScore: config.masteryScore ?? undefined,
+      launchMode: config.launchMode,
+      activityId: config.activityId || undefined,
+      initializedEarlier: config.sessionRestored
+    });
+  }
+
+  function renderConformance(container) {
+    container.appendChild(el('h3', 'debug-view-heading', 'cmi5 conformance'));
+
+    if (typeof Cmi5 === 'undefined' || typeof Cmi5Conformance === 'undefined') {
+      container.appendChild(el('p', 'debug-view-note', 'Needs js/cmi5-wrapper.js and js/cmi5-conformance.js.'));
+      return;
+    }
+
+    const report = conformanceReport();
+    const failed = report.rules.filter(rule => !rule.passed).length;
+    container.appendChild(el('p', 'debug-view-note', !report.statementCount
+      ? 'No statements sent from this page yet.'
+      : `${report.statementCount} statement(s): ${failed ? `${failed} of ${report.rules.length} rules failed` : 'all rules passed'}.`));
+    if (!report.statementCount) return;
+
+    const list = el('ul', 'debug-view-rules');
+    report.rules.forEach(rule => {
+      const item = el('li', `debug-view-rule ${rule.passed ? 'passed' : 'failed'}`);
+      item.appendChild(el('span', 'debug-view-rule-status', rule.passed ? 'PASS' : 'FAIL'));
+      item.appendChild(document.createTextNode(` ${rule.title}`));
+
+      if (rule.violations.length) {
+        const violations = el('ul', 'debug-view-violations');
+        rule.violations.forEach(v => {
+          const entry = el('li', null, `${v.verb} - ${v.message}`);
+          entry.title = v.statementId || '';
+          violations.appendChild(entry);
+        });
+        item.appendChild(violations);
+      }
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+
+  // ==================== UNSENT STATEMENTS ====================
+
+  /**
+   * Newest first: what it was, when, why it wasn't sent, and the statement
+   */
+  function renderUnsent(container, entries) {
+    const list = el('ul', 'debug-view-quarantine');
+    [...entries].reverse().forEach(entry => {
+      const statement = entry.statement || {};
+      const item = el('li', 'debug-view-quarantined');
+      item.appendChild(el('strong', null, entry.label));
+      item.appendChild(document.createTextNode(` ${statement.object?.id || ''} - ${new Date(entry.time).toLocaleString()}`));
+
+      const reasons = el('ul', 'debug-view-violations');
+      entry.reasons.forEach(reason => reasons.appendChild(el('li', null, reason)));
+      item.appendChild(reasons);
+
+      const details = el('details');
+      details.appendChild(el('summary', null, 'Statement'));
+      details.appendChild(el('pre', 'debug-view-json', JSON.stringify(statement, null, 2)));
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+
+  function renderRejected(container) {
+    container.appendChild(el('h3', 'debug-view-heading', 'Rejected by the xAPI profile'));
+
+    if (typeof XAPITracker === 'undefined') return;
+
+    const entries = XAPITracker.getRejectedStatements();
+    container.appendChild(el('p', 'debug-view-note', !entries.length
+      ? 'None - every tracker statement matched its template.'
+      : `${entries.length} tracker statement(s) didn't match their template in xapi-profile.jsonld and were not sent. Newest first.`));
+    if (!entries.length) return;
+
+    renderUnsent(container, entries.map(entry => ({
+      label: entry.template,
+      time: entry.rejectedAt,
+      reasons: entry.errors,
+      statement: entry.statement
+    })));
+  }
+
+  function renderQuarantine(container) {
+    container.appendChild(el('h3', 'debug-view-heading', 'Quarantined statements'));
+
+    if (typeof Cmi5 === 'undefined') return;
+
+    const entries = Cmi5.getQuarantine();
+    container.appendChild(el('p', 'debug-view-note', !entries.length
+      ? 'None - every statement passed xAPI 1.0.3 validation.'
+      : `${entries.length} statement(s) failed validation or were rejected by the LRS and were not sent. Newest first.`));
+    if (!entries.length) return;
+
+    renderUnsent(container, entries.map(entry => ({
+      label: entry.statement?.verb?.display?.['en-US'] || String(entry.statement?.verb?.id || '?').split('/').pop(),
+      time: entry.quarantinedAt,
+      reasons: entry.reasons,
+      statement: entry.statement
+    })));
+
+    const clear = el('button', 'btn btn-secondary', 'Clear quarantine');
+    clear.type = 'button';
+    clear.addEventListener('click', () => {
+      Cmi5.clearQuarantine();
+      render();
+      panel.querySelector('button')?.focus();
+    });
+    container.appendChild(clear);
+  }
+
+  // ==================== PANEL ====================
+
+  function render() {
+    if (!body) return;
+    body.replaceChildren();
+    renderConformance(body);
+    renderRejected(body);
+    renderQuarantine(body);
+  }
+
+  function build() {
+    panel = el('div', 'debug-view hidden');
+    panel.id = 'debugView';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-labelledby', 'debugViewTitle');
+
+    const header = el('div', 'debug-view-header');
+    const title = el('h2', null, 'Debug');
+    title.id = 'debugViewTitle';
+    const refresh = el('button', 'btn btn-secondary', 'Refresh');
+    refresh.type = 'button';
+    refresh.addEventListener('click', render);
+    const close = el('button', 'btn btn-secondary', 'Close');
+    close.type = 'button';
+    close.addEventListener('click', () => setOpen(false));
+    header.append(title, refresh, close);
+
+    body = el('div', 'debug-view-body');
+    panel.append(header, body);
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    });
+    document.body.appendChild(panel);
+  }
+
+  function setOpen(open) {
+    if (!panel) build();
+    panel.classList.toggle('hidden', !open);
+    toggleBtn?.setAttribute('aria-expanded', String(open));
+    if (open) {
+      render();
+      panel.querySelector('button')?.focus();
+    } else {
+      toggleBtn?.focus();
+    }
+  }
+
+  /**
+   * Add the header button in ?debug mode
+   */
+  function init() {
+    if (!isDebugMode()) return;
+
+    const actions = document.querySelector('.header-actions');
+    if (!actions) return;
+
+    toggleBtn = el('button', 'btn btn-secondary btn-header', 'Debug');
+    toggleBtn.type = 'button';
+    toggleBtn.setAttribute('aria-expanded', 'false');
+    toggleBtn.setAttribute('aria-controls', 'debugView');
+    toggleBtn.addEventListener('click', () => setOpen(panel.classList.contains('hidden')));
+    actions.insertBefore(toggleBtn, actions.firstChild);
+    build();
+  }
+
+  return {
+    init,
+    open: () => setOpen(true),
+    close: () => setOpen(false),
+    conformanceReport
+  };
+})();
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  DebugView.init();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DebugView;
+}
@@ -0,0 +1,387 @@
+/**
+ * Drag and Drop Exercises
+ * NovaPay Platform Launch Training
+ *
+ * Sort items into drop zones with a mouse, touch, pen or the keyboard.
+ * An exercise is a matching question: the items are its sources, the
+ * zones its targets, and the key lives in tools/answer-keys.json like any
+ * other question's.
+ *
+ *   <div data-drag-drop data-question="3-3-routing">
+ *     <div class="drop-zone drag-tray" data-zone="">        where items start
+ *       <button class="drop-zone-target">...</button>
+ *       <ul class="drop-zone-items"><li><button class="drag-item" data-value="a">...
+ *     <div class="drop-zone" data-zone="billing">           one per target
+ *       <button class="drop-zone-target">...</button>
+ *       <ul class="drop-zone-items"></ul>
+ *     <button class="check-drag-drop">, <button class="reset-drag-drop">
+ *     <div class="quiz-feedback"> with .feedback-correct / .feedback-incorrect
+ *
+ * Keyboard and switch users activate an item to pick it up, move between
+ * zones with the arrow keys (or Tab) and activate a zone to drop it;
+ * Escape puts it back. Tapping works the same way. Every move is
+ * announced to screen readers.
+ */
+
+const DragDrop = (function() {
+  'use strict';
+
+  const DRAG_THRESHOLD_PX = 6;  // Movement before a press becomes a drag
+
+  const exercises = new Map();  // element -> { held, status, message, ... }
+
+  function getText(el) {
+    return (el.querySelector('strong') || el).textContent.trim();
+  }
+
+  function getItems(exercise) {
+    return Array.from(exercise.querySelectorAll('.drag-item'));
+  }
+
+  function getZones(exercise) {
+    return Array.from(exercise.querySelectorAll('.drop-zone'));
+  }
+
+  function getZoneTargets(exercise) {
+    return getZones(exercise).map(zone => zone.querySelector('.drop-zone-target')).filter(Boolean);
+  }
+
+  function announce(exercise, text) {
+    const state = exercises.get(exercise);
+    if (!state) return;
+    // Clear first so repeating the same message is announced again
+    state.status.textContent = '';
+    requestAnimationFrame(() => { state.status.textContent = text; });
+  }
+
+  function showMessage(exercise, text) {
+    const state = exercises.get(exercise);
+    state.message.textContent = text;
+    state.message.classList.toggle('hidden', !text);
+  }
+
+  // ==================== RESPONSE ====================
+
+  /**
+   * "item[.]zone" pairs for the placed items, or [] until every item is
+   * in a zone
+   */
+  function getResponse(exercise) {
+    const pairs = getItems(exercise).map(item => [item.dataset.value, item.closest('.drop-zone')?.dataset.zone]);
+    return pairs.every(([, zone]) => zone) ? pairs.map(([item, zone]) => `${item}[.]${zone}`) : [];
+  }
+
+  /**
+   * xAPI matching definition: items are the sources, zones the targets
+   */
+  function getDefinition(exercise) {
+    const component = (id, text) => ({ id, description: { 'en-US': text } });
+    return {
+      interactionType: 'matching',
+      source: getItems(exercise).map(item => component(item.dataset.value, getText(item))),
+      target: getZones(exercise)
+        .filter(zone => zone.dataset.zone)
+        .map(zone => component(zone.dataset.zone, getText(zone.querySelector('.drop-zone-target') || zone)))
+    };
+  }
+
+  // ==================== MOVING ITEMS ====================
+
+  function clearVerdict(exercise) {
+    exercise.classList.remove('correct', 'incorrect');
+    exercise.querySelectorAll('.quiz-feedback, .feedback-correct, .feedback-incorrect').forEach(el => {
+      el.classList.add('hidden');
+    });
+    showMessage(exercise, '');
+  }
+
+  function placeItem(exercise, item, zone) {
+    zone.querySelector('.drop-zone-items').appendChild(item.closest('li') || item);
+    getZones(exercise).forEach(el => {
+      el.classList.toggle('has-items', !!el.querySelector('.drag-item'));
+    });
+    clearVerdict(exercise);
+
+    const zoneName = getText(zone.querySelector('.drop-zone-target') || zone);
+    announce(exercise, I18n.t(zone.dataset.zone ? 'dragDrop.dropped' : 'dragDrop.returned', {
+      item: getText(item),
+      zone: zoneName
+    }));
+  }
+
+  function pickUp(exercise, item) {
+    const state = exercises.get(exercise);
+    if (state.held) putDown(exercise);
+
+    state.held = item;
+    item.setAttribute('aria-pressed', 'true');
+    exercise.classList.add('is-holding');
+    announce(exercise, I18n.t('dragDrop.pickedUp', { item: getText(item) }));
+  }
+
+  /**
+   * Let go of the held item where it is
+   */
+  function putDown(exercise) {
+    const state = exercises.get(exercise);
+    if (!state.held) return null;
+
+    const item = state.held;
+    state.held = null;
+    item.setAttribute('aria-pressed', 'false');
+    exercise.classList.remove('is-holding');
+    getZones(exercise).forEach(zone => zone.classList.remove('drag-over'));
+    return item;
+  }
+
+  function dropHeld(exercise, zone) {
+    const item = putDown(exercise);
+    if (!item) return;
+    placeItem(exercise, item, zone);
+    item.focus();
+  }
+
+  function cancelHeld(exercise) {
+    const item = putDown(exercise);
+    if (!item) return;
+    announce(exercise, I18n.t('dragDrop.cancelled', { item: getText(item) }));
+    item.focus();
+  }
+
+  /**
+   * Arrow keys step through the zones while an item is held
+   */
+  function focusNextZone(exercise, from, step) {
+    const targets = getZoneTargets(exercise);
+    let index = targets.indexOf(from);
+    if (index === -1) {
+      // Starting from the held item: its own zone
+      const zone = from.closest('.drop-zone');
+      index = targets.indexOf(zone?.querySelector('.drop-zone-target'));
+    }
+    const next = targets[(index + step + targets.length) % targets.length];
+    getZones(exercise).forEach(zone => zone.classList.toggle('drag-over', zone.contains(next)));
+    next.focus();
+  }
+
+  // ==================== POINTER DRAGGING ====================
+
+  /**
+   * Mouse, touch and pen. A press that doesn't move is a tap - the click
+   * that follows picks the item up as the keyboard would.
+   */
+  function initPointer(exercise, item) {
+    const state = exercises.get(exercise);
+    let drag = null;
+
+    item.addEventListener('pointerdown', e => {
+      if (e.button !== 0 || item.disabled) return;
+      drag = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, moving: false };
+    });
+
+    item.addEventListener('pointermove', e => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      const dx = e.clientX - drag.startX;
+      const dy = e.clientY - drag.startY;
+
+      if (!drag.moving) {
+        if (Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+        drag.moving = true;
+        item.setPointerCapture(e.pointerId);
+        item.classList.add('dragging');
+        pickUp(exercise, item);
+      }
+
+      item.style.transform = `translate(${dx}px, ${dy}px)`;
+      const zone = zoneAt(exercise, item, e.clientX, e.clientY);
+      getZones(exercise).forEach(el => el.classList.toggle('drag-over', el === zone));
+    });
+
+    const endDrag = (e, dropped) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      const wasMoving = drag.moving;
+      drag = null;
+      if (!wasMoving) return;
+
+      // The click after a drag isn't a tap. Not every browser sends one.
+      state.suppressClick = true;
+      setTimeout(() => { state.suppressClick = false; }, 0);
+      item.classList.remove('dragging');
+      item.style.transform = '';
+
+      const zone = dropped ? zoneAt(exercise, item, e.clientX, e.clientY) : null;
+      if (zone) {
+        putDown(exercise);
+        placeItem(exercise, item, zone);
+      } else {
+        cancelHeld(exercise);
+      }
+    };
+
+    item.addEventListener('pointerup', e => endDrag(e, true));
+    item.addEventListener('pointercancel', e => endDrag(e, false));
+  }
+
+  /**
+   * The zone under the pointer - looking past the card being dragged
+   */
+  function zoneAt(exercise, item, x, y) {
+    return document.elementsFromPoint(x, y)
+      .filter(el => !item.contains(el))
+      .map(el => el.closest('.drop-zone'))
+      .find(zone => zone && exercise.contains(zone)) || null;
+  }
+
+  // ==================== CHECKING ====================
+
+  async function check(exercise) {
+    const state = exercises.get(exercise);
+    const response = getResponse(exercise);
+    if (response.length === 0) {
+      showMessage(exercise, I18n.t('dragDrop.placeAll'));
+      return;
+    }
+
+    state.checkBtn.disabled = true;
+    let isCorrect;
+    try {
+      isCorrect = await Scoring.check(exercise.dataset.question, response, 'matching');
+    } catch (error) {
+      showMessage(exercise, I18n.t('quiz.scoringFailed'));
+      return;
+    } finally {
+      state.checkBtn.disabled = false;
+    }
+
+    exercise.classList.add(isCorrect ? 'correct' : 'incorrect');
+    exercise.querySelector('.quiz-feedback')?.classList.remove('hidden');
+    exercise.querySelector('.feedback-correct')?.classList.toggle('hidden', !isCorrect);
+    exercise.querySelector('.feedback-incorrect')?.classList.toggle('hidden', isCorrect);
+    announce(exercise, I18n.t(isCorrect ? 'dragDrop.correct' : 'dragDrop.incorrect'));
+
+    if (typeof XAPITracker !== 'undefined' && XAPITracker.trackDragDropAnswer) {
+      XAPITracker.trackDragDropAnswer(exercise, response, isCorrect);
+    }
+  }
+
+  /**
+   * Every item back where it started
+   */
+  function reset(exercise) {
+    const state = exercises.get(exercise);
+    putDown(exercise);
+    const tray = exercise.querySelector('.drag-tray .drop-zone-items');
+    state.startOrder.forEach(el => tray.appendChild(el));
+    getZones(exercise).forEach(zone => zone.classList.toggle('has-items', !!zone.querySelector('.drag-item')));
+    clearVerdict(exercise);
+    announce(exercise, I18n.t('dragDrop.reset'));
+  }
+
+  // ==================== SETUP ====================
+
+  function initExercise(exercise) {
+    const status = document.createElement('div');
+    status.className = 'sr-only';
+    status.setAttribute('aria-live', 'polite');
+    exercise.appendChild(status);
+
+    const message = document.createElement('p');
+    message.className = 'drag-drop-message hidden';
+    message.setAttribute('role', 'alert');
+    exercise.querySelector('.drag-drop-actions')?.before(message);
+
+    const state = {
+      held: null,
+      suppressClick: false,
+      status,
+      message,
+      checkBtn: exercise.querySelector('.check-drag-drop'),
+      startOrder: getItems(exercise).map(item => item.closest('li') || item)
+    };
+    exercises.set(exercise, state);
+
+    getItems(exercise).forEach(item => {
+      item.setAttribute('aria-pressed', 'false');
+      item.removeAttribute('draggable');  // Pointer events do the dragging
+      initPointer(exercise, item);
+
+      item.addEventListener('click', () => {
+        if (state.suppressClick) {
+          state.suppressClick = false;
+          return;
+        }
+        if (state.held === item) {
+          cancelHeld(exercise);
+        } else {
+          pickUp(exercise, item);
+        }
+      });
+    });
+
+    // Anywhere on a zone but its items drops there - the target button
+    // is what keyboards reach
+    getZones(exercise).forEach(zone => {
+      zone.addEventListener('click', e => {
+        if (e.target.closest('.drag-item')) return;
+        if (state.held) {
+          dropHeld(exercise, zone);
+        } else if (e.target.closest('.drop-zone-target')) {
+          announce(exercise, I18n.t('dragDrop.pickFirst'));
+        }
+      });
+    });
+
+    exercise.addEventListener('keydown', e => {
+      if (!state.held) return;
+      const onControl = e.target.closest('.drag-item, .drop-zone-target');
+      if (!onControl) return;
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelHeld(exercise);
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        focusNextZone(exercise, onControl, 1);
+      } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        focusNextZone(exercise, onControl, -1);
+      }
+    });
+
+    state.checkBtn?.addEventListener('click', () => check(exercise));
+    exercise.querySelector('.reset-drag-drop')?.addEventListener('click', () => reset(exercise));
+  }
+
+  /**
+   * Review launches: exercises can be read but not answered
+   */
+  function lock() {
+    exercises.forEach((state, exercise) => {
+      putDown(exercise);
+      exercise.querySelectorAll('button').forEach(btn => {
+        btn.disabled = true;
+      });
+    });
+  }
+
+  function init() {
+    document.querySelectorAll('[data-drag-drop]').forEach(initExercise);
+  }
+
+  return {
+    init,
+    lock,
+    getResponse,
+    getDefinition
+  };
+})();
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  DragDrop.init();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DragDrop;
+}
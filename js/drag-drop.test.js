@@ -0,0 +1,289 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, settle } = require('../tools/fake-browser');
+
+/**
+ * Just enough of an element tree for DragDrop: tag, class and attribute
+ * selectors (with descendant combinators and lists), closest(), moving
+ * children and bubbling events
+ */
+class Element {
+  constructor(tag, { className = '', dataset = {}, text = '' } = {}, children = []) {
+    this.tagName = tag.toUpperCase();
+    this.classList = new ClassList(className);
+    this.dataset = { ...dataset };
+    this.attributes = {};
+    this.style = {};
+    this.listeners = {};
+    this.parentNode = null;
+    this.children = [];
+    this.ownText = text;
+    this.disabled = false;
+    children.forEach(child => this.appendChild(child));
+  }
+
+  get className() {
+    return [...this.classList.names].join(' ');
+  }
+
+  set className(className) {
+    this.classList = new ClassList(className);
+  }
+
+  get textContent() {
+    return this.ownText + this.children.map(child => child.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.ownText = text;
+  }
+
+  appendChild(child) {
+    if (child.parentNode) child.parentNode.children.splice(child.parentNode.children.indexOf(child), 1);
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  before(node) {
+    const siblings = this.parentNode.children;
+    if (node.parentNode) node.parentNode.children.splice(node.parentNode.children.indexOf(node), 1);
+    node.parentNode = this.parentNode;
+    siblings.splice(siblings.indexOf(this), 0, node);
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  addEventListener(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+  }
+
+  focus() {
+    focused = this;
+  }
+
+  contains(other) {
+    for (let el = other; el; el = el.parentNode) {
+      if (el === this) return true;
+    }
+    return false;
+  }
+
+  descendants() {
+    return this.children.flatMap(child => [child, ...child.descendants()]);
+  }
+
+  matches(selector) {
+    return selector.split(',').some(part => {
+      const [last, ...ancestors] = part.trim().split(/\s+/).reverse();
+      if (!matchesSimple(this, last)) return false;
+      let el = this.parentNode;
+      return ancestors.every(simple => {
+        while (el && !matchesSimple(el, simple)) el = el.parentNode;
+        const found = !!el;
+        el = el?.parentNode;
+        return found;
+      });
+    });
+  }
+
+  closest(selector) {
+    for (let el = this; el; el = el.parentNode) {
+      if (el.matches(selector)) return el;
+    }
+    return null;
+  }
+
+  querySelectorAll(selector) {
+    return this.descendants().filter(el => el.matches(selector));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+class ClassList {
+  constructor(className) {
+    this.names = new Set(className.split(/\s+/).filter(Boolean));
+  }
+
+  add(...names) { names.forEach(name => this.names.add(name)); }
+  remove(...names) { names.forEach(name => this.names.delete(name)); }
+  contains(name) { return this.names.has(name); }
+
+  toggle(name, force = !this.names.has(name)) {
+    if (force) this.names.add(name); else this.names.delete(name);
+    return force;
+  }
+}
+
+function matchesSimple(el, simple) {
+  if (simple.startsWith('.')) return el.classList.contains(simple.slice(1));
+  if (simple.startsWith('[')) {
+    const name = simple.slice(1, -1).replace(/^data-/, '').replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    return name in el.dataset;
+  }
+  return el.tagName === simple.toUpperCase();
+}
+
+let focused = null;
+
+/**
+ * Fire an event at `target` and let it bubble
+ */
+function dispatch(target, type, props = {}) {
+  const event = { type, target, preventDefault() {}, ...props };
+  for (let el = target; el; el = el.parentNode) {
+    (el.listeners[type] || []).forEach(handler => handler(event));
+  }
+}
+
+const h = (tag, options, children) => new Element(tag, options, children);
+
+function zone(id, label, items = []) {
+  return h('div', { className: id ? 'drop-zone' : 'drop-zone drag-tray', dataset: { zone: id } }, [
+    h('button', { className: 'drop-zone-target' }, [h('strong', { text: label })]),
+    h('ul', { className: 'drop-zone-items' }, items.map(([value, text]) =>
+      h('li', {}, [h('button', { className: 'drag-item', dataset: { value } }, [h('strong', { text })])])))
+  ]);
+}
+
+/**
+ * The event routing exercise from index.html, set up by DragDrop.init()
+ */
+async function routingExercise() {
+  const exercise = h('div', { dataset: { dragDrop: '', question: '3-3-routing' } }, [
+    zone('', 'Webhook Events', [
+      ['payment-completed', 'payment.completed'],
+      ['payout-settled', 'payout.settled'],
+      ['account-connected', 'account.connected']
+    ]),
+    zone('billing', 'Billing Service'),
+    zone('notifications', 'Notification Service'),
+    zone('analytics', 'Analytics Service'),
+    h('div', { className: 'quiz-feedback hidden' }, [
+      h('div', { className: 'feedback-correct hidden' }),
+      h('div', { className: 'feedback-incorrect hidden' })
+    ]),
+    h('div', { className: 'drag-drop-actions' }, [
+      h('button', { className: 'check-drag-drop' }),
+      h('button', { className: 'reset-drag-drop' })
+    ])
+  ]);
+
+  const browser = createBrowser();
+  const { window } = browser;
+  window.document.createElement = tag => h(tag);
+  window.document.querySelectorAll = selector => (selector === '[data-drag-drop]' ? [exercise] : []);
+  window.requestAnimationFrame = callback => setTimeout(callback);
+  browser.load('i18n', 'course-definition', 'scoring', 'drag-drop');
+  await browser.run('CourseDefinition.load()');
+  browser.run('DragDrop.init()');
+
+  const item = value => exercise.querySelectorAll('.drag-item').find(el => el.dataset.value === value);
+  const target = id => exercise.querySelectorAll('.drop-zone').find(el => el.dataset.zone === id).querySelector('.drop-zone-target');
+  return {
+    exercise,
+    item,
+    target,
+    status: () => exercise.children.at(-1).textContent,
+    response: () => Array.from(browser.run('DragDrop.getResponse')(exercise)),
+    definition: () => JSON.parse(JSON.stringify(browser.run('DragDrop.getDefinition')(exercise))),
+    lock: () => browser.run('DragDrop.lock()'),
+    // Keyboard and tap: activate an item to pick it up, then a zone to drop it
+    route: (value, id) => {
+      dispatch(item(value), 'click');
+      dispatch(target(id), 'click');
+    }
+  };
+}
+
+test('the response is an item[.]zone pair per item, once every item is placed', async () => {
+  const routing = await routingExercise();
+  routing.route('payment-completed', 'billing');
+  routing.route('account-connected', 'notifications');
+  assert.deepEqual(routing.response(), [], 'one item still in the tray');
+
+  routing.route('payout-settled', 'analytics');
+  assert.deepEqual(routing.response().sort(), [
+    'account-connected[.]notifications',
+    'payment-completed[.]billing',
+    'payout-settled[.]analytics'
+  ]);
+});
+
+test('the definition lists the items as sources and the zones, not the tray, as targets', async () => {
+  const { source, target, interactionType } = (await routingExercise()).definition();
+  assert.equal(interactionType, 'matching');
+  assert.deepEqual(source.map(component => component.id), ['payment-completed', 'payout-settled', 'account-connected']);
+  assert.deepEqual(target.map(component => component.id), ['billing', 'notifications', 'analytics']);
+  assert.equal(target[0].description['en-US'], 'Billing Service');
+});
+
+test('with the keyboard, arrows move between zones and Escape puts the item back', async () => {
+  const routing = await routingExercise();
+  const item = routing.item('payment-completed');
+
+  dispatch(item, 'click');
+  assert.equal(item.getAttribute('aria-pressed'), 'true');
+  dispatch(item, 'keydown', { key: 'ArrowRight' });
+  assert.equal(focused, routing.target('billing'), 'from the tray to the first zone');
+  dispatch(focused, 'keydown', { key: 'ArrowLeft' });
+  assert.equal(focused, routing.target(''), 'and back to the tray');
+
+  dispatch(focused, 'keydown', { key: 'Escape' });
+  assert.equal(item.getAttribute('aria-pressed'), 'false');
+  assert.equal(focused, item);
+  assert.ok(item.closest('.drag-tray'), 'still in the tray');
+
+  dispatch(routing.target('billing'), 'click');
+  assert.ok(item.closest('.drag-tray'), 'a zone does nothing without a held item');
+  await settle();
+  assert.match(routing.status(), /Pick up an event first/);
+});
+
+test('checking scores the routing, and Start over puts every item back', async () => {
+  const routing = await routingExercise();
+  const check = routing.exercise.querySelector('.check-drag-drop');
+
+  dispatch(check, 'click');
+  await settle();
+  assert.match(routing.exercise.querySelector('.drag-drop-message').textContent, /Route every event/);
+
+  routing.route('payment-completed', 'billing');
+  routing.route('account-connected', 'notifications');
+  routing.route('payout-settled', 'analytics');
+  dispatch(check, 'click');
+  await settle();
+  assert.ok(routing.exercise.classList.contains('correct'));
+
+  routing.route('payout-settled', 'billing');
+  dispatch(check, 'click');
+  await settle();
+  assert.ok(routing.exercise.classList.contains('incorrect'));
+
+  dispatch(routing.exercise.querySelector('.reset-drag-drop'), 'click');
+  assert.equal(routing.exercise.querySelector('.drag-tray').querySelectorAll('.drag-item').length, 3);
+  assert.deepEqual(routing.response(), []);
+});
+
+test('a Review launch locks the exercise', async () => {
+  const routing = await routingExercise();
+  dispatch(routing.item('payment-completed'), 'click');
+  routing.lock();
+  assert.equal(routing.item('payment-completed').getAttribute('aria-pressed'), 'false', 'the held item is put down');
+  assert.ok(routing.exercise.querySelectorAll('button').every(button => button.disabled));
+});
@@ -0,0 +1,333 @@
+/**
+ * UI Strings and Language Selection
+ * NovaPay Platform Launch Training
+ *
+ * Picks a language from the learner's cmi5 languagePreference and
+ * translates the course chrome. Markup strings are tagged with
+ * data-i18n="key" and keep their English text in index.html; aria-labels
+ * are tagged with data-i18n-label="key"; strings built in JavaScript go
+ * through I18n.t(). Anything without a
+ * translation falls back to English.
+ */
+
+const I18n = (function() {
+  'use strict';
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  // English for strings that only exist in JavaScript
+  const EN = {
+    'language.en': 'English',
+    'language.es': 'Español',
+
+    'launchMode.Browse': 'Browse mode',
+    'launchMode.Review': 'Review mode',
+    'launchMode.Browse.note': 'Explore freely. Nothing you do in this session is graded or recorded.',
+    'launchMode.Review.note': 'Your previous answers are shown read-only. Nothing in this session is recorded.',
+
+    'a11y.courseContents': 'Course contents',
+    'a11y.toggleMenu': 'Toggle menu',
+    'a11y.previousSection': 'Previous section',
+    'a11y.nextSection': 'Next section',
+    'a11y.sectionPosition': 'Section {n} of {total}',
+    'a11y.playVideo': 'Play video: {title}',
+    'a11y.hotspot': 'Hotspot {n}',
+
+    'quiz.selectOne': 'Please select an answer before continuing.',
+    'quiz.selectMany': 'Please select at least one answer before continuing.',
+    'quiz.enterAnswer': 'Please type your answer before continuing.',
+    'quiz.enterNumber': 'Please enter a number before continuing.',
+    'quiz.matchAll': 'Please choose a match for every item before continuing.',
+    'quiz.chooseMatch': 'Choose a match…',
+    'quiz.moveUp': 'Move up',
+    'quiz.moveDown': 'Move down',
+    'quiz.movedTo': '{item}: position {n} of {total}',
+    'dragDrop.pickedUp': '{item} picked up. Use the arrow keys to choose a service, then press Enter to drop it, or Escape to cancel.',
+    'dragDrop.dropped': '{item} routed to {zone}.',
+    'dragDrop.returned': '{item} moved back to {zone}.',
+    'dragDrop.cancelled': '{item} put back.',
+    'dragDrop.pickFirst': 'Pick up an event first, then choose where it goes.',
+    'dragDrop.placeAll': 'Route every event to a service before checking.',
+    'dragDrop.correct': 'Correct - every event is routed to the right service.',
+    'dragDrop.incorrect': 'Not quite - at least one event is routed to the wrong service.',
+    'dragDrop.reset': 'All events moved back to the start.',
+    'quiz.nextQuestion': 'Next Question',
+    'quiz.continue': 'Continue',
+    'quiz.tryAgain': 'Try Again',
+    'quiz.done': 'Great job completing this knowledge check!',
+    'quiz.scoringFailed': "Your answer couldn't be checked. Please try again.",
+
+    'exam.selectAnswer': 'Please select an answer to continue with the exam.',
+    'exam.attempt': 'Attempt {n}',
+    'exam.progress': 'Question {n} of {total}',
+    'exam.resume': 'Resume Exam',
+    'exam.practiceAttempt': 'Practice attempt',
+    'exam.correct': '✓ Correct!',
+    'exam.incorrect': '✗ Incorrect',
+    'exam.notAnswered': 'Not answered',
+    'exam.passed': 'PASSED',
+    'exam.notPassed': 'NOT YET PASSED',
+    'exam.practiceResult': 'PRACTICE - NOT RECORDED',
+    'exam.retake': 'Retake Exam',
+    'exam.noAttemptsLeft': 'No attempts left',
+    'exam.cooldown': 'Your next attempt opens on {time}.',
+    'exam.lockedOutTitle': 'No Attempts Left',
+    'exam.timeLeft': 'Time left',
+    'exam.timeWarning': '{minutes} minute(s) left',
+    'exam.timeUp': "Time's up - your exam was submitted automatically.",
+    'exam.reviewAnswers': 'Review Answers',
+    'exam.answerReview': 'Answer Review',
+    'exam.reviewAfterPassing': 'Pass the exam to review your answers.',
+    'exam.reviewFailed': "The answer review couldn't be loaded. Please try again.",
+    'exam.yourAnswer': 'Your answer: {answer}',
+    'exam.correctAnswer': 'Correct answer: {answer}',
+    'exam.why': 'Why?',
+    'exam.lockedOut': "You've used all {max} attempts without reaching {pass}%. Your best score was {score}%. Contact your training administrator if you need another attempt.",
+    'exam.bestScore': 'Your best score: {score}%',
+    'exam.notTaken': 'You have not taken the exam yet.',
+    'exam.reviewLastAttempt': 'Your best score: {score}% - your last attempt is shown below.',
+
+    'completion.completing': 'Completing...',
+    'completion.completed': 'Course Completed!',
+    'completion.markComplete': 'Mark Course Complete',
+    'completion.recorded': 'Your completion has been recorded. Use Exit Course to return to your learning system.',
+    'completion.notRecorded': '{mode}: nothing in this session is recorded.',
+
+    'settings.saved': 'Preferences saved.',
+    'settings.saveFailed': "Couldn't save to your learning system. Your choice applies to this session only."
+  };
+
+  const TRANSLATIONS = {
+    es: {
+      'language.en': 'English',
+      'language.es': 'Español',
+
+      // Header and panels
+      'header.progress': 'Progreso:',
+      'header.exit': 'Salir del curso',
+      'header.settings': 'Preferencias',
+      'exit.title': 'Has salido del curso',
+      'exit.message': 'Tu sesión ha terminado. Tu sistema de aprendizaje no indicó una página de regreso, así que ya puedes cerrar esta ventana.',
+      'settings.title': 'Preferencias',
+      'settings.language': 'Idioma',
+      'settings.audio': 'Sonido del juego',
+      'settings.close': 'Cerrar',
+      'settings.saved': 'Preferencias guardadas.',
+      'settings.saveFailed': 'No se pudo guardar en tu sistema de aprendizaje. Tu elección solo se aplica a esta sesión.',
+
+      // Accessibility
+      'a11y.skipToContent': 'Saltar al contenido principal',
+      'a11y.courseContents': 'Contenido del curso',
+      'a11y.toggleMenu': 'Mostrar u ocultar el menú',
+      'a11y.previousSection': 'Sección anterior',
+      'a11y.nextSection': 'Sección siguiente',
+      'a11y.sectionPosition': 'Sección {n} de {total}',
+      'a11y.playVideo': 'Reproducir vídeo: {title}',
+      'a11y.hotspot': 'Punto de interés {n}',
+
+      // Sidebar
+      'module.1': 'Bienvenida y visión general',
+      'module.2': 'Pagos principales',
+      'module.3': 'Herramientas para desarrolladores',
+      'module.4': 'Seguridad y cumplimiento',
+      'module.5': 'Finanzas integradas',
+      'module.6': 'Operaciones de la plataforma',
+      'module.exam': 'Examen final',
+      'module.completion': 'Finalización del curso',
+      'section.1-1': 'Visión general de la plataforma',
+      'section.1-2': 'Novedades de un vistazo',
+      'section.2-1': 'Introducción a los pagos instantáneos',
+      'section.2-2': 'Tu primer flujo de pagos',
+      'section.2-3': 'Demostración interactiva',
+      'section.2-4': 'Comprobación de conocimientos',
+      'section.3-1': 'Visión general de Connect API',
+      'section.3-2': 'Componentes de interfaz integrables',
+      'section.3-3': 'Configuración de Webhooks Pro',
+      'section.3-4': 'Comprobación de conocimientos',
+      'section.4-1': 'Visión general de Fraud Shield',
+      'section.4-2': 'Configuración de Vault y tokenización',
+      'section.4-3': 'Reglas de Compliance Hub',
+      'section.4-4': 'Comprobación de conocimientos',
+      'section.5-1': 'Cuentas integradas',
+      'section.5-2': 'Rieles globales y multidivisa',
+      'section.5-3': 'Analítica de ingresos',
+      'section.6-1': 'Libro mayor en vivo',
+      'section.6-2': 'Enrutamiento inteligente',
+      'section.6-3': 'Permisos y alcances de la API',
+      'section.exam': 'Evaluación final',
+      'section.completion': 'Resumen y certificado',
+
+      // Launch modes
+      'launchMode.Browse': 'Modo exploración',
+      'launchMode.Review': 'Modo revisión',
+      'launchMode.Browse.note': 'Explora libremente. Nada de lo que hagas en esta sesión se califica ni se registra.',
+      'launchMode.Review.note': 'Tus respuestas anteriores se muestran en solo lectura. Nada de esta sesión se registra.',
+
+      // Feature Invaders text alternative
+      'game.alternativeIntro': '¿Prefieres leer? Las mismas 12 funciones están disponibles en una lista, sin necesidad de jugar.',
+      'game.alternativeShow': 'Leer las 12 funciones',
+      'game.alternativeTitle': 'Las 12 nuevas funciones',
+
+      // Knowledge checks
+      'quiz.check': 'Comprobar respuesta',
+      'quiz.submit': 'Enviar',
+      'quiz.selectOne': 'Selecciona una respuesta antes de continuar.',
+      'quiz.selectMany': 'Selecciona al menos una respuesta antes de continuar.',
+      'quiz.enterAnswer': 'Escribe tu respuesta antes de continuar.',
+      'quiz.enterNumber': 'Introduce un número antes de continuar.',
+      'quiz.matchAll': 'Elige una pareja para cada elemento antes de continuar.',
+      'quiz.chooseMatch': 'Elige una pareja…',
+      'quiz.moveUp': 'Subir',
+      'quiz.moveDown': 'Bajar',
+      'quiz.movedTo': '{item}: posición {n} de {total}',
+      'dragDrop.check': 'Comprobar enrutado',
+      'dragDrop.startOver': 'Empezar de nuevo',
+      'dragDrop.pickedUp': '{item} seleccionado. Usa las flechas para elegir un servicio y pulsa Intro para soltarlo, o Escape para cancelar.',
+      'dragDrop.dropped': '{item} enrutado a {zone}.',
+      'dragDrop.returned': '{item} devuelto a {zone}.',
+      'dragDrop.cancelled': '{item} devuelto a su sitio.',
+      'dragDrop.pickFirst': 'Primero elige un evento y luego dónde va.',
+      'dragDrop.placeAll': 'Enruta todos los eventos a un servicio antes de comprobar.',
+      'dragDrop.correct': 'Correcto: cada evento va al servicio adecuado.',
+      'dragDrop.incorrect': 'No del todo: al menos un evento va al servicio equivocado.',
+      'dragDrop.reset': 'Todos los eventos han vuelto al inicio.',
+      'quiz.nextQuestion': 'Siguiente pregunta',
+      'quiz.continue': 'Continuar',
+      'quiz.tryAgain': 'Intentar de nuevo',
+      'quiz.done': '¡Buen trabajo al completar esta comprobación de conocimientos!',
+      'quiz.scoringFailed': 'No se pudo comprobar tu respuesta. Inténtalo de nuevo.',
+
+      // Final exam
+      'exam.start': 'Comenzar examen',
+      'exam.submit': 'Enviar respuesta',
+      'exam.complete': '¡Examen completado!',
+      'exam.thisAttempt': 'Este intento:',
+      'exam.best': 'Mejor puntuación:',
+      'exam.attemptsRemaining': 'intento(s) restante(s)',
+      'exam.completeCourse': 'Completar curso',
+      'exam.selectAnswer': 'Selecciona una respuesta para continuar con el examen.',
+      'exam.attempt': 'Intento {n}',
+      'exam.progress': 'Pregunta {n} de {total}',
+      'exam.resume': 'Reanudar examen',
+      'exam.practiceAttempt': 'Intento de práctica',
+      'exam.correct': '✓ ¡Correcto!',
+      'exam.incorrect': '✗ Incorrecto',
+      'exam.notAnswered': 'Sin responder',
+      'exam.passed': 'APROBADO',
+      'exam.notPassed': 'AÚN NO APROBADO',
+      'exam.practiceResult': 'PRÁCTICA - NO SE REGISTRA',
+      'exam.retake': 'Repetir examen',
+      'exam.noAttemptsLeft': 'No quedan intentos',
+      'exam.cooldown': 'Tu próximo intento estará disponible el {time}.',
+      'exam.lockedOutTitle': 'No quedan intentos',
+      'exam.timeLeft': 'Tiempo restante',
+      'exam.timeWarning': 'Queda(n) {minutes} minuto(s)',
+      'exam.timeUp': 'Se acabó el tiempo: tu examen se envió automáticamente.',
+      'exam.reviewAnswers': 'Revisar respuestas',
+      'exam.answerReview': 'Revisión de respuestas',
+      'exam.reviewAfterPassing': 'Aprueba el examen para revisar tus respuestas.',
+      'exam.reviewFailed': 'No se pudo cargar la revisión de respuestas. Inténtalo de nuevo.',
+      'exam.yourAnswer': 'Tu respuesta: {answer}',
+      'exam.correctAnswer': 'Respuesta correcta: {answer}',
+      'exam.why': '¿Por qué?',
+      'exam.lockedOut': 'Has usado los {max} intentos sin llegar al {pass}%. Tu mejor puntuación fue {score}%. Contacta con el administrador de la formación si necesitas otro intento.',
+      'exam.bestScore': 'Tu mejor puntuación: {score}%',
+      'exam.notTaken': 'Aún no has hecho el examen.',
+      'exam.reviewLastAttempt': 'Tu mejor puntuación: {score}% - abajo se muestra tu último intento.',
+
+      // Completion
+      'completion.timeSpent': 'Tiempo dedicado',
+      'completion.sectionsCompleted': 'Secciones completadas',
+      'completion.quizScore': 'Puntuación',
+      'completion.markComplete': 'Marcar curso como completado',
+      'completion.note': 'Esto registrará que has completado el curso en el sistema de gestión del aprendizaje.',
+      'completion.completing': 'Completando...',
+      'completion.completed': '¡Curso completado!',
+      'completion.recorded': 'Se ha registrado que completaste el curso. Usa Salir del curso para volver a tu sistema de aprendizaje.',
+      'completion.notRecorded': '{mode}: nada de esta sesión se registra.'
+    }
+  };
+
+  const SUPPORTED_LANGUAGES = [DEFAULT_LANGUAGE, ...Object.keys(TRANSLATIONS)];
+
+  let currentLanguage = DEFAULT_LANGUAGE;
+  let markupStrings = {};  // English text of data-i18n elements, read from the page
+
+  /**
+   * Pick the first supported language from a cmi5 languagePreference
+   * ("es-MX,en-US" -> "es"). Falls back to English.
+   */
+  function resolveLanguage(languagePreference) {
+    const tags = (languagePreference || '').split(',');
+    for (const tag of tags) {
+      const primary = tag.trim().toLowerCase().split('-')[0];
+      if (SUPPORTED_LANGUAGES.includes(primary)) {
+        return primary;
+      }
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Remember the English text of data-i18n elements under root
+   */
+  function readMarkupStrings(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      if (!(el.dataset.i18n in markupStrings)) {
+        markupStrings[el.dataset.i18n] = el.textContent.trim();
+      }
+    });
+  }
+
+  /**
+   * Look up a UI string, filling {placeholders} from vars
+   */
+  function t(key, vars = {}) {
+    const table = TRANSLATIONS[currentLanguage] || {};
+    let text = table[key] ?? EN[key] ?? markupStrings[key] ?? key;
+
+    Object.keys(vars).forEach(name => {
+      text = text.replace(`{${name}}`, vars[name]);
+    });
+    return text;
+  }
+
+  /**
+   * Translate data-i18n elements under root into the current language.
+   * Call for markup added after startup (e.g. the generated sidebar).
+   */
+  function apply(root = document) {
+    readMarkupStrings(root);
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    // Accessible names with no visible text: the English is in EN
+    root.querySelectorAll('[data-i18n-label]').forEach(el => {
+      el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+    });
+  }
+
+  /**
+   * Switch language and re-translate the page
+   */
+  function setLanguage(languagePreference) {
+    currentLanguage = resolveLanguage(languagePreference);
+    document.documentElement.lang = currentLanguage;
+    apply(document);
+    return currentLanguage;
+  }
+
+  return {
+    t,
+    apply,
+    setLanguage,
+    resolveLanguage,
+    getLanguage: () => currentLanguage,
+    getSupportedLanguages: () => [...SUPPORTED_LANGUAGES]
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
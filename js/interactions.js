@@ -11,7 +11,64 @@ const Interactions = (function() {
   let examBestScore = 0;
   let examQuestionIndex = 0;
   let examAnswers = [];
-  const MAX_EXAM_ATTEMPTS = 99;
+  let examForm = null;         // This attempt's questions: { items: [ids], options: { id: [values] } }
+  let examInProgress = false;  // An attempt was started and not finished - it can be resumed
+  let examLastFinishedAt = null;  // When the last graded attempt was scored (for the cooldown)
+  let examStartedAt = null;       // When this attempt started - anchors the time limit
+  let examQuestionShownAt = null; // When the current question was shown
+  let examTimedOut = false;
+  let examStateLoaded = false;    // Don't overwrite saved exam state before it's been read
+  let cooldownTimer = null;
+  let examTimer = null;
+  let timerWarningsGiven = new Set();
+
+  const TIMER_WARNING_MINUTES = [5, 1];  // Announced to screen readers as time runs down
+  let launchMode = 'Normal';  // cmi5 launch mode - Browse/Review are not graded
+
+  /**
+   * Set a translatable label - it follows later language changes too
+   */
+  function setLabel(el, key) {
+    el.dataset.i18n = key;
+    el.textContent = I18n.t(key);
+  }
+
+  /**
+   * Exam attempt limit - course.json, or the AU's launch parameters
+   */
+  function getMaxAttempts() {
+    return Course.getAttemptPolicy().maxAttempts;
+  }
+
+  function getCooldownMs() {
+    return Course.getAttemptPolicy().cooldownMinutes * 60 * 1000;
+  }
+
+  function getPassThreshold() {
+    return Course.getPassThreshold();
+  }
+
+  // ==================== FOCUS AND ANNOUNCEMENTS ====================
+
+  /**
+   * Read a message out through the course's live region
+   */
+  function announce(message) {
+    if (message && typeof Course !== 'undefined') {
+      Course.announce(message);
+    }
+  }
+
+  /**
+   * Move focus to a container's heading. Used when the content the
+   * learner was on is hidden, so focus isn't dropped back to the page.
+   */
+  function focusHeading(container) {
+    const heading = container?.querySelector('h2, h3');
+    if (!heading) return;
+    heading.setAttribute('tabindex', '-1');
+    heading.focus();
+  }
 
   // ==================== INLINE ERROR MESSAGES ====================
   // Replace alert() popups with user-friendly inline messages
@@ -121,68 +178,68 @@ const Interactions = (function() {
     addInlineMessageStyles();
 
     initFeatureCards();
+    initGameAlternative();
+    initVideoThumbnails();
     initAccordions();
     initPostBuilderDemo();
     initKnowledgeChecks();
     initFinalExam();
     initWorkflowToggle();
-    initDragAndDrop();
     initExclusionRuleBuilder();
     initHotspots();
     initCompleteCourseButton();
 
-    // Check if LMS reset the learner - if so, clear local exam state
-    checkForLMSReset();
-
-    // Load exam state from localStorage
-    loadExamState();
+    // Exam rules come from course.json and the launch parameters. Then
+    // load exam state (LRS state document, or localStorage in standalone)
+    // and lock things down for Browse/Review launches. The state document
+    // is per registration, so a progress reset in the LMS (a new
+    // registration) starts from an empty one.
+    const launched = typeof Cmi5 !== 'undefined' ? Cmi5.ready() : null;
+    Promise.all([CourseDefinition.load(), launched])
+      .then(() => {
+        if (typeof Cmi5 !== 'undefined') launchMode = Cmi5.getLaunchMode();
+        showExamRules();
+        return loadExamState();
+      })
+      .then(applyLaunchMode)
+      .catch(() => {});  // Logged by CourseDefinition
   }
 
   /**
-   * Check if the LMS has reset the learner's progress
-   * This happens when you reset learner progress in SCORM Cloud
-   * We detect this by comparing session IDs - a new session means fresh start
+   * Whether answers in this session count (cmi5 Normal launch)
    */
-  function checkForLMSReset() {
-    try {
-      // Get the current cmi5 session ID (from the LMS launch)
-      const currentSessionId = typeof Cmi5 !== 'undefined' && Cmi5.isConnected()
-        ? Cmi5.getConfig().sessionId
-        : null;
-
-      if (!currentSessionId) {
-        // Not in LMS context, keep local state
-        return;
-      }
-
-      // Get the last known session ID from localStorage
-      const lastSessionId = localStorage.getItem('novapay-platform-launch-last-session-id');
-
-      // If we have a different session ID, the LMS gave us a fresh launch
-      // This indicates a potential reset - clear local state
-      if (lastSessionId && lastSessionId !== currentSessionId) {
-        console.log('[Interactions] New cmi5 session detected - clearing local exam state');
-        console.log('  Previous session:', lastSessionId);
-        console.log('  Current session:', currentSessionId);
-
-        // Clear exam state
-        localStorage.removeItem('novapay-platform-launch-exam-state');
+  function isGraded() {
+    return launchMode === 'Normal';
+  }
 
-        // Also clear course state (progress tracking)
-        localStorage.removeItem('novapay-platform-launch-course-state');
+  /**
+   * Adapt the exam and completion screens to the cmi5 launch mode.
+   * Browse: exam can be tried for practice, nothing is recorded.
+   * Review: read-only, shows the learner's last exam attempt.
+   */
+  function applyLaunchMode() {
+    if (typeof Cmi5 === 'undefined') return;
 
-        // Reset in-memory state
-        examAttempts = 0;
-        examBestScore = 0;
-        examQuestionIndex = 0;
-        examAnswers = [];
-      }
+    launchMode = Cmi5.getLaunchMode();
+    if (isGraded()) return;
 
-      // Save current session ID for next launch comparison
-      localStorage.setItem('novapay-platform-launch-last-session-id', currentSessionId);
+    if (launchMode === 'Review') {
+      lockKnowledgeChecks();
+      if (typeof DragDrop !== 'undefined') DragDrop.lock();
+      showExamReview();
+    } else {
+      updateExamUI();  // Practice isn't limited by used attempts
+    }
 
-    } catch (e) {
-      console.warn('Could not check for LMS reset:', e);
+    // Nothing to mark complete - leaving is done with Exit Course
+    const completeBtn = document.getElementById('completeCourseBtn');
+    if (completeBtn) {
+      completeBtn.classList.add('hidden');
+    }
+    const completionNote = document.querySelector('.completion-note');
+    if (completionNote) {
+      delete completionNote.dataset.i18n;
+      completionNote.textContent = I18n.t('completion.notRecorded', { mode: I18n.t(`launchMode.${launchMode}`) });
     }
   }
 
@@ -2523,6 +2580,8 @@ const Interactions = (function() {
 
     // === INPUT HANDLERS ===
     document.addEventListener('keydown', (e) => {
+      // Only while a round is on - otherwise Space belongs to the focused button
+      if (!gameRunning) return;
       const section = document.getElementById('section-1-2');
       if (!section || section.classList.contains('hidden')) return;
 
@@ -2825,6 +2884,15 @@ const Interactions = (function() {
       });
     }
 
+    // Apply the learner's audioPreference (called from settings.js)
+    window._setGameSoundEnabled = (enabled) => {
+      soundEnabled = enabled;
+      soundToggle?.classList.toggle('muted', !enabled);
+      if (!enabled) {
+        stopMusic();
+      }
+    };
+
     // Load features, high score, and build checklist on init
     loadFeatures();
     loadHighScore();
@@ -2836,24 +2904,89 @@ const Interactions = (function() {
     console.log('[FeatureInvaders] v34 ULTIMATE EDITION Initialized');
   }
 
+  /**
+   * Feature Invaders text alternative: the game's 12 features as a plain
+   * list, for learners who can't or would rather not play
+   */
+  function initGameAlternative() {
+    const toggle = document.querySelector('.game-alternative-toggle');
+    const content = document.getElementById(toggle?.getAttribute('aria-controls'));
+    const list = content?.querySelector('.feature-list');
+    const dataSource = document.getElementById('game-features-data');
+    if (!toggle || !list || !dataSource) return;
+
+    list.innerHTML = '';
+    Array.from(dataSource.children).forEach(el => {
+      const item = document.createElement('li');
+      item.className = 'feature-list-item';
+      item.innerHTML = '<h3><span class="feature-list-icon" aria-hidden="true"></span> <span class="feature-list-title"></span></h3><p></p>';
+      item.querySelector('.feature-list-icon').textContent = el.dataset.icon;
+      item.querySelector('.feature-list-title').textContent = el.dataset.title;
+      item.querySelector('p').textContent = el.dataset.desc;
+      list.appendChild(item);
+    });
+
+    toggle.addEventListener('click', () => {
+      const open = toggle.getAttribute('aria-expanded') !== 'true';
+      toggle.setAttribute('aria-expanded', open);
+      content.classList.toggle('hidden', !open);
+    });
+  }
+
+  /**
+   * Video thumbnails are clickable divs - give them a role, a name and
+   * the keyboard
+   */
+  function initVideoThumbnails() {
+    document.querySelectorAll('.video-thumbnail').forEach(thumbnail => {
+      const title = thumbnail.querySelector('img')?.alt || '';
+      thumbnail.setAttribute('role', 'button');
+      thumbnail.setAttribute('tabindex', '0');
+      thumbnail.setAttribute('aria-label', I18n.t('a11y.playVideo', { title }));
+      thumbnail.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
+
+      thumbnail.addEventListener('keydown', e => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        if (thumbnail.classList.contains('playing')) return;
+        e.preventDefault();
+        thumbnail.click();
+      });
+      // The player takes over - the wrapper is no longer a button
+      thumbnail.addEventListener('click', () => {
+        thumbnail.removeAttribute('role');
+        thumbnail.removeAttribute('tabindex');
+      });
+    });
+  }
+
   /**
    * Accordions
    */
   function initAccordions() {
-    document.querySelectorAll('.accordion-header').forEach(header => {
+    document.querySelectorAll('.accordion-header').forEach((header, index) => {
+      const item = header.parentElement;
+      const content = item.querySelector('.accordion-content');
+      if (content) {
+        content.id = content.id || `accordion-content-${index + 1}`;
+        header.setAttribute('aria-controls', content.id);
+      }
+      header.setAttribute('aria-expanded', item.classList.contains('open'));
+      header.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
+
       header.addEventListener('click', () => {
-        const item = header.parentElement;
         const wasOpen = item.classList.contains('open');
 
         // Close all items in this accordion
         const accordion = item.parentElement;
         accordion.querySelectorAll('.accordion-item').forEach(i => {
           i.classList.remove('open');
+          i.querySelector('.accordion-header')?.setAttribute('aria-expanded', 'false');
         });
 
         // Toggle clicked item
         if (!wasOpen) {
           item.classList.add('open');
+          header.setAttribute('aria-expanded', 'true');
         }
       });
     });
@@ -2988,45 +3121,47 @@ const Interactions = (function() {
       // Add a continue button (hidden initially)
       const continueBtn = document.createElement('button');
       continueBtn.className = 'btn btn-primary knowledge-check-continue hidden';
-      continueBtn.innerHTML = index < questions.length - 1
-        ? 'Next Question <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M6 3l5 5-5 5"/></svg>'
-        : 'Continue <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M6 3l5 5-5 5"/></svg>';
+      const continueKey = index < questions.length - 1 ? 'quiz.nextQuestion' : 'quiz.continue';
+      continueBtn.innerHTML = `<span data-i18n="${continueKey}">${I18n.t(continueKey)}</span> <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M6 3l5 5-5 5"/></svg>`;
       checkBtn.parentNode.insertBefore(continueBtn, checkBtn.nextSibling);
 
       // Add a retry button (hidden initially)
       const retryBtn = document.createElement('button');
       retryBtn.className = 'btn btn-secondary knowledge-check-retry hidden';
-      retryBtn.textContent = 'Try Again';
+      setLabel(retryBtn, 'quiz.tryAgain');
       checkBtn.parentNode.insertBefore(retryBtn, continueBtn);
 
       // Handle check answer
-      checkBtn.addEventListener('click', () => {
+      checkBtn.addEventListener('click', async () => {
         try {
-          const isMulti = checkBtn.classList.contains('check-answer-multi');
-          const result = isMulti
-            ? checkKnowledgeAnswerMulti(question, checkBtn)
-            : checkKnowledgeAnswer(question, checkBtn);
+          checkBtn.disabled = true;
+          const result = await checkKnowledgeAnswer(question);
+          checkBtn.disabled = false;
 
           // Only update UI if user actually answered
           if (!result.answered) {
             return; // User didn't select anything, alert was shown
           }
 
-          // Show appropriate buttons
-          if (result.isCorrect) {
+          // Show appropriate buttons - an unscored (likert) answer just moves on
+          if (result.isCorrect !== false) {
             continueBtn.classList.remove('hidden');
             retryBtn.classList.add('hidden');
             checkBtn.classList.add('hidden');
+            continueBtn.focus();
           } else {
             retryBtn.classList.remove('hidden');
             continueBtn.classList.remove('hidden'); // Can still continue even if wrong
             checkBtn.classList.add('hidden');
+            retryBtn.focus();
           }
         } catch (error) {
           console.error('Error checking answer:', error);
-          // Still show continue button so user isn't stuck
+          // Couldn't score it - let the learner try again, and don't leave them stuck
+          QuestionTypes.setDisabled(question, false);
+          checkBtn.disabled = false;
+          showInlineMessage(question, I18n.t('quiz.scoringFailed'), 'error');
           continueBtn.classList.remove('hidden');
-          checkBtn.classList.add('hidden');
         }
       });
 
@@ -3036,6 +3171,7 @@ const Interactions = (function() {
         retryBtn.classList.add('hidden');
         continueBtn.classList.add('hidden');
         checkBtn.classList.remove('hidden');
+        focusHeading(question);
       });
 
       // Handle continue
@@ -3044,6 +3180,7 @@ const Interactions = (function() {
           // Go to next question
           question.classList.add('hidden');
           questions[index + 1].classList.remove('hidden');
+          focusHeading(questions[index + 1]);
         } else {
           // Show completion and navigate to next section
           const results = container.querySelector('.quiz-results');
@@ -3054,116 +3191,125 @@ const Interactions = (function() {
             // Update results text for knowledge check
             const resultsText = results.querySelector('.results-score');
             if (resultsText) {
-              resultsText.textContent = 'Great job completing this knowledge check!';
+              resultsText.textContent = I18n.t('quiz.done');
             }
+            focusHeading(results);
           }
         }
       });
     });
   }
 
-  function checkKnowledgeAnswer(question, btn) {
-    const selectedOption = question.querySelector('input[type="radio"]:checked');
+  async function checkKnowledgeAnswer(question) {
+    const response = QuestionTypes.getResponse(question);
 
-    if (!selectedOption) {
-      showInlineMessage(question, 'Please select an answer before continuing.', 'warning');
+    if (response.length === 0) {
+      showInlineMessage(question, I18n.t(QuestionTypes.getMissingResponseMessage(question)), 'warning');
       return { isCorrect: false, answered: false };
     }
 
-    const correctAnswer = btn.dataset.correct;
-    const isCorrect = selectedOption.value === correctAnswer;
-    const feedback = question.querySelector('.quiz-feedback');
-    const feedbackCorrect = question.querySelector('.feedback-correct');
-    const feedbackIncorrect = question.querySelector('.feedback-incorrect');
-
-    // Show feedback
-    if (feedback) feedback.classList.remove('hidden');
-    if (feedbackCorrect) feedbackCorrect.classList.toggle('hidden', !isCorrect);
-    if (feedbackIncorrect) feedbackIncorrect.classList.toggle('hidden', isCorrect);
-
-    // Highlight options
-    question.querySelectorAll('.quiz-option').forEach(option => {
-      const input = option.querySelector('input');
-      option.classList.remove('correct', 'incorrect');
-      if (input.value === correctAnswer) {
-        option.classList.add('correct');
-      } else if (input.checked && !isCorrect) {
-        option.classList.add('incorrect');
-      }
-    });
-
-    // Disable inputs temporarily
-    question.querySelectorAll('input').forEach(input => {
-      input.disabled = true;
-    });
-
-    return { isCorrect, answered: true };
+    const result = await scoreKnowledgeAnswer(question, response);
+    Course.recordKnowledgeResponse(question.dataset.question, response);
+    return result;
   }
 
-  function checkKnowledgeAnswerMulti(question, btn) {
-    const selectedOptions = question.querySelectorAll('input[type="checkbox"]:checked');
-
-    if (selectedOptions.length === 0) {
-      showInlineMessage(question, 'Please select at least one answer before continuing.', 'warning');
-      return { isCorrect: false, answered: false };
-    }
-
-    const correctAnswers = btn.dataset.correct.split(',');
-    const selectedValues = Array.from(selectedOptions).map(opt => opt.value);
+  /**
+   * Score a knowledge check response and show feedback. The key isn't in
+   * the page, so only the learner's own response is marked right or wrong.
+   * Likert answers aren't scored: isCorrect is null.
+   */
+  async function scoreKnowledgeAnswer(question, response) {
+    // Lock the question while the answer is checked
+    QuestionTypes.setDisabled(question, true);
 
-    const isCorrect = correctAnswers.length === selectedValues.length &&
-      correctAnswers.every(a => selectedValues.includes(a));
+    const isCorrect = QuestionTypes.isScored(question)
+      ? await Scoring.check(question.dataset.question, response, QuestionTypes.getType(question))
+      : null;
 
     const feedback = question.querySelector('.quiz-feedback');
     const feedbackCorrect = question.querySelector('.feedback-correct');
     const feedbackIncorrect = question.querySelector('.feedback-incorrect');
+    const feedbackRecorded = question.querySelector('.feedback-recorded');
 
     // Show feedback
     if (feedback) feedback.classList.remove('hidden');
-    if (feedbackCorrect) feedbackCorrect.classList.toggle('hidden', !isCorrect);
-    if (feedbackIncorrect) feedbackIncorrect.classList.toggle('hidden', isCorrect);
-
-    // Highlight options
-    question.querySelectorAll('.quiz-option').forEach(option => {
-      const input = option.querySelector('input');
-      option.classList.remove('correct', 'incorrect');
-      if (correctAnswers.includes(input.value)) {
-        option.classList.add('correct');
-      } else if (input.checked) {
-        option.classList.add('incorrect');
-      }
-    });
+    if (feedbackCorrect) feedbackCorrect.classList.toggle('hidden', isCorrect !== true);
+    if (feedbackIncorrect) feedbackIncorrect.classList.toggle('hidden', isCorrect !== false);
+    if (feedbackRecorded) feedbackRecorded.classList.toggle('hidden', isCorrect !== null);
 
-    // Disable inputs temporarily
-    question.querySelectorAll('input').forEach(input => {
-      input.disabled = true;
-    });
+    QuestionTypes.markResponse(question, isCorrect);
+
+    const shown = [feedbackCorrect, feedbackIncorrect, feedbackRecorded]
+      .find(el => el && !el.classList.contains('hidden'));
+    announce(shown?.querySelector('span:not(.feedback-icon)')?.textContent.trim());
 
     return { isCorrect, answered: true };
   }
 
   function resetKnowledgeQuestion(question) {
-    // Clear selections
-    question.querySelectorAll('input').forEach(input => {
-      input.checked = false;
-      input.disabled = false;
+    // Clear the response and its highlighting
+    QuestionTypes.reset(question);
+
+    // Hide feedback
+    question.querySelectorAll('.quiz-feedback, .feedback-correct, .feedback-incorrect, .feedback-recorded').forEach(el => {
+      el.classList.add('hidden');
     });
+  }
 
-    // Clear highlighting
-    question.querySelectorAll('.quiz-option').forEach(option => {
-      option.classList.remove('correct', 'incorrect');
+  /**
+   * Review mode: knowledge checks show the learner's last responses and
+   * can be stepped through, but not answered
+   */
+  function lockKnowledgeChecks() {
+    const questions = document.querySelectorAll('.quiz-container:not(#final-exam) .quiz-question');
+    questions.forEach(question => {
+      QuestionTypes.setDisabled(question, true);
+      question.querySelectorAll('.check-answer, .check-answer-multi').forEach(btn => {
+        btn.disabled = true;
+      });
+      question.querySelector('.knowledge-check-continue')?.classList.remove('hidden');
     });
 
-    // Hide feedback
-    const feedback = question.querySelector('.quiz-feedback');
-    if (feedback) feedback.classList.add('hidden');
-    const feedbackCorrect = question.querySelector('.feedback-correct');
-    if (feedbackCorrect) feedbackCorrect.classList.add('hidden');
-    const feedbackIncorrect = question.querySelector('.feedback-incorrect');
-    if (feedbackIncorrect) feedbackIncorrect.classList.add('hidden');
+    Course.getKnowledgeResponses().then(responses => {
+      questions.forEach(question => {
+        const response = responses[question.dataset.question];
+        if (response) QuestionTypes.showResponse(question, response);
+      });
+    });
   }
 
-  // ==================== FINAL EXAM (Graded - 10 Questions, 3 Attempts) ====================
+  // ==================== FINAL EXAM (Graded - rules from course.json) ====================
+
+  /**
+   * Fill the exam intro's question count, pass mark, attempt limit,
+   * cooldown and time limit
+   */
+  function showExamRules() {
+    const questionCount = CourseDefinition.getExamLength();
+    const threshold = getPassThreshold();
+    const { maxAttempts, cooldownMinutes, timeLimitMinutes } = Course.getAttemptPolicy();
+    const values = {
+      questionCount,
+      passPercent: Math.round(threshold * 100),
+      passCorrect: Math.ceil(threshold * questionCount),
+      maxAttempts,
+      cooldownMinutes,
+      timeLimitMinutes
+    };
+
+    document.querySelectorAll('[data-exam-rule]').forEach(el => {
+      el.textContent = values[el.dataset.examRule];
+    });
+
+    const cooldownRule = document.getElementById('exam-cooldown-rule');
+    if (cooldownRule) {
+      cooldownRule.classList.toggle('hidden', !cooldownMinutes || maxAttempts === 1);
+    }
+    const timeLimitRule = document.getElementById('exam-time-limit-rule');
+    if (timeLimitRule) {
+      timeLimitRule.classList.toggle('hidden', !timeLimitMinutes);
+    }
+  }
 
   /**
    * Initialize Final Exam
@@ -3173,21 +3319,31 @@ const Interactions = (function() {
     if (!examContainer) return;
 
     const startBtn = document.getElementById('start-exam-btn');
+    const resumeBtn = document.getElementById('resume-exam-btn');
     const retakeBtn = document.getElementById('retake-exam-btn');
 
     if (startBtn) {
       startBtn.addEventListener('click', () => startExam());
     }
 
+    if (resumeBtn) {
+      resumeBtn.addEventListener('click', () => resumeExam());
+    }
+
     if (retakeBtn) {
       retakeBtn.addEventListener('click', () => startExam());
     }
 
+    const reviewBtn = document.getElementById('exam-review-btn');
+    if (reviewBtn) {
+      reviewBtn.addEventListener('click', () => openAnswerReview());
+    }
+
     // Initialize exam question handlers
-    examContainer.querySelectorAll('.exam-question').forEach((question, index) => {
+    examContainer.querySelectorAll('.exam-question').forEach(question => {
       const submitBtn = question.querySelector('.submit-exam-answer');
       if (submitBtn) {
-        submitBtn.addEventListener('click', () => submitExamAnswer(index));
+        submitBtn.addEventListener('click', () => submitExamAnswer(question));
       }
     });
 
@@ -3195,79 +3351,408 @@ const Interactions = (function() {
     updateExamUI();
   }
 
+  // ==================== EXAM FORMS ====================
+  // Every attempt draws its questions from the pools in course.json and
+  // shuffles question and option order (sequence items and matching rows
+  // too). The form is saved with the exam state so a resumed attempt - or
+  // a Review launch - shows the same one.
+
+  function shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  function getExamItem(itemId) {
+    return document.querySelector(`#final-exam .exam-question[data-question="${itemId}"]`);
+  }
+
+  /**
+   * Draw a new form: N of M items from each pool, in random order
+   */
+  function assembleExamForm() {
+    const rules = CourseDefinition.getExamRules();
+    const drawn = [];
+    CourseDefinition.getExamPools().forEach(pool => {
+      drawn.push(...shuffle(pool.items).slice(0, pool.draw));
+    });
+
+    const items = shuffle(drawn).filter(itemId => getExamItem(itemId));
+    const options = {};
+    if (rules.shuffleOptions !== false) {
+      items.forEach(itemId => {
+        const values = QuestionTypes.getOrder(getExamItem(itemId));
+        if (values.length) options[itemId] = shuffle(values);
+      });
+    }
+    return { items, options };
+  }
+
+  /**
+   * Exam state saved before question pools existed: the first ten
+   * questions in page order
+   */
+  function legacyExamForm() {
+    const items = Array.from(document.querySelectorAll('#final-exam .exam-question'))
+      .slice(0, examAnswers.length)
+      .map(question => question.dataset.question);
+    return { items, options: {} };
+  }
+
+  /**
+   * Put the form's questions and options in order and number them
+   */
+  function applyExamForm(form) {
+    const results = document.getElementById('exam-results');
+
+    form.items.forEach((itemId, index) => {
+      const question = getExamItem(itemId);
+      if (!question) return;
+
+      // Page order follows the form so reading order matches
+      results.parentNode.insertBefore(question, results);
+
+      QuestionTypes.applyOrder(question, form.options[itemId] || []);
+
+      const progress = question.querySelector('.exam-progress');
+      if (progress) {
+        progress.textContent = I18n.t('exam.progress', { n: index + 1, total: form.items.length });
+      }
+    });
+  }
+
+  function showExamQuestion(index) {
+    const current = getExamItem(examForm.items[index]);
+    document.querySelectorAll('.exam-question').forEach(question => {
+      question.classList.toggle('hidden', question !== current);
+    });
+    focusHeading(current);
+  }
+
+  function showAttemptCount() {
+    const attemptDisplay = document.getElementById('exam-attempt-count');
+    if (attemptDisplay) {
+      attemptDisplay.textContent = isGraded()
+        ? I18n.t('exam.attempt', { n: examAttempts })
+        : I18n.t('exam.practiceAttempt');
+    }
+  }
+
+  // ==================== ATTEMPT POLICY ====================
+
+  /**
+   * Every attempt used without passing - the exam is closed for good
+   */
+  function isLockedOut() {
+    return isGraded() && !examInProgress &&
+      examAttempts >= getMaxAttempts() && examBestScore < getPassThreshold();
+  }
+
+  /**
+   * Milliseconds until the next attempt may start (0 when it can start now)
+   */
+  function getCooldownRemaining() {
+    if (!isGraded() || !examLastFinishedAt || examAttempts >= getMaxAttempts()) return 0;
+    return Math.max(examLastFinishedAt + getCooldownMs() - now(), 0);
+  }
+
+  function formatAvailableAt(timestamp) {
+    return new Date(timestamp).toLocaleString(I18n.getLanguage(), { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  /**
+   * Say when the next attempt opens, and refresh the exam screen then
+   */
+  function showCooldown(remaining) {
+    const notices = document.querySelectorAll('.exam-cooldown');
+    notices.forEach(notice => {
+      notice.textContent = remaining > 0
+        ? I18n.t('exam.cooldown', { time: formatAvailableAt(Date.now() + remaining) })
+        : '';
+      notice.classList.toggle('hidden', remaining === 0);
+    });
+
+    clearTimeout(cooldownTimer);
+    if (remaining > 0) {
+      // setTimeout can't wait longer than ~24.8 days - check again then
+      cooldownTimer = setTimeout(refreshAttemptButtons, Math.min(remaining + 1000, 2 ** 31 - 1));
+    }
+  }
+
+  function refreshAttemptButtons() {
+    const results = document.getElementById('exam-results');
+    if (results && !results.classList.contains('hidden')) {
+      updateRetakeButton();
+    } else {
+      updateExamUI();
+    }
+  }
+
+  /**
+   * Replace the exam with the lockout screen and let Course send failed
+   */
+  function showLockout() {
+    const intro = document.getElementById('exam-intro');
+    const lockout = document.getElementById('exam-lockout');
+    const message = document.getElementById('exam-lockout-message');
+
+    if (intro) intro.classList.add('hidden');
+    if (message) {
+      message.textContent = I18n.t('exam.lockedOut', {
+        max: getMaxAttempts(),
+        pass: Math.round(getPassThreshold() * 100),
+        score: Math.round(examBestScore * 100)
+      });
+    }
+    if (lockout) lockout.classList.remove('hidden');
+
+    if (typeof Course !== 'undefined') {
+      Course.lockOutExam();
+    }
+  }
+
+  // ==================== EXAM TIMER ====================
+  // A timed attempt's deadline is its saved start time plus the limit, so
+  // reloading or resuming later doesn't restart the countdown.
+
+  /**
+   * Clock for exam timing - see Cmi5.now()
+   */
+  function now() {
+    return typeof Cmi5 !== 'undefined' ? Cmi5.now() : Date.now();
+  }
+
+  /**
+   * Time on the current question. Never negative: now() moves back a
+   * little when the LRS clock is re-read (its Date header has one-second
+   * resolution).
+   */
+  function examQuestionElapsed() {
+    return Math.max(0, now() - examQuestionShownAt);
+  }
+
+  function getTimeLimitMs() {
+    return Course.getAttemptPolicy().timeLimitMinutes * 60 * 1000;
+  }
+
+  /**
+   * Milliseconds left in this attempt, or null when the exam isn't timed
+   */
+  function getTimeRemaining() {
+    const limit = getTimeLimitMs();
+    if (!limit || !examStartedAt) return null;
+    return Math.max(examStartedAt + limit - now(), 0);
+  }
+
+  function formatCountdown(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds % 3600 / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
+
+  function startExamTimer() {
+    stopExamTimer();
+    if (getTimeRemaining() === null) return;
+
+    // Warnings already behind a resumed attempt aren't announced
+    const remainingMinutes = getTimeRemaining() / 60000;
+    timerWarningsGiven = new Set(TIMER_WARNING_MINUTES.filter(minutes => minutes >= remainingMinutes));
+
+    const timer = document.getElementById('exam-timer');
+    if (timer) timer.classList.remove('hidden');
+    tickExamTimer();
+    examTimer = setInterval(tickExamTimer, 1000);
+  }
+
+  function stopExamTimer() {
+    clearInterval(examTimer);
+    examTimer = null;
+    const timer = document.getElementById('exam-timer');
+    if (timer) timer.classList.add('hidden');
+  }
+
+  function tickExamTimer() {
+    const remaining = getTimeRemaining();
+    if (remaining === null) return;
+
+    const timer = document.getElementById('exam-timer');
+    const display = document.getElementById('exam-timer-value');
+    if (display) display.textContent = formatCountdown(remaining);
+    if (timer) timer.classList.toggle('is-warning', remaining <= TIMER_WARNING_MINUTES[TIMER_WARNING_MINUTES.length - 1] * 60000);
+
+    const warning = TIMER_WARNING_MINUTES.find(minutes =>
+      remaining <= minutes * 60000 && !timerWarningsGiven.has(minutes));
+    if (warning) {
+      TIMER_WARNING_MINUTES.filter(minutes => minutes >= warning).forEach(minutes => timerWarningsGiven.add(minutes));
+      const alert = document.getElementById('exam-timer-alert');
+      if (alert) alert.textContent = I18n.t('exam.timeWarning', { minutes: warning });
+    }
+
+    if (remaining === 0) {
+      expireExam();
+    }
+  }
+
+  /**
+   * Time's up: end the attempt with the answers submitted so far.
+   * Questions not yet submitted count as wrong.
+   */
+  function expireExam() {
+    if (!examInProgress) return;
+    examTimedOut = true;
+    showExamResults();
+  }
+
   function startExam() {
-    if (examAttempts >= MAX_EXAM_ATTEMPTS) {
-      const examContainer = document.getElementById('final-exam');
-      // 99 attempts — effectively unreachable
+    if (launchMode === 'Review') return;
+
+    // Browse-mode practice is never limited
+    if (isGraded() && (examAttempts >= getMaxAttempts() || getCooldownRemaining() > 0)) {
+      updateExamUI();
       return;
     }
 
-    examAttempts++;
+    // Browse-mode practice runs don't use up an attempt
+    if (isGraded()) {
+      examAttempts++;
+    }
+    if (typeof XAPITracker !== 'undefined' && XAPITracker.trackExamAttempt) {
+      XAPITracker.trackExamAttempt(examAttempts, getMaxAttempts());
+    }
     examQuestionIndex = 0;
     examAnswers = [];
+    examForm = assembleExamForm();
+    examInProgress = true;
+    examTimedOut = false;
+    examStartedAt = now();
+    examQuestionShownAt = examStartedAt;
 
     // Hide intro, show first question
     const intro = document.getElementById('exam-intro');
-    const questions = document.querySelectorAll('.exam-question');
     const results = document.getElementById('exam-results');
 
+    const answerReview = document.getElementById('exam-answer-review');
+
     if (intro) intro.classList.add('hidden');
     if (results) results.classList.add('hidden');
+    if (answerReview) answerReview.classList.add('hidden');
 
-    // Reset all questions
-    questions.forEach((q, i) => {
-      q.classList.toggle('hidden', i !== 0);
-      resetExamQuestion(q);
-    });
+    document.querySelectorAll('.exam-question').forEach(resetExamQuestion);
+    applyExamForm(examForm);
+    showExamQuestion(0);
+    showAttemptCount();
+    startExamTimer();
 
-    // Update attempt counter
-    const attemptDisplay = document.getElementById('exam-attempt-count');
-    if (attemptDisplay) {
-      attemptDisplay.textContent = `Attempt ${examAttempts}`;
+    saveExamState();
+  }
+
+  /**
+   * Pick an unfinished attempt back up on the question the learner was on
+   */
+  function resumeExam() {
+    if (!examInProgress || !examForm || !isGraded()) return;
+
+    const intro = document.getElementById('exam-intro');
+    if (intro) intro.classList.add('hidden');
+
+    document.querySelectorAll('.exam-question').forEach(resetExamQuestion);
+    applyExamForm(examForm);
+
+    // Attempts saved before the exam was timed start their clock now
+    examStartedAt = examStartedAt || now();
+    examQuestionShownAt = examQuestionShownAt || now();
+    examTimedOut = false;
+
+    // Answers are saved before the next question is shown - carry on from
+    // the first one without an answer
+    const unanswered = examForm.items.findIndex((item, index) => !examAnswers[index]);
+    if (unanswered === -1) {
+      showExamResults();  // Left during the last answer's feedback
+      saveExamState();
+      return;
     }
+    examQuestionIndex = unanswered;
+    showExamQuestion(examQuestionIndex);
+    showAttemptCount();
 
-    saveExamState();
+    if (getTimeRemaining() === 0) {
+      expireExam();  // The deadline passed while the learner was away
+      return;
+    }
+    startExamTimer();
   }
 
-  function submitExamAnswer(questionIndex) {
-    const questions = document.querySelectorAll('.exam-question');
-    const question = questions[questionIndex];
-    const selectedOption = question.querySelector('input[type="radio"]:checked');
+  async function submitExamAnswer(question) {
+    if (launchMode === 'Review' || !examForm || !examInProgress) return;
+
+    const itemId = question.dataset.question;
+    const questionIndex = examForm.items.indexOf(itemId);
+    if (questionIndex === -1) return;
+    const durationMs = examQuestionElapsed();
+
+    const response = QuestionTypes.getResponse(question);
+    const interactionType = QuestionTypes.getType(question);
+    const submitBtn = question.querySelector('.submit-exam-answer');
 
-    if (!selectedOption) {
-      showInlineMessage(question, 'Please select an answer to continue with the exam.', 'warning');
+    if (response.length === 0) {
+      const prompt = interactionType === 'choice' ? 'exam.selectAnswer' : QuestionTypes.getMissingResponseMessage(question);
+      showInlineMessage(question, I18n.t(prompt), 'warning');
+      return;
+    }
+
+    // Lock the question while the answer is scored
+    if (submitBtn) submitBtn.disabled = true;
+    QuestionTypes.setDisabled(question, true);
+
+    let isCorrect;
+    try {
+      isCorrect = await Scoring.check(itemId, response, interactionType);
+    } catch (error) {
+      QuestionTypes.setDisabled(question, false);
+      if (submitBtn) submitBtn.disabled = false;
+      showInlineMessage(question, I18n.t('quiz.scoringFailed'), 'error');
       return;
     }
+    // The button stays disabled until the next question is up - a second
+    // click in the meantime would record the answer again
 
-    const correctAnswer = question.dataset.correct;
-    const isCorrect = selectedOption.value === correctAnswer;
+    // Time ran out while the answer was being scored
+    if (!examInProgress) return;
 
-    // Store answer
+    // Store answer - never the key
     examAnswers[questionIndex] = {
-      selected: selectedOption.value,
-      correct: correctAnswer,
-      isCorrect: isCorrect
+      item: itemId,
+      pool: CourseDefinition.getExamPool(itemId)?.id || null,
+      response,
+      isCorrect: isCorrect,
+      durationMs
     };
+    saveExamState();  // Leaving during the feedback doesn't lose the answer
 
     // Show feedback briefly
     const feedback = question.querySelector('.exam-feedback');
     if (feedback) {
       feedback.classList.remove('hidden');
-      feedback.textContent = isCorrect ? '✓ Correct!' : '✗ Incorrect';
+      feedback.textContent = I18n.t(isCorrect ? 'exam.correct' : 'exam.incorrect');
       feedback.className = `exam-feedback ${isCorrect ? 'correct' : 'incorrect'}`;
+      announce(feedback.textContent);
     }
 
-    // Disable inputs
-    question.querySelectorAll('input').forEach(input => {
-      input.disabled = true;
-    });
-
     // Move to next question or show results
     setTimeout(() => {
-      if (questionIndex < questions.length - 1) {
-        question.classList.add('hidden');
-        questions[questionIndex + 1].classList.remove('hidden');
+      if (!examInProgress) return;  // Timed out meanwhile
+
+      if (questionIndex < examForm.items.length - 1) {
         examQuestionIndex = questionIndex + 1;
+        examQuestionShownAt = now();
+        showExamQuestion(examQuestionIndex);
       } else {
         showExamResults();
       }
@@ -3281,23 +3766,50 @@ const Interactions = (function() {
 
     // Hide all questions
     questions.forEach(q => q.classList.add('hidden'));
+    examInProgress = false;
+    stopExamTimer();
 
     // Calculate score
     const correctCount = examAnswers.filter(a => a && a.isCorrect).length;
-    const totalQuestions = questions.length;
+    const totalQuestions = examForm.items.length;
     const scorePercent = correctCount / totalQuestions;
 
+    // A timed-out attempt took exactly the time limit
+    const elapsedMs = now() - examStartedAt;
+    const durationMs = examTimedOut ? Math.min(elapsedMs, getTimeLimitMs()) : elapsedMs;
+
+    const timeUpNotice = document.getElementById('exam-time-up');
+    if (timeUpNotice) timeUpNotice.classList.toggle('hidden', !examTimedOut);
+
+    if (typeof XAPITracker !== 'undefined' && XAPITracker.trackExamResult) {
+      XAPITracker.trackExamResult({
+        attemptNum: examAttempts,
+        correctCount,
+        totalQuestions,
+        success: scorePercent >= getPassThreshold(),
+        durationMs,
+        timedOut: examTimedOut,
+        itemIds: [...examForm.items],
+        answeredItemIds: examAnswers.filter(Boolean).map(answer => answer.item)
+      });
+    }
+
+    if (!isGraded()) {
+      showPracticeResults(correctCount, totalQuestions);
+      return;
+    }
+
     // Update best score
     if (scorePercent > examBestScore) {
       examBestScore = scorePercent;
     }
+    examLastFinishedAt = now();
 
     // Update results display
     const scoreDisplay = document.getElementById('exam-score');
     const bestScoreDisplay = document.getElementById('exam-best-score');
     const attemptsLeftDisplay = document.getElementById('exam-attempts-left');
     const passFailDisplay = document.getElementById('exam-pass-fail');
-    const retakeBtn = document.getElementById('retake-exam-btn');
     const completeBtn = document.getElementById('exam-complete-btn');
 
     if (scoreDisplay) {
@@ -3308,22 +3820,20 @@ const Interactions = (function() {
       bestScoreDisplay.textContent = `${Math.round(examBestScore * 100)}%`;
     }
 
+    const attemptsLeft = Math.max(getMaxAttempts() - examAttempts, 0);
     if (attemptsLeftDisplay) {
-      const attemptsLeft = MAX_EXAM_ATTEMPTS - examAttempts;
       attemptsLeftDisplay.textContent = attemptsLeft;
     }
 
-    const passed = examBestScore >= 0.75; // 75% to pass
+    // Same threshold Course uses for passed/failed
+    const passed = examBestScore >= getPassThreshold();
     if (passFailDisplay) {
-      passFailDisplay.textContent = passed ? 'PASSED' : 'NOT YET PASSED';
+      passFailDisplay.textContent = I18n.t(passed ? 'exam.passed' : 'exam.notPassed');
       passFailDisplay.className = `exam-pass-fail ${passed ? 'passed' : 'failed'}`;
     }
 
-    // Always show retake button
-    if (retakeBtn) {
-      retakeBtn.classList.remove('hidden');
-      retakeBtn.textContent = 'Retake Exam';
-    }
+    updateRetakeButton();
+    updateReviewButton(scorePercent);
 
     // Show complete button if passed
     if (completeBtn) {
@@ -3333,6 +3843,7 @@ const Interactions = (function() {
     // Show results
     if (results) {
       results.classList.remove('hidden');
+      focusHeading(results);
     }
 
     // Record score for course completion
@@ -3341,15 +3852,253 @@ const Interactions = (function() {
       Course.setFinalExamScore(examBestScore);
     }
 
+    if (isLockedOut()) {
+      showLockout();
+    }
+
     saveExamState();
   }
 
-  function resetExamQuestion(question) {
-    question.querySelectorAll('input').forEach(input => {
-      input.checked = false;
-      input.disabled = false;
+  /**
+   * Retake while attempts remain - disabled until any cooldown is over
+   */
+  function updateRetakeButton() {
+    const retakeBtn = document.getElementById('retake-exam-btn');
+    const remaining = getCooldownRemaining();
+    if (retakeBtn) {
+      retakeBtn.classList.toggle('hidden', examAttempts >= getMaxAttempts());
+      retakeBtn.disabled = remaining > 0;
+      setLabel(retakeBtn, 'exam.retake');
+    }
+    showCooldown(remaining);
+  }
+
+  /**
+   * Browse mode: show the score without touching best score, attempts or
+   * the course record
+   */
+  function showPracticeResults(correctCount, totalQuestions) {
+    const results = document.getElementById('exam-results');
+    const scoreDisplay = document.getElementById('exam-score');
+    const passFailDisplay = document.getElementById('exam-pass-fail');
+    const attemptsInfo = document.querySelector('#exam-results .attempts-info');
+    const retakeBtn = document.getElementById('retake-exam-btn');
+    const completeBtn = document.getElementById('exam-complete-btn');
+
+    if (scoreDisplay) {
+      scoreDisplay.textContent = `${correctCount} / ${totalQuestions} (${Math.round(correctCount / totalQuestions * 100)}%)`;
+    }
+    if (passFailDisplay) {
+      passFailDisplay.textContent = I18n.t('exam.practiceResult');
+      passFailDisplay.className = 'exam-pass-fail';
+    }
+    if (attemptsInfo) attemptsInfo.classList.add('hidden');
+    if (retakeBtn) retakeBtn.classList.remove('hidden');
+    if (completeBtn) completeBtn.classList.add('hidden');
+    updateReviewButton(correctCount / totalQuestions);
+    if (results) results.classList.remove('hidden');
+    focusHeading(results);
+  }
+
+  // ==================== ANSWER REVIEW ====================
+  // After an attempt the learner can go through each question with their
+  // answer, the correct one and the author's explanation. course.json's
+  // exam.reviewVisibility says when: "always", "passed" or "never". The
+  // answers come from the scoring service, so with "hashed" scoring there
+  // is no review.
+
+  function getReviewVisibility() {
+    if (CourseDefinition.getScoring().mode !== 'endpoint') return 'never';
+    return CourseDefinition.getExamRules().reviewVisibility || 'never';
+  }
+
+  /**
+   * Whether the review of an attempt with this score may be opened -
+   * "passed" needs the attempt itself to pass, as the scoring service
+   * checks the responses it's sent
+   */
+  function isAnswerReviewAllowed(score) {
+    switch (getReviewVisibility()) {
+      case 'always': return true;
+      case 'passed': return score >= getPassThreshold();
+      default: return false;
+    }
+  }
+
+  function updateReviewButton(score) {
+    const reviewBtn = document.getElementById('exam-review-btn');
+    const lockedNote = document.getElementById('exam-review-locked');
+    const allowed = isAnswerReviewAllowed(score);
+
+    if (reviewBtn) {
+      reviewBtn.classList.toggle('hidden', !allowed);
+      reviewBtn.disabled = false;
+    }
+    if (lockedNote) {
+      lockedNote.classList.toggle('hidden', allowed || getReviewVisibility() !== 'passed');
+    }
+  }
+
+  /**
+   * A saved answer's response - answers saved before other question
+   * types existed kept only the selected option
+   */
+  function getAnswerResponse(answer) {
+    return answer.response || [answer.selected];
+  }
+
+  function createTextElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    el.textContent = text;
+    return el;
+  }
+
+  /**
+   * One question in the review. The explanation is folded away; opening
+   * it is tracked.
+   */
+  function buildReviewItem(itemId, answer, reviewItem) {
+    const question = getExamItem(itemId);
+    const isCorrect = !!answer?.isCorrect;
+
+    const item = document.createElement('li');
+    item.className = `answer-review-item ${isCorrect ? 'correct' : 'incorrect'}`;
+
+    const yourAnswer = answer
+      ? I18n.t('exam.yourAnswer', { answer: QuestionTypes.formatResponse(question, getAnswerResponse(answer)) })
+      : I18n.t('exam.notAnswered');
+    const correctAnswer = QuestionTypes.formatResponse(question, reviewItem.correct);
+
+    const rationale = document.createElement('details');
+    rationale.className = 'answer-review-rationale';
+    rationale.append(
+      createTextElement('summary', null, I18n.t('exam.why')),
+      createTextElement('p', null, reviewItem.rationale)
+    );
+    rationale.addEventListener('toggle', () => {
+      if (!rationale.open || rationale.dataset.tracked) return;
+      rationale.dataset.tracked = 'true';
+      if (typeof XAPITracker !== 'undefined' && XAPITracker.trackExamRationaleViewed) {
+        XAPITracker.trackExamRationaleViewed(itemId, isCorrect);
+      }
     });
 
+    item.append(
+      createTextElement('span', 'answer-review-status', I18n.t(isCorrect ? 'exam.correct' : 'exam.incorrect')),
+      createTextElement('h4', null, question.querySelector('h3').textContent),
+      createTextElement('p', 'answer-review-yours', yourAnswer),
+      createTextElement('p', 'answer-review-correct', I18n.t('exam.correctAnswer', { answer: correctAnswer })),
+      rationale
+    );
+    return item;
+  }
+
+  /**
+   * Fetch the correct answers and explanations for this attempt's
+   * questions and list them under the results
+   */
+  async function openAnswerReview() {
+    const reviewBtn = document.getElementById('exam-review-btn');
+    const results = document.getElementById('exam-results');
+    const panel = document.getElementById('exam-answer-review');
+    const list = panel?.querySelector('.answer-review-list');
+    if (!list || !examForm) return;
+
+    const itemIds = examForm.items;
+    if (reviewBtn) reviewBtn.disabled = true;
+
+    const responses = {};
+    itemIds.forEach((itemId, index) => {
+      if (examAnswers[index]) responses[itemId] = getAnswerResponse(examAnswers[index]);
+    });
+
+    let review;
+    try {
+      review = await Scoring.getReview(itemIds, responses);
+    } catch (error) {
+      console.error('[Interactions] Answer review unavailable:', error);
+      if (reviewBtn) reviewBtn.disabled = false;
+      showInlineMessage(results, I18n.t('exam.reviewFailed'), 'error');
+      return;
+    }
+
+    list.replaceChildren(...itemIds.map((itemId, index) =>
+      buildReviewItem(itemId, examAnswers[index], review[itemId])));
+    panel.classList.remove('hidden');
+    if (reviewBtn) reviewBtn.classList.add('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    if (typeof XAPITracker !== 'undefined' && XAPITracker.trackExamReviewOpened) {
+      XAPITracker.trackExamReviewOpened(isGraded() ? examAttempts : null, itemIds);
+    }
+  }
+
+  /**
+   * Review mode: show every exam question with the learner's answer from
+   * their last attempt, read-only
+   */
+  function showExamReview() {
+    const examContainer = document.getElementById('final-exam');
+    if (!examContainer) return;
+
+    const startBtn = document.getElementById('start-exam-btn');
+    const resumeBtn = document.getElementById('resume-exam-btn');
+    const previousScore = document.getElementById('exam-previous-score');
+
+    if (startBtn) startBtn.classList.add('hidden');
+    if (resumeBtn) resumeBtn.classList.add('hidden');
+
+    if (examAnswers.length === 0) {
+      if (previousScore) {
+        previousScore.textContent = I18n.t('exam.notTaken');
+        previousScore.classList.remove('hidden');
+      }
+      return;
+    }
+
+    if (previousScore) {
+      previousScore.textContent = I18n.t('exam.reviewLastAttempt', { score: Math.round(examBestScore * 100) });
+      previousScore.classList.remove('hidden');
+    }
+
+    // The questions the learner actually saw, in their order
+    const form = examForm || legacyExamForm();
+    applyExamForm(form);
+
+    examContainer.classList.add('exam-review');
+    form.items.forEach((itemId, index) => {
+      const question = getExamItem(itemId);
+      const answer = examAnswers[index];
+      if (!question) return;
+
+      question.classList.remove('hidden');
+      question.querySelectorAll('.submit-exam-answer').forEach(btn => btn.classList.add('hidden'));
+
+      QuestionTypes.showResponse(question, answer ? getAnswerResponse(answer) : []);
+      QuestionTypes.setDisabled(question, true);
+      if (answer) QuestionTypes.markResponse(question, answer.isCorrect);
+
+      const feedback = question.querySelector('.exam-feedback');
+      if (feedback) {
+        feedback.classList.remove('hidden');
+        if (!answer) {
+          feedback.textContent = I18n.t('exam.notAnswered');
+          feedback.className = 'exam-feedback';
+        } else {
+          feedback.textContent = I18n.t(answer.isCorrect ? 'exam.correct' : 'exam.incorrect');
+          feedback.className = `exam-feedback ${answer.isCorrect ? 'correct' : 'incorrect'}`;
+        }
+      }
+    });
+  }
+
+  function resetExamQuestion(question) {
+    QuestionTypes.reset(question);
+
+    const submitBtn = question.querySelector('.submit-exam-answer');
+    if (submitBtn) submitBtn.disabled = false;
+
     const feedback = question.querySelector('.exam-feedback');
     if (feedback) {
       feedback.classList.add('hidden');
@@ -3357,48 +4106,78 @@ const Interactions = (function() {
   }
 
   function saveExamState() {
+    if (!examStateLoaded || !isGraded()) return;
+
     const state = {
       examAttempts,
       examBestScore,
       examQuestionIndex,
-      examAnswers
+      examAnswers,
+      examForm,
+      examInProgress,
+      examLastFinishedAt,
+      examStartedAt,
+      examQuestionShownAt
     };
-    try {
-      localStorage.setItem('novapay-platform-launch-exam-state', JSON.stringify(state));
-    } catch (e) {
-      console.warn('Could not save exam state:', e);
+    if (typeof Cmi5 !== 'undefined') {
+      Cmi5.saveState('exam', state);
     }
   }
 
-  function loadExamState() {
+  async function loadExamState() {
+    if (typeof Cmi5 === 'undefined') {
+      examStateLoaded = true;
+      return;
+    }
+
     try {
-      const saved = localStorage.getItem('novapay-platform-launch-exam-state');
-      if (saved) {
-        const state = JSON.parse(saved);
+      const state = await Cmi5.loadState('exam');
+      examStateLoaded = true;
+      if (state) {
         examAttempts = state.examAttempts || 0;
         examBestScore = state.examBestScore || 0;
         examQuestionIndex = state.examQuestionIndex || 0;
         examAnswers = state.examAnswers || [];
+        examForm = state.examForm || null;
+        examInProgress = !!state.examInProgress && !!examForm;
+        examLastFinishedAt = state.examLastFinishedAt || null;
+        examStartedAt = state.examStartedAt || null;
+        examQuestionShownAt = state.examQuestionShownAt || null;
         updateExamUI();
       }
     } catch (e) {
       console.warn('Could not load exam state:', e);
+      examStateLoaded = true;
     }
   }
 
   function updateExamUI() {
     const intro = document.getElementById('exam-intro');
     const startBtn = document.getElementById('start-exam-btn');
+    const resumeBtn = document.getElementById('resume-exam-btn');
     const previousScore = document.getElementById('exam-previous-score');
 
+    // An unfinished attempt is resumed, not restarted
+    const canResume = isGraded() && examInProgress;
+    if (resumeBtn) resumeBtn.classList.toggle('hidden', !canResume);
+    if (startBtn) startBtn.classList.toggle('hidden', canResume);
+
     if (examAttempts > 0 && previousScore) {
-      previousScore.textContent = `Your best score: ${Math.round(examBestScore * 100)}%`;
+      previousScore.textContent = I18n.t('exam.bestScore', { score: Math.round(examBestScore * 100) });
       previousScore.classList.remove('hidden');
     }
 
     if (startBtn && examAttempts > 0) {
-      startBtn.textContent = 'Retake Exam';
-      startBtn.disabled = false;
+      const outOfAttempts = isGraded() && examAttempts >= getMaxAttempts();
+      setLabel(startBtn, outOfAttempts ? 'exam.noAttemptsLeft' : 'exam.retake');
+      startBtn.disabled = outOfAttempts || getCooldownRemaining() > 0;
+    }
+    showCooldown(canResume ? 0 : getCooldownRemaining());
+
+    // Also catches a lower maxAttempts in the launch parameters than
+    // the learner has already used
+    if (isLockedOut()) {
+      showLockout();
     }
   }
 
@@ -3425,61 +4204,6 @@ const Interactions = (function() {
     });
   }
 
-  /**
-   * Drag and Drop (Module 3.3)
-   */
-  function initDragAndDrop() {
-    const draggables = document.querySelectorAll('.signer-card.draggable');
-    const dropZone = document.getElementById('countersignerDropZone');
-    const signerAssigned = document.getElementById('signerAssigned');
-
-    if (!dropZone || draggables.length === 0) return;
-
-    draggables.forEach(card => {
-      card.addEventListener('dragstart', (e) => {
-        card.classList.add('dragging');
-        e.dataTransfer.setData('text/plain', card.dataset.signer);
-      });
-
-      card.addEventListener('dragend', () => {
-        card.classList.remove('dragging');
-      });
-    });
-
-    dropZone.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      dropZone.classList.add('drag-over');
-    });
-
-    dropZone.addEventListener('dragleave', () => {
-      dropZone.classList.remove('drag-over');
-    });
-
-    dropZone.addEventListener('drop', (e) => {
-      e.preventDefault();
-      dropZone.classList.remove('drag-over');
-
-      const signerId = e.dataTransfer.getData('text/plain');
-      const signerCard = document.querySelector(`.signer-card[data-signer="${signerId}"]`);
-
-      if (signerCard) {
-        // Clone card into drop zone
-        const clone = signerCard.cloneNode(true);
-        clone.classList.remove('draggable');
-        clone.removeAttribute('draggable');
-
-        dropZone.innerHTML = '';
-        dropZone.appendChild(clone);
-        dropZone.classList.add('has-signer');
-
-        // Show success message
-        if (signerAssigned) {
-          signerAssigned.classList.remove('hidden');
-        }
-      }
-    });
-  }
-
   /**
    * Exclusion Rule Builder (Module 4.3)
    */
@@ -3534,8 +4258,34 @@ const Interactions = (function() {
    * Hotspots (Module 6.1)
    */
   function initHotspots() {
-    document.querySelectorAll('.hotspot').forEach(hotspot => {
+    const hotspots = Array.from(document.querySelectorAll('.hotspot'));
+
+    function setOpen(hotspot, open) {
+      hotspot.setAttribute('aria-expanded', open);
+      document.getElementById(hotspot.getAttribute('aria-controls'))?.classList.toggle('open', open);
+    }
+
+    hotspots.forEach((hotspot, index) => {
+      // The tip is a real element so it can be shown on focus and tap,
+      // not just hover, and read out with the button
+      const tip = document.createElement('div');
+      tip.id = `hotspot-tip-${index + 1}`;
+      tip.className = 'hotspot-tip';
+      tip.setAttribute('role', 'tooltip');
+      tip.textContent = hotspot.dataset.tooltip || '';
+      tip.style.top = hotspot.style.top;
+      tip.style.left = hotspot.style.left;
+      hotspot.after(tip);
+
+      hotspot.setAttribute('aria-label', I18n.t('a11y.hotspot', { n: hotspot.textContent.trim() }));
+      hotspot.setAttribute('aria-describedby', tip.id);
+      hotspot.setAttribute('aria-controls', tip.id);
+      hotspot.setAttribute('aria-expanded', 'false');
+
       hotspot.addEventListener('click', () => {
+        const open = hotspot.getAttribute('aria-expanded') !== 'true';
+        hotspots.forEach(other => setOpen(other, other === hotspot && open));
+
         // Visual feedback on click
         hotspot.style.transform = 'scale(1.3)';
         setTimeout(() => {
@@ -3543,6 +4293,12 @@ const Interactions = (function() {
         }, 200);
       });
     });
+
+    // Escape dismisses an open tip without moving focus (WCAG 1.4.13)
+    document.addEventListener('keydown', e => {
+      if (e.key !== 'Escape') return;
+      hotspots.forEach(hotspot => setOpen(hotspot, false));
+    });
   }
 
   /**
@@ -3572,22 +4328,27 @@ const Interactions = (function() {
 
   async function completeCourse(btn) {
     btn.disabled = true;
-    btn.textContent = 'Completing...';
+    setLabel(btn, 'completion.completing');
 
     try {
       if (typeof Course !== 'undefined') {
         await Course.completeCourse();
       }
 
-      btn.textContent = 'Course Completed!';
+      setLabel(btn, 'completion.completed');
       btn.classList.remove('btn-primary');
       btn.classList.add('btn-secondary');
 
+      const completionNote = document.querySelector('.completion-note');
+      if (completionNote) {
+        setLabel(completionNote, 'completion.recorded');
+      }
+
       // Show celebration
       showCompletionCelebration();
     } catch (error) {
       console.error('Error completing course:', error);
-      btn.textContent = 'Mark Course Complete';
+      setLabel(btn, 'completion.markComplete');
       btn.disabled = false;
     }
   }
@@ -3644,6 +4405,15 @@ const Interactions = (function() {
     init,
     getExamBestScore: () => examBestScore,
     getExamAttempts: () => examAttempts,
+    getExamForm: () => examForm,
+
+    /**
+     * Milliseconds the current exam question has been on screen, or null
+     * when no attempt is running
+     */
+    getExamQuestionElapsed: () => (examInProgress && examQuestionShownAt ? examQuestionElapsed() : null),
+    getExamTimeRemaining: () => (examInProgress ? getTimeRemaining() : null),
+    isGraded,
 
     /**
      * Reset all local state (for testing or manual reset)
@@ -3652,16 +4422,23 @@ const Interactions = (function() {
     resetAllState() {
       console.log('[Interactions] Resetting all local state...');
 
-      // Clear localStorage
-      localStorage.removeItem('novapay-platform-launch-exam-state');
-      localStorage.removeItem('novapay-platform-launch-course-state');
-      localStorage.removeItem('novapay-platform-launch-last-session-id');
+      // Clear saved progress (LRS state document or localStorage)
+      if (typeof Cmi5 !== 'undefined') {
+        Cmi5.clearState('exam');
+        Cmi5.clearState('course');
+      }
 
       // Reset in-memory state
       examAttempts = 0;
       examBestScore = 0;
       examQuestionIndex = 0;
       examAnswers = [];
+      examForm = null;
+      examInProgress = false;
+      examLastFinishedAt = null;
+      examStartedAt = null;
+      examQuestionShownAt = null;
+      stopExamTimer();
 
       // Update UI
       updateExamUI();
@@ -0,0 +1,144 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createBrowser, settle, stubElement } = require('../tools/fake-browser');
+
+const definition = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'course.json'), 'utf8'));
+const pools = definition.exam.pools;
+const examItemIds = pools.flatMap(pool => pool.items);
+
+/**
+ * Stand-ins for the exam's elements: one question per pool item, and the
+ * start and resume buttons, whose click handlers go in `clicks`
+ */
+function fakeExamPage(browser) {
+  const clicks = {};
+  const questions = Object.fromEntries(examItemIds.map(id => [id, { ...stubElement(), dataset: { question: id } }]));
+  const button = name => ({ ...stubElement(), addEventListener: (type, handler) => { clicks[name] = handler; } });
+  const elements = {
+    'final-exam': { ...stubElement(), querySelectorAll: selector => (selector === '.exam-question' ? Object.values(questions) : []) },
+    'start-exam-btn': button('start'),
+    'resume-exam-btn': button('resume'),
+    'exam-results': { ...stubElement(), parentNode: { insertBefore() {} } }
+  };
+
+  const { document } = browser.window;
+  document.getElementById = id => elements[id] || null;
+  document.querySelector = selector => questions[/data-question="([^"]+)"/.exec(selector)?.[1]] || null;
+  document.querySelectorAll = selector => (selector === '.exam-question' ? Object.values(questions) : []);
+  return clicks;
+}
+
+/**
+ * Interactions.init() in a Normal launch. `saved` is the exam state
+ * document; `launchParameters` can change the attempt policy.
+ */
+async function startExamPage({ saved = null, launchParameters = {} } = {}) {
+  const saves = [];
+  const browser = createBrowser();
+  const clicks = fakeExamPage(browser);
+  browser.load('i18n', 'course-definition', 'scoring', 'question-types', 'course', 'interactions');
+  browser.window.Cmi5 = {
+    ready: async () => {},
+    isConnected: () => true,
+    getLaunchParameters: () => launchParameters,
+    getLaunchMode: () => 'Normal',
+    getMasteryScore: () => null,
+    now: () => browser.run('Date.now()'),
+    loadState: async key => (key === 'exam' ? saved : null),
+    saveState: (key, state) => {
+      if (key === 'exam') saves.push(JSON.parse(JSON.stringify(state)));
+    }
+  };
+  browser.run('Interactions.init()');
+  await settle();  // Exam state loaded
+
+  return {
+    browser,
+    clicks,
+    form: () => JSON.parse(JSON.stringify(browser.run('Interactions.getExamForm()'))),
+    lastSave: () => saves.at(-1)
+  };
+}
+
+test('every attempt draws each pool\'s count of questions, in a new order', async () => {
+  const page = await startExamPage({ launchParameters: { maxAttempts: 30 } });
+  const forms = [];
+  for (let attempt = 0; attempt < 30; attempt++) {
+    page.clicks.start();
+    forms.push(page.form());
+  }
+
+  forms.forEach(form => {
+    assert.equal(form.items.length, pools.reduce((total, pool) => total + pool.draw, 0));
+    assert.equal(new Set(form.items).size, form.items.length, 'no question twice');
+    pools.forEach(pool => {
+      assert.equal(form.items.filter(id => pool.items.includes(id)).length, pool.draw, pool.id);
+    });
+  });
+  assert.deepEqual(new Set(forms.flatMap(form => form.items)), new Set(examItemIds), 'every item gets drawn');
+  assert.ok(forms.some(form => form.items.join() !== forms[0].items.join()), 'forms differ');
+});
+
+test('the drawn form is saved, and a resumed attempt keeps it', async () => {
+  const first = await startExamPage();
+  first.clicks.start();
+  const saved = first.lastSave();
+  assert.deepEqual(saved.examForm, first.form());
+  assert.equal(saved.examInProgress, true);
+
+  const second = await startExamPage({ saved });
+  second.clicks.resume();
+  assert.deepEqual(second.form(), saved.examForm);
+  assert.equal(second.lastSave(), undefined, 'resuming doesn\'t draw or save a new form');
+});
+
+const MINUTE = 60 * 1000;
+
+function assertAbout(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1000, `${message}: ${actual} isn't about ${expected}`);
+}
+
+test('a timed attempt counts down from the time limit and ends when it runs out', async () => {
+  const page = await startExamPage({ launchParameters: { timeLimitMinutes: 30 } });
+  page.clicks.start();
+  assertAbout(page.browser.run('Interactions.getExamTimeRemaining()'), 30 * MINUTE, 'at the start');
+
+  page.browser.advance(20 * MINUTE);
+  await page.browser.tick();
+  assertAbout(page.browser.run('Interactions.getExamTimeRemaining()'), 10 * MINUTE, 'after 20 minutes');
+  assert.equal(page.lastSave().examInProgress, true);
+
+  page.browser.advance(10 * MINUTE);
+  await page.browser.tick();
+  assert.equal(page.browser.run('Interactions.getExamTimeRemaining()'), null, 'the attempt is over');
+  const saved = page.lastSave();
+  assert.equal(saved.examInProgress, false);
+  assert.equal(saved.examAttempts, 1);
+  assert.equal(page.browser.run('Course.getFinalExamScore()'), 0, 'unanswered questions count as wrong');
+});
+
+test('an attempt whose deadline passed while the learner was away ends on resume', async () => {
+  const first = await startExamPage({ launchParameters: { timeLimitMinutes: 30 } });
+  first.clicks.start();
+  const saved = { ...first.lastSave(), examStartedAt: first.lastSave().examStartedAt - 31 * MINUTE };
+
+  const second = await startExamPage({ saved, launchParameters: { timeLimitMinutes: 30 } });
+  second.clicks.resume();
+  assert.equal(second.lastSave().examInProgress, false);
+  assert.equal(second.browser.run('Interactions.getExamTimeRemaining()'), null);
+});
+
+test('an attempt saved before the exam was timed starts its clock on resume', async () => {
+  const first = await startExamPage();
+  first.clicks.start();
+  assert.equal(first.browser.run('Interactions.getExamTimeRemaining()'), null, 'no limit, no countdown');
+  const saved = { ...first.lastSave(), examStartedAt: null, examQuestionShownAt: null };
+
+  const second = await startExamPage({ saved, launchParameters: { timeLimitMinutes: 30 } });
+  second.clicks.resume();
+  assertAbout(second.browser.run('Interactions.getExamTimeRemaining()'), 30 * MINUTE, 'the full limit');
+});
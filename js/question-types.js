@@ -0,0 +1,434 @@
+/**
+ * Question Types
+ * NovaPay Platform Launch Training
+ *
+ * Knowledge checks and exam questions name their xAPI interaction type
+ * with data-interaction (default "choice"). This module knows each type's
+ * markup: how to read the learner's response, lock, reset and restore it,
+ * mark it right or wrong, and describe it in an xAPI activity definition.
+ *
+ *   choice        .quiz-option radios or checkboxes
+ *   true-false    .quiz-option radios valued "true" and "false"
+ *   likert        .quiz-option radios, one per scale point - never scored
+ *   fill-in       input.quiz-text-response
+ *   long-fill-in  textarea.quiz-text-response
+ *   numeric       input.quiz-text-response[type="number"]
+ *   sequencing    ol.quiz-sequence > li.sequence-item[data-value]
+ *   matching      .quiz-matching with ol.match-targets > li[data-value]
+ *                 and .match-row[data-source] > select.match-target
+ *
+ * A response is an array of strings in xAPI form: option values, the text
+ * or number, the items in order, or "source[.]target" pairs.
+ */
+
+const QuestionTypes = (function() {
+  'use strict';
+
+  const TYPES = ['choice', 'true-false', 'likert', 'fill-in', 'long-fill-in', 'numeric', 'sequencing', 'matching'];
+  const OPTION_TYPES = ['choice', 'true-false', 'likert'];
+  const TEXT_TYPES = ['fill-in', 'long-fill-in', 'numeric'];
+  const MAX_DESCRIPTION_LENGTH = 200;
+
+  function getType(question) {
+    const type = question.dataset.interaction || 'choice';
+    return TYPES.includes(type) ? type : 'choice';
+  }
+
+  /**
+   * Likert questions ask for an opinion - there's no right answer
+   */
+  function isScored(question) {
+    return getType(question) !== 'likert';
+  }
+
+  function getText(el) {
+    return (el.querySelector('.option-text') || el.querySelector('span') || el).textContent.trim();
+  }
+
+  function getOptions(question) {
+    return Array.from(question.querySelectorAll('.quiz-option'));
+  }
+
+  function getTextInput(question) {
+    return question.querySelector('.quiz-text-response');
+  }
+
+  function getSequenceItems(question) {
+    return Array.from(question.querySelectorAll('.quiz-sequence .sequence-item'));
+  }
+
+  function getMatchRows(question) {
+    return Array.from(question.querySelectorAll('.quiz-matching .match-row'));
+  }
+
+  function getMatchTargets(question) {
+    return Array.from(question.querySelectorAll('.quiz-matching .match-targets [data-value]'));
+  }
+
+  /**
+   * The element right/wrong marking goes on for types without options
+   */
+  function getResponseArea(question) {
+    return question.querySelector('.quiz-response, .quiz-sequence, .quiz-matching');
+  }
+
+  // ==================== RESPONSES ====================
+
+  /**
+   * The learner's response, or [] if they haven't given one yet
+   */
+  function getResponse(question) {
+    const type = getType(question);
+
+    if (type === 'fill-in' || type === 'long-fill-in') {
+      const text = getTextInput(question)?.value.trim() || '';
+      return text ? [text] : [];
+    }
+    if (type === 'numeric') {
+      const value = getTextInput(question)?.value.trim() || '';
+      return value !== '' && Number.isFinite(Number(value)) ? [String(Number(value))] : [];
+    }
+    if (type === 'sequencing') {
+      return getSequenceItems(question).map(item => item.dataset.value);
+    }
+    if (type === 'matching') {
+      const pairs = getMatchRows(question).map(row => [row.dataset.source, row.querySelector('.match-target')?.value]);
+      return pairs.every(([, target]) => target) ? pairs.map(([source, target]) => `${source}[.]${target}`) : [];
+    }
+    return Array.from(question.querySelectorAll('.quiz-option input:checked')).map(input => input.value);
+  }
+
+  /**
+   * i18n key for the prompt shown when Check is pressed with no response
+   */
+  function getMissingResponseMessage(question) {
+    switch (getType(question)) {
+      case 'fill-in':
+      case 'long-fill-in':
+        return 'quiz.enterAnswer';
+      case 'numeric':
+        return 'quiz.enterNumber';
+      case 'matching':
+        return 'quiz.matchAll';
+      default:
+        return question.querySelector('.quiz-option input[type="checkbox"]') ? 'quiz.selectMany' : 'quiz.selectOne';
+    }
+  }
+
+  /**
+   * Put a saved response back, e.g. for a Review launch
+   */
+  function showResponse(question, values) {
+    const type = getType(question);
+
+    if (OPTION_TYPES.includes(type)) {
+      question.querySelectorAll('.quiz-option input').forEach(input => {
+        input.checked = values.includes(input.value);
+      });
+    } else if (TEXT_TYPES.includes(type)) {
+      const input = getTextInput(question);
+      if (input) input.value = values[0] ?? '';
+    } else if (type === 'sequencing') {
+      applyOrder(question, values);
+    } else if (type === 'matching') {
+      const targets = Object.fromEntries(values.map(pair => pair.split('[.]')));
+      getMatchRows(question).forEach(row => {
+        const select = row.querySelector('.match-target');
+        if (select) select.value = targets[row.dataset.source] || '';
+      });
+    }
+  }
+
+  function setDisabled(question, disabled) {
+    question.querySelectorAll('.quiz-option input, .quiz-text-response, .match-target, .sequence-move').forEach(control => {
+      control.disabled = disabled;
+    });
+  }
+
+  /**
+   * Mark the response right or wrong. Options mark only the learner's own
+   * choices; other types mark the whole answer.
+   */
+  function markResponse(question, isCorrect) {
+    clearMarks(question);
+    const state = isCorrect ? 'correct' : 'incorrect';
+
+    if (OPTION_TYPES.includes(getType(question))) {
+      getOptions(question).forEach(option => {
+        if (option.querySelector('input')?.checked) {
+          option.classList.add(isCorrect === null ? 'selected' : state);
+        }
+      });
+      return;
+    }
+    if (isCorrect !== null) {
+      getResponseArea(question)?.classList.add(state);
+    }
+  }
+
+  function clearMarks(question) {
+    getOptions(question).forEach(option => option.classList.remove('correct', 'incorrect', 'selected'));
+    getResponseArea(question)?.classList.remove('correct', 'incorrect');
+  }
+
+  /**
+   * Clear the response and unlock the question. Sequencing keeps its
+   * current order - there's no empty order to go back to.
+   */
+  function reset(question) {
+    question.querySelectorAll('.quiz-option input').forEach(input => {
+      input.checked = false;
+    });
+    question.querySelectorAll('.quiz-text-response, .match-target').forEach(control => {
+      control.value = '';
+    });
+    setDisabled(question, false);
+    clearMarks(question);
+  }
+
+  // ==================== ORDER ====================
+
+  /**
+   * Values whose order can be shuffled: options, sequence items or
+   * matching sources. True-false and likert keep their authored order.
+   */
+  function getOrder(question) {
+    switch (getType(question)) {
+      case 'choice':
+        return getOptions(question).map(option => option.querySelector('input')?.value).filter(Boolean);
+      case 'sequencing':
+        return getSequenceItems(question).map(item => item.dataset.value);
+      case 'matching':
+        return getMatchRows(question).map(row => row.dataset.source);
+      default:
+        return [];
+    }
+  }
+
+  function applyOrder(question, values) {
+    const type = getType(question);
+    let elements;
+    if (type === 'choice') {
+      elements = getOptions(question).map(option => [option.querySelector('input')?.value, option]);
+    } else if (type === 'sequencing') {
+      elements = getSequenceItems(question).map(item => [item.dataset.value, item]);
+    } else if (type === 'matching') {
+      elements = getMatchRows(question).map(row => [row.dataset.source, row]);
+    } else {
+      return;
+    }
+
+    const byValue = new Map(elements);
+    values.forEach(value => {
+      const el = byValue.get(value);
+      if (el) el.parentNode.appendChild(el);
+    });
+  }
+
+  // ==================== DESCRIPTIONS ====================
+
+  /**
+   * A response as the learner would read it, e.g. for the answer review
+   */
+  function formatResponse(question, values) {
+    const type = getType(question);
+
+    if (OPTION_TYPES.includes(type)) {
+      return values.map(value => {
+        const input = question.querySelector(`.quiz-option input[value="${value}"]`);
+        return input ? getText(input.closest('.quiz-option')) : value;
+      }).join(', ');
+    }
+    if (type === 'sequencing') {
+      return values.map(value => {
+        const item = getSequenceItems(question).find(el => el.dataset.value === value);
+        return item ? getText(item) : value;
+      }).join(' → ');
+    }
+    if (type === 'matching') {
+      return values.map(pair => {
+        const [source, target] = pair.split('[.]');
+        const row = getMatchRows(question).find(el => el.dataset.source === source);
+        const targetEl = getMatchTargets(question).find(el => el.dataset.value === target);
+        return `${row ? getText(row.querySelector('.match-source') || row) : source} → ${targetEl ? getText(targetEl) : target}`;
+      }).join('; ');
+    }
+    return values.map(value => String(value).replace('[:]', '–')).join(', ');
+  }
+
+  function component(id, text) {
+    return { id, description: { 'en-US': text.substring(0, MAX_DESCRIPTION_LENGTH) } };
+  }
+
+  /**
+   * interactionType plus the choices, scale or source/target lists an LRS
+   * needs to show the response. Never includes the correct response.
+   */
+  function getDefinition(question) {
+    const type = getType(question);
+    const definition = { interactionType: type };
+
+    if (type === 'choice' || type === 'likert') {
+      const components = getOptions(question).map((option, index) => component(
+        option.querySelector('input')?.value || String.fromCharCode(65 + index),  // A, B, C, D as fallback
+        getText(option)
+      ));
+      definition[type === 'likert' ? 'scale' : 'choices'] = components;
+    } else if (type === 'sequencing') {
+      definition.choices = getSequenceItems(question).map(item => component(item.dataset.value, getText(item)));
+    } else if (type === 'matching') {
+      definition.source = getMatchRows(question).map(row =>
+        component(row.dataset.source, getText(row.querySelector('.match-source') || row)));
+      definition.target = getMatchTargets(question).map(target => component(target.dataset.value, getText(target)));
+    }
+    return definition;
+  }
+
+  /**
+   * result.response string - parts joined with the xAPI "[,]" delimiter
+   */
+  function toXapiResponse(values) {
+    return values.join('[,]');
+  }
+
+  // ==================== COMPONENTS ====================
+
+  /**
+   * Sequencing: move buttons on every item. The new position is announced.
+   */
+  function initSequence(list) {
+    const question = list.closest('[data-question]');
+    const status = document.createElement('div');
+    status.className = 'sr-only';
+    status.setAttribute('aria-live', 'polite');
+    list.after(status);
+
+    list.querySelectorAll('.sequence-item').forEach(item => {
+      const text = item.querySelector('.option-text');
+      if (text && !text.id) {
+        text.id = `${question?.dataset.question || 'sequence'}-item-${item.dataset.value}`;
+      }
+
+      const controls = document.createElement('span');
+      controls.className = 'sequence-controls';
+      [['up', 'quiz.moveUp', '↑'], ['down', 'quiz.moveDown', '↓']].forEach(([direction, labelKey, arrow]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'sequence-move';
+        btn.dataset.direction = direction;
+        if (text) btn.setAttribute('aria-describedby', text.id);
+        btn.innerHTML = `<span aria-hidden="true">${arrow}</span><span class="sr-only" data-i18n="${labelKey}">${I18n.t(labelKey)}</span>`;
+        controls.appendChild(btn);
+      });
+      item.appendChild(controls);
+    });
+
+    list.addEventListener('click', e => {
+      const btn = e.target.closest('.sequence-move');
+      if (!btn || btn.disabled) return;
+      const item = btn.closest('.sequence-item');
+      const sibling = btn.dataset.direction === 'up' ? item.previousElementSibling : item.nextElementSibling;
+      if (!sibling) return;
+
+      if (btn.dataset.direction === 'up') {
+        list.insertBefore(item, sibling);
+      } else {
+        list.insertBefore(sibling, item);
+      }
+      btn.focus();  // Moving the node drops focus in some browsers
+
+      const items = Array.from(list.querySelectorAll('.sequence-item'));
+      status.textContent = I18n.t('quiz.movedTo', {
+        item: getText(item),
+        n: items.indexOf(item) + 1,
+        total: items.length
+      });
+    });
+  }
+
+  /**
+   * Matching: fill every row's select with the targets
+   */
+  function initMatching(container) {
+    const targets = Array.from(container.querySelectorAll('.match-targets [data-value]'));
+
+    container.querySelectorAll('.match-row').forEach(row => {
+      const select = row.querySelector('.match-target');
+      if (!select || select.options.length) return;
+
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.dataset.i18n = 'quiz.chooseMatch';
+      placeholder.textContent = I18n.t('quiz.chooseMatch');
+      select.appendChild(placeholder);
+
+      targets.forEach(target => {
+        const option = document.createElement('option');
+        option.value = target.dataset.value;
+        option.textContent = getText(target);
+        select.appendChild(option);
+      });
+
+      const source = row.querySelector('.match-source');
+      if (source && !select.hasAttribute('aria-label')) {
+        select.setAttribute('aria-label', getText(source));
+      }
+    });
+  }
+
+  /**
+   * Name the answer controls after the question: options become a
+   * radiogroup or group, text answers without a label get the prompt
+   */
+  function labelQuestion(question) {
+    const prompt = question.querySelector('.question-text') || question.querySelector('h3');
+    if (!prompt) return;
+    prompt.id = prompt.id || `${question.dataset.question}-prompt`;
+
+    const isLabelled = el => el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby');
+
+    const options = question.querySelector('.quiz-options');
+    if (options && !isLabelled(options)) {
+      options.setAttribute('role', options.querySelector('input[type="radio"]') ? 'radiogroup' : 'group');
+      options.setAttribute('aria-labelledby', prompt.id);
+    }
+
+    const input = getTextInput(question);
+    if (input && !isLabelled(input)) {
+      input.setAttribute('aria-labelledby', prompt.id);
+    }
+  }
+
+  function init() {
+    document.querySelectorAll('.quiz-question[data-question], .exam-question[data-question]').forEach(labelQuestion);
+    document.querySelectorAll('.quiz-sequence').forEach(initSequence);
+    document.querySelectorAll('.quiz-matching').forEach(initMatching);
+  }
+
+  return {
+    init,
+    getType,
+    isScored,
+    getResponse,
+    getMissingResponseMessage,
+    showResponse,
+    setDisabled,
+    markResponse,
+    reset,
+    getOrder,
+    applyOrder,
+    formatResponse,
+    getDefinition,
+    toXapiResponse
+  };
+})();
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  QuestionTypes.init();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuestionTypes;
+}
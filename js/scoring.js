@@ -0,0 +1,288 @@
+/**
+ * Answer Scoring
+ * NovaPay Platform Launch Training
+ *
+ * Checks quiz and exam responses without putting answer keys in the page.
+ * course.json picks the mode:
+ *   "hashed"   - compare a salted SHA-256 of the response with
+ *                answer-hashes.json (built by tools/build-answer-hashes.js)
+ *   "endpoint" - ask a scoring service (tools/scoring-server.js) for a verdict
+ *
+ * Responses are checked by interaction type (see tools/build-answer-hashes.js
+ * for the key formats). Likert questions have no right answer and are
+ * never scored.
+ *
+ * The same mode supplies the correctResponsesPattern for knowledge check
+ * statements. The post-attempt exam review (correct answers and
+ * explanations) only comes from the scoring service's /review, which
+ * checks the attempt passed - there's no review in "hashed" mode, since
+ * anything in the package can be read before the exam.
+ *
+ * Authors can see the right answers by opening the course with ?author
+ * from the source tree - the hints come from tools/answer-keys.json,
+ * which is never packaged.
+ */
+
+const Scoring = (function() {
+  'use strict';
+
+  const HASHES_URL = 'answer-hashes.json';
+  const AUTHOR_KEYS_URL = 'tools/answer-keys.json';
+  const AUTHOR_PARAM = 'author';
+
+  let hashesPromise = null;
+  const verdicts = new Map();  // "<questionId>|<type>|<response>" -> Promise<boolean>
+  const endpointPatterns = new Map();  // questionId -> correctResponsesPattern
+
+  function getConfig() {
+    return CourseDefinition.getScoring();
+  }
+
+  function normalizeText(text) {
+    return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  function textWords(text) {
+    return [...new Set(normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+  }
+
+  /**
+   * The response in the form tools/build-answer-hashes.js hashes: values
+   * joined with the xAPI "[,]" delimiter - in the learner's order for
+   * sequencing, sorted otherwise - or the normalized text or number
+   */
+  function canonicalResponse(values, interactionType = 'choice') {
+    switch (interactionType) {
+      case 'sequencing':
+        return values.map(String).join('[,]');
+      case 'fill-in':
+      case 'long-fill-in':
+        return normalizeText(values[0] ?? '');
+      case 'numeric':
+        return String(Number(values[0]));
+      default:
+        return values.map(String).sort().join('[,]');
+    }
+  }
+
+  // ==================== HASHED MODE ====================
+
+  function loadHashes() {
+    if (!hashesPromise) {
+      hashesPromise = fetch(HASHES_URL).then(response => {
+        if (!response.ok) {
+          throw new Error(`Could not load ${HASHES_URL}: ${response.status}`);
+        }
+        return response.json();
+      });
+      hashesPromise.catch(() => { hashesPromise = null; });  // Let a later check retry
+    }
+    return hashesPromise;
+  }
+
+  async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * A hash entry is one hash, { any: [hashes] } or, for long fill-in,
+   * { all: [[hashes]] } - a word of the answer must match every group
+   */
+  async function checkHashed(questionId, interactionType, values) {
+    const hashes = await loadHashes();
+    const expected = hashes.questions[questionId];
+    if (!expected) {
+      throw new Error(`No answer hash for question ${questionId}`);
+    }
+    const hash = text => sha256Hex(`${hashes.salt}:${questionId}:${text}`);
+
+    if (interactionType === 'long-fill-in') {
+      if (!expected.all) {
+        throw new Error(`Answer hash for ${questionId} isn't a long fill-in key`);
+      }
+      const words = new Set(await Promise.all(textWords(values[0] ?? '').map(hash)));
+      return expected.all.every(group => group.some(wordHash => words.has(wordHash)));
+    }
+
+    const accepted = typeof expected === 'string' ? [expected] : expected.any;
+    if (!accepted) {
+      throw new Error(`Answer hash for ${questionId} doesn't fit a ${interactionType} question`);
+    }
+    return accepted.includes(await hash(canonicalResponse(values, interactionType)));
+  }
+
+  // ==================== ENDPOINT MODE ====================
+
+  async function checkWithEndpoint(questionId, interactionType, values) {
+    const res = await fetch(getConfig().endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ questionId, interactionType, response: values })
+    });
+    if (!res.ok) {
+      throw new Error(`Scoring endpoint returned ${res.status}`);
+    }
+    const body = await res.json();
+    if (Array.isArray(body.correctResponsesPattern)) {
+      endpointPatterns.set(questionId, body.correctResponsesPattern);
+    }
+    return body.correct === true;
+  }
+
+  /**
+   * Whether a response (see QuestionTypes.getResponse) is the right answer.
+   * Interactions and the tracker both ask about the same submission;
+   * they share one verdict.
+   */
+  function check(questionId, values, interactionType = 'choice') {
+    const response = canonicalResponse(values, interactionType);
+    const cacheKey = `${questionId}|${interactionType}|${response}`;
+
+    if (!verdicts.has(cacheKey)) {
+      const verdict = getConfig().mode === 'endpoint'
+        ? checkWithEndpoint(questionId, interactionType, values)
+        : checkHashed(questionId, interactionType, values);
+      verdict.catch(error => {
+        verdicts.delete(cacheKey);
+        console.error('[Scoring]', error);
+      });
+      verdicts.set(cacheKey, verdict);
+    }
+    return verdicts.get(cacheKey);
+  }
+
+  /**
+   * xAPI correctResponsesPattern for a knowledge check question, or null.
+   * Exam items never have one. In endpoint mode it arrives with the
+   * verdict, so ask after check().
+   */
+  async function getCorrectResponsesPattern(questionId) {
+    if (getConfig().mode === 'endpoint') {
+      return endpointPatterns.get(questionId) || null;
+    }
+    const hashes = await loadHashes();
+    return hashes.patterns?.[questionId] || null;
+  }
+
+  // ==================== EXAM REVIEW ====================
+
+  async function fetchReviewFromEndpoint(questionIds, responses) {
+    const res = await fetch(getConfig().reviewEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ questionIds, responses })
+    });
+    if (!res.ok) {
+      throw new Error(`Review endpoint returned ${res.status}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * Correct answers and explanations for a finished attempt's questions:
+   * { "<questionId>": { correct: [values], rationale } }. `responses`
+   * ({ "<questionId>": [values] }) are the learner's, which the service
+   * scores again before it reveals anything.
+   */
+  async function getReview(questionIds, responses) {
+    if (getConfig().mode !== 'endpoint') {
+      throw new Error('The exam review needs "endpoint" scoring');
+    }
+    const review = await fetchReviewFromEndpoint(questionIds, responses);
+
+    const items = {};
+    questionIds.forEach(questionId => {
+      const item = review.items?.[questionId];
+      if (!item) {
+        throw new Error(`No review for question ${questionId}`);
+      }
+      items[questionId] = item;
+    });
+    return items;
+  }
+
+  // ==================== AUTHOR HINTS ====================
+
+  function isAuthorMode() {
+    return new URLSearchParams(window.location.search).has(AUTHOR_PARAM);
+  }
+
+  /**
+   * Mark the right options for course authors. Only works where
+   * tools/answer-keys.json is reachable, i.e. the source tree.
+   */
+  async function showAuthorHints() {
+    let keys;
+    try {
+      const response = await fetch(AUTHOR_KEYS_URL);
+      if (!response.ok) throw new Error(response.status);
+      keys = await response.json();
+    } catch (error) {
+      console.warn(`[Scoring] Author hints need ${AUTHOR_KEYS_URL} (source tree only)`);
+      return;
+    }
+
+    document.querySelectorAll('.quiz-question[data-question], .exam-question[data-question]').forEach(question => {
+      const key = keys[question.dataset.question];
+      if (!key) return;
+
+      if (Array.isArray(key)) {
+        question.querySelectorAll('.quiz-option').forEach(option => {
+          const input = option.querySelector('input');
+          if (input && key.includes(input.value)) {
+            option.classList.add('is-correct-hint');
+          }
+        });
+        return;
+      }
+
+      // Other interaction types get the key written out under the question
+      const hint = document.createElement('p');
+      hint.className = 'author-hint';
+      hint.textContent = `✦ ${describeKey(question, key)}`;
+      question.querySelector('.question-text, h3')?.after(hint);
+    });
+    console.log('[Scoring] Author mode - correct answers are marked');
+  }
+
+  function describeKey(question, key) {
+    switch (key.type) {
+      case 'fill-in':
+        return key.accept.join(' / ');
+      case 'numeric':
+        return key.min === key.max ? String(key.min) : `${key.min}–${key.max}`;
+      case 'long-fill-in':
+        return key.keywords.map(group => group.join(' / ')).join(' + ');
+      default:
+        return QuestionTypes.formatResponse(question, key.correct);
+    }
+  }
+
+  function init() {
+    if (isAuthorMode()) {
+      showAuthorHints();
+    }
+  }
+
+  return {
+    init,
+    check,
+    getCorrectResponsesPattern,
+    getReview,
+    isAuthorMode,
+    canonicalResponse
+  };
+})();
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  Scoring.init();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Scoring;
+}
@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createBrowser } = require('../tools/fake-browser');
+const AnswerHashes = require('../tools/build-answer-hashes');
+
+const keys = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'tools', 'answer-keys.json'), 'utf8'));
+
+async function hashedScoring() {
+  const browser = createBrowser();
+  browser.load('course-definition', 'scoring');
+  await browser.run('CourseDefinition.load()');
+  assert.equal(browser.run('CourseDefinition.getScoring().mode'), 'hashed');
+  return browser;
+}
+
+/**
+ * A response the key accepts, as QuestionTypes.getResponse() gives it
+ */
+function rightResponse(key) {
+  switch (AnswerHashes.keyType(key)) {
+    case 'numeric':
+      return [String(key.max)];
+    case 'long-fill-in':
+      return [`  The ${key.keywords.map(group => group[group.length - 1].toUpperCase()).join(' and ')}. `];
+    case 'fill-in':
+      return [`  ${key.accept[0].toUpperCase()} `];
+    case 'sequencing':
+    case 'true-false':
+      return key.correct;
+    default:
+      return [...AnswerHashes.correctValues(key)].reverse();  // In any order
+  }
+}
+
+function wrongResponse(key) {
+  switch (AnswerHashes.keyType(key)) {
+    case 'numeric':
+      return [String(key.max + (key.step || 1))];
+    case 'sequencing':
+      return [...key.correct].reverse();
+    case 'long-fill-in':
+      return [key.keywords[0][0]];  // Only one of the keyword groups
+    default:
+      return ['not-an-answer'];
+  }
+}
+
+test('Scoring.canonicalResponse() matches the hash builder for every interaction type', async () => {
+  const browser = await hashedScoring();
+  const responses = [
+    [['c', 'a', 'b'], 'choice'],
+    [['a[.]2', 'b[.]1'], 'matching'],
+    [['d', 'a', 'c', 'b'], 'sequencing'],
+    [['true'], 'true-false'],
+    [['  Payout.Settled  '], 'fill-in'],
+    [['Tokens are\n stored  server-side'], 'long-fill-in'],
+    [['2.50'], 'numeric'],
+    [[], 'choice']
+  ];
+  responses.forEach(([values, type]) => {
+    const inPage = browser.run(`Scoring.canonicalResponse(${JSON.stringify(values)}, '${type}')`);
+    assert.equal(inPage, AnswerHashes.canonicalResponse(values, type), `${type} ${JSON.stringify(values)}`);
+  });
+
+  assert.equal(AnswerHashes.canonicalResponse(['b', 'a']), 'a[,]b', 'choices are a set');
+  assert.equal(AnswerHashes.canonicalResponse(['b', 'a'], 'sequencing'), 'b[,]a', 'a sequence keeps its order');
+  assert.equal(AnswerHashes.canonicalResponse(['2.50'], 'numeric'), '2.5');
+});
+
+test('answer-hashes.json accepts every key\'s right answer and nothing else', async () => {
+  const browser = await hashedScoring();
+  for (const [questionId, key] of Object.entries(keys)) {
+    const type = AnswerHashes.keyType(key);
+    const check = values => browser.run(`Scoring.check(${JSON.stringify(questionId)}, ${JSON.stringify(values)}, '${type}')`);
+
+    assert.equal(AnswerHashes.checkResponse(key, rightResponse(key)), true, `${questionId} key`);
+    assert.equal(await check(rightResponse(key)), true, `${questionId} right answer - rebuild answer-hashes.json?`);
+    assert.equal(await check(wrongResponse(key)), false, `${questionId} wrong answer`);
+  }
+});
+
+test('a question without a hash is an error, not a wrong answer', async () => {
+  const browser = await hashedScoring();
+  await assert.rejects(browser.run('Scoring.check("no-such-question", ["a"])'), /No answer hash for question no-such-question/);
+});
+
+test('hashResponse() salts with the question ID', () => {
+  const hash = AnswerHashes.hashResponse('salt', '2-1', ['b']);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(hash, AnswerHashes.hashResponse('salt', '2-2', ['b']));
+  assert.notEqual(hash, AnswerHashes.hashResponse('other-salt', '2-1', ['b']));
+  assert.equal(hash, AnswerHashes.hashResponse('salt', '2-1', ['b'], 'true-false'));
+});
+
+/**
+ * Each interaction type's rule, on made-up keys: [key, response, right?]
+ */
+const RULES = {
+  choice: [['a', 'c'], [[['c', 'a'], true], [['a'], false], [['a', 'b', 'c'], false]]],
+  'true-false': [{ type: 'true-false', correct: ['false'] }, [[['false'], true], [['true'], false]]],
+  sequencing: [{ type: 'sequencing', correct: ['a', 'b', 'c'] }, [[['a', 'b', 'c'], true], [['b', 'a', 'c'], false]]],
+  matching: [{ type: 'matching', correct: ['a[.]1', 'b[.]2'] }, [[['b[.]2', 'a[.]1'], true], [['a[.]2', 'b[.]1'], false]]],
+  'fill-in': [{ type: 'fill-in', accept: ['payout.settled', 'settled'] },
+    [[['  PAYOUT.Settled '], true], [['Settled'], true], [['payout settled'], false]]],
+  numeric: [{ type: 'numeric', min: 2, max: 3, step: 0.5 },
+    [[['2.5'], true], [['3.0'], true], [['2.25'], false], [['3.5'], false], [['1.5'], false]]],
+  'long-fill-in': [{ type: 'long-fill-in', keywords: [['token', 'tokens'], ['server']] },
+    [[['Tokens live on the SERVER.'], true], [['Tokenized on the server'], false], [['A token, nothing else'], false]]]
+};
+
+test('each interaction type is scored by its own rule, the same in the page and the hash builder', async () => {
+  const salt = 'test-salt';
+  const questions = Object.fromEntries(Object.entries(RULES).map(([type, [key]]) => [type, AnswerHashes.hashKey(salt, type, key)]));
+  const browser = createBrowser({
+    fetch: url => Promise.resolve(String(url) === 'answer-hashes.json'
+      ? new Response(JSON.stringify({ algorithm: 'SHA-256', salt, questions, patterns: {} }))
+      : new Response(fs.readFileSync(path.join(__dirname, '..', String(url)))))
+  });
+  browser.load('course-definition', 'scoring');
+  await browser.run('CourseDefinition.load()');
+
+  for (const [type, [key, cases]] of Object.entries(RULES)) {
+    for (const [response, right] of cases) {
+      const label = `${type} ${JSON.stringify(response)}`;
+      assert.equal(AnswerHashes.checkResponse(key, response), right, `hash builder: ${label}`);
+      assert.equal(await browser.run(`Scoring.check('${type}', ${JSON.stringify(response)}, '${type}')`), right, `page: ${label}`);
+    }
+  }
+});
+
+test('keys that can\'t be scored are rejected when the hashes are built', () => {
+  assert.throws(() => AnswerHashes.hashKey('salt', 'q', { type: 'likert' }), /Likert questions aren't scored/);
+  assert.throws(() => AnswerHashes.hashKey('salt', 'q', { type: 'numeric', min: 3, max: 2 }), /min <= max/);
+  assert.throws(() => AnswerHashes.hashKey('salt', 'q', { type: 'numeric', min: 0, max: 5000 }), /coarser step/);
+  assert.throws(() => AnswerHashes.hashKey('salt', 'q', { type: 'long-fill-in', keywords: [['two words']] }), /single words/);
+});
@@ -0,0 +1,110 @@
+/**
+ * Learner Preferences Panel
+ * NovaPay Platform Launch Training
+ *
+ * Applies the cmi5LearnerPreferences agent profile (language and audio)
+ * when the session starts, and lets the learner change both. Changes are
+ * written back to the profile so other AUs and later launches see them.
+ */
+
+const Settings = (function() {
+  'use strict';
+
+  let panel, toggleBtn, languageSelect, audioToggle, statusEl;
+  let preferences = {};  // Last applied languagePreference/audioPreference
+
+  /**
+   * Initialize the panel and apply the saved preferences
+   */
+  function init() {
+    panel = document.getElementById('settingsPanel');
+    toggleBtn = document.getElementById('settingsBtn');
+    languageSelect = document.getElementById('languageSelect');
+    audioToggle = document.getElementById('audioToggle');
+    statusEl = document.getElementById('settingsStatus');
+
+    if (!panel || !toggleBtn || !languageSelect || !audioToggle) return;
+
+    I18n.getSupportedLanguages().forEach(language => {
+      const option = document.createElement('option');
+      option.value = language;
+      option.lang = language;
+      option.textContent = I18n.t(`language.${language}`);
+      languageSelect.appendChild(option);
+    });
+
+    toggleBtn.addEventListener('click', () => setOpen(panel.classList.contains('hidden')));
+    document.getElementById('settingsClose')?.addEventListener('click', () => {
+      setOpen(false);
+      toggleBtn.focus();
+    });
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        setOpen(false);
+        toggleBtn.focus();
+      }
+    });
+
+    languageSelect.addEventListener('change', () => {
+      savePreferences({ languagePreference: languageSelect.value });
+    });
+    audioToggle.addEventListener('change', () => {
+      savePreferences({ audioPreference: audioToggle.checked ? 'on' : 'off' });
+    });
+
+    if (typeof Cmi5 === 'undefined') return;
+
+    // Preferences arrive with the cmi5 session
+    Cmi5.ready().then(() => applyPreferences(Cmi5.getLearnerPreferences()));
+  }
+
+  function setOpen(open) {
+    panel.classList.toggle('hidden', !open);
+    toggleBtn.setAttribute('aria-expanded', String(open));
+    if (open) {
+      if (statusEl) statusEl.textContent = '';
+      languageSelect.focus();
+    }
+  }
+
+  /**
+   * Apply language and audio preferences to the course
+   */
+  function applyPreferences(next) {
+    preferences = next;
+    languageSelect.value = I18n.setLanguage(preferences.languagePreference);
+
+    // No preference means sound on
+    const audioOn = preferences.audioPreference !== 'off';
+    audioToggle.checked = audioOn;
+    if (typeof window._setGameSoundEnabled === 'function') {
+      window._setGameSoundEnabled(audioOn);
+    }
+  }
+
+  async function savePreferences(changes) {
+    applyPreferences({ ...preferences, ...changes });
+    if (typeof Cmi5 === 'undefined') return;
+
+    const saved = await Cmi5.setLearnerPreferences(changes);
+    if (statusEl) {
+      statusEl.textContent = I18n.t(saved ? 'settings.saved' : 'settings.saveFailed');
+    }
+  }
+
+  return {
+    init,
+    open: () => setOpen(true),
+    close: () => setOpen(false)
+  };
+})();
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  Settings.init();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Settings;
+}
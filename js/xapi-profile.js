@@ -0,0 +1,421 @@
+/**
+ * xAPI Profile
+ * NovaPay Platform Launch Training
+ *
+ * xapi-profile.jsonld describes every statement the tracker sends: a
+ * statement template per tracked event (verb, object activity type and
+ * rules) and an extension concept, with a JSON Schema, for each
+ * novapay.dev extension. The tracker builds its statements from the
+ * templates and drops any that don't match, so the LRS only gets
+ * statements analytics queries can rely on.
+ *
+ * Only the parts of the xAPI Profiles spec the profile uses are
+ * implemented: rule locations are simple JSONPaths ($.a.b, ['iri'], [*])
+ * and schemas use type, enum, minimum, maximum, maxLength, pattern and items.
+ *
+ * Used by the tracker and tools/check-xapi-profile.js, so it must run
+ * without a DOM.
+ */
+
+const XapiProfile = (function() {
+  'use strict';
+
+  const PROFILE_URL = 'xapi-profile.jsonld';
+  const PROFILE_CONTEXT = 'https://w3id.org/xapi/profiles/context';
+  const EXTENSION_TYPES = ['ResultExtension', 'ContextExtension', 'ActivityExtension'];
+  const PRESENCE_VALUES = ['included', 'excluded', 'recommended'];
+  const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+  let profile = null;
+  let loadPromise = null;
+
+  // Lookup tables built once the profile arrives
+  let templatesByKey = {};
+  let schemasById = {};
+  let namespace = null;
+
+  /**
+   * A template's key is the last segment of its id:
+   * .../profile/templates/section-entered -> section-entered
+   */
+  function templateKey(template) {
+    return String(template.id).split('/').pop();
+  }
+
+  /**
+   * The IRIs the profile owns: its id up to the last segment
+   * (https://novapay.dev/xapi/profile -> https://novapay.dev/xapi/)
+   */
+  function namespaceOf(data) {
+    return String(data.id).replace(/[^/]*$/, '');
+  }
+
+  function index(data) {
+    templatesByKey = {};
+    schemasById = {};
+    namespace = namespaceOf(data);
+
+    (data.templates || []).forEach(template => {
+      templatesByKey[templateKey(template)] = template;
+    });
+    (data.concepts || []).forEach(concept => {
+      if (!EXTENSION_TYPES.includes(concept.type)) return;
+      try {
+        schemasById[concept.id] = concept.inlineSchema ? JSON.parse(concept.inlineSchema) : {};
+      } catch (e) {
+        // Reported by checkProfile(); an unreadable schema accepts nothing
+        schemasById[concept.id] = { enum: [] };
+      }
+    });
+  }
+
+  /**
+   * Use an already-parsed profile document (Node tools)
+   */
+  function use(data) {
+    profile = data;
+    index(data);
+    loadPromise = Promise.resolve(data);
+    return data;
+  }
+
+  /**
+   * Fetch xapi-profile.jsonld (once - a failed load is tried again on the
+   * next call). Resolves with the profile.
+   */
+  function load() {
+    if (!loadPromise) {
+      loadPromise = fetch(PROFILE_URL)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Could not load ${PROFILE_URL}: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(use)
+        .catch(error => {
+          console.error('[XapiProfile]', error);
+          loadPromise = null;
+          throw error;
+        });
+    }
+    return loadPromise;
+  }
+
+  // ==================== JSON SCHEMA ====================
+
+  /**
+   * JSON Schema type names; NaN and Infinity fit none of them
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) return 'non-finite number';
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  /**
+   * Why a value doesn't fit a schema - an empty array when it does
+   */
+  function schemaErrors(value, schema, path) {
+    const errors = [];
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push(`${path} must be ${types.join(' or ')}, not ${typeOf(value)} ${typeof value === 'number' ? value : JSON.stringify(value)}`);
+        return errors;
+      }
+    }
+    if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+      errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, not ${JSON.stringify(value)}`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} ${value} is below ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} ${value} is above ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} is ${value.length} characters (limit ${schema.maxLength})`);
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push(`${path} "${value}" doesn't match ${schema.pattern}`);
+      }
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, i) => errors.push(...schemaErrors(item, schema.items, `${path}[${i}]`)));
+    }
+    return errors;
+  }
+
+  // ==================== JSONPATH ====================
+
+  /**
+   * Split a rule location into keys: $.result.extensions['iri'] ->
+   * ['result', 'extensions', 'iri']. '*' is every element of an array.
+   */
+  function parseLocation(location) {
+    const pattern = /^(?:\.([A-Za-z_$][\w$]*)|\['([^']*)'\]|\[(\*)\])/;
+    if (typeof location !== 'string' || !location.startsWith('$')) {
+      throw new Error(`Unsupported rule location: ${location}`);
+    }
+    const keys = [];
+    let rest = location.slice(1);
+    while (rest) {
+      const match = rest.match(pattern);
+      if (!match) throw new Error(`Unsupported rule location: ${location}`);
+      keys.push(match[1] ?? match[2] ?? match[3]);
+      rest = rest.slice(match[0].length);
+    }
+    return keys;
+  }
+
+  /**
+   * The values at a location (none when it isn't there)
+   */
+  function select(statement, location) {
+    let values = [statement];
+    parseLocation(location).forEach(key => {
+      values = values.flatMap(value => {
+        if (value === null || typeof value !== 'object') return [];
+        if (key === '*') return Array.isArray(value) ? value : [];
+        return value[key] === undefined ? [] : [value[key]];
+      });
+    });
+    return values;
+  }
+
+  // ==================== TEMPLATES ====================
+
+  function checkRule(errors, statement, rule) {
+    const values = select(statement, rule.location);
+    const found = values.filter(value => value !== null);
+
+    if (rule.presence === 'included' && found.length === 0) {
+      errors.push(`${rule.location} is required`);
+    }
+    if (rule.presence === 'excluded' && values.length > 0) {
+      errors.push(`${rule.location} must not be sent`);
+    }
+    if (rule.any && found.length && !found.some(value => rule.any.includes(value))) {
+      errors.push(`${rule.location} must include one of ${JSON.stringify(rule.any)}`);
+    }
+    if (rule.all && !found.every(value => rule.all.includes(value))) {
+      errors.push(`${rule.location} must be ${rule.all.map(v => JSON.stringify(v)).join(' or ')}`);
+    }
+    if (rule.none && found.some(value => rule.none.includes(value))) {
+      errors.push(`${rule.location} must not be ${rule.none.map(v => JSON.stringify(v)).join(' or ')}`);
+    }
+  }
+
+  function checkContextType(errors, statement, key, types) {
+    if (!types) return;
+    const activities = [].concat(statement.context?.contextActivities?.[key] || []);
+    types.forEach(type => {
+      if (!activities.some(activity => activity.definition?.type === type)) {
+        errors.push(`context.contextActivities.${key} needs an activity of type ${type}`);
+      }
+    });
+  }
+
+  /**
+   * Extensions in the profile's namespace must be its concepts and fit
+   * their schema. Others (cmi5's session ID, the video profile's) belong
+   * to their own specs and are only checked by template rules.
+   */
+  function checkExtensions(errors, extensions, path) {
+    Object.entries(extensions || {}).forEach(([iri, value]) => {
+      const schema = schemasById[iri];
+      if (schema) {
+        errors.push(...schemaErrors(value, schema, `${path}['${iri}']`));
+      } else if (iri.startsWith(namespace)) {
+        errors.push(`${path}['${iri}'] is not in the profile`);
+      }
+    });
+  }
+
+  /**
+   * Why a statement doesn't match a template - an empty array when it does
+   */
+  function validate(statement, key) {
+    const template = templatesByKey[key];
+    if (!template) {
+      return [profile ? `No statement template "${key}"` : 'The xAPI profile is not loaded'];
+    }
+
+    const errors = [];
+    if (statement.verb?.id !== template.verb) {
+      errors.push(`verb must be ${template.verb}`);
+    }
+    if (template.objectActivityType && statement.object?.definition?.type !== template.objectActivityType) {
+      errors.push(`object.definition.type must be ${template.objectActivityType}`);
+    }
+    checkContextType(errors, statement, 'parent', template.contextParentActivityType);
+    checkContextType(errors, statement, 'grouping', template.contextGroupingActivityType);
+    checkContextType(errors, statement, 'category', template.contextCategoryActivityType);
+    checkContextType(errors, statement, 'other', template.contextOtherActivityType);
+    (template.rules || []).forEach(rule => checkRule(errors, statement, rule));
+    checkExtensions(errors, statement.result?.extensions, 'result.extensions');
+    checkExtensions(errors, statement.context?.extensions, 'context.extensions');
+    return errors;
+  }
+
+  /**
+   * Leave out extensions with no value, so a missing value is missing
+   * rather than null, '?' or 'Unknown'
+   */
+  function presentExtensions(extensions) {
+    const present = Object.entries(extensions || {}).filter(([, value]) => value !== null && value !== undefined);
+    return present.length ? Object.fromEntries(present) : undefined;
+  }
+
+  /**
+   * Statement parts from a template: the verb and object activity type
+   * come from the template, everything else from `parts`
+   * ({ object, result, contextActivities }). Check the result with validate().
+   */
+  function build(key, { object = {}, result, contextActivities } = {}) {
+    const template = templatesByKey[key];
+    if (!template) {
+      throw new Error(profile ? `No statement template "${key}"` : 'The xAPI profile is not loaded');
+    }
+
+    const statement = {
+      verb: { id: template.verb, display: { 'en-US': template.verb.split('/').pop() } },
+      object: {
+        objectType: 'Activity',
+        ...object,
+        definition: { ...object.definition, type: template.objectActivityType }
+      }
+    };
+    if (result) {
+      statement.result = { ...result, extensions: presentExtensions(result.extensions) };
+      if (!statement.result.extensions) delete statement.result.extensions;
+    }
+    if (contextActivities) {
+      statement.contextActivities = contextActivities;
+    }
+    return statement;
+  }
+
+  /**
+   * The template a statement matches: { template, errors }. When none
+   * matches, `template` is null and `errors` is why the closest
+   * candidate (same verb and activity type) didn't.
+   */
+  function match(statement) {
+    const candidates = Object.keys(templatesByKey).filter(key =>
+      templatesByKey[key].verb === statement.verb?.id &&
+      templatesByKey[key].objectActivityType === statement.object?.definition?.type);
+    if (!candidates.length) {
+      return { template: null, errors: ['No template has this verb and object activity type'] };
+    }
+
+    let closest = null;
+    for (const key of candidates) {
+      const errors = validate(statement, key);
+      if (!errors.length) return { template: key, errors };
+      if (!closest || errors.length < closest.errors.length) closest = { template: key, errors };
+    }
+    return { template: null, errors: [`Closest template "${closest.template}": ${closest.errors.join('; ')}`] };
+  }
+
+  // ==================== PROFILE CHECK ====================
+
+  /**
+   * Problems with the profile document itself: missing properties,
+   * unreadable schemas, rules this module can't evaluate, duplicate IDs
+   */
+  function checkProfile(data) {
+    const problems = [];
+    if (data['@context'] !== PROFILE_CONTEXT) problems.push(`@context must be ${PROFILE_CONTEXT}`);
+    if (data.type !== 'Profile') problems.push('type must be Profile');
+    ['id', 'conformsTo', 'prefLabel', 'definition', 'author', 'versions'].forEach(property => {
+      if (!data[property]) problems.push(`Profile needs ${property}`);
+    });
+
+    const versions = (data.versions || []).map(version => version.id);
+    const seen = new Set();
+    const checkCommon = (item, label) => {
+      if (!item.id) problems.push(`${label} needs an id`);
+      if (seen.has(item.id)) problems.push(`${label} id is used twice`);
+      seen.add(item.id);
+      if (!versions.includes(item.inScheme)) problems.push(`${label} inScheme must be one of the profile's versions`);
+      if (!item.prefLabel?.en) problems.push(`${label} needs an English prefLabel`);
+      if (!item.definition?.en) problems.push(`${label} needs an English definition`);
+    };
+
+    (data.concepts || []).forEach(concept => {
+      const label = `Concept ${concept.id}`;
+      checkCommon(concept, label);
+      if (!EXTENSION_TYPES.includes(concept.type)) return;
+      if (!concept.inlineSchema && !concept.schema) problems.push(`${label} needs a schema`);
+      if (concept.inlineSchema) {
+        try {
+          const schema = JSON.parse(concept.inlineSchema);
+          [].concat(schema.type || []).forEach(type => {
+            if (!SCHEMA_TYPES.includes(type)) problems.push(`${label} schema has an unknown type "${type}"`);
+          });
+          if (schema.pattern) new RegExp(schema.pattern, 'u');
+        } catch (e) {
+          problems.push(`${label} inlineSchema is not valid: ${e.message}`);
+        }
+      }
+    });
+
+    // Extensions under the profile's own namespace must be its concepts
+    const owned = namespaceOf(data);
+    const conceptIds = (data.concepts || []).map(concept => concept.id);
+
+    (data.templates || []).forEach(template => {
+      const label = `Template ${template.id}`;
+      checkCommon(template, label);
+      if (template.type !== 'StatementTemplate') problems.push(`${label} type must be StatementTemplate`);
+      if (!template.verb) problems.push(`${label} needs a verb`);
+      (template.rules || []).forEach(rule => {
+        try {
+          parseLocation(rule.location);
+        } catch (e) {
+          problems.push(`${label}: ${e.message}`);
+        }
+        if (rule.presence !== undefined && !PRESENCE_VALUES.includes(rule.presence)) {
+          problems.push(`${label}: presence "${rule.presence}" is not ${PRESENCE_VALUES.join(', ')}`);
+        }
+        const extension = rule.location?.match(/^\$\.(result|context)\.extensions\['([^']*)'\]$/);
+        if (extension && extension[2].startsWith(owned) && !conceptIds.includes(extension[2])) {
+          problems.push(`${label}: ${extension[2]} has no concept`);
+        }
+      });
+    });
+    return problems;
+  }
+
+  return {
+    load,
+    use,
+    isLoaded: () => profile !== null,
+
+    /**
+     * Template keys, e.g. 'section-entered'
+     */
+    getTemplateKeys: () => Object.keys(templatesByKey),
+    getTemplate: (key) => templatesByKey[key] || null,
+
+    build,
+    validate,
+    match,
+    checkProfile
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = XapiProfile;
+}
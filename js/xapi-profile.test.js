@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XapiProfile = require('./xapi-profile');
+
+const profile = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'xapi-profile.jsonld'), 'utf8'));
+XapiProfile.use(profile);
+
+const EXT = 'https://novapay.dev/xapi/';
+const ATTEMPT_TYPE = 'http://adlnet.gov/expapi/activities/attempt';
+
+function examScoredParts(extensions = {}) {
+  return {
+    object: { id: 'https://novapay.dev/training/platform-launch/exam', definition: { name: { 'en-US': 'Final exam' } } },
+    contextActivities: {
+      grouping: [{ id: 'https://novapay.dev/training/platform-launch/exam/attempt/1', definition: { type: ATTEMPT_TYPE } }]
+    },
+    result: {
+      score: { scaled: 0.8, raw: 8, min: 0, max: 10 },
+      success: true,
+      completion: true,
+      duration: 'PT5M',
+      extensions: {
+        [`${EXT}attempt-number`]: 1,
+        [`${EXT}item-ids`]: ['2-1', '2-2'],
+        [`${EXT}answered-item-ids`]: ['2-1', '2-2'],
+        [`${EXT}time-spent-ms`]: 300000,
+        [`${EXT}timed-out`]: false,
+        [`${EXT}time-limit-minutes`]: 0,
+        ...extensions
+      }
+    }
+  };
+}
+
+/**
+ * A whole statement the way the tracker queues it
+ */
+function statementFrom(parts) {
+  const { contextActivities, ...rest } = parts;
+  return {
+    ...rest,
+    context: {
+      contextActivities,
+      extensions: { 'https://w3id.org/xapi/cmi5/context/extensions/sessionid': 'session-1' }
+    }
+  };
+}
+
+test('the profile document has no problems', () => {
+  assert.deepEqual(XapiProfile.checkProfile(profile), []);
+});
+
+test('a built statement takes its verb and activity type from the template and matches it', () => {
+  const parts = XapiProfile.build('exam-scored', examScoredParts());
+  assert.equal(parts.verb.id, 'http://adlnet.gov/expapi/verbs/scored');
+  assert.equal(parts.object.definition.type, 'http://adlnet.gov/expapi/activities/assessment');
+  assert.equal(parts.object.definition.name['en-US'], 'Final exam');
+
+  const statement = statementFrom(parts);
+  assert.deepEqual(XapiProfile.validate(statement, 'exam-scored'), []);
+  assert.deepEqual(XapiProfile.match(statement), { template: 'exam-scored', errors: [] });
+});
+
+test('extensions without a value are left out, so a required one is reported missing', () => {
+  const parts = XapiProfile.build('exam-scored', examScoredParts({ [`${EXT}time-spent-ms`]: null }));
+  assert.equal(`${EXT}time-spent-ms` in parts.result.extensions, false);
+  assert.deepEqual(XapiProfile.validate(statementFrom(parts), 'exam-scored'),
+    [`$.result.extensions['${EXT}time-spent-ms'] is required`]);
+});
+
+test('extension values are checked against their schema', () => {
+  const check = extensions => XapiProfile.validate(statementFrom(XapiProfile.build('exam-scored', examScoredParts(extensions))), 'exam-scored');
+
+  assert.match(check({ [`${EXT}attempt-number`]: 0 }).join(), /is below 1/);
+  assert.match(check({ [`${EXT}attempt-number`]: 1.5 }).join(), /must be integer, not number 1.5/);
+  assert.match(check({ [`${EXT}time-spent-ms`]: NaN }).join(), /not non-finite number NaN/);
+  assert.match(check({ [`${EXT}item-ids`]: ['2-1', 2] }).join(), /item-ids'\]\[1\] must be string/);
+  assert.match(check({ [`${EXT}not-a-concept`]: 1 }).join(), /is not in the profile/);
+});
+
+test('rules and context activity types are enforced', () => {
+  const parts = examScoredParts();
+  parts.result.completion = false;
+  parts.contextActivities = {};
+  const errors = XapiProfile.validate(statementFrom(XapiProfile.build('exam-scored', parts)), 'exam-scored');
+  assert.ok(errors.includes('$.result.completion must be true'));
+  assert.ok(errors.includes(`context.contextActivities.grouping needs an activity of type ${ATTEMPT_TYPE}`));
+});
+
+test('match() names the closest template when none fits', () => {
+  const statement = statementFrom(XapiProfile.build('exam-scored', examScoredParts()));
+  delete statement.result.success;
+  const { template, errors } = XapiProfile.match(statement);
+  assert.equal(template, null);
+  assert.match(errors[0], /Closest template "exam-scored": \$\.result\.success is required/);
+
+  statement.verb.id = 'http://example.com/verbs/unknown';
+  assert.deepEqual(XapiProfile.match(statement).errors, ['No template has this verb and object activity type']);
+});
+
+test('an unknown template is an error, not an exception from validate()', () => {
+  assert.throws(() => XapiProfile.build('no-such-template'), /No statement template "no-such-template"/);
+  assert.deepEqual(XapiProfile.validate({}, 'no-such-template'), ['No statement template "no-such-template"']);
+});
+
+test('checkProfile() finds problems in a broken profile', () => {
+  const broken = structuredClone(profile);
+  broken.concepts[0].inlineSchema = '{"type": "strnig"}';
+  broken.templates[1].id = broken.templates[0].id;
+  broken.templates[2].rules = [{ location: 'result.success', presence: 'sometimes' }];
+
+  const problems = XapiProfile.checkProfile(broken);
+  assert.ok(problems.some(problem => problem.includes('schema has an unknown type "strnig"')));
+  assert.ok(problems.some(problem => problem.includes('id is used twice')));
+  assert.ok(problems.some(problem => problem.includes('Unsupported rule location: result.success')));
+  assert.ok(problems.some(problem => problem.includes('presence "sometimes"')));
+});
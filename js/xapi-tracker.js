@@ -13,6 +13,10 @@ const XAPITracker = (function() {
   const MOUSE_SAMPLE_INTERVAL = 5000;   // ms between mouse position samples
   const IDLE_THRESHOLD = 30000;         // ms of inactivity before considered idle
   const BATCH_INTERVAL = 3000;          // ms between batch sends (reduced from 10s for faster feedback)
+  const MAX_RETRY_DELAY = 60000;        // ms cap for exponential backoff after failed sends
+  const OUTBOX_DB_NAME = 'novapay-xapi-outbox';
+  const OUTBOX_STORE = 'statements';
+  const OUTBOX_MAX_AGE = 7 * 24 * 60 * 60 * 1000;  // drop undelivered statements after a week
 
   // ==================== STATE ====================
   let isInitialized = false;
@@ -44,68 +48,43 @@ const XAPITracker = (function() {
   // Event queue for batching
   let eventQueue = [];
   let statementQueue = [];
+  let draftQueue = [];          // Captured before the xAPI profile loaded - built once it does
+  let profileRetryAt = 0;
+  let profileRetryDelay = BATCH_INTERVAL;
   let batchInProgress = false;  // Mutex lock to prevent concurrent processBatch calls
   let batchPromise = null;      // Reference to current batch promise for chaining
 
+  // Durable outbox (IndexedDB) - mirrors statementQueue so it survives reloads
+  let outboxDb = null;          // IDBDatabase, null when unavailable or standalone
+  let outboxReady = false;      // Don't send until persisted statements are restored
+  let outboxRegistration = null;
+  const outboxKeys = new WeakMap();  // statement -> Promise<IndexedDB key>
+  let retryDelay = BATCH_INTERVAL;
+  let nextRetryAt = 0;
+
   // All events log (kept in memory for debugging)
   let allEvents = [];
 
   // ==================== COURSE STRUCTURE (for rich reporting context) ====================
   // This allows us to provide clear breadcrumbs like "Module 2: Investor Communication > Knowledge Check > Q3"
 
-  const COURSE_STRUCTURE = {
-    title: 'Platform Launch Training',
-    modules: {
-      '1': { number: 1, title: 'Welcome & Overview', shortTitle: 'Overview' },
-      '2': { number: 2, title: 'Core Payments', shortTitle: 'Payments' },
-      '3': { number: 3, title: 'Developer Tools', shortTitle: 'Dev Tools' },
-      '4': { number: 4, title: 'Security & Compliance', shortTitle: 'Security' },
-      '5': { number: 5, title: 'Embedded Finance', shortTitle: 'Embedded' },
-      '6': { number: 6, title: 'Platform Operations', shortTitle: 'Operations' },
-      'exam': { number: 7, title: 'Final Exam', shortTitle: 'Final Exam' },
-      'completion': { number: 8, title: 'Course Completion', shortTitle: 'Complete' }
-    },
-    sections: {
-      '1-1': { module: '1', title: 'Platform Overview', type: 'content' },
-      '1-2': { module: '1', title: "What's New At-a-Glance", type: 'content' },
-      '2-1': { module: '2', title: 'Introduction to Instant Payouts', type: 'content' },
-      '2-2': { module: '2', title: 'Building Your First Payout Flow', type: 'content' },
-      '2-3': { module: '2', title: 'Interactive Demo', type: 'demo' },
-      '2-4': { module: '2', title: 'Knowledge Check', type: 'quiz' },
-      '3-1': { module: '3', title: 'Connect API Overview', type: 'content' },
-      '3-2': { module: '3', title: 'Drop-in UI Components', type: 'content' },
-      '3-3': { module: '3', title: 'Webhooks Pro Configuration', type: 'content' },
-      '3-4': { module: '3', title: 'Knowledge Check', type: 'quiz' },
-      '4-1': { module: '4', title: 'Fraud Shield Overview', type: 'content' },
-      '4-2': { module: '4', title: 'Vault & Tokenization Setup', type: 'content' },
-      '4-3': { module: '4', title: 'Compliance Hub Rules', type: 'content' },
-      '4-4': { module: '4', title: 'Knowledge Check', type: 'quiz' },
-      '5-1': { module: '5', title: 'Embedded Accounts', type: 'content' },
-      '5-2': { module: '5', title: 'Global Rails & Multi-Currency', type: 'content' },
-      '5-3': { module: '5', title: 'Revenue Analytics', type: 'content' },
-      '6-1': { module: '6', title: 'Live Ledger', type: 'content' },
-      '6-2': { module: '6', title: 'Smart Routing', type: 'content' },
-      '6-3': { module: '6', title: 'API Permissions & Scopes', type: 'content' },
-      'exam': { module: 'exam', title: 'Final Exam', type: 'exam' },
-      'completion': { module: 'completion', title: 'Summary & Certificate', type: 'completion' }
-    }
-  };
+  // Modules, sections and exam rules come from course.json (CourseDefinition)
 
   /**
    * Get a rich, human-readable location breadcrumb
    * Example: "Module 2: Investor Communication > Knowledge Check"
    */
   function getLocationBreadcrumb(sectionId) {
-    const section = COURSE_STRUCTURE.sections[sectionId];
+    const section = CourseDefinition.getSection(sectionId);
     if (!section) return sectionId || 'Unknown Location';
 
-    const module = COURSE_STRUCTURE.modules[section.module];
+    const module = CourseDefinition.getModule(section.module);
     if (!module) return section.title;
 
-    if (section.module === 'exam') {
+    if (section.type === 'exam') {
       return '📋 FINAL EXAM';
     }
-    if (section.module === 'completion') {
+    if (section.type === 'completion') {
       return '🎓 Course Completion';
     }
 
@@ -116,16 +95,16 @@ const XAPITracker = (function() {
    * Get the module info for a section
    */
   function getModuleInfo(sectionId) {
-    const section = COURSE_STRUCTURE.sections[sectionId];
+    const section = CourseDefinition.getSection(sectionId);
     if (!section) return null;
-    return COURSE_STRUCTURE.modules[section.module];
+    return CourseDefinition.getModule(section.module);
   }
 
   /**
    * Get section type (content, quiz, exam, demo, etc.)
    */
   function getSectionType(sectionId) {
-    const section = COURSE_STRUCTURE.sections[sectionId];
+    const section = CourseDefinition.getSection(sectionId);
     return section?.type || 'content';
   }
 
@@ -174,6 +153,7 @@ const XAPITracker = (function() {
 
     sessionId = generateUUID();
     baseActivityId = getBaseActivityId();
+    outboxRegistration = new URLSearchParams(window.location.search).get('registration');
 
     // Set up all tracking
     setupSectionTracking();
@@ -191,11 +171,15 @@ const XAPITracker = (function() {
     setupFormTracking();
     setupLinkTracking();
     setupGameTracking();
-    setupDragDropTracking();
     setupHotspotTracking();
     setupAccordionTracking();
 
-    // Start batch processing
+    if (!XapiProfile.isLoaded()) {
+      logError('xAPI profile not loaded - statements are kept in the outbox and built once it loads');
+    }
+
+    // Restore undelivered statements, then start batch processing
+    initOutbox();
     setInterval(() => { batchPromise = processBatch(); }, BATCH_INTERVAL);
 
     // Track initial state
@@ -252,7 +236,7 @@ const XAPITracker = (function() {
   function trackSessionStart() {
     logEvent('session_start', {
       sessionId,
-      courseTitle: COURSE_STRUCTURE.title,
+      courseTitle: CourseDefinition.getTitle(),
       userAgent: navigator.userAgent,
       screenWidth: window.screen.width,
       screenHeight: window.screen.height,
@@ -265,26 +249,29 @@ const XAPITracker = (function() {
     });
 
     // Count total content sections, quizzes, and exam
-    const totalSections = Object.keys(COURSE_STRUCTURE.sections).length;
-    const quizCount = Object.values(COURSE_STRUCTURE.sections).filter(s => s.type === 'quiz').length;
-    const moduleCount = Object.keys(COURSE_STRUCTURE.modules).length - 2; // Exclude exam and completion
+    const courseTitle = CourseDefinition.getTitle();
+    const sections = CourseDefinition.getSections();
+    const totalSections = sections.length;
+    const quizCount = sections.filter(s => s.type === 'quiz').length;
+    const moduleCount = CourseDefinition.getModules()  // Exclude exam and completion
+      .filter(m => m.sections.every(s => s.type !== 'exam' && s.type !== 'completion')).length;
+    const examQuestions = CourseDefinition.getExamLength();
+    const passPercent = Math.round(getPassThreshold() * 100);
 
     // NOTE: Don't use 'launched' - it's a cmi5 DEFINED verb reserved for LMS use only
     // Use 'experienced' instead for session start tracking
-    sendStatement('experienced', {
+    sendStatement('session-started', {
       object: {
         id: makeActivityId(baseActivityId, 'session', 'start'),
-        objectType: 'Activity',
         definition: {
-          type: 'http://adlnet.gov/expapi/activities/course',
-          name: { 'en-US': `🚀 Started: ${COURSE_STRUCTURE.title}` },
-          description: { 'en-US': `Learner started the ${COURSE_STRUCTURE.title} course.\n\nCourse contains:\n• ${moduleCount} Learning Modules\n• ${quizCount} Knowledge Checks\n• 1 Final Exam (10 questions, 80% to pass)` }
+          name: { 'en-US': `🚀 Started: ${courseTitle}` },
+          description: { 'en-US': `Learner started the ${courseTitle} course.\n\nCourse contains:\n• ${moduleCount} Learning Modules\n• ${quizCount} Knowledge Checks\n• 1 Final Exam (${examQuestions} questions, ${passPercent}% to pass)` }
         }
       },
       result: {
         extensions: {
           'https://novapay.dev/xapi/session-id': sessionId,
-          'https://novapay.dev/xapi/course-title': COURSE_STRUCTURE.title,
+          'https://novapay.dev/xapi/course-title': courseTitle,
           'https://novapay.dev/xapi/total-sections': totalSections,
           'https://novapay.dev/xapi/total-modules': moduleCount,
           'https://novapay.dev/xapi/total-quizzes': quizCount,
@@ -346,7 +333,7 @@ const XAPITracker = (function() {
     const locationBreadcrumb = getLocationBreadcrumb(sectionId);
     const moduleInfo = getModuleInfo(sectionId);
     const sectionType = getSectionType(sectionId);
-    const sectionInfo = COURSE_STRUCTURE.sections[sectionId];
+    const sectionInfo = CourseDefinition.getSection(sectionId);
 
     logEvent('section_enter', {
       sectionId,
@@ -376,12 +363,10 @@ const XAPITracker = (function() {
       activityDescription = `Section: ${sectionId}`;
     }
 
-    sendStatement('experienced', {
+    sendStatement('section-entered', {
       object: {
         id: makeActivityId(baseActivityId, 'section', sectionId),
-        objectType: 'Activity',
         definition: {
-          type: 'http://activitystrea.ms/schema/1.0/page',
           name: { 'en-US': activityName },
           description: { 'en-US': activityDescription }
         }
@@ -414,7 +399,7 @@ const XAPITracker = (function() {
     const locationBreadcrumb = getLocationBreadcrumb(sectionId);
     const moduleInfo = getModuleInfo(sectionId);
     const sectionType = getSectionType(sectionId);
-    const sectionInfo = COURSE_STRUCTURE.sections[sectionId];
+    const sectionInfo = CourseDefinition.getSection(sectionId);
 
     logEvent('section_exit', {
       sectionId,
@@ -459,12 +444,10 @@ const XAPITracker = (function() {
     // Send "exited" statement with result.duration (cmi5 best practice for time tracking)
     // This pairs with the "experienced" statement sent on enterSection
     const sectionActivityId = makeActivityId(baseActivityId, 'section', sectionId);
-    sendStatement('exited', {
+    sendStatement('section-exited', {
       object: {
         id: sectionActivityId,
-        objectType: 'Activity',
         definition: {
-          type: 'http://activitystrea.ms/schema/1.0/page',
           name: { 'en-US': `⏱ ${timeDisplay} - ${activityName}` },
           description: { 'en-US': `${activityName} — Duration: ${timeDisplay}` }
         }
@@ -480,12 +463,10 @@ const XAPITracker = (function() {
     });
 
     // Also send as cmi.interaction so it shows in SCORM Cloud's Interactions report
-    sendStatement('answered', {
+    sendStatement('section-time', {
       object: {
         id: `${baseActivityId}/interactions/${interactionId}`,
-        objectType: 'Activity',
         definition: {
-          type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
           name: { 'en-US': `⏱ ${timeDisplay} - ${activityName}` },
           description: { 'en-US': `TIME ON PAGE: ${timeDisplay} | Scroll depth: ${scrollDepthMax}% | Clicks: ${clickCount}` },
           interactionType: 'numeric',
@@ -546,12 +527,10 @@ const XAPITracker = (function() {
         // Create activity name with full context
         const activityName = `${elementType} Click: "${elementText}" @ ${locationBreadcrumb}`;
 
-        sendStatement('interacted', {
+        sendStatement('element-clicked', {
           object: {
             id: makeActivityId(baseActivityId, 'interaction', currentSection || 'unknown', targetInfo.id || elementText.substring(0, 20)),
-            objectType: 'Activity',
             definition: {
-              type: 'http://adlnet.gov/expapi/activities/interaction',
               name: { 'en-US': activityName },
               description: { 'en-US': `${locationBreadcrumb}\nElement: ${targetInfo.tagName} - "${elementText}"` }
             }
@@ -700,7 +679,7 @@ const XAPITracker = (function() {
           sectionStartTime = null;
         }
 
-        sendStatement('suspended', {
+        sendStatement('session-suspended', {
           object: buildActivityObject('session', 'Session'),
           result: {
             extensions: {
@@ -714,7 +693,7 @@ const XAPITracker = (function() {
           sectionStartTime = Date.now();
         }
 
-        sendStatement('resumed', {
+        sendStatement('session-resumed', {
           object: buildActivityObject('session', 'Session'),
           result: {
             extensions: {
@@ -821,7 +800,7 @@ const XAPITracker = (function() {
         state.started = true;
         logEvent('video_start', { videoId, section: currentSection });
 
-        sendStatement('played', {
+        sendStatement('video-played', {
           object: buildVideoObject(videoId, video),
           result: {
             extensions: {
@@ -836,7 +815,7 @@ const XAPITracker = (function() {
           section: currentSection
         });
 
-        sendStatement('played', {
+        sendStatement('video-played', {
           object: buildVideoObject(videoId, video),
           result: {
             extensions: {
@@ -864,12 +843,12 @@ const XAPITracker = (function() {
         section: currentSection
       });
 
-      sendStatement('paused', {
+      sendStatement('video-paused', {
         object: buildVideoObject(videoId, video),
         result: {
           extensions: {
             'https://w3id.org/xapi/video/extensions/time': video.currentTime,
-            'https://w3id.org/xapi/video/extensions/played-segments': state.playTime,
+            'https://novapay.dev/xapi/play-time-ms': state.playTime,
             'https://novapay.dev/xapi/pause-count': state.pauseCount
           }
         }
@@ -887,7 +866,7 @@ const XAPITracker = (function() {
         section: currentSection
       });
 
-      sendStatement('seeked', {
+      sendStatement('video-seeked', {
         object: buildVideoObject(videoId, video),
         result: {
           extensions: {
@@ -921,12 +900,10 @@ const XAPITracker = (function() {
 
       // Send as cmi.interaction so it shows in SCORM Cloud Interactions report
       const locationBreadcrumb = getLocationBreadcrumb(currentSection);
-      sendStatement('answered', {
+      sendStatement('video-watched', {
         object: {
           id: `${baseActivityId}/interactions/Video_${videoId}`,
-          objectType: 'Activity',
           definition: {
-            type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
             name: { 'en-US': `Video: ${video.title || videoId} (${locationBreadcrumb})` },
             description: { 'en-US': `Video length: ${videoDurationSec}s | Watched: ${watchTimeSec}s (${watchPercent}%) | Seeks: ${state.seekCount} | Pauses: ${state.pauseCount}` },
             interactionType: 'numeric',
@@ -975,21 +952,36 @@ const XAPITracker = (function() {
   }
 
   function buildVideoObject(videoId, video) {
+    const definition = { name: { 'en-US': video.title || videoId } };
+    // NaN until the metadata loads, Infinity for a stream - leave it out
+    if (Number.isFinite(video.duration)) {
+      definition.extensions = { 'https://w3id.org/xapi/video/extensions/length': video.duration };
+    }
     return {
       id: makeActivityId(baseActivityId, 'video', videoId),
-      objectType: 'Activity',
-      definition: {
-        type: 'https://w3id.org/xapi/video/activity-type/video',
-        name: { 'en-US': video.title || videoId },
-        extensions: {
-          'https://w3id.org/xapi/video/extensions/length': video.duration
-        }
-      }
+      definition
     };
   }
 
   // ==================== QUIZ TRACKING ====================
 
+  /**
+   * Answers only count in Normal launches - Browse/Review sessions must not
+   * produce graded statements
+   */
+  function isGradedLaunch() {
+    return typeof Cmi5 === 'undefined' || Cmi5.isGradedLaunch();
+  }
+
+  /**
+   * Exam pass mark - the same one Course grades with
+   */
+  function getPassThreshold() {
+    return typeof Course !== 'undefined'
+      ? Course.getPassThreshold()
+      : CourseDefinition.getExamRules().passThreshold;
+  }
+
   function setupQuizTracking() {
     // Track all quiz/exam answer submissions
     // IMPORTANT: Use capture phase (true) so we see the click BEFORE interactions.js
@@ -1001,57 +993,214 @@ const XAPITracker = (function() {
       const question = btn.closest('.quiz-question, .exam-question');
       if (!question) return;
 
-      // Capture selected values IMMEDIATELY before any other handler runs
+      // Capture the response IMMEDIATELY before any other handler runs
       // This is critical because interactions.js disables inputs after processing
-      const selectedInputs = question.querySelectorAll('input:checked');
-      const capturedValues = Array.from(selectedInputs).map(input => input.value);
+      const capturedValues = QuestionTypes.getResponse(question);
 
-      // Wrap in try-catch to prevent blocking UI
-      try {
-        trackQuizAnswer(question, btn, capturedValues);
-      } catch (error) {
-        logError('Error tracking quiz answer:', error);
+      if (capturedValues.length === 0) {
+        log('No answer selected, skipping tracking');
+        return;
+      }
+
+      // Time on the question, measured by interactions.js. An exam answer
+      // with no running attempt (the time ran out) isn't recorded there
+      // either, so it isn't tracked.
+      let durationMs = null;
+      if (question.classList.contains('exam-question') && typeof Interactions !== 'undefined') {
+        durationMs = Interactions.getExamQuestionElapsed();
+        if (durationMs === null) {
+          log('Exam answer outside a running attempt, skipping tracking');
+          return;
+        }
       }
+
+      // Same verdict interactions.js shows - Scoring shares it between us.
+      // If it can't be scored the learner is asked to retry; track that one.
+      // Likert answers have no verdict.
+      const questionId = question.dataset.question;
+      const verdict = QuestionTypes.isScored(question)
+        ? Scoring.check(questionId, capturedValues, QuestionTypes.getType(question))
+        : Promise.resolve(null);
+      verdict
+        .then(async isCorrect => {
+          const pattern = await Scoring.getCorrectResponsesPattern(questionId);
+          trackQuizAnswer(question, btn, capturedValues, isCorrect, durationMs, pattern);
+        })
+        .catch(error => logError('Answer could not be scored - not tracked:', error));
     }, true);  // <-- CAPTURE PHASE - runs before bubble phase handlers
+  }
 
-    // Track exam start
-    const examStartBtn = document.getElementById('start-exam-btn');
-    if (examStartBtn) {
-      examStartBtn.addEventListener('click', () => {
-        const attemptNum = typeof Interactions !== 'undefined' ?
-                          Interactions.getExamAttempts() + 1 : 1;
-        const maxAttempts = 3;
-        const attemptsRemaining = maxAttempts - attemptNum;
-
-        logEvent('exam_start', {
-          attemptNumber: attemptNum,
-          maxAttempts: maxAttempts,
-          attemptsRemaining: attemptsRemaining
-        });
+  function getExamActivityId() {
+    return makeActivityId(baseActivityId, 'exam', 'final-exam');
+  }
 
-        sendStatement('attempted', {
-          object: {
-            id: makeActivityId(baseActivityId, 'exam', 'final-exam'),
-            objectType: 'Activity',
-            definition: {
-              type: 'http://adlnet.gov/expapi/activities/assessment',
-              name: { 'en-US': `📋 FINAL EXAM - Attempt ${attemptNum} of ${maxAttempts}` },
-              description: { 'en-US': `Learner started Final Exam attempt ${attemptNum}. ${attemptsRemaining} attempt(s) remaining after this one. Pass score: 80%` }
-            }
-          },
-          result: {
-            extensions: {
-              'https://novapay.dev/xapi/attempt-number': attemptNum,
-              'https://novapay.dev/xapi/max-attempts': maxAttempts,
-              'https://novapay.dev/xapi/attempts-remaining': attemptsRemaining
-            }
-          }
-        });
-      });
+  /**
+   * Context shared by everything in one exam attempt: the attempt groups
+   * its attempted, answered and scored statements (each also carries the
+   * cmi5 registration), and answers have the exam as their parent.
+   */
+  function getExamAttemptContext(attemptNum, { withParent = false } = {}) {
+    const context = {
+      grouping: [{
+        id: makeActivityId(baseActivityId, 'exam', 'final-exam', 'attempt', attemptNum),
+        objectType: 'Activity',
+        definition: {
+          type: 'http://adlnet.gov/expapi/activities/attempt',
+          name: { 'en-US': `Final Exam attempt ${attemptNum}` }
+        }
+      }]
+    };
+    if (withParent) {
+      context.parent = [{
+        id: getExamActivityId(),
+        objectType: 'Activity',
+        definition: { type: 'http://adlnet.gov/expapi/activities/assessment' }
+      }];
+    }
+    return context;
+  }
+
+  /**
+   * Exam attempt started (called by Interactions once the attempt is
+   * counted, so the number matches the exam screen and saved state)
+   */
+  function trackExamAttempt(attemptNum, maxAttempts) {
+    if (!isGradedLaunch()) {
+      logEvent('exam_start', { practice: true, launchMode: Cmi5.getLaunchMode() });
+      return;
+    }
+
+    const attemptsRemaining = Math.max(maxAttempts - attemptNum, 0);
+    const passPercent = Math.round(getPassThreshold() * 100);
+
+    logEvent('exam_start', {
+      attemptNumber: attemptNum,
+      maxAttempts: maxAttempts,
+      attemptsRemaining: attemptsRemaining
+    });
+
+    sendStatement('exam-attempted', {
+      contextActivities: getExamAttemptContext(attemptNum),
+      object: {
+        id: getExamActivityId(),
+        definition: {
+          name: { 'en-US': `📋 FINAL EXAM - Attempt ${attemptNum} of ${maxAttempts}` },
+          description: { 'en-US': `Learner started Final Exam attempt ${attemptNum}. ${attemptsRemaining} attempt(s) remaining after this one. Pass score: ${passPercent}%` }
+        }
+      },
+      result: {
+        extensions: {
+          'https://novapay.dev/xapi/attempt-number': attemptNum,
+          'https://novapay.dev/xapi/max-attempts': maxAttempts,
+          'https://novapay.dev/xapi/attempts-remaining': attemptsRemaining
+        }
+      }
+    });
+  }
+
+  /**
+   * Exam attempt finished - the attempt's own result, so the LRS has an
+   * attempt history without rebuilding it from answers. Called by
+   * Interactions, including when a timed attempt runs out.
+   */
+  function trackExamResult({ attemptNum, correctCount, totalQuestions, success, durationMs, timedOut, itemIds, answeredItemIds }) {
+    if (!isGradedLaunch()) {
+      logEvent('exam_result', { practice: true, correctCount, totalQuestions });
+      return;
     }
+
+    const timeLimitMinutes = typeof Course !== 'undefined' ? Course.getAttemptPolicy().timeLimitMinutes : 0;
+    const scorePercent = totalQuestions ? Math.round(correctCount / totalQuestions * 100) : 0;
+
+    logEvent('exam_result', { attemptNumber: attemptNum, correctCount, totalQuestions, success, durationMs, timedOut });
+
+    sendStatement('exam-scored', {
+      contextActivities: getExamAttemptContext(attemptNum),
+      object: {
+        id: getExamActivityId(),
+        definition: {
+          name: { 'en-US': `📋 FINAL EXAM - Attempt ${attemptNum}: ${correctCount}/${totalQuestions} (${success ? 'PASSED' : 'NOT PASSED'})` },
+          description: { 'en-US': `Final Exam attempt ${attemptNum} scored ${scorePercent}%${timedOut ? ' - time expired' : ''}. Pass score: ${Math.round(getPassThreshold() * 100)}%` }
+        }
+      },
+      result: {
+        score: {
+          scaled: totalQuestions ? correctCount / totalQuestions : 0,
+          raw: correctCount,
+          min: 0,
+          max: totalQuestions
+        },
+        success,
+        completion: true,
+        duration: formatDuration(durationMs),
+        extensions: {
+          'https://novapay.dev/xapi/attempt-number': attemptNum,
+          'https://novapay.dev/xapi/item-ids': itemIds,
+          'https://novapay.dev/xapi/answered-item-ids': answeredItemIds,
+          'https://novapay.dev/xapi/time-spent-ms': Math.round(durationMs),
+          'https://novapay.dev/xapi/timed-out': timedOut,
+          'https://novapay.dev/xapi/time-limit-minutes': timeLimitMinutes
+        }
+      }
+    });
+
+    // The attempt's result matters as much as its answers - don't wait for the interval
+    batchPromise = processBatch().catch(err => logError('Exam result flush failed:', err));
+  }
+
+  /**
+   * Learner opened the answer review after an attempt. Sent in every
+   * launch mode, like section views - it records what they looked at.
+   */
+  function trackExamReviewOpened(attemptNum, itemIds) {
+    logEvent('exam_review_opened', { attemptNumber: attemptNum, items: itemIds.length });
+
+    sendStatement('exam-review-opened', {
+      object: {
+        id: makeActivityId(baseActivityId, 'exam', 'final-exam', 'review'),
+        definition: {
+          name: { 'en-US': '📋 FINAL EXAM - Answer Review' },
+          description: { 'en-US': `Learner opened the answer review${attemptNum ? ` for attempt ${attemptNum}` : ' for a practice attempt'}` }
+        }
+      },
+      result: {
+        extensions: {
+          'https://novapay.dev/xapi/attempt-number': attemptNum,
+          'https://novapay.dev/xapi/item-ids': itemIds
+        }
+      }
+    });
+  }
+
+  /**
+   * Learner opened the explanation for one exam question in the review
+   */
+  function trackExamRationaleViewed(itemId, wasCorrect) {
+    logEvent('exam_rationale_viewed', { itemId, wasCorrect });
+
+    sendStatement('exam-rationale-viewed', {
+      object: {
+        id: makeActivityId(baseActivityId, 'exam', 'final-exam', 'review', itemId),
+        definition: {
+          name: { 'en-US': `📋 FINAL EXAM - Explanation for ${itemId}` }
+        }
+      },
+      result: {
+        extensions: {
+          'https://novapay.dev/xapi/item-id': itemId,
+          'https://novapay.dev/xapi/pool-id': CourseDefinition.getExamPool(itemId)?.id || null,
+          'https://novapay.dev/xapi/answered-correctly': wasCorrect
+        }
+      }
+    });
   }
 
-  function trackQuizAnswer(question, btn, capturedValues = null) {
+  function trackQuizAnswer(question, btn, capturedValues, isCorrect, durationMs = null, correctResponsesPattern = null) {
+    if (!isGradedLaunch()) {
+      log(`${Cmi5.getLaunchMode()} launch - not sending answered statement`);
+      return;
+    }
+
     try {
       const isExam = question.classList.contains('exam-question');
 
@@ -1069,44 +1218,8 @@ const XAPITracker = (function() {
                       'Unknown';
       }
 
-      const correctAnswer = btn.dataset.correct || question.dataset.correct;
-
-      // Get all options and selected ones - with null checks
-      const optionElements = question.querySelectorAll('.quiz-option');
-      if (!optionElements || optionElements.length === 0) {
-        log('No quiz options found');
-        return;
-      }
-
-      // Use captured values if provided (from capture phase), otherwise read from DOM
-      // This is important because interactions.js may have already disabled inputs
-      const selectedValues = capturedValues || Array.from(
-        question.querySelectorAll('input:checked')
-      ).map(input => input.value);
-
-      // If no answer selected, don't track (user will see validation message)
-      if (!selectedValues || selectedValues.length === 0) {
-        log('No answer selected, skipping tracking');
-        return;
-      }
-
-      const allOptions = Array.from(optionElements).map(opt => {
-        const input = opt.querySelector('input');
-        // Get the option text - it's in .option-text span or just span
-        const optionText = opt.querySelector('.option-text')?.textContent?.trim() ||
-                          opt.querySelector('span')?.textContent?.trim() ||
-                          opt.textContent?.trim() || '';
-        return {
-          value: input?.value || '',
-          text: optionText.substring(0, 200),
-          selected: selectedValues.includes(input?.value)
-        };
-      });
-
-      const correctValues = correctAnswer?.split(',') || [];
-
-      const isCorrect = correctValues.length === selectedValues.length &&
-                       correctValues.every(v => selectedValues.includes(v));
+      // Response captured before interactions.js disabled the inputs
+      const selectedValues = capturedValues;
 
       // ==================== RICH CONTEXT FOR REPORTING ====================
 
@@ -1116,18 +1229,13 @@ const XAPITracker = (function() {
 
       // Determine question number within this assessment
       let questionNumber = 1;
+      const itemId = question.dataset.question;
+      const pool = isExam ? CourseDefinition.getExamPool(itemId) : null;
       if (isExam) {
-        // For exam, get from progress indicator first
-        const progressText = question.querySelector('.exam-progress')?.textContent || '';
-        const match = progressText.match(/Question\s+(\d+)/i);
-        if (match) {
-          questionNumber = parseInt(match[1], 10);
-        } else {
-          // Fallback: count position among all exam questions
-          const allExamQuestions = document.querySelectorAll('.exam-question');
-          const idx = Array.from(allExamQuestions).indexOf(question);
-          if (idx >= 0) questionNumber = idx + 1;
-        }
+        // Position in this attempt's form - items are drawn and shuffled per attempt
+        const form = typeof Interactions !== 'undefined' ? Interactions.getExamForm() : null;
+        const idx = form ? form.items.indexOf(itemId) : -1;
+        if (idx >= 0) questionNumber = idx + 1;
         log(`Exam question ${questionNumber} detected, text: "${questionText.substring(0, 50)}..."`);
       } else {
         // For knowledge checks, count position among questions
@@ -1149,8 +1257,9 @@ const XAPITracker = (function() {
       let activityDescription;
 
       if (isExam) {
-        // Interaction ID: "FinalExam_Q01" (short, sortable)
-        interactionId = `FinalExam_Q${String(questionNumber).padStart(2, '0')}`;
+        // Interaction ID: "FinalExam_exam-13" - the bank item, not its position,
+        // so the same question reports under one ID whichever form drew it
+        interactionId = `FinalExam_${itemId}`;
         // Name shown in Description column
         activityName = `Final Exam Q${questionNumber}: ${questionText.substring(0, 50)}...`;
         activityDescription = questionText;
@@ -1170,50 +1279,54 @@ const XAPITracker = (function() {
         isExam,
         module: moduleInfo?.title,
         selectedValues,
-        correctValues,
         isCorrect
       });
 
-      // Build choices array for xAPI interaction (shows answer options in LRS)
-      const choices = allOptions.map((opt, idx) => ({
-        id: opt.value || String.fromCharCode(65 + idx), // A, B, C, D as fallback
-        description: { 'en-US': opt.text }
-      }));
+      // interactionType plus choices / scale / source and target, so the
+      // LRS can show the answer options
+      const interactionDefinition = QuestionTypes.getDefinition(question);
 
       // ==================== SEND COMPREHENSIVE STATEMENT ====================
       // Use clean interaction ID as the Activity ID suffix
 
-      // Format response per xAPI spec: choice responses use [,] delimiter
-      const xapiResponse = selectedValues.join('[,]');
-      const xapiCorrectPattern = correctValues.join('[,]');
+      // Format response per xAPI spec: parts use the [,] delimiter.
+      // correctResponsesPattern only comes with knowledge checks - exam
+      // keys stay out of the browser.
+      const xapiResponse = QuestionTypes.toXapiResponse(selectedValues);
+      const attemptNum = isExam && typeof Interactions !== 'undefined' ? Interactions.getExamAttempts() : null;
 
-      sendStatement('answered', {
+      sendStatement(isExam ? 'exam-answered' : 'quiz-answered', {
+        ...(attemptNum && { contextActivities: getExamAttemptContext(attemptNum, { withParent: true }) }),
         object: {
           id: `${baseActivityId}/interactions/${interactionId}`,
-          objectType: 'Activity',
           definition: {
-            type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
             name: { 'en-US': activityName },
             description: { 'en-US': activityDescription },
-            interactionType: 'choice',
-            choices: choices,
-            correctResponsesPattern: [xapiCorrectPattern]
+            ...interactionDefinition,
+            ...(correctResponsesPattern && !isExam && { correctResponsesPattern })
           }
         },
         result: {
-          success: isCorrect,
+          ...(isCorrect !== null && { success: isCorrect }),
           response: xapiResponse,
+          ...(durationMs !== null && { duration: formatDuration(durationMs) }),
           extensions: {
+            ...(durationMs !== null && { 'https://novapay.dev/xapi/time-spent-ms': Math.round(durationMs) }),
             'https://novapay.dev/xapi/is-exam': isExam,
             'https://novapay.dev/xapi/module': moduleInfo?.title || 'Unknown',
-            'https://novapay.dev/xapi/question-number': questionNumber
+            'https://novapay.dev/xapi/question-number': questionNumber || null,
+            ...(isExam && {
+              'https://novapay.dev/xapi/item-id': itemId,
+              'https://novapay.dev/xapi/pool-id': pool?.id,
+              'https://novapay.dev/xapi/attempt-number': attemptNum
+            })
           }
         }
       });
 
       // Immediately send quiz/exam answers (don't wait for batch interval)
       // Use batchPromise to properly serialize concurrent flushes
-      log(`📝 Quiz statement queued: ${interactionId} (${isCorrect ? 'CORRECT' : 'WRONG'}) — flushing now...`);
+      log(`📝 Quiz statement queued: ${interactionId} (${isCorrect === null ? 'UNSCORED' : isCorrect ? 'CORRECT' : 'WRONG'}) — flushing now...`);
       batchPromise = processBatch().then(() => {
         log(`✅ Quiz batch flushed for ${interactionId}`);
       }).catch(err => {
@@ -1254,12 +1367,10 @@ const XAPITracker = (function() {
 
       // Send navigation statement with full context
       if (targetSection) {
-        sendStatement('progressed', {
+        sendStatement('navigated', {
           object: {
             id: makeActivityId(baseActivityId, 'navigation', currentSection || 'start', targetSection),
-            objectType: 'Activity',
             definition: {
-              type: 'http://activitystrea.ms/schema/1.0/page',
               name: { 'en-US': `${navDirection}: ${fromBreadcrumb} → ${toBreadcrumb}` },
               description: { 'en-US': `Learner navigated from "${fromBreadcrumb}" to "${toBreadcrumb}"` }
             }
@@ -1300,7 +1411,7 @@ const XAPITracker = (function() {
         section: currentSection
       });
 
-      sendStatement('experienced', {
+      sendStatement('javascript-error', {
         object: buildActivityObject('error/javascript', 'JavaScript Error'),
         result: {
           success: false,
@@ -1338,7 +1449,7 @@ const XAPITracker = (function() {
 
         logEvent('performance', perf);
 
-        sendStatement('experienced', {
+        sendStatement('page-load', {
           object: buildActivityObject('performance', 'Page Load Performance'),
           result: {
             duration: formatDuration(perf.pageLoad),
@@ -1409,12 +1520,10 @@ const XAPITracker = (function() {
       });
 
       if (isExternal) {
-        sendStatement('experienced', {
+        sendStatement('external-link-opened', {
           object: {
             id: href,
-            objectType: 'Activity',
             definition: {
-              type: 'http://activitystrea.ms/schema/1.0/page',
               name: { 'en-US': link.textContent?.trim() || href }
             }
           },
@@ -1429,16 +1538,168 @@ const XAPITracker = (function() {
     });
   }
 
+  // ==================== DURABLE OUTBOX ====================
+  // Every queued statement is also written to IndexedDB and only removed once
+  // the LRS accepts it, so reloads, crashes and network drops don't lose data.
+  // Statements are scoped to the cmi5 registration; standalone runs stay in memory.
+
+  function openOutboxDb() {
+    return new Promise(resolve => {
+      if (!outboxRegistration || !window.indexedDB) {
+        resolve(null);
+        return;
+      }
+
+      let request;
+      try {
+        request = indexedDB.open(OUTBOX_DB_NAME, 1);
+      } catch (e) {
+        resolve(null);
+        return;
+      }
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'key', autoIncrement: true });
+        store.createIndex('registration', 'registration');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        logError('Could not open statement outbox:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  function outboxRequest(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const tx = outboxDb.transaction(OUTBOX_STORE, mode);
+      const request = makeRequest(tx.objectStore(OUTBOX_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async function initOutbox() {
+    try {
+      outboxDb = await openOutboxDb();
+
+      if (outboxDb) {
+        const entries = await outboxRequest('readonly', store => store.getAll());
+        const cutoff = Date.now() - OUTBOX_MAX_AGE;
+        const restored = [];
+        const restoredDrafts = [];
+        const restoredIds = new Set();
+
+        for (const entry of entries) {
+          if (entry.createdAt < cutoff || restoredIds.has(entry.statement.id)) {
+            // Expired, or a second copy of a statement already restored
+            outboxRequest('readwrite', store => store.delete(entry.key));
+          } else if (entry.registration === outboxRegistration) {
+            // Saved before statements had IDs - give it one that sticks
+            if (!entry.statement.id) {
+              entry.statement.id = generateUUID();
+              outboxRequest('readwrite', store => store.put(entry));
+            }
+            restoredIds.add(entry.statement.id);
+            outboxKeys.set(entry.statement, Promise.resolve(entry.key));
+            (entry.statement.template ? restoredDrafts : restored).push(entry.statement);
+          }
+        }
+
+        // Statements queued while the database was opening still need persisting
+        statementQueue.forEach(persistStatement);
+        draftQueue.forEach(persistStatement);
+
+        // Older undelivered statements go first to keep the original order
+        statementQueue.unshift(...restored);
+        draftQueue.unshift(...restoredDrafts);
+
+        if (restored.length + restoredDrafts.length > 0) {
+          log(`Restored ${restored.length + restoredDrafts.length} undelivered statement(s) from outbox`);
+        }
+      }
+    } catch (error) {
+      logError('Could not restore statement outbox:', error);
+    } finally {
+      outboxReady = true;
+      updatePendingIndicator();
+    }
+
+    // Drain as soon as the browser reports connectivity again
+    window.addEventListener('online', () => {
+      log('Back online, draining outbox');
+      nextRetryAt = 0;
+      batchPromise = processBatch();
+    });
+    window.addEventListener('offline', updatePendingIndicator);
+  }
+
+  function persistStatement(statement) {
+    if (!outboxDb || outboxKeys.has(statement)) return;
+
+    const keyPromise = outboxRequest('readwrite', store => store.add({
+      registration: outboxRegistration,
+      createdAt: Date.now(),
+      statement
+    }));
+    keyPromise.catch(error => logError('Could not persist statement:', error));
+    outboxKeys.set(statement, keyPromise);
+  }
+
+  function removeFromOutbox(statement) {
+    const keyPromise = outboxKeys.get(statement);
+    if (!keyPromise) return;
+
+    outboxKeys.delete(statement);
+    keyPromise
+      .then(key => outboxRequest('readwrite', store => store.delete(key)))
+      .catch(() => {});
+  }
+
+  function scheduleRetry() {
+    nextRetryAt = Date.now() + retryDelay;
+    log(`Next delivery attempt in ${Math.round(retryDelay / 1000)}s`);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Show the number of undelivered statements next to the LRS status
+   */
+  function updatePendingIndicator() {
+    const pendingEl = document.querySelector('#lrsStatus .lrs-status-pending');
+    if (!pendingEl) return;
+
+    const pending = statementQueue.length + draftQueue.length;
+    pendingEl.classList.toggle('hidden', pending === 0);
+    pendingEl.textContent = `${pending} pending`;
+    pendingEl.title = navigator.onLine === false
+      ? `Offline — ${pending} statement(s) will be sent when the connection returns`
+      : `${pending} statement(s) waiting to be sent to the LRS`;
+  }
+
   // ==================== STATEMENT SENDING ====================
 
   // Track if session is ended (to stop sending statements)
   let sessionEnded = false;
 
-  function sendStatement(verb, options = {}) {
+  // Statements that didn't match their template (kept for debugging)
+  const rejectedStatements = [];
+
+  /**
+   * Queue a statement built from one of the xAPI profile's templates
+   * (xapi-profile.jsonld), e.g. sendStatement('section-entered', { object,
+   * result }). The template supplies the verb and activity type; a
+   * statement that doesn't match it is logged and dropped.
+   *
+   * NOTE: cmi5 "defined" verbs (initialized, terminated, completed, passed,
+   * failed) are sent by cmi5-wrapper, and launched, abandoned, waived and
+   * satisfied by the LMS - the profile has no templates for them.
+   */
+  function sendStatement(template, options = {}) {
     // Don't queue statements if the session has ended
     if (sessionEnded) {
       if (DEBUG) {
-        console.log('%c[Statement SKIPPED - session ended]', 'color: #9ca3af;', verb);
+        console.log('%c[Statement SKIPPED - session ended]', 'color: #9ca3af;', template);
       }
       return;
     }
@@ -1446,66 +1707,135 @@ const XAPITracker = (function() {
     // Also check if Cmi5 is already terminated
     if (typeof Cmi5 !== 'undefined' && Cmi5.isTerminated()) {
       if (DEBUG) {
-        console.log('%c[Statement SKIPPED - Cmi5 terminated]', 'color: #9ca3af;', verb);
+        console.log('%c[Statement SKIPPED - Cmi5 terminated]', 'color: #9ca3af;', template);
       }
       sessionEnded = true; // Mark session as ended
       statementQueue = []; // Clear any pending statements
+      draftQueue = [];
       return;
     }
 
-    const statement = {
-      verb: typeof verb === 'string' ? { id: getVerbId(verb), display: { 'en-US': verb } } : verb,
-      object: options.object,
-      result: options.result,
-      timestamp: new Date().toISOString()
+    // The ID and timestamp are fixed now, when it happened. The wrapper
+    // sends them as they are, however late or often delivery is retried,
+    // so the LRS can tell a resend from a new statement.
+    const captured = {
+      id: generateUUID(),
+      timestamp: new Date(typeof Cmi5 !== 'undefined' ? Cmi5.now() : Date.now()).toISOString()
     };
 
+    // No profile yet (it failed to load): keep what happened, in the
+    // outbox too, and build it once the profile arrives
+    if (!XapiProfile.isLoaded()) {
+      const draft = { ...captured, template, options };
+      draftQueue.push(draft);
+      persistStatement(draft);
+      updatePendingIndicator();
+      return;
+    }
+
+    const statement = buildStatement(template, options, captured);
+    if (!statement) return;
+
     statementQueue.push(statement);
+    persistStatement(statement);
+    updatePendingIndicator();
 
     if (DEBUG) {
-      console.log('%c[Statement Queued]', 'color: #10b981;', verb, statement);
+      console.log('%c[Statement Queued]', 'color: #10b981;', template, statement);
     }
   }
 
-  function getVerbId(verb) {
-    // NOTE: cmi5 "defined" verbs (initialized, terminated, completed, passed, failed)
-    // should NOT be used from xapi-tracker - they are handled by cmi5-wrapper
-    // "launched", "abandoned", "waived", "satisfied" are LMS-only verbs
-    const verbMap = {
-      'experienced': 'http://adlnet.gov/expapi/verbs/experienced',
-      'exited': 'http://adlnet.gov/expapi/verbs/exited',
-      'interacted': 'http://adlnet.gov/expapi/verbs/interacted',
-      'played': 'https://w3id.org/xapi/video/verbs/played',
-      'paused': 'https://w3id.org/xapi/video/verbs/paused',
-      'seeked': 'https://w3id.org/xapi/video/verbs/seeked',
-      'answered': 'http://adlnet.gov/expapi/verbs/answered',
-      'attempted': 'http://adlnet.gov/expapi/verbs/attempted',
-      'suspended': 'http://adlnet.gov/expapi/verbs/suspended',
-      'resumed': 'http://adlnet.gov/expapi/verbs/resumed',
-      'progressed': 'http://adlnet.gov/expapi/verbs/progressed'
-    };
-    return verbMap[verb] || `http://adlnet.gov/expapi/verbs/${verb}`;
+  /**
+   * The statement for a template with its captured ID and timestamp, or
+   * null when it doesn't match the template (logged and kept for
+   * getRejectedStatements())
+   */
+  function buildStatement(template, options, { id, timestamp }) {
+    let parts;
+    let errors;
+    try {
+      parts = XapiProfile.build(template, options);
+      errors = XapiProfile.validate({ ...parts, context: { contextActivities: parts.contextActivities } }, template);
+    } catch (error) {
+      errors = [error.message];
+    }
+    if (errors.length) {
+      logError(`Statement doesn't match the "${template}" template - not sent:`, errors, parts || options);
+      rejectedStatements.push({ template, errors, rejectedAt: new Date().toISOString(), statement: parts || options });
+      if (rejectedStatements.length > 50) rejectedStatements.shift();
+      return null;
+    }
+    return { id, timestamp, ...parts };
+  }
+
+  /**
+   * Build the statements captured while the profile was missing, once it
+   * loads. Loading is retried with backoff; each built statement takes
+   * its draft's place in the outbox.
+   */
+  async function buildDrafts() {
+    if (!XapiProfile.isLoaded()) {
+      if (Date.now() < profileRetryAt) return;
+      try {
+        await XapiProfile.load();
+      } catch (error) {
+        // Logged by XapiProfile
+        profileRetryAt = Date.now() + profileRetryDelay;
+        profileRetryDelay = Math.min(profileRetryDelay * 2, MAX_RETRY_DELAY);
+        return;
+      }
+    }
+
+    // Another batch may have built them while the profile loaded
+    if (!draftQueue.length) return;
+
+    const drafts = draftQueue;
+    draftQueue = [];
+    const built = [];
+    drafts.forEach(draft => {
+      const statement = buildStatement(draft.template, draft.options, draft);
+      if (statement) {
+        persistStatement(statement);
+        built.push(statement);
+      }
+      removeFromOutbox(draft);
+    });
+
+    // They were captured before anything queued since the profile loaded
+    statementQueue.unshift(...built);
+    log(`Built ${built.length} statement(s) captured before the xAPI profile loaded`);
   }
 
   function buildActivityObject(path, name) {
     return {
       id: makeActivityId(baseActivityId, path),
-      objectType: 'Activity',
       definition: {
-        type: 'http://activitystrea.ms/schema/1.0/page',
         name: { 'en-US': name }
       }
     };
   }
 
-  async function processBatch() {
+  async function processBatch(force = false) {
     // Don't process if session has ended
     if (sessionEnded) {
-      statementQueue = []; // Clear any remaining statements
+      statementQueue = []; // Clear any remaining statements (the outbox keeps them for next launch)
+      draftQueue = [];
+      updatePendingIndicator();
       return;
     }
 
+    // Wait until statements from a previous page load are back in the queue
+    if (!outboxReady) return;
+
+    if (draftQueue.length) {
+      await buildDrafts();
+      updatePendingIndicator();
+    }
+
     if (statementQueue.length === 0) return;
+
+    // Back off after failures and while the browser is offline
+    if (!force && (Date.now() < nextRetryAt || navigator.onLine === false)) return;
     if (!SEND_TO_LRS) {
       log('Batch ready (LRS disabled):', statementQueue.length, 'statements');
       statementQueue = [];
@@ -1528,37 +1858,40 @@ const XAPITracker = (function() {
         const batch = [...statementQueue];
         statementQueue = [];
 
-        for (let i = 0; i < batch.length; i++) {
-          const stmt = batch[i];
-          try {
-            const verbName = stmt.verb.display?.['en-US'] || stmt.verb?.id || 'unknown';
-            const objectId = stmt.object?.id || 'no-object';
-            log(`Sending [${i + 1}/${batch.length}]: ${verbName} → ${objectId}`);
-            await Cmi5.sendStatement(stmt.verb, stmt.result, stmt.object);
-            log(`✅ Sent [${i + 1}/${batch.length}]: ${verbName} → ${objectId}`);
-          } catch (e) {
-            const errorMsg = e.message || e.toString();
-            const verbName = stmt.verb.display?.['en-US'] || 'unknown';
-            const objectId = stmt.object?.id || 'no-object';
-            logError(`❌ FAILED [${i + 1}/${batch.length}]: ${verbName} → ${objectId}`, errorMsg);
-
-            // Check if this is a session-ended error (401 with "session not found")
-            if (errorMsg.includes('session not found') || errorMsg.includes('401')) {
-              log('Session ended (LMS), stopping statement sends');
-              sessionEnded = true;
-              statementQueue = []; // Clear all remaining statements
-              return; // Stop processing
-            }
+        // One multi-statement POST per chunk instead of a PUT per statement
+        log(`Sending batch of ${batch.length} statement(s)`);
+        const { sentCount, error, quarantined } = await Cmi5.sendStatements(batch);
+        batch.slice(0, sentCount).forEach(removeFromOutbox);
+        if (quarantined) {
+          logError(`${quarantined} invalid statement(s) quarantined - see Cmi5.getQuarantine()`);
+        }
 
-            logError('Failed to send statement:', e);
-            // Re-queue ALL remaining statements (failed + unsent) to prevent data loss
-            if (!sessionEnded) {
-              const remaining = batch.slice(i);
-              statementQueue.unshift(...remaining);
-              log(`Re-queued ${remaining.length} statements (1 failed + ${remaining.length - 1} unsent)`);
-            }
-            break;
+        if (error) {
+          const errorMsg = error.message || error.toString();
+          const stmt = batch[sentCount];
+          const verbName = stmt.verb.display?.['en-US'] || 'unknown';
+          const objectId = stmt.object?.id || 'no-object';
+          logError(`❌ FAILED [${sentCount + 1}/${batch.length}]: ${verbName} → ${objectId}`, errorMsg);
+
+          // Check if this is a session-ended error (401 with "session not found")
+          if (errorMsg.includes('session not found') || errorMsg.includes('401')) {
+            log('Session ended (LMS), stopping statement sends');
+            sessionEnded = true;
+            statementQueue = []; // Clear all remaining statements
+            return; // Stop processing
+          }
+
+          // Re-queue ALL remaining statements (failed + unsent) to prevent data loss
+          if (!sessionEnded) {
+            const remaining = batch.slice(sentCount);
+            statementQueue.unshift(...remaining);
+            log(`Re-queued ${remaining.length} statements (1 failed + ${remaining.length - 1} unsent)`);
+            scheduleRetry();
           }
+        } else {
+          log(`✅ Sent ${sentCount} statement(s)`);
+          retryDelay = BATCH_INTERVAL;
+          nextRetryAt = 0;
         }
       } else {
         // Check if Cmi5 is terminated
@@ -1573,8 +1906,8 @@ const XAPITracker = (function() {
         if (statementQueue.length % 10 === 1) {
           log('Cmi5 not connected, statements queued:', statementQueue.length);
         }
-        // Cap the queue size
-        if (statementQueue.length > 100) {
+        // Without a durable outbox (standalone), cap the in-memory queue
+        if (!outboxDb && statementQueue.length > 100) {
           statementQueue = statementQueue.slice(-100);
         }
       }
@@ -1582,6 +1915,7 @@ const XAPITracker = (function() {
       logError('Error in processBatch:', error);
     } finally {
       batchInProgress = false;
+      updatePendingIndicator();
     }
   }
 
@@ -1645,12 +1979,18 @@ const XAPITracker = (function() {
     const gradeEl = document.getElementById(isVictory ? 'victory-grade' : 'gameover-grade');
     const comboEl = document.getElementById(isVictory ? 'victory-combo' : 'gameover-combo');
 
-    const finalScore = parseInt((scoreEl?.textContent || '0').replace(/,/g, ''), 10);
-    const accuracy = parseInt((accuracyEl?.textContent || '0').replace('%', ''), 10);
-    const grade = gradeEl?.textContent?.trim() || '?';
-    const combo = comboEl?.textContent?.trim() || '0x';
-    const features = featuresEl?.textContent?.trim() || '?/?';
-    const wave = waveEl?.textContent?.trim() || '?';
+    // Numbers as numbers; anything the screen doesn't show is null and
+    // left out of the statement (see xapi-profile.jsonld)
+    const readInt = el => {
+      const value = parseInt((el?.textContent || '').replace(/[^\d]/g, ''), 10);
+      return Number.isNaN(value) ? null : value;
+    };
+    const finalScore = readInt(scoreEl) ?? 0;
+    const accuracy = readInt(accuracyEl);
+    const grade = gradeEl?.textContent?.trim() || null;
+    const combo = readInt(comboEl);
+    const features = featuresEl?.textContent?.trim() || null;
+    const wave = readInt(waveEl);
 
     logEvent('game_result', {
       outcome,
@@ -1665,15 +2005,14 @@ const XAPITracker = (function() {
     // Send as cmi.interaction with numeric response (score)
     const gradeScaled = { 'S': 1.0, 'A': 0.9, 'B': 0.8, 'C': 0.7, 'D': 0.5 };
     const scaledScore = gradeScaled[grade] || 0.5;
+    const shown = value => value ?? '?';
 
-    sendStatement('answered', {
+    sendStatement('game-result', {
       object: {
         id: `${baseActivityId}/interactions/Game_FeatureInvaders`,
-        objectType: 'Activity',
         definition: {
-          type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
-          name: { 'en-US': `🎮 Feature Invaders - ${isVictory ? 'Victory' : 'Game Over'} (Grade: ${grade})` },
-          description: { 'en-US': `Feature Invaders game result | Score: ${finalScore.toLocaleString()} | Grade: ${grade} | Accuracy: ${accuracy}% | Wave: ${wave} | Intel: ${features} | Max Combo: ${combo}` },
+          name: { 'en-US': `🎮 Feature Invaders - ${isVictory ? 'Victory' : 'Game Over'} (Grade: ${shown(grade)})` },
+          description: { 'en-US': `Feature Invaders game result | Score: ${finalScore.toLocaleString()} | Grade: ${shown(grade)} | Accuracy: ${shown(accuracy)}% | Wave: ${shown(wave)} | Intel: ${shown(features)} | Max Combo: ${shown(combo)}x` },
           interactionType: 'numeric'
         }
       },
@@ -1703,49 +2042,51 @@ const XAPITracker = (function() {
 
   // ==================== DRAG-AND-DROP TRACKING ====================
 
-  function setupDragDropTracking() {
-    // Track successful drops on drop zones
-    document.querySelectorAll('.drop-zone').forEach(zone => {
-      const observer = new MutationObserver(mutations => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === 1 && node.classList?.contains('draggable')) {
-              const signerName = node.dataset?.signer || node.textContent?.trim()?.substring(0, 30) || 'unknown';
-              const dropZoneId = zone.id || 'unknown-zone';
-              const locationBreadcrumb = getLocationBreadcrumb(currentSection);
-
-              logEvent('drag_drop', {
-                signer: signerName,
-                dropZone: dropZoneId,
-                section: currentSection
-              });
-
-              sendStatement('interacted', {
-                object: {
-                  id: makeActivityId(baseActivityId, 'interaction', 'drag-drop', dropZoneId),
-                  objectType: 'Activity',
-                  definition: {
-                    type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
-                    name: { 'en-US': `📋 Drag & Drop: ${signerName} → ${dropZoneId}` },
-                    description: { 'en-US': `${locationBreadcrumb}\nDragged "${signerName}" to drop zone "${dropZoneId}"` },
-                    interactionType: 'matching'
-                  }
-                },
-                result: {
-                  response: `${signerName}[.]${dropZoneId}`,
-                  extensions: {
-                    'https://novapay.dev/xapi/drag-item': signerName,
-                    'https://novapay.dev/xapi/drop-zone': dropZoneId,
-                    'https://novapay.dev/xapi/location': locationBreadcrumb
-                  }
-                }
-              });
+  /**
+   * A drag-and-drop exercise was checked (DragDrop). It's a matching
+   * interaction: the dragged items are the sources, the zones the targets.
+   */
+  function trackDragDropAnswer(exercise, response, isCorrect) {
+    if (!isGradedLaunch()) {
+      log(`${Cmi5.getLaunchMode()} launch - not sending drag-and-drop answer`);
+      return;
+    }
+
+    const questionId = exercise.dataset.question;
+    const title = exercise.getAttribute('aria-labelledby')
+      ? document.getElementById(exercise.getAttribute('aria-labelledby'))?.textContent.trim()
+      : null;
+    const locationBreadcrumb = getLocationBreadcrumb(currentSection);
+
+    logEvent('drag_drop', {
+      exercise: questionId,
+      response,
+      isCorrect,
+      section: currentSection
+    });
+
+    Scoring.getCorrectResponsesPattern(questionId)
+      .then(correctResponsesPattern => {
+        sendStatement('drag-drop-answered', {
+          object: {
+            id: makeActivityId(baseActivityId, 'interaction', 'drag-drop', questionId),
+            definition: {
+              name: { 'en-US': `📋 Drag & Drop: ${title || questionId}` },
+              description: { 'en-US': `${locationBreadcrumb}\n${title || questionId}` },
+              ...DragDrop.getDefinition(exercise),
+              ...(correctResponsesPattern && { correctResponsesPattern })
             }
-          });
+          },
+          result: {
+            success: isCorrect,
+            response: response.join('[,]'),
+            extensions: {
+              'https://novapay.dev/xapi/location': locationBreadcrumb
+            }
+          }
         });
-      });
-      observer.observe(zone, { childList: true });
-    });
+      })
+      .catch(error => logError('Drag-and-drop answer not tracked:', error));
   }
 
   // ==================== HOTSPOT TRACKING ====================
@@ -1757,6 +2098,7 @@ const XAPITracker = (function() {
 
       const tooltip = hotspot.dataset?.tooltip || hotspot.textContent?.trim() || 'Unknown';
       const hotspotNum = hotspot.textContent?.trim() || '?';
+      const hotspotNumber = parseInt(hotspotNum, 10);
       const locationBreadcrumb = getLocationBreadcrumb(currentSection);
 
       logEvent('hotspot_click', {
@@ -1765,19 +2107,17 @@ const XAPITracker = (function() {
         section: currentSection
       });
 
-      sendStatement('interacted', {
+      sendStatement('hotspot-opened', {
         object: {
           id: makeActivityId(baseActivityId, 'interaction', 'hotspot', currentSection || 'unknown', hotspotNum),
-          objectType: 'Activity',
           definition: {
-            type: 'http://adlnet.gov/expapi/activities/interaction',
             name: { 'en-US': `📍 Hotspot ${hotspotNum}: ${tooltip.substring(0, 50)}` },
             description: { 'en-US': `${locationBreadcrumb}\nHotspot ${hotspotNum}: ${tooltip}` }
           }
         },
         result: {
           extensions: {
-            'https://novapay.dev/xapi/hotspot-number': hotspotNum,
+            'https://novapay.dev/xapi/hotspot-number': Number.isNaN(hotspotNumber) ? null : hotspotNumber,
             'https://novapay.dev/xapi/hotspot-content': tooltip,
             'https://novapay.dev/xapi/location': locationBreadcrumb
           }
@@ -1809,12 +2149,10 @@ const XAPITracker = (function() {
         });
 
         if (isOpen) {
-          sendStatement('interacted', {
+          sendStatement('accordion-expanded', {
             object: {
               id: makeActivityId(baseActivityId, 'interaction', 'accordion', currentSection || 'unknown', title.substring(0, 30)),
-              objectType: 'Activity',
               definition: {
-                type: 'http://adlnet.gov/expapi/activities/interaction',
                 name: { 'en-US': `📂 Expanded: ${title.substring(0, 50)}` },
                 description: { 'en-US': `${locationBreadcrumb}\nAccordion expanded: ${title}` }
               }
@@ -1834,7 +2172,17 @@ const XAPITracker = (function() {
 
   // ==================== CLEANUP ====================
 
-  window.addEventListener('beforeunload', () => {
+  let unloadHandled = false;
+
+  /**
+   * Final section exit and queue hand-off when the page goes away.
+   * Called by cmi5-wrapper before it sends terminated, and by our own
+   * listeners as a fallback - whichever runs first wins.
+   */
+  function handleUnload() {
+    if (unloadHandled) return;
+    unloadHandled = true;
+
     // Send final section exit
     if (currentSection) {
       exitSection(currentSection);
@@ -1849,20 +2197,24 @@ const XAPITracker = (function() {
       totalKeyPresses: keyPressCount
     });
 
-    // Flush remaining statements synchronously so they survive page teardown
+    // Hand remaining statements to keepalive delivery. The wrapper keeps
+    // anything it can't confirm and resends it next launch, so the
+    // IndexedDB copies can go.
     if (typeof Cmi5 !== 'undefined' && Cmi5.isConnected && Cmi5.isConnected() &&
-        !Cmi5.isTerminated() && Cmi5.sendStatementSync) {
+        !Cmi5.isTerminated() && Cmi5.sendStatementsSync) {
       const batch = [...statementQueue];
       statementQueue = [];
-      for (const stmt of batch) {
-        try {
-          Cmi5.sendStatementSync(stmt.verb, stmt.result, stmt.object);
-        } catch (e) {
-          // Best effort — page is unloading
-        }
+      try {
+        Cmi5.sendStatementsSync(batch);
+        batch.forEach(removeFromOutbox);
+      } catch (e) {
+        // Best effort — page is unloading (statements stay in the outbox)
       }
     }
-  });
+  }
+
+  window.addEventListener('beforeunload', handleUnload);
+  window.addEventListener('pagehide', handleUnload);
 
   // ==================== PUBLIC API ====================
 
@@ -1899,22 +2251,44 @@ const XAPITracker = (function() {
     // Get section analytics
     getSectionAnalytics: () => ({ ...sectionData }),
 
-    // Force send all queued statements
-    flush: () => { batchPromise = processBatch(); return batchPromise; },
+    // Final exit + keepalive hand-off (called by cmi5-wrapper on unload)
+    handleUnload,
+
+    // Force send all queued statements (ignores retry backoff)
+    flush: () => { batchPromise = processBatch(true); return batchPromise; },
+
+    // Number of statements not yet delivered to the LRS
+    getPendingCount: () => statementQueue.length + draftQueue.length,
 
     // Stop tracking (call when course ends)
     stop: () => {
       log('Tracker stopped - session ended');
       sessionEnded = true;
       statementQueue = [];
+      draftQueue = [];
     },
 
     // Check if session has ended
     isSessionEnded: () => sessionEnded,
 
+    // Statements dropped for not matching their xAPI profile template:
+    // { template, errors, rejectedAt, statement }
+    getRejectedStatements: () => [...rejectedStatements],
+
     // Manual event tracking
     trackCustomEvent: (type, data) => logEvent(type, data),
 
+    // Exam attempt started / finished (Interactions)
+    trackExamAttempt,
+    trackExamResult,
+
+    // Answer review (Interactions)
+    trackExamReviewOpened,
+    trackExamRationaleViewed,
+
+    // Drag-and-drop exercise checked (DragDrop)
+    trackDragDropAnswer,
+
     // Debug output
     debug: () => {
       console.log('%c=== XAPITracker Debug ===', 'font-size: 16px; font-weight: bold; color: #8b5cf6;');
@@ -1923,7 +2297,7 @@ const XAPITracker = (function() {
       console.log('Active Time:', Math.round(activeTime / 1000), 'seconds');
       console.log('Idle Time:', Math.round(idleTime / 1000), 'seconds');
       console.log('Events Logged:', allEvents.length);
-      console.log('Statements Queued:', statementQueue.length);
+      console.log('Statements Queued:', statementQueue.length, outboxDb ? '(persisted in IndexedDB)' : '(memory only)');
       console.log('Section Data:', sectionData);
       console.log('Video States:', videoStates);
       console.log('\nRecent Events:');
@@ -1932,9 +2306,13 @@ const XAPITracker = (function() {
   };
 })();
 
-// Initialize when DOM is ready (after Cmi5 has initialized)
+// Initialize when DOM is ready (after Cmi5 has initialized and course.json has
+// loaded). The xAPI profile is waited for but not required: without it
+// statements wait in the outbox until it loads.
 document.addEventListener('DOMContentLoaded', () => {
-  setTimeout(() => XAPITracker.init(), 1000);
+  Promise.all([CourseDefinition.load(), XapiProfile.load().catch(() => null)])
+    .then(() => setTimeout(() => XAPITracker.init(), 1000))
+    .catch(error => console.error('[XAPITracker] Not started - course.json is needed for tracking:', error));
 });
 
 // Export
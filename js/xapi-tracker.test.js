@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, createIndexedDB, fetchFromRepo, settle } = require('../tools/fake-browser');
+
+const OUTBOX_DB = 'novapay-xapi-outbox';
+const OUTBOX_STORE = 'statements';
+const PAGE_URL = 'http://localhost/index.html?registration=8c1b2d3e-0f4a-4b5c-9d6e-7f8091a2b3c4';
+
+/**
+ * A Cmi5 stand-in whose sendStatements() fails while `lrs.down` is set
+ */
+function fakeCmi5() {
+  const lrs = { down: true, batches: [] };
+  const cmi5 = {
+    isConnected: () => true,
+    isTerminated: () => false,
+    isGradedLaunch: () => true,
+    getLaunchMode: () => 'Normal',
+    getQuarantine: () => [],
+    now: () => Date.now(),
+    sendStatements: async batch => {
+      lrs.batches.push(Array.from(batch, statement => statement.id));
+      return lrs.down
+        ? { sentCount: 0, error: new Error('LRS returned 503') }
+        : { sentCount: batch.length };
+    }
+  };
+  return { cmi5, lrs };
+}
+
+async function startTracker({ indexedDB, fetch } = {}) {
+  const browser = createBrowser({ url: PAGE_URL, indexedDB, fetch });
+  browser.load('course-definition', 'xapi-profile', 'xapi-tracker');
+  await browser.run('Promise.all([CourseDefinition.load(), XapiProfile.load().catch(() => null)])');
+
+  const { cmi5, lrs } = fakeCmi5();
+  browser.window.Cmi5 = cmi5;
+  browser.run('XAPITracker.init()');
+  await settle();  // Outbox opened and restored
+  return { browser, lrs };
+}
+
+test('a failed batch stays in the outbox and is retried with growing delays', async () => {
+  const indexedDB = createIndexedDB();
+  const { browser, lrs } = await startTracker({ indexedDB });
+  const pending = browser.run('XAPITracker.getPendingCount()');
+  assert.ok(pending > 0, 'session start is queued');
+  assert.equal(indexedDB.rows(OUTBOX_DB, OUTBOX_STORE).length, pending);
+
+  await browser.tick();
+  assert.equal(lrs.batches.length, 1);
+
+  // 3s, then 6s before the next attempts
+  await browser.tick();
+  assert.equal(lrs.batches.length, 1, 'no resend before the retry delay');
+  browser.advance(3000);
+  await browser.tick();
+  assert.equal(lrs.batches.length, 2);
+  browser.advance(3000);
+  await browser.tick();
+  assert.equal(lrs.batches.length, 2, 'the delay doubled');
+  browser.advance(3000);
+  await browser.tick();
+  assert.equal(lrs.batches.length, 3);
+  assert.deepEqual(lrs.batches[2], lrs.batches[0], 'resent with the same statement IDs');
+
+  // flush() doesn't wait for the delay
+  lrs.down = false;
+  await browser.run('XAPITracker.flush()');
+  await settle();
+  assert.equal(lrs.batches.length, 4);
+  assert.equal(browser.run('XAPITracker.getPendingCount()'), 0);
+  assert.equal(indexedDB.rows(OUTBOX_DB, OUTBOX_STORE).length, 0);
+});
+
+test('undelivered statements are restored once on the next page load', async () => {
+  const indexedDB = createIndexedDB();
+  const first = await startTracker({ indexedDB });
+  await first.browser.tick();
+  const undelivered = first.lrs.batches[0];
+
+  const second = await startTracker({ indexedDB });
+  second.lrs.down = false;
+  await second.browser.run('XAPITracker.flush()');
+  await settle();
+
+  const resent = second.lrs.batches[0];
+  assert.deepEqual(resent.slice(0, undelivered.length), undelivered, 'restored statements go first');
+  assert.equal(new Set(resent).size, resent.length, 'no statement twice');
+  assert.equal(indexedDB.rows(OUTBOX_DB, OUTBOX_STORE).length, 0);
+});
+
+test('without the xAPI profile, events wait in the outbox and are built once it loads', async () => {
+  const indexedDB = createIndexedDB();
+  let profileAvailable = false;
+  const fetch = (url, init) => (String(url).includes('xapi-profile') && !profileAvailable
+    ? Promise.resolve(new Response('Not found', { status: 404 }))
+    : fetchFromRepo(url, init));
+
+  const { browser, lrs } = await startTracker({ indexedDB, fetch });
+  assert.equal(browser.run('XapiProfile.isLoaded()'), false);
+  const drafts = indexedDB.rows(OUTBOX_DB, OUTBOX_STORE).map(row => row.statement);
+  assert.ok(drafts.length > 0);
+  assert.ok(drafts.every(draft => draft.template && draft.id && draft.timestamp));
+
+  lrs.down = false;
+  await browser.tick();
+  assert.equal(lrs.batches.length, 0, 'nothing sent without the profile');
+
+  profileAvailable = true;
+  browser.advance(3000);
+  await browser.tick();
+  assert.deepEqual(lrs.batches.flat(), drafts.map(draft => draft.id), 'built with the IDs captured at the time');
+  assert.equal(browser.run('XAPITracker.getPendingCount()'), 0);
+  assert.equal(indexedDB.rows(OUTBOX_DB, OUTBOX_STORE).length, 0);
+});
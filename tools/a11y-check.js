@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Accessibility Check
+ * NovaPay Platform Launch Training
+ *
+ * Serves the course from this folder and runs axe (@axe-core/cli) against
+ * index.html for the WCAG 2.0, 2.1 and 2.2 A and AA rules. Exits non-zero
+ * when axe reports a violation.
+ *
+ *   node tools/a11y-check.js [port] [-- <extra @axe-core/cli options>]
+ *
+ *   node tools/a11y-check.js -- --chrome-path /usr/bin/chromium --chromedriver-path /usr/bin/chromedriver
+ *
+ * Needs Chrome (or Chromium), a matching chromedriver and the
+ * @axe-core/cli devDependency (npm install). The page is opened with ?a11yAudit,
+ * which shows every section at once so axe checks all of them - course
+ * navigation normally hides all but one.
+ */
+
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { decodePath, serveFile } = require('./mock-lms');
+
+const ROOT = path.resolve(__dirname, '..');
+const TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+
+function parseArgs(argv) {
+  const separator = argv.indexOf('--');
+  const own = separator === -1 ? argv : argv.slice(0, separator);
+  return {
+    port: Number(own[0]) || 8790,
+    axeArgs: separator === -1 ? [] : argv.slice(separator + 1)
+  };
+}
+
+/**
+ * Read-only static server for the course folder, with the mock LMS's file
+ * guards (no tools/, no dot-directories, 400 for a malformed path)
+ */
+function createStaticServer() {
+  return http.createServer((req, res) => {
+    try {
+      serveFile(req, res, decodePath(new URL(req.url, 'http://localhost').pathname));
+    } catch (error) {
+      res.writeHead(error.status || 500);
+      res.end();
+    }
+  });
+}
+
+/**
+ * Runs the project's own @axe-core/cli - npx --no never downloads one
+ */
+function runAxe(url, extraArgs) {
+  const args = ['--no', '--', 'axe', url, '--tags', TAGS.join(','), '--exit', ...extraArgs];
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.platform === 'win32' ? 'npx.cmd' : 'npx', args, { stdio: 'inherit', cwd: ROOT });
+    child.on('error', error => reject(new Error(`npx is needed to run @axe-core/cli: ${error.message}`)));
+    child.on('exit', code => resolve(code ?? 1));
+  });
+}
+
+function main() {
+  const { port, axeArgs } = parseArgs(process.argv.slice(2));
+  const server = createStaticServer();
+
+  server.on('error', error => {
+    console.error('[a11y-check]', error.message);
+    process.exitCode = 1;
+  });
+
+  server.listen(port, async () => {
+    const url = `http://localhost:${port}/index.html?a11yAudit`;
+    console.log(`[a11y-check] Checking ${url} against ${TAGS.join(', ')}`);
+    try {
+      process.exitCode = await runAxe(url, axeArgs);
+    } catch (error) {
+      console.error('[a11y-check]', error.message);
+      process.exitCode = 1;
+    } finally {
+      server.close();
+    }
+  });
+}
+
+main();
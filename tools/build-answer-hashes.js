@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * Answer Hash Builder
+ * NovaPay Platform Launch Training
+ *
+ * Turns tools/answer-keys.json (never shipped) into answer-hashes.json,
+ * which the course checks responses against in "hashed" scoring mode.
+ * Each hash is SHA-256 of "<salt>:<questionId>:<response>", where the
+ * response is in the same canonical form js/scoring.js builds from the
+ * learner's answer.
+ *
+ *   node tools/build-answer-hashes.js
+ *
+ * Re-run after changing an answer key. Every run picks a new salt.
+ *
+ * A key is an array of option values for a choice question, or an object
+ * naming its xAPI interaction type:
+ *   { "type": "true-false",   "correct": ["true"] }
+ *   { "type": "sequencing",   "correct": ["a", "b", "c"] }        in order
+ *   { "type": "matching",     "correct": ["a[.]1", "b[.]2"] }     source[.]target
+ *   { "type": "fill-in",      "accept": ["payout.settled"] }      any one, case-insensitive
+ *   { "type": "numeric",      "min": 2, "max": 3, "step": 1 }     any step in the range
+ *   { "type": "long-fill-in", "keywords": [["token", "tokens"]] } a word from every group
+ * Likert questions have no right answer and no key.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const KEYS_PATH = path.join(__dirname, 'answer-keys.json');
+const DEFINITION_PATH = path.join(ROOT, 'course.json');
+const OUTPUT_PATH = path.join(ROOT, 'answer-hashes.json');
+
+const MAX_NUMERIC_VALUES = 1000;
+
+function keyType(key) {
+  return Array.isArray(key) ? 'choice' : key.type;
+}
+
+/**
+ * Trimmed, single-spaced, lower case - must match Scoring's normalizeText()
+ */
+function normalizeText(text) {
+  return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Distinct words of a free-text answer - must match Scoring's textWords()
+ */
+function textWords(text) {
+  return [...new Set(normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+}
+
+/**
+ * Canonical response string - must match Scoring.canonicalResponse().
+ * Sequencing keeps the learner's order; choice, true-false and matching
+ * responses are sets.
+ */
+function canonicalResponse(values, type = 'choice') {
+  switch (type) {
+    case 'sequencing':
+      return values.map(String).join('[,]');
+    case 'fill-in':
+    case 'long-fill-in':
+      return normalizeText(values[0] ?? '');
+    case 'numeric':
+      return String(Number(values[0]));
+    default:
+      return values.map(String).sort().join('[,]');
+  }
+}
+
+/**
+ * Every number a numeric key accepts, min to max in steps
+ */
+function numericValues(key) {
+  const { min, max } = key;
+  const step = key.step || 1;
+  if (![min, max, step].every(Number.isFinite) || min > max || step <= 0) {
+    throw new Error(`Numeric key needs min <= max and a positive step: ${JSON.stringify(key)}`);
+  }
+  const count = Math.round((max - min) / step) + 1;
+  if (count > MAX_NUMERIC_VALUES) {
+    throw new Error(`Numeric key accepts ${count} values - use a coarser step (max ${MAX_NUMERIC_VALUES})`);
+  }
+  const decimals = (String(step).split('.')[1] || '').length;
+  return Array.from({ length: count }, (_, i) => Number((min + i * step).toFixed(decimals)));
+}
+
+/**
+ * The canonical responses a key accepts. Long fill-in keys are checked
+ * word by word instead - see keywordGroups().
+ */
+function acceptedResponses(key) {
+  const type = keyType(key);
+  switch (type) {
+    case 'choice':
+      return [canonicalResponse(key, type)];
+    case 'true-false':
+    case 'sequencing':
+    case 'matching':
+      return [canonicalResponse(key.correct, type)];
+    case 'fill-in':
+      return key.accept.map(answer => canonicalResponse([answer], type));
+    case 'numeric':
+      return numericValues(key).map(value => canonicalResponse([value], type));
+    case 'likert':
+      throw new Error('Likert questions aren\'t scored - remove the key');
+    default:
+      throw new Error(`Unknown interaction type: ${type}`);
+  }
+}
+
+function keywordGroups(key) {
+  return key.keywords.map(group => group.map(word => {
+    const words = textWords(word);
+    if (words.length !== 1) {
+      throw new Error(`Long fill-in keywords must be single words: "${word}"`);
+    }
+    return words[0];
+  }));
+}
+
+/**
+ * Whether a response matches a key - the endpoint's version of the
+ * hashed check
+ */
+function checkResponse(key, values) {
+  const type = keyType(key);
+  if (type === 'long-fill-in') {
+    const words = new Set(textWords(values[0] ?? ''));
+    return keywordGroups(key).every(group => group.some(word => words.has(word)));
+  }
+  return acceptedResponses(key).includes(canonicalResponse(values, type));
+}
+
+/**
+ * xAPI correctResponsesPattern for a key, or null where the pattern
+ * syntax can't express the rule (long fill-in keywords)
+ */
+function correctResponsesPattern(key) {
+  const type = keyType(key);
+  switch (type) {
+    case 'fill-in':
+      return key.accept.map(answer => `{case_matters=false}${answer}`);
+    case 'numeric':
+      return [key.min === key.max ? String(key.min) : `${key.min}[:]${key.max}`];
+    case 'long-fill-in':
+      return null;
+    default:
+      return [(Array.isArray(key) ? key : key.correct).join('[,]')];
+  }
+}
+
+/**
+ * The correct answer as response values, for showing to the learner
+ */
+function correctValues(key) {
+  switch (keyType(key)) {
+    case 'choice':
+      return key;
+    case 'fill-in':
+      return [key.accept[0]];
+    case 'numeric':
+      return correctResponsesPattern(key);
+    case 'long-fill-in':
+      return [key.keywords.map(group => group[0]).join(', ')];
+    default:
+      return key.correct;
+  }
+}
+
+function hashText(salt, questionId, text) {
+  return crypto.createHash('sha256')
+    .update(`${salt}:${questionId}:${text}`)
+    .digest('hex');
+}
+
+function hashResponse(salt, questionId, values, type = 'choice') {
+  return hashText(salt, questionId, canonicalResponse(values, type));
+}
+
+/**
+ * What answer-hashes.json stores for one key: a hash, { any: [hashes] }
+ * when several responses are right, or { all: [[hashes]] } - one group
+ * per long fill-in keyword
+ */
+function hashKey(salt, questionId, key) {
+  if (keyType(key) === 'long-fill-in') {
+    return { all: keywordGroups(key).map(group => group.map(word => hashText(salt, questionId, word))) };
+  }
+  const hashes = acceptedResponses(key).map(response => hashText(salt, questionId, response));
+  return hashes.length === 1 ? hashes[0] : { any: hashes };
+}
+
+/**
+ * Exam item ids, from the pools in course.json
+ */
+function examItemIds() {
+  const definition = JSON.parse(fs.readFileSync(DEFINITION_PATH, 'utf8'));
+  return new Set((definition.exam?.pools || []).flatMap(pool => pool.items));
+}
+
+function main() {
+  const keys = JSON.parse(fs.readFileSync(KEYS_PATH, 'utf8'));
+  const examItems = examItemIds();
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  const questions = {};
+  const patterns = {};
+  Object.entries(keys).forEach(([questionId, key]) => {
+    questions[questionId] = hashKey(salt, questionId, key);
+    // Knowledge checks are practice: their statements may carry the answer.
+    // Exam answers never leave tools/.
+    const pattern = examItems.has(questionId) ? null : correctResponsesPattern(key);
+    if (pattern) patterns[questionId] = pattern;
+  });
+
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify({ algorithm: 'SHA-256', salt, questions, patterns }, null, 2) + '\n');
+  console.log(`[build-answer-hashes] Wrote answer-hashes.json (${Object.keys(questions).length} questions)`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('[build-answer-hashes]', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  keyType,
+  canonicalResponse,
+  hashResponse,
+  hashKey,
+  checkResponse,
+  correctResponsesPattern,
+  correctValues,
+  examItemIds
+};
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * cmi5.xml Builder
+ * NovaPay Platform Launch Training
+ *
+ * Generates the cmi5 course structure from course.json and validates it
+ * against tools/CourseStructure.xsd (with xmllint) before writing it.
+ *
+ *   node tools/build-cmi5.js                  One AU for the whole course
+ *   node tools/build-cmi5.js --au-per-module  A block and an AU per module
+ *   node tools/build-cmi5.js --check          Fail if cmi5.xml is out of date
+ *
+ * --check can be combined with --au-per-module.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFINITION_PATH = path.join(ROOT, 'course.json');
+const OUTPUT_PATH = path.join(ROOT, 'cmi5.xml');
+const SCHEMA_PATH = path.join(__dirname, 'CourseStructure.xsd');
+const NAMESPACE = 'https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd';
+
+const COURSE_ACTIVITY_TYPE = 'http://adlnet.gov/expapi/activities/course';
+const MODULE_ACTIVITY_TYPE = 'http://adlnet.gov/expapi/activities/module';
+
+// ==================== XML HELPERS ====================
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function indent(depth) {
+  return '  '.repeat(depth);
+}
+
+/**
+ * <title>/<description> with a single langstring
+ */
+function textElement(name, text, lang, depth) {
+  return [
+    `${indent(depth)}<${name}>`,
+    `${indent(depth + 1)}<langstring lang="${escapeXml(lang)}">${escapeXml(text)}</langstring>`,
+    `${indent(depth)}</${name}>`
+  ];
+}
+
+function objectiveRefs(ids, depth) {
+  if (!ids.length) return [];
+  return [
+    `${indent(depth)}<objectives>`,
+    ...ids.map(id => `${indent(depth + 1)}<objective idref="${escapeXml(id)}"/>`),
+    `${indent(depth)}</objectives>`
+  ];
+}
+
+/**
+ * Attributes one per line, lined up under the first (as in the old hand-written file)
+ */
+function attributes(attrs, depth) {
+  return Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(`\n${indent(depth)}    `);
+}
+
+// ==================== COURSE STRUCTURE ====================
+
+function objectiveId(definition, id) {
+  return `${definition.id}/objectives/${id}`;
+}
+
+/**
+ * Pass mark for an AU: its own masteryScore, else the exam threshold
+ * when the AU contains the exam. Content-only AUs have none.
+ */
+function masteryScoreFor(definition, override, modules) {
+  if (override !== undefined) return override;
+  const hasExam = modules.some(m => m.sections.some(s => s.type === 'exam'));
+  return hasExam ? definition.exam.passThreshold : undefined;
+}
+
+function buildAu(definition, au, depth) {
+  const lines = [
+    `${indent(depth)}<au ${attributes({
+      id: au.id,
+      activityType: au.activityType,
+      launchMethod: definition.cmi5.launchMethod,
+      moveOn: au.moveOn,
+      masteryScore: au.masteryScore
+    }, depth)}>`,
+    ...textElement('title', au.title, definition.language, depth + 1),
+    ...textElement('description', au.description, definition.language, depth + 1),
+    ...objectiveRefs(au.objectives, depth + 1),
+    `${indent(depth + 1)}<url>${escapeXml(definition.cmi5.url)}</url>`
+  ];
+  if (au.launchParameters) {
+    lines.push(`${indent(depth + 1)}<launchParameters>${escapeXml(au.launchParameters)}</launchParameters>`);
+  }
+  lines.push(`${indent(depth)}</au>`);
+  return lines;
+}
+
+/**
+ * The whole course as one AU
+ */
+function courseAu(definition) {
+  const au = definition.cmi5.au;
+  return {
+    id: `${definition.id}/au/${au.id}`,
+    activityType: COURSE_ACTIVITY_TYPE,
+    title: au.title,
+    description: au.description,
+    moveOn: au.moveOn,
+    masteryScore: masteryScoreFor(definition, au.masteryScore, definition.modules),
+    objectives: (definition.objectives || []).map(o => objectiveId(definition, o.id))
+  };
+}
+
+/**
+ * A module's AU. It passes the module id to the course in its launch
+ * parameters.
+ */
+function moduleAu(definition, module) {
+  return {
+    id: `${definition.id}/au/${module.id}`,
+    activityType: MODULE_ACTIVITY_TYPE,
+    title: module.title,
+    description: module.description,
+    moveOn: module.moveOn,
+    masteryScore: masteryScoreFor(definition, module.masteryScore, [module]),
+    objectives: (module.objectives || []).map(id => objectiveId(definition, id)),
+    launchParameters: JSON.stringify({ module: module.id })
+  };
+}
+
+/**
+ * A block per module, each holding that module's AU
+ */
+function buildModuleBlocks(definition) {
+  const lines = [];
+  definition.modules.forEach(module => {
+    const au = moduleAu(definition, module);
+    lines.push(
+      `${indent(1)}<block id="${escapeXml(`${definition.id}/block/${module.id}`)}">`,
+      ...textElement('title', module.title, definition.language, 2),
+      ...textElement('description', module.description, definition.language, 2),
+      ...objectiveRefs(au.objectives, 2),
+      ...buildAu(definition, au, 2),
+      `${indent(1)}</block>`
+    );
+  });
+  return lines;
+}
+
+function buildCourseStructure(definition, { auPerModule }) {
+  const lang = definition.language;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!-- Generated from course.json by tools/build-cmi5.js - edit course.json, not this file -->',
+    `<courseStructure xmlns="${NAMESPACE}">`,
+    `${indent(1)}<course id="${escapeXml(definition.id)}">`,
+    ...textElement('title', definition.title, lang, 2),
+    ...textElement('description', definition.description, lang, 2),
+    `${indent(1)}</course>`
+  ];
+
+  if (definition.objectives.length) {
+    lines.push('', `${indent(1)}<objectives>`);
+    definition.objectives.forEach(objective => {
+      lines.push(
+        `${indent(2)}<objective id="${escapeXml(objectiveId(definition, objective.id))}">`,
+        ...textElement('title', objective.title, lang, 3),
+        ...textElement('description', objective.description, lang, 3),
+        `${indent(2)}</objective>`
+      );
+    });
+    lines.push(`${indent(1)}</objectives>`);
+  }
+
+  lines.push('', ...(auPerModule ? buildModuleBlocks(definition) : buildAu(definition, courseAu(definition), 1)));
+  lines.push('</courseStructure>', '');
+  return lines.join('\n');
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Validate XML against the CourseStructure XSD. Returns xmllint's
+ * error output, or null when the document is valid.
+ */
+function validate(xml) {
+  const tmpFile = path.join(os.tmpdir(), `cmi5-${process.pid}.xml`);
+  fs.writeFileSync(tmpFile, xml);
+  try {
+    const result = spawnSync('xmllint', ['--noout', '--schema', SCHEMA_PATH, tmpFile], { encoding: 'utf8' });
+    if (result.error) {
+      throw new Error(`xmllint is needed to validate cmi5.xml (install libxml2): ${result.error.message}`);
+    }
+    return result.status === 0 ? null : result.stderr.split(tmpFile).join('cmi5.xml');
+  } finally {
+    fs.unlinkSync(tmpFile);
+  }
+}
+
+// ==================== MAIN ====================
+
+function main(args) {
+  const auPerModule = args.includes('--au-per-module');
+  const checkOnly = args.includes('--check');
+
+  const definition = JSON.parse(fs.readFileSync(DEFINITION_PATH, 'utf8'));
+  definition.objectives = definition.objectives || [];
+  const xml = buildCourseStructure(definition, { auPerModule });
+
+  const errors = validate(xml);
+  if (errors) {
+    console.error('[build-cmi5] Generated cmi5.xml does not match the cmi5 schema:\n' + errors);
+    return 1;
+  }
+
+  if (checkOnly) {
+    const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf8') : '';
+    if (current !== xml) {
+      console.error('[build-cmi5] cmi5.xml is out of date - run node tools/build-cmi5.js');
+      return 1;
+    }
+    console.log('[build-cmi5] cmi5.xml is up to date');
+    return 0;
+  }
+
+  fs.writeFileSync(OUTPUT_PATH, xml);
+  console.log(`[build-cmi5] Wrote cmi5.xml (${auPerModule ? `${definition.modules.length} module AUs` : 'single AU'})`);
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (error) {
+    console.error('[build-cmi5]', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { buildCourseStructure, courseAu, moduleAu, validate };
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Exam Review Check
+ * NovaPay Platform Launch Training
+ *
+ * The post-attempt review shows each exam question's correct answer and
+ * an explanation from tools/exam-rationales.json. Only the scoring
+ * service (tools/scoring-server.js, "endpoint" scoring) hands them out,
+ * and only for a passing attempt. Nothing with the answers in it is ever
+ * written for the package: a file in the zip can be read before the exam.
+ *
+ *   node tools/build-exam-review.js
+ *
+ * Checks every exam item has a key and a rationale when the review is
+ * on. In "hashed" mode the review is always off, whatever
+ * exam.reviewVisibility says.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { correctValues } = require('./build-answer-hashes');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFINITION_PATH = path.join(ROOT, 'course.json');
+const KEYS_PATH = path.join(__dirname, 'answer-keys.json');
+const RATIONALES_PATH = path.join(__dirname, 'exam-rationales.json');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * When the review is offered: "never" unless the scoring service can
+ * serve it (see reviewVisibility() in js/interactions.js)
+ */
+function reviewVisibility(definition) {
+  const mode = definition.scoring?.mode || 'hashed';
+  return mode === 'endpoint' ? (definition.exam.reviewVisibility || 'never') : 'never';
+}
+
+/**
+ * Exam item ids, from the pools in course.json
+ */
+function examItemIds(definition) {
+  return (definition.exam.pools || []).flatMap(pool => pool.items);
+}
+
+/**
+ * { "<itemId>": { correct: [values], rationale } } for the given items.
+ * correct is the right response in the form the learner gives one.
+ */
+function buildReviewItems(keys, rationales, itemIds) {
+  const items = {};
+  itemIds.forEach(itemId => {
+    if (!keys[itemId]) {
+      throw new Error(`No answer key for exam item ${itemId}`);
+    }
+    items[itemId] = { correct: correctValues(keys[itemId]), rationale: rationales[itemId] || '' };
+  });
+  return items;
+}
+
+function main() {
+  const definition = readJson(DEFINITION_PATH);
+  const mode = definition.scoring?.mode || 'hashed';
+  const visibility = reviewVisibility(definition);
+
+  if (mode !== 'endpoint') {
+    if ((definition.exam.reviewVisibility || 'never') !== 'never') {
+      console.warn(`[build-exam-review] The review is off: reviewVisibility "${definition.exam.reviewVisibility}" needs "endpoint" scoring, and answers are never written to the package`);
+    }
+    return;
+  }
+  if (visibility === 'never') return;
+
+  // The scoring service builds the review on request - check it can
+  const itemIds = examItemIds(definition);
+  const rationales = readJson(RATIONALES_PATH);
+  const missing = itemIds.filter(itemId => !rationales[itemId]);
+  if (missing.length) {
+    console.warn(`[build-exam-review] No rationale for ${missing.join(', ')}`);
+  }
+  buildReviewItems(readJson(KEYS_PATH), rationales, itemIds);
+  console.log(`[build-exam-review] The scoring service can review all ${itemIds.length} exam items (review: ${visibility})`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('[build-exam-review]', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { buildReviewItems, reviewVisibility };
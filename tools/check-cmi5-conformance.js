@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * cmi5 Conformance Check
+ * NovaPay Platform Launch Training
+ *
+ * Runs the rules in js/cmi5-conformance.js over a statement stream and
+ * prints a pass/fail line per rule with the statements that broke it.
+ * Exits non-zero when a rule fails or there is nothing to check.
+ *
+ *   node tools/check-cmi5-conformance.js <source> [options]
+ *
+ * <source> is a JSON file, - for stdin, or a URL:
+ *   statement-log.json                    copy(JSON.stringify(Cmi5.getStatementLog())) in the console
+ *   lrs-export.json                       { "statements": [...] } from an LRS
+ *   http://localhost:8789/lms/api/data    everything the mock LMS has stored
+ *   https://lrs.example.com/xapi/statements?registration=... --auth "Basic ..."
+ *
+ * Options:
+ *   --mastery-score <0-1>   masteryScore from LMS.LaunchData
+ *   --launch-mode <mode>    Normal, Browse or Review (else read from the LMS's launched statements)
+ *   --activity-id <iri>     The AU id defined statements must be about
+ *   --auth <header>         Authorization header for an LRS URL
+ *   --json                  Print the report as JSON
+ *
+ * An LRS URL's "more" links are followed, so a registration's whole
+ * history is checked.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const Cmi5Conformance = require('../js/cmi5-conformance');
+
+const MAX_PAGES = 50;
+
+function parseArgs(argv) {
+  const options = { source: null, check: {}, auth: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--mastery-score':
+        options.check.masteryScore = Number(argv[++i]);
+        if (!(options.check.masteryScore >= 0 && options.check.masteryScore <= 1)) {
+          throw new Error('--mastery-score must be between 0 and 1');
+        }
+        break;
+      case '--launch-mode':
+        options.check.launchMode = argv[++i];
+        break;
+      case '--activity-id':
+        options.check.activityId = argv[++i];
+        break;
+      case '--auth':
+        options.auth = argv[++i];
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        if (options.source) throw new Error(`Unexpected argument: ${argv[i]}`);
+        options.source = argv[i];
+    }
+  }
+  if (!options.source) {
+    throw new Error('Usage: node tools/check-cmi5-conformance.js <file | - | url> [--mastery-score n] [--launch-mode mode] [--activity-id iri] [--auth header] [--json]');
+  }
+  return options;
+}
+
+/**
+ * GET a URL, following xAPI "more" links and collecting the statements
+ */
+async function readUrl(url, auth) {
+  const headers = { 'X-Experience-API-Version': '1.0.3' };
+  if (auth) headers.Authorization = auth;
+
+  let next = url;
+  let result = null;
+  for (let page = 0; next && page < MAX_PAGES; page++) {
+    const response = await fetch(next, { headers });
+    if (!response.ok) {
+      throw new Error(`GET ${next} failed: ${response.status} ${await response.text()}`);
+    }
+    const body = await response.json();
+    if (!result) {
+      result = body;
+    } else {
+      result.statements.push(...(body.statements || []));
+    }
+    next = body.more ? new URL(body.more, next).href : null;
+  }
+  return result;
+}
+
+async function readSource(source, auth) {
+  if (/^https?:\/\//.test(source)) {
+    return readUrl(source, auth);
+  }
+  return JSON.parse(fs.readFileSync(source === '-' ? 0 : source, 'utf8'));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const input = await readSource(options.source, options.auth);
+  const report = Cmi5Conformance.check(input, options.check);
+
+  console.log(options.json ? JSON.stringify(report, null, 2) : Cmi5Conformance.formatReport(report));
+  return report.passed && report.statementCount ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error('[check-cmi5-conformance]', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * xAPI Profile Check
+ * NovaPay Platform Launch Training
+ *
+ * Checks xapi-profile.jsonld and, given statements, which template each
+ * tracker statement matches. Exits non-zero when the profile has problems
+ * or a statement matches no template.
+ *
+ *   node tools/check-xapi-profile.js [statements] [--profile <file>]
+ *
+ * [statements] is a JSON file or - for stdin: the statement log
+ * (copy(JSON.stringify(Cmi5.getStatementLog())) in the console), an LRS
+ * export ({ "statements": [...] }) or the mock LMS's /lms/api/data.
+ * Statements with the cmi5 category are the wrapper's cmi5 defined
+ * statements, which the profile doesn't cover, and are skipped.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const XapiProfile = require('../js/xapi-profile');
+const Cmi5Conformance = require('../js/cmi5-conformance');
+
+const DEFAULT_PROFILE = path.join(__dirname, '..', 'xapi-profile.jsonld');
+const CMI5_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+
+function parseArgs(argv) {
+  const options = { source: null, profile: DEFAULT_PROFILE };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile') {
+      options.profile = argv[++i];
+    } else if (!options.source) {
+      options.source = argv[i];
+    } else {
+      throw new Error(`Unexpected argument: ${argv[i]}\nUsage: node tools/check-xapi-profile.js [file | -] [--profile file]`);
+    }
+  }
+  return options;
+}
+
+function isCmi5Defined(statement) {
+  return (statement.context?.contextActivities?.category || []).some(activity => activity.id === CMI5_CATEGORY);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const data = JSON.parse(fs.readFileSync(options.profile, 'utf8'));
+
+  const problems = XapiProfile.checkProfile(data);
+  XapiProfile.use(data);
+  console.log(`[check-xapi-profile] ${path.basename(options.profile)}: ${(data.concepts || []).length} concepts, ${(data.templates || []).length} templates`);
+  problems.forEach(problem => console.log(`  PROBLEM ${problem}`));
+  if (!options.source) return problems.length ? 1 : 0;
+
+  const input = JSON.parse(fs.readFileSync(options.source === '-' ? 0 : options.source, 'utf8'));
+  const statements = Cmi5Conformance.statementsFrom(input).filter(statement => !isCmi5Defined(statement));
+
+  const counts = {};
+  const mismatches = [];
+  statements.forEach(statement => {
+    const { template, errors } = XapiProfile.match(statement);
+    if (template) {
+      counts[template] = (counts[template] || 0) + 1;
+    } else {
+      mismatches.push({ statement, errors });
+    }
+  });
+
+  console.log(`[check-xapi-profile] ${statements.length} tracker statement(s), ${mismatches.length} matching no template`);
+  Object.keys(counts).sort().forEach(key => console.log(`  ${String(counts[key]).padStart(4)}  ${key}`));
+  mismatches.forEach(({ statement, errors }) => {
+    console.log(`  MISMATCH ${statement.id || '(no id)'} ${statement.verb?.id} ${statement.object?.id}`);
+    errors.forEach(error => console.log(`    - ${error}`));
+  });
+
+  return problems.length || mismatches.length || !statements.length ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error('[check-xapi-profile]', error.message);
+  process.exitCode = 1;
+});
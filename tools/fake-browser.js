@@ -0,0 +1,268 @@
+/**
+ * Browser Stand-in for Tests
+ * NovaPay Platform Launch Training
+ *
+ * Runs the course's scripts (js/*.js) in a vm context with just enough
+ * of a browser for their logic: storage, location, fetch, Web Crypto and
+ * a document whose queries find nothing. It is not a DOM - use it for
+ * the modules' state and LRS handling, not for rendering.
+ *
+ *   const browser = createBrowser({ url: pageUrl });
+ *   browser.load('course-definition', 'xapi-tracker');
+ *   browser.run('XAPITracker.getPendingCount()');
+ *
+ * Tests that need a few elements replace document.getElementById() and
+ * friends with their own, built on stubElement().
+ *
+ * Intervals don't run by themselves: tick() runs each of them once.
+ * advance(ms) moves the page's Date.now() forward. settle() waits for
+ * pending promises and timers (IndexedDB requests, fetches) to run.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+const noop = () => {};
+
+function settle(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function stubElement() {
+  return {
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    getElementById: () => null,
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    dataset: {},
+    style: {},
+    setAttribute: noop,
+    getAttribute: () => null,
+    appendChild: noop
+  };
+}
+
+class StubObserver {
+  observe() {}
+  disconnect() {}
+}
+
+/**
+ * Relative URLs are files in the repo; absolute ones go to the network
+ */
+function fetchFromRepo(resource, init) {
+  const url = String(resource);
+  if (/^[a-z]+:/i.test(url)) {
+    return fetch(url, init);
+  }
+  const file = path.join(ROOT, url.replace(/^\.?\//, '').split('?')[0]);
+  if (!fs.existsSync(file)) {
+    return Promise.resolve(new Response('Not found', { status: 404 }));
+  }
+  return Promise.resolve(new Response(fs.readFileSync(file)));
+}
+
+/**
+ * A page at `url` (default http://localhost/index.html). `fetch` replaces
+ * fetchFromRepo; `indexedDB`, `localStorage` and `sessionStorage` carry
+ * state over from an earlier page.
+ */
+function createBrowser(options = {}) {
+  const url = new URL(options.url || 'http://localhost/index.html');
+  const intervals = [];
+  let clockOffset = 0;
+
+  const page = {
+    console: options.console || { log: noop, info: noop, warn: noop, error: noop, table: noop, debug: noop },
+    document: {
+      ...stubElement(),
+      documentElement: { ...stubElement(), scrollHeight: 1000, clientHeight: 800, lang: 'en' },
+      head: stubElement(),
+      body: stubElement(),
+      createElement: () => stubElement(),
+      hidden: false,
+      visibilityState: 'visible',
+      referrer: '',
+      readyState: 'complete',
+      title: ''
+    },
+    location: {
+      href: url.href,
+      origin: url.origin,
+      pathname: url.pathname,
+      search: url.search,
+      hash: url.hash
+    },
+    navigator: { userAgent: 'node', platform: 'node', language: 'en-US', onLine: true },
+    screen: { width: 1280, height: 800 },
+    innerWidth: 1280,
+    innerHeight: 800,
+    pageYOffset: 0,
+    performance: { now: () => Date.now(), timing: {} },
+    localStorage: options.localStorage || new MemoryStorage(),
+    sessionStorage: options.sessionStorage || new MemoryStorage(),
+    indexedDB: options.indexedDB,
+    fetch: options.fetch || fetchFromRepo,
+    setTimeout,
+    clearTimeout,
+    setInterval: callback => intervals.push(callback),
+    clearInterval: noop,
+    MutationObserver: StubObserver,
+    IntersectionObserver: StubObserver,
+    PerformanceObserver: StubObserver,
+    addEventListener: noop,
+    removeEventListener: noop,
+    URL,
+    URLSearchParams,
+    Blob,
+    Response,
+    Headers,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    crypto: globalThis.crypto,
+    btoa,
+    atob,
+    structuredClone
+  };
+  page.window = page;
+
+  const context = vm.createContext(page);
+  vm.runInContext('(offset => { const now = Date.now; Date.now = () => now() + offset(); })', context)(() => clockOffset);
+
+  return {
+    window: page,
+
+    /**
+     * Run js/<name>.js files in the page, in order
+     */
+    load(...names) {
+      names.forEach(name => {
+        const file = path.join(ROOT, 'js', `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+      });
+    },
+
+    run(code) {
+      return vm.runInContext(code, context);
+    },
+
+    /**
+     * Run every interval once, then wait for the work they started
+     */
+    tick() {
+      intervals.forEach(callback => callback());
+      return settle();
+    },
+
+    advance(ms) {
+      clockOffset += ms;
+    }
+  };
+}
+
+/**
+ * The part of IndexedDB the tracker's outbox uses: open with an upgrade,
+ * one auto-increment store and add/put/delete/getAll. Databases live as
+ * long as the object, so pass the same one to a second page to "reload".
+ */
+function createIndexedDB() {
+  const databases = new Map();
+
+  function createDatabase() {
+    const stores = new Map();
+    return {
+      stores,
+      createObjectStore(name, { keyPath }) {
+        stores.set(name, { keyPath, rows: new Map(), nextKey: 1 });
+        return { createIndex: noop };
+      },
+      transaction(name) {
+        const store = stores.get(name);
+        const transaction = {
+          objectStore: () => ({
+            add(value) {
+              const key = store.nextKey++;
+              store.rows.set(key, structuredClone({ ...value, [store.keyPath]: key }));
+              return { result: key };
+            },
+            put(value) {
+              store.rows.set(value[store.keyPath], structuredClone(value));
+              return { result: value[store.keyPath] };
+            },
+            delete(key) {
+              store.rows.delete(key);
+              return { result: undefined };
+            },
+            getAll() {
+              return { result: [...store.rows.values()].map(row => structuredClone(row)) };
+            }
+          })
+        };
+        setTimeout(() => transaction.oncomplete && transaction.oncomplete());
+        return transaction;
+      }
+    };
+  }
+
+  return {
+    open(name) {
+      const request = {};
+      setTimeout(() => {
+        const created = !databases.has(name);
+        if (created) databases.set(name, createDatabase());
+        request.result = databases.get(name);
+        if (created && request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    },
+
+    /**
+     * Rows of a store, for checking what's persisted
+     */
+    rows(name, storeName) {
+      const store = databases.get(name)?.stores.get(storeName);
+      return store ? [...store.rows.values()] : [];
+    }
+  };
+}
+
+module.exports = { createBrowser, createIndexedDB, fetchFromRepo, settle, stubElement, MemoryStorage, ROOT };
@@ -0,0 +1,979 @@
+#!/usr/bin/env node
+/**
+ * Mock LMS and LRS
+ * NovaPay Platform Launch Training
+ *
+ * A local stand-in for a cmi5 LMS, for trying the course's LRS code
+ * without uploading a package. It serves the course, launches it the way
+ * an LMS does and records everything the course sends.
+ *
+ *   node tools/mock-lms.js [port] [--latency <ms>] [--fail-next <n>]
+ *                          [--fail-rate <0-1>] [--fail-status <code>]
+ *
+ * Then open http://localhost:8789/lms/ (the default port).
+ *
+ *   /lms/                 Launch form and inspection page
+ *   /lms/launch?...       Creates a session and redirects to the course
+ *   /lms/fetch?session=   cmi5 fetch URL - gives out the auth token once
+ *   /xapi/                The LRS: statements, activities/state,
+ *                         agents/profile and about
+ *   /lms/api/...          JSON for the page: data, launch, faults, expire, reset
+ *   /*                    The course files (not tools/ or dot-directories)
+ *
+ * Each launch gets a new session with its own token, an LMS.LaunchData
+ * state document and a "launched" statement, like a real LMS. Once the
+ * course sends "terminated" - or a session is expired from the page - its
+ * token gets 401 "session not found".
+ *
+ * Faults apply to /xapi/ requests: --latency delays every response,
+ * --fail-next answers the next n requests with --fail-status (default 503)
+ * and --fail-rate does the same at random. They can be changed from the
+ * page while a course is running. Everything is kept in memory.
+ *
+ * Tests start one in-process with createServer() and listen on a free port.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { courseAu, moduleAu } = require('./build-cmi5');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFINITION_PATH = path.join(ROOT, 'course.json');
+const MAX_BODY_BYTES = 1024 * 1024;
+const XAPI_VERSION = '1.0.3';
+
+const CMI5_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+const CMI5_EXTENSIONS = 'https://w3id.org/xapi/cmi5/context/extensions/';
+const LAUNCH_MODES = ['Normal', 'Browse', 'Review'];
+const MOVE_ON_VALUES = ['Passed', 'Completed', 'CompletedAndPassed', 'CompletedOrPassed', 'NotApplicable'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.jsonld': 'application/ld+json',
+  '.xml': 'application/xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg'
+};
+
+const definition = JSON.parse(fs.readFileSync(DEFINITION_PATH, 'utf8'));
+
+/**
+ * The AUs a package of this course can contain: the whole course, and one
+ * per module when built with --au-per-module
+ */
+const AUS = [courseAu(definition), ...definition.modules.map(module => moduleAu(definition, module))];
+
+function parseArgs(argv) {
+  const options = { port: 8789, latencyMs: 0, failNext: 0, failRate: 0, failStatus: 503 };
+  const flags = { '--latency': 'latencyMs', '--fail-next': 'failNext', '--fail-rate': 'failRate', '--fail-status': 'failStatus' };
+  for (let i = 0; i < argv.length; i++) {
+    if (flags[argv[i]]) {
+      options[flags[argv[i]]] = Number(argv[++i]) || 0;
+    } else if (Number(argv[i])) {
+      options.port = Number(argv[i]);
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// ==================== STORE ====================
+
+let store;
+
+function resetStore() {
+  store = {
+    sessions: new Map(),    // sessionId -> session
+    statements: [],         // newest last
+    documents: new Map()    // "state|..." or "profile|..." -> document
+  };
+}
+
+const faults = { latencyMs: 0, failNext: 0, failRate: 0, failStatus: 503 };
+
+/**
+ * Canonical JSON - key order doesn't matter when comparing statements
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * An agent's inverse functional identifier, for keying documents
+ */
+function agentKey(agent) {
+  if (!agent || typeof agent !== 'object') return null;
+  if (agent.mbox) return `mbox:${agent.mbox}`;
+  if (agent.mbox_sha1sum) return `sha1:${agent.mbox_sha1sum}`;
+  if (agent.openid) return `openid:${agent.openid}`;
+  if (agent.account?.homePage && agent.account?.name) return `account:${agent.account.homePage}|${agent.account.name}`;
+  return null;
+}
+
+function documentKey(kind, parts) {
+  return [kind, ...parts.map(part => part ?? '')].join('|');
+}
+
+function putDocument(key, scope, id, contentType, body) {
+  const document = {
+    scope,
+    id,
+    contentType: contentType || 'application/octet-stream',
+    body,
+    etag: crypto.createHash('sha1').update(body).digest('hex'),
+    updated: new Date().toISOString()
+  };
+  store.documents.set(key, document);
+  return document;
+}
+
+function isJsonDocument(document) {
+  return document.contentType.startsWith('application/json');
+}
+
+function documentValue(document) {
+  if (!isJsonDocument(document)) return document.body;
+  try {
+    return JSON.parse(document.body);
+  } catch (e) {
+    return document.body;
+  }
+}
+
+// ==================== HTTP HELPERS ====================
+
+function corsHeaders(req) {
+  // The fetch URL is requested with credentials, which rules out "*"
+  return {
+    'Access-Control-Allow-Origin': req.headers.origin || '*',
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Experience-API-Version, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'Date, ETag, Last-Modified, X-Experience-API-Version, X-Experience-API-Consistent-Through'
+  };
+}
+
+function send(req, res, status, body, headers = {}) {
+  const isText = typeof body === 'string';
+  res.writeHead(status, {
+    ...corsHeaders(req),
+    'X-Experience-API-Version': XAPI_VERSION,
+    ...(body === undefined ? {} : { 'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json' }),
+    ...headers
+  });
+  res.end(body === undefined ? '' : (isText ? body : JSON.stringify(body)));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request too large'), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw Object.assign(new Error(`${what} must be JSON`), { status: 400 });
+  }
+}
+
+/**
+ * A request body that must be a JSON object - null, arrays and bare
+ * values are a 400
+ */
+function parseObject(text, what) {
+  const value = parseJson(text, what);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw badRequest(`${what} must be a JSON object`);
+  }
+  return value;
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function origin(req) {
+  return `http://${req.headers.host}`;
+}
+
+// ==================== LAUNCH ====================
+
+function learnerActor(req, learner) {
+  const name = String(learner || 'learner-1').trim() || 'learner-1';
+  return { objectType: 'Agent', name, account: { homePage: origin(req), name } };
+}
+
+/**
+ * Create a session the way an LMS does before opening the AU: write
+ * LMS.LaunchData, seed the learner preferences, record "launched" and
+ * build the launch URL.
+ */
+function createLaunch(req, options) {
+  const au = AUS.find(candidate => candidate.id === options.au) || AUS[0];
+  const launchMode = LAUNCH_MODES.includes(options.launchMode) ? options.launchMode : 'Normal';
+  const moveOn = MOVE_ON_VALUES.includes(options.moveOn) ? options.moveOn : (au.moveOn || 'NotApplicable');
+  const masteryScore = options.masteryScore === undefined || options.masteryScore === ''
+    ? au.masteryScore
+    : Number(options.masteryScore);
+  if (masteryScore !== undefined && !(masteryScore >= 0 && masteryScore <= 1)) {
+    throw badRequest('masteryScore must be between 0 and 1');
+  }
+
+  const actor = learnerActor(req, options.learner);
+  const registration = UUID_PATTERN.test(options.registration || '') ? options.registration : crypto.randomUUID();
+  const sessionId = crypto.randomUUID();
+  const token = Buffer.from(`${sessionId}:${crypto.randomBytes(12).toString('hex')}`).toString('base64');
+  const base = origin(req);
+
+  const launchData = {
+    contextTemplate: {
+      contextActivities: { grouping: [{ id: definition.id, objectType: 'Activity' }] },
+      extensions: { [`${CMI5_EXTENSIONS}sessionid`]: sessionId }
+    },
+    launchMode,
+    moveOn,
+    returnURL: `${base}/lms/?returned=${sessionId}`
+  };
+  if (au.launchParameters) launchData.launchParameters = au.launchParameters;
+  if (masteryScore !== undefined) launchData.masteryScore = masteryScore;
+
+  putDocument(documentKey('state', [au.id, agentKey(actor), registration, 'LMS.LaunchData']),
+    { activityId: au.id, agent: actor, registration }, 'LMS.LaunchData',
+    'application/json', JSON.stringify(launchData));
+
+  const preferences = {};
+  if (options.languagePreference) preferences.languagePreference = options.languagePreference;
+  if (options.audioPreference) preferences.audioPreference = options.audioPreference;
+  const profileKey = documentKey('profile', [agentKey(actor), 'cmi5LearnerPreferences']);
+  if (Object.keys(preferences).length && !store.documents.has(profileKey)) {
+    putDocument(profileKey, { agent: actor }, 'cmi5LearnerPreferences', 'application/json', JSON.stringify(preferences));
+  }
+
+  const params = new URLSearchParams({
+    endpoint: `${base}/xapi/`,
+    fetch: `${base}/lms/fetch?session=${sessionId}`,
+    actor: JSON.stringify(actor),
+    registration,
+    activityId: au.id
+  });
+  const url = `${base}/${definition.cmi5.url}?${params.toString()}`;
+
+  store.sessions.set(sessionId, {
+    id: sessionId,
+    token,
+    au: au.id,
+    actor,
+    registration,
+    launchMode,
+    launched: new Date().toISOString(),
+    fetched: false,
+    status: 'launched',
+    url
+  });
+
+  storeStatement({
+    id: crypto.randomUUID(),
+    actor,
+    verb: { id: 'http://adlnet.gov/expapi/verbs/launched', display: { 'en-US': 'launched' } },
+    object: { id: au.id, objectType: 'Activity' },
+    context: {
+      registration,
+      contextActivities: { category: [{ id: CMI5_CATEGORY }], grouping: [{ id: definition.id }] },
+      extensions: {
+        [`${CMI5_EXTENSIONS}sessionid`]: sessionId,
+        [`${CMI5_EXTENSIONS}launchmode`]: launchMode,
+        [`${CMI5_EXTENSIONS}launchurl`]: `${base}/${definition.cmi5.url}`,
+        [`${CMI5_EXTENSIONS}moveon`]: moveOn,
+        ...(au.launchParameters ? { [`${CMI5_EXTENSIONS}launchparameters`]: au.launchParameters } : {})
+      }
+    },
+    timestamp: new Date().toISOString()
+  }, 'lms');
+
+  console.log(`[mock-lms] Launched ${au.id} (${launchMode}) session ${sessionId}`);
+  return { url, sessionId, registration };
+}
+
+/**
+ * cmi5 fetch URL: the first POST gets the token, any later one an error
+ */
+function handleFetch(req, res, url) {
+  const session = store.sessions.get(url.searchParams.get('session'));
+  if (req.method !== 'POST') {
+    send(req, res, 405, { 'error-code': '3', 'error-text': 'The fetch URL only accepts POST' });
+    return;
+  }
+  if (!session) {
+    send(req, res, 404, { 'error-code': '3', 'error-text': 'Unknown session' });
+    return;
+  }
+  if (session.fetched) {
+    console.warn(`[mock-lms] Fetch URL for session ${session.id} used again`);
+    send(req, res, 401, { 'error-code': '1', 'error-text': 'This fetch URL has already been used' });
+    return;
+  }
+  session.fetched = true;
+  send(req, res, 200, { 'auth-token': session.token });
+}
+
+// ==================== LRS ====================
+
+function sessionForRequest(req) {
+  const match = /^Basic\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return null;
+  for (const session of store.sessions.values()) {
+    if (session.token === match[1] && session.status !== 'terminated' && session.status !== 'expired') {
+      return session;
+    }
+  }
+  return null;
+}
+
+function validateStatement(statement) {
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    throw badRequest('A statement must be an object');
+  }
+  if (statement.id !== undefined && !UUID_PATTERN.test(statement.id)) {
+    throw badRequest(`Statement id is not a UUID: ${statement.id}`);
+  }
+  if (!statement.actor || !statement.verb?.id || !statement.object) {
+    throw badRequest('A statement needs an actor, a verb with an id and an object');
+  }
+}
+
+function storeStatement(statement, sessionId) {
+  const record = {
+    sessionId,
+    submitted: canonical(statement),
+    statement: {
+      ...statement,
+      timestamp: statement.timestamp || new Date().toISOString(),
+      stored: new Date().toISOString(),
+      authority: { objectType: 'Agent', account: { homePage: 'https://novapay.dev/mock-lms', name: sessionId } },
+      version: XAPI_VERSION
+    }
+  };
+  store.statements.push(record);
+  return record;
+}
+
+/**
+ * Store statements all or nothing. An id the LRS already has is fine when
+ * the statement matches; a different statement with that id is a 409.
+ */
+function storeStatements(statements, session) {
+  const seen = new Set();
+  const fresh = [];
+  const ids = statements.map(statement => {
+    validateStatement(statement);
+    if (!statement.id) {
+      const id = crypto.randomUUID();
+      fresh.push({ ...statement, id });
+      return id;
+    }
+    if (seen.has(statement.id)) throw badRequest(`Statement id ${statement.id} appears twice`);
+    seen.add(statement.id);
+    const existing = store.statements.find(record => record.statement.id === statement.id);
+    if (!existing) {
+      fresh.push(statement);
+    } else if (existing.submitted !== canonical(statement)) {
+      throw Object.assign(new Error(`A different statement with id ${statement.id} is already stored`), { status: 409 });
+    }
+    return statement.id;
+  });
+
+  fresh.forEach(statement => {
+    storeStatement(statement, session.id);
+    if (statement.verb.id === 'http://adlnet.gov/expapi/verbs/terminated') {
+      session.status = 'terminated';
+    } else if (session.status === 'launched') {
+      session.status = 'active';
+    }
+  });
+  return ids;
+}
+
+function queryStatements(url) {
+  const id = url.searchParams.get('statementId');
+  if (id) {
+    const record = store.statements.find(r => r.statement.id === id);
+    return record ? { status: 200, body: record.statement } : { status: 404, body: { error: 'No such statement' } };
+  }
+
+  const registration = url.searchParams.get('registration');
+  const verb = url.searchParams.get('verb');
+  const activity = url.searchParams.get('activity');
+  const since = url.searchParams.get('since');
+  const limit = Number(url.searchParams.get('limit')) || 100;
+  const statements = store.statements
+    .map(record => record.statement)
+    .filter(s => !registration || s.context?.registration === registration)
+    .filter(s => !verb || s.verb.id === verb)
+    .filter(s => !activity || s.object.id === activity)
+    .filter(s => !since || s.stored > since)
+    .reverse()
+    .slice(0, limit);
+  return { status: 200, body: { statements, more: '' } };
+}
+
+async function handleStatements(req, res, url, session) {
+  if (req.method === 'GET') {
+    const result = queryStatements(url);
+    send(req, res, result.status, result.body);
+    return;
+  }
+
+  const body = parseJson(await readBody(req), 'Statements');
+  if (req.method === 'PUT') {
+    const statementId = url.searchParams.get('statementId');
+    if (!statementId) throw badRequest('PUT needs a statementId');
+    validateStatement(body);
+    if (body.id && body.id !== statementId) throw badRequest('statementId does not match the statement id');
+    storeStatements([{ ...body, id: statementId }], session);
+    send(req, res, 204);
+    return;
+  }
+  if (req.method === 'POST') {
+    send(req, res, 200, storeStatements(Array.isArray(body) ? body : [body], session));
+    return;
+  }
+  send(req, res, 405, { error: 'GET, PUT or POST' });
+}
+
+/**
+ * Activity state and agent profile documents. PUT replaces, POST merges
+ * JSON objects, GET without an id lists the ids.
+ */
+async function handleDocuments(req, res, url, kind) {
+  const agentParam = url.searchParams.get('agent');
+  const agent = agentParam ? parseJson(agentParam, 'agent') : null;
+  const agentId = agentKey(agent);
+  if (!agentId) throw badRequest('agent must be an Agent with an identifier');
+
+  const idParam = kind === 'state' ? 'stateId' : 'profileId';
+  const id = url.searchParams.get(idParam);
+  const scopeParts = kind === 'state'
+    ? [url.searchParams.get('activityId'), agentId, url.searchParams.get('registration')]
+    : [agentId];
+  if (kind === 'state' && !scopeParts[0]) throw badRequest('activityId is required');
+  const scope = kind === 'state'
+    ? { activityId: scopeParts[0], agent, registration: scopeParts[2] || undefined }
+    : { agent };
+  const prefix = documentKey(kind, scopeParts) + '|';
+
+  if (!id) {
+    const keys = [...store.documents.keys()].filter(key => key.startsWith(prefix));
+    if (req.method === 'GET') {
+      send(req, res, 200, keys.map(key => store.documents.get(key).id));
+    } else if (req.method === 'DELETE' && kind === 'state') {
+      keys.forEach(key => store.documents.delete(key));
+      send(req, res, 204);
+    } else {
+      throw badRequest(`${idParam} is required`);
+    }
+    return;
+  }
+
+  const key = prefix + id;
+  const existing = store.documents.get(key);
+
+  switch (req.method) {
+    case 'GET':
+      if (!existing) {
+        send(req, res, 404, { error: `No ${kind} document ${id}` });
+        return;
+      }
+      res.writeHead(200, {
+        ...corsHeaders(req),
+        'X-Experience-API-Version': XAPI_VERSION,
+        'Content-Type': existing.contentType,
+        'ETag': `"${existing.etag}"`,
+        'Last-Modified': new Date(existing.updated).toUTCString()
+      });
+      res.end(existing.body);
+      return;
+    case 'PUT':
+      putDocument(key, scope, id, req.headers['content-type'], await readBody(req));
+      send(req, res, 204);
+      return;
+    case 'POST': {
+      const body = parseJson(await readBody(req), 'A merged document');
+      const current = existing ? documentValue(existing) : {};
+      if (!body || typeof body !== 'object' || Array.isArray(body) ||
+          !current || typeof current !== 'object' || Array.isArray(current)) {
+        throw badRequest('POST can only merge JSON objects');
+      }
+      putDocument(key, scope, id, 'application/json', JSON.stringify({ ...current, ...body }));
+      send(req, res, 204);
+      return;
+    }
+    case 'DELETE':
+      store.documents.delete(key);
+      send(req, res, 204);
+      return;
+    default:
+      send(req, res, 405, { error: 'GET, PUT, POST or DELETE' });
+  }
+}
+
+/**
+ * The fault to answer an LRS request with, if any
+ */
+function injectedFault() {
+  if (faults.failNext > 0) {
+    faults.failNext--;
+    return faults.failStatus;
+  }
+  if (faults.failRate > 0 && Math.random() < faults.failRate) {
+    return faults.failStatus;
+  }
+  return null;
+}
+
+async function handleXapi(req, res, url) {
+  const resource = url.pathname.slice('/xapi/'.length).replace(/\/$/, '');
+
+  if (faults.latencyMs > 0) await sleep(faults.latencyMs);
+
+  if (resource === 'about') {
+    send(req, res, 200, { version: [XAPI_VERSION] });
+    return;
+  }
+
+  const faultStatus = injectedFault();
+  if (faultStatus) {
+    console.log(`[mock-lms] Simulated ${faultStatus} for ${req.method} /xapi/${resource}`);
+    send(req, res, faultStatus, `Simulated failure (${faultStatus})`);
+    return;
+  }
+
+  const session = sessionForRequest(req);
+  if (!session) {
+    send(req, res, 401, 'session not found');
+    return;
+  }
+  if (!req.headers['x-experience-api-version']) {
+    throw badRequest('X-Experience-API-Version header is required');
+  }
+
+  switch (resource) {
+    case 'statements':
+      await handleStatements(req, res, url, session);
+      return;
+    case 'activities/state':
+      await handleDocuments(req, res, url, 'state');
+      return;
+    case 'agents/profile':
+      await handleDocuments(req, res, url, 'profile');
+      return;
+    default:
+      send(req, res, 404, { error: `Unknown xAPI resource: ${resource}` });
+  }
+}
+
+// ==================== INSPECTION API ====================
+
+function snapshot() {
+  return {
+    course: { id: definition.id, title: definition.title },
+    aus: AUS.map(au => ({ id: au.id, title: au.title, moveOn: au.moveOn, masteryScore: au.masteryScore })),
+    faults,
+    sessions: [...store.sessions.values()].map(({ token, ...session }) => session).reverse(),
+    statements: store.statements.map(record => ({ sessionId: record.sessionId, statement: record.statement })).reverse(),
+    documents: [...store.documents.values()].map(document => ({
+      kind: document.scope.activityId ? 'state' : 'profile',
+      id: document.id,
+      scope: document.scope,
+      contentType: document.contentType,
+      updated: document.updated,
+      value: documentValue(document)
+    }))
+  };
+}
+
+/**
+ * Apply fault settings - all of them, or none if any is out of range
+ */
+function updateFaults(changes) {
+  const next = { ...faults };
+  ['latencyMs', 'failNext', 'failRate', 'failStatus'].forEach(name => {
+    if (changes[name] !== undefined) {
+      const value = Number(changes[name]);
+      if (!Number.isFinite(value) || value < 0) throw badRequest(`${name} must be a number >= 0`);
+      next[name] = value;
+    }
+  });
+  if (next.failStatus < 400 || next.failStatus > 599) throw badRequest('failStatus must be 4xx or 5xx');
+  if (next.failRate > 1) throw badRequest('failRate must be between 0 and 1');
+  return Object.assign(faults, next);
+}
+
+/**
+ * End sessions as if the LMS timed them out - their token gets 401
+ * "session not found" from then on
+ */
+function expireSessions({ sessionId }) {
+  let count = 0;
+  store.sessions.forEach(session => {
+    if ((!sessionId || session.id === sessionId) && session.status !== 'terminated') {
+      session.status = 'expired';
+      count++;
+    }
+  });
+  return { expired: count };
+}
+
+async function handleApi(req, res, url) {
+  const route = url.pathname.slice('/lms/api/'.length);
+  if (route === 'data' && req.method === 'GET') {
+    send(req, res, 200, snapshot());
+    return;
+  }
+  if (req.method !== 'POST') {
+    send(req, res, 404, { error: 'Unknown API route' });
+    return;
+  }
+
+  const body = parseObject((await readBody(req)) || '{}', 'The request');
+  switch (route) {
+    case 'launch':
+      send(req, res, 200, createLaunch(req, body));
+      return;
+    case 'faults':
+      send(req, res, 200, updateFaults(body));
+      return;
+    case 'expire':
+      send(req, res, 200, expireSessions(body));
+      return;
+    case 'reset':
+      resetStore();
+      send(req, res, 204);
+      return;
+    default:
+      send(req, res, 404, { error: 'Unknown API route' });
+  }
+}
+
+// ==================== PAGES ====================
+
+/**
+ * A URL path with its %-escapes decoded; a malformed one is a 400
+ */
+function decodePath(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch (e) {
+    throw badRequest(`Malformed URL path: ${urlPath}`);
+  }
+}
+
+function serveFile(req, res, urlPath) {
+  const file = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+  const parts = path.relative(ROOT, file).split(path.sep);
+
+  // No tools/ - answer keys stay private even on localhost - and nothing
+  // under a dot-directory or dotfile (.git, .env)
+  if (req.method !== 'GET' || parts[0] === '..' || parts[0] === 'tools' || parts.some(part => part.startsWith('.'))) {
+    send(req, res, 404, 'Not found');
+    return;
+  }
+
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      send(req, res, 404, 'Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+function inspectionPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Mock LMS - ${definition.title.replace(/[<&]/g, '')}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 16px 24px; color: #1d2330; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #d7dbe2; }
+  form { display: flex; flex-wrap: wrap; gap: 12px; align-items: end; }
+  label { display: flex; flex-direction: column; font-size: 12px; color: #4b5363; }
+  input, select, button { font: inherit; padding: 4px 6px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #eceef2; vertical-align: top; }
+  pre { background: #f5f6f8; padding: 8px; overflow: auto; max-height: 400px; margin: 4px 0; }
+  code { font-size: 12px; }
+  .notice { background: #eef6ee; padding: 8px 12px; border-radius: 4px; }
+  .status-terminated, .status-expired { color: #8a1c1c; }
+</style>
+</head>
+<body>
+<h1>Mock LMS</h1>
+<p id="notice" class="notice" hidden></p>
+
+<h2>Launch</h2>
+<form id="launchForm" action="/lms/launch" method="get">
+  <label>AU <select name="au" id="auSelect"></select></label>
+  <label>Launch mode <select name="launchMode"><option>Normal</option><option>Browse</option><option>Review</option></select></label>
+  <label>moveOn <select name="moveOn"><option value="">(from the AU)</option>${MOVE_ON_VALUES.map(v => `<option>${v}</option>`).join('')}</select></label>
+  <label>masteryScore <input name="masteryScore" size="6" placeholder="(from the AU)"></label>
+  <label>Learner <input name="learner" value="learner-1" size="12"></label>
+  <label>Registration <select name="registration" id="registrationSelect"><option value="">New registration</option></select></label>
+  <label>Language <input name="languagePreference" size="8" placeholder="e.g. es-ES"></label>
+  <label>Audio <select name="audioPreference"><option value="">-</option><option>on</option><option>off</option></select></label>
+  <button type="submit">Launch</button>
+</form>
+
+<h2>Simulated failures</h2>
+<form id="faultForm">
+  <label>Latency (ms) <input name="latencyMs" type="number" min="0" size="6"></label>
+  <label>Fail next n requests <input name="failNext" type="number" min="0" size="4"></label>
+  <label>Fail rate (0-1) <input name="failRate" type="number" min="0" max="1" step="0.05" size="4"></label>
+  <label>Status <input name="failStatus" type="number" min="400" max="599" size="4"></label>
+  <button type="submit">Apply</button>
+  <button type="button" id="expireAll">Expire all sessions (401)</button>
+  <button type="button" id="reset">Clear everything</button>
+</form>
+
+<h2>Sessions</h2>
+<table><thead><tr><th>Launched</th><th>AU</th><th>Mode</th><th>Registration</th><th>Status</th><th></th></tr></thead><tbody id="sessions"></tbody></table>
+
+<h2>Statements (<span id="statementCount">0</span>)</h2>
+<table><thead><tr><th>Stored</th><th>Verb</th><th>Object</th><th>Result</th><th>Session</th></tr></thead><tbody id="statements"></tbody></table>
+
+<h2>State documents and agent profiles</h2>
+<div id="documents"></div>
+
+<script>
+(function () {
+  'use strict';
+
+  const params = new URLSearchParams(location.search);
+  if (params.get('returned')) {
+    const notice = document.getElementById('notice');
+    notice.textContent = 'The course returned from session ' + params.get('returned') + '.';
+    notice.hidden = false;
+  }
+
+  function el(tag, text, attrs) {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    Object.assign(node, attrs || {});
+    return node;
+  }
+
+  function row(cells) {
+    const tr = el('tr');
+    cells.forEach(cell => {
+      const td = el('td');
+      td.append(cell instanceof Node ? cell : String(cell ?? ''));
+      tr.append(td);
+    });
+    return tr;
+  }
+
+  function details(summary, value) {
+    const node = el('details');
+    node.append(el('summary', summary), el('pre', JSON.stringify(value, null, 2)));
+    return node;
+  }
+
+  function time(iso) {
+    return iso ? new Date(iso).toLocaleTimeString() : '';
+  }
+
+  async function post(route, body) {
+    const response = await fetch('/lms/api/' + route, { method: 'POST', body: JSON.stringify(body || {}) });
+    if (!response.ok) alert(await response.text());
+    refresh();
+  }
+
+  let rendered = '';
+  let formsFilled = false;
+
+  function render(data) {
+    if (!formsFilled) {
+      data.aus.forEach(au => document.getElementById('auSelect').append(el('option', au.title + ' - ' + au.id, { value: au.id })));
+      Object.entries(data.faults).forEach(([name, value]) => { document.forms.faultForm.elements[name].value = value; });
+      formsFilled = true;
+    }
+
+    const registrations = document.getElementById('registrationSelect');
+    const known = new Set([...registrations.options].map(option => option.value));
+    data.sessions.forEach(session => {
+      if (!known.has(session.registration)) {
+        registrations.append(el('option', session.registration + ' (' + session.actor.name + ')', { value: session.registration }));
+        known.add(session.registration);
+      }
+    });
+
+    const sessions = document.getElementById('sessions');
+    sessions.replaceChildren(...data.sessions.map(session => {
+      const expire = el('button', 'Expire', { type: 'button', disabled: session.status === 'terminated' || session.status === 'expired' });
+      expire.addEventListener('click', () => post('expire', { sessionId: session.id }));
+      const status = el('span', session.status + (session.fetched ? '' : ' (token not fetched)'), { className: 'status-' + session.status });
+      const actions = el('span');
+      actions.append(el('a', 'Relaunch URL', { href: session.url }), ' ', expire);
+      return row([time(session.launched), session.au.split('/').pop(), session.launchMode, session.registration, status, actions]);
+    }));
+
+    document.getElementById('statementCount').textContent = data.statements.length;
+    document.getElementById('statements').replaceChildren(...data.statements.map(({ sessionId, statement }) => {
+      const verb = statement.verb.display?.['en-US'] || statement.verb.id;
+      const object = statement.object.definition?.name?.['en-US'] || statement.object.id;
+      const result = statement.result ? JSON.stringify(statement.result) : '';
+      return row([time(statement.stored), details(verb, statement), object, result, sessionId === 'lms' ? 'LMS' : sessionId.slice(0, 8)]);
+    }));
+
+    document.getElementById('documents').replaceChildren(...data.documents.map(doc => details(
+      doc.kind + ': ' + doc.id + (doc.scope.registration ? ' (registration ' + doc.scope.registration.slice(0, 8) + ')' : '') + ' - updated ' + time(doc.updated),
+      doc.value
+    )));
+  }
+
+  async function refresh() {
+    try {
+      const response = await fetch('/lms/api/data');
+      const text = await response.text();
+      // Re-rendering closes open <details>, so only redraw on a change
+      if (text !== rendered) {
+        rendered = text;
+        render(JSON.parse(text));
+      }
+    } catch (e) {
+      // Server stopped - try again on the next tick
+    }
+  }
+
+  document.getElementById('faultForm').addEventListener('submit', event => {
+    event.preventDefault();
+    post('faults', Object.fromEntries(new FormData(event.target)));
+  });
+  document.getElementById('expireAll').addEventListener('click', () => post('expire'));
+  document.getElementById('reset').addEventListener('click', () => {
+    if (confirm('Clear all sessions, statements and documents?')) post('reset');
+  });
+
+  refresh();
+  setInterval(refresh, 2000);
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+// ==================== SERVER ====================
+
+async function route(req, res) {
+  const url = new URL(req.url, origin(req));
+
+  if (req.method === 'OPTIONS') {
+    send(req, res, 204);
+    return;
+  }
+  if (url.pathname.startsWith('/xapi/')) {
+    await handleXapi(req, res, url);
+    return;
+  }
+  if (url.pathname.startsWith('/lms/api/')) {
+    await handleApi(req, res, url);
+    return;
+  }
+
+  switch (url.pathname) {
+    case '/lms':
+    case '/lms/':
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(inspectionPage());
+      return;
+    case '/lms/launch': {
+      const launch = createLaunch(req, Object.fromEntries(url.searchParams));
+      res.writeHead(302, { Location: launch.url });
+      res.end();
+      return;
+    }
+    case '/lms/fetch':
+      handleFetch(req, res, url);
+      return;
+    default:
+      serveFile(req, res, decodePath(url.pathname));
+  }
+}
+
+/**
+ * A mock LMS with an empty store and the given faults, not yet listening.
+ * There's one store per process, so one server at a time.
+ */
+function createServer(faultOptions = {}) {
+  resetStore();
+  updateFaults({ latencyMs: 0, failNext: 0, failRate: 0, failStatus: 503, ...faultOptions });
+
+  return http.createServer((req, res) => {
+    route(req, res).catch(error => {
+      if (!error.status) console.error('[mock-lms]', error);
+      if (!res.headersSent) send(req, res, error.status || 500, { error: error.message });
+    });
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const server = createServer(options);
+
+  server.on('error', error => {
+    console.error('[mock-lms]', error.message);
+    process.exitCode = 1;
+  });
+
+  server.listen(options.port, () => {
+    console.log(`[mock-lms] LMS at http://localhost:${options.port}/lms/ - LRS at http://localhost:${options.port}/xapi/`);
+    if (faults.latencyMs || faults.failNext || faults.failRate) {
+      console.log('[mock-lms] Simulating:', faults);
+    }
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('[mock-lms]', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { createServer, decodePath, serveFile };
@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('./mock-lms');
+
+let server;
+let base;
+
+test.before(async () => {
+  server = createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function launch(options = {}) {
+  const response = await fetch(`${base}/lms/api/launch`, { method: 'POST', body: JSON.stringify(options) });
+  assert.equal(response.status, 200);
+  const { url } = await response.json();
+  return new URL(url).searchParams;
+}
+
+function statementsRequest(token) {
+  return fetch(`${base}/xapi/statements?limit=1`, {
+    headers: { Authorization: `Basic ${token}`, 'X-Experience-API-Version': '1.0.3' }
+  });
+}
+
+test('the fetch URL gives out the auth token once', async () => {
+  const params = await launch();
+  const fetchUrl = params.get('fetch');
+
+  const first = await fetch(fetchUrl, { method: 'POST' });
+  assert.equal(first.status, 200);
+  const token = (await first.json())['auth-token'];
+  assert.ok(token);
+  assert.equal((await statementsRequest(token)).status, 200);
+
+  const second = await fetch(fetchUrl, { method: 'POST' });
+  assert.equal(second.status, 401);
+  assert.deepEqual(await second.json(), { 'error-code': '1', 'error-text': 'This fetch URL has already been used' });
+});
+
+test('the fetch URL only takes POST, and only for a session it launched', async () => {
+  const params = await launch();
+  const get = await fetch(params.get('fetch'));
+  assert.equal(get.status, 405);
+  assert.equal((await get.json())['error-code'], '3');
+
+  const unknown = await fetch(`${base}/lms/fetch?session=00000000-0000-4000-8000-000000000000`, { method: 'POST' });
+  assert.equal(unknown.status, 404);
+
+  // The rejected GET didn't use it up
+  assert.equal((await fetch(params.get('fetch'), { method: 'POST' })).status, 200);
+});
+
+test('each launch gets its own session, token and launch data', async () => {
+  const a = await launch({ launchMode: 'Browse' });
+  const b = await launch();
+  assert.notEqual(a.get('fetch'), b.get('fetch'));
+  assert.notEqual(a.get('registration'), b.get('registration'));
+
+  const tokenA = (await (await fetch(a.get('fetch'), { method: 'POST' })).json())['auth-token'];
+  const tokenB = (await (await fetch(b.get('fetch'), { method: 'POST' })).json())['auth-token'];
+  assert.notEqual(tokenA, tokenB);
+
+  const data = await (await fetch(`${base}/lms/api/data`)).json();
+  const launchData = data.documents.find(document => document.id === 'LMS.LaunchData' && document.scope.registration === a.get('registration'));
+  assert.equal(launchData.value.launchMode, 'Browse');
+});
+
+test('an unknown token gets 401 "session not found"', async () => {
+  const response = await statementsRequest(Buffer.from('nobody:nothing').toString('base64'));
+  assert.equal(response.status, 401);
+  assert.equal(await response.text(), 'session not found');
+});
+
+test('tools/ and dot-directories are never served', async () => {
+  assert.equal((await fetch(`${base}/tools/answer-keys.json`)).status, 404);
+  assert.equal((await fetch(`${base}/.git/config`)).status, 404);
+  assert.equal((await fetch(`${base}/%2Egit/HEAD`)).status, 404);
+  assert.equal((await fetch(`${base}/js/%2E%2E/.git/HEAD`)).status, 404);
+  assert.equal((await fetch(`${base}/course.json`)).status, 200);
+});
+
+test('a malformed path is a 400, not a 500', async () => {
+  const response = await fetch(`${base}/%E0%A4%A`);
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /Malformed URL path/);
+
+  // The server is still up
+  assert.equal((await fetch(`${base}/course.json`)).status, 200);
+});
+
+test('a rejected fault setting changes nothing', async () => {
+  const before = (await (await fetch(`${base}/lms/api/data`)).json()).faults;
+  for (const changes of [{ failNext: 2, failRate: 5 }, { failNext: 2, failStatus: 200 }]) {
+    const response = await fetch(`${base}/lms/api/faults`, { method: 'POST', body: JSON.stringify(changes) });
+    assert.equal(response.status, 400);
+  }
+  assert.deepEqual((await (await fetch(`${base}/lms/api/data`)).json()).faults, before);
+  await launch();
+});
+
+test('a null JSON body is a 400', async () => {
+  for (const route of ['faults', 'launch']) {
+    const response = await fetch(`${base}/lms/api/${route}`, { method: 'POST', body: 'null' });
+    assert.equal(response.status, 400, route);
+  }
+
+  const params = await launch();
+  const token = (await (await fetch(params.get('fetch'), { method: 'POST' })).json())['auth-token'];
+  const put = await fetch(`${base}/xapi/statements?statementId=${crypto.randomUUID()}`, {
+    method: 'PUT',
+    headers: { Authorization: `Basic ${token}`, 'X-Experience-API-Version': '1.0.3', 'Content-Type': 'application/json' },
+    body: 'null'
+  });
+  assert.equal(put.status, 400);
+});
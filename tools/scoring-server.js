@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Local Scoring Endpoint
+ * NovaPay Platform Launch Training
+ *
+ * Scores responses against tools/answer-keys.json so the keys never reach
+ * the browser - not even hashed. Used when course.json sets
+ * "scoring": { "mode": "endpoint", "endpoint": "http://localhost:8787/score" }.
+ *
+ *   node tools/scoring-server.js [port]
+ *
+ *   POST /score  { "questionId": "2-4", "interactionType": "sequencing", "response": ["a", "b", "c"] }
+ *             -> { "correct": true, "correctResponsesPattern": ["a[,]b[,]c"] }
+ *
+ * Responses are checked by the key's interaction type (see
+ * build-answer-hashes.js). correctResponsesPattern is only returned for
+ * knowledge check questions - never for exam items.
+ *
+ *   POST /review { "questionIds": ["exam-1", ...], "responses": { "exam-1": ["b"], ... } }
+ *             -> { "items": { "exam-1": { "correct": ["b"], "rationale": "..." } } }
+ *
+ * /review feeds the post-attempt exam review with the correct answers and
+ * the explanations in tools/exam-rationales.json. It takes the attempt's
+ * questions and the learner's responses, and scores them again: with
+ * exam.reviewVisibility "passed" the answers are only returned for an
+ * attempt that reaches exam.passThreshold, and with "never" not at all.
+ * Even with "always", an attempt needs at least one response - a request
+ * with none isn't an attempt, just a way to read the answers.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { keyType, checkResponse, correctResponsesPattern, examItemIds } = require('./build-answer-hashes');
+const { buildReviewItems, reviewVisibility } = require('./build-exam-review');
+
+const PORT = Number(process.argv[2]) || 8787;
+const KEYS_PATH = path.join(__dirname, 'answer-keys.json');
+const RATIONALES_PATH = path.join(__dirname, 'exam-rationales.json');
+const DEFINITION_PATH = path.join(__dirname, '..', 'course.json');
+const MAX_BODY_BYTES = 16 * 1024;
+
+const keys = JSON.parse(fs.readFileSync(KEYS_PATH, 'utf8'));
+const rationales = JSON.parse(fs.readFileSync(RATIONALES_PATH, 'utf8'));
+const examItems = examItemIds();
+const definition = JSON.parse(fs.readFileSync(DEFINITION_PATH, 'utf8'));
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The course is served from another origin (the LMS or a local server)
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function score({ questionId, interactionType, response }) {
+  if (typeof questionId !== 'string' || !Array.isArray(response)) {
+    return { status: 400, body: { error: 'Expected { questionId, interactionType, response: [] }' } };
+  }
+  if (!Object.prototype.hasOwnProperty.call(keys, questionId)) {
+    return { status: 404, body: { error: `Unknown question: ${questionId}` } };
+  }
+  const key = keys[questionId];
+  if (interactionType && interactionType !== keyType(key)) {
+    return { status: 400, body: { error: `${questionId} is a ${keyType(key)} question, not ${interactionType}` } };
+  }
+
+  const body = { correct: checkResponse(key, response) };
+  const pattern = examItems.has(questionId) ? null : correctResponsesPattern(key);
+  if (pattern) body.correctResponsesPattern = pattern;
+  return { status: 200, body };
+}
+
+/**
+ * Fraction of an attempt's questions the responses get right. Unanswered
+ * questions count as wrong.
+ */
+function attemptScore(questionIds, responses) {
+  const correct = questionIds.filter(id => Array.isArray(responses[id]) && checkResponse(keys[id], responses[id]));
+  return correct.length / questionIds.length;
+}
+
+/**
+ * course is course.json - a parameter so tests can try each reviewVisibility
+ */
+function review({ questionIds, responses = {} }, course = definition) {
+  if (!Array.isArray(questionIds) || !questionIds.length || !questionIds.every(id => typeof id === 'string') ||
+      typeof responses !== 'object' || responses === null) {
+    return { status: 400, body: { error: 'Expected { questionIds: [], responses: {} }' } };
+  }
+  const unknown = questionIds.filter(id => !examItems.has(id) || !Object.prototype.hasOwnProperty.call(rationales, id));
+  if (unknown.length) {
+    return { status: 404, body: { error: `No review for: ${unknown.join(', ')}` } };
+  }
+
+  const visibility = reviewVisibility(course);
+  if (visibility === 'never') {
+    return { status: 403, body: { error: 'The exam review is turned off' } };
+  }
+  if (!questionIds.some(id => Array.isArray(responses[id]) && responses[id].length)) {
+    return { status: 403, body: { error: 'The review is only available after an attempt' } };
+  }
+  if (visibility === 'passed' && attemptScore(questionIds, responses) < course.exam.passThreshold) {
+    return { status: 403, body: { error: 'The review is only available for a passing attempt' } };
+  }
+  return { status: 200, body: { items: buildReviewItems(keys, rationales, questionIds) } };
+}
+
+const ROUTES = {
+  '/score': score,
+  '/review': review
+};
+
+function handleRequest(req, res) {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+  const handler = ROUTES[req.url];
+  if (req.method !== 'POST' || !handler) {
+    send(res, 404, { error: 'POST /score or /review' });
+    return;
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      send(res, 413, { error: 'Request too large' });
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (e) {
+      send(res, 400, { error: 'Body must be JSON' });
+      return;
+    }
+    const result = handler(request || {});
+    send(res, result.status, result.body);
+  });
+}
+
+if (require.main === module) {
+  http.createServer(handleRequest).listen(PORT, () => {
+    console.log(`[scoring-server] Scoring ${Object.keys(keys).length} questions at http://localhost:${PORT}/score`);
+  });
+}
+
+module.exports = { score, review };
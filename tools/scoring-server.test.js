@@ -0,0 +1,31 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { review } = require('./scoring-server');
+
+function course(reviewVisibility) {
+  return { scoring: { mode: 'endpoint' }, exam: { reviewVisibility, passThreshold: 0.8 } };
+}
+
+test('with "always", the review needs an attempt with at least one response', () => {
+  const questionIds = ['exam-1', 'exam-2'];
+  assert.equal(review({ questionIds }, course('always')).status, 403);
+  assert.equal(review({ questionIds, responses: { 'exam-1': [] } }, course('always')).status, 403);
+
+  const result = review({ questionIds, responses: { 'exam-1': ['a'] } }, course('always'));
+  assert.equal(result.status, 200);
+  assert.deepEqual(Object.keys(result.body.items), questionIds);
+});
+
+test('with "passed", only a passing attempt gets the review', () => {
+  const questionIds = ['exam-1', 'exam-2'];
+  assert.equal(review({ questionIds, responses: { 'exam-1': ['b'], 'exam-2': ['a'] } }, course('passed')).status, 403);
+  assert.equal(review({ questionIds, responses: { 'exam-1': ['b'], 'exam-2': ['c'] } }, course('passed')).status, 200);
+});
+
+test('"never" and hashed scoring never give out the answers', () => {
+  const request = { questionIds: ['exam-1'], responses: { 'exam-1': ['b'] } };
+  assert.equal(review(request, course('never')).status, 403);
+  assert.equal(review(request, { exam: { reviewVisibility: 'always', passThreshold: 0 } }).status, 403);
+});